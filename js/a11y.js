@@ -0,0 +1,230 @@
+// Accessibility helpers: screen-reader announcements through the live
+// regions at the end of index.html, focus moves for route changes, busy
+// states, and modal dialogs that keep keyboard focus inside them.
+//
+// While a dialog or the loading overlay is up, #app is made inert so
+// neither the keyboard nor a screen reader can reach the page behind it.
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Dialogs currently open, innermost last
+const openDialogs = [];
+
+// Why #app is blocked ('loading', 'dialog') and what had focus before
+const pageBlockers = new Set();
+let focusBeforeBlock = null;
+
+/**
+ * Read a message to screen-reader users
+ * @param {string} message
+ * @param {object} options
+ * @param {boolean} options.assertive - Interrupt the current speech (errors)
+ */
+function announce(message, { assertive = false } = {}) {
+    const region = document.getElementById(assertive ? 'a11y-alert' : 'a11y-status');
+    if (!region || !message) return;
+
+    // A new node is announced even when the text repeats
+    const text = document.createElement('p');
+    text.textContent = message;
+    region.replaceChildren(text);
+}
+
+/**
+ * Move focus to a view's main heading, so keyboard and screen-reader
+ * users start reading the new page from the top
+ * @param {HTMLElement} view
+ * @returns {HTMLElement|null} The heading
+ */
+function focusHeading(view) {
+    const heading = view && view.querySelector('h1, h2');
+    if (!heading) return null;
+
+    if (!heading.hasAttribute('tabindex')) {
+        heading.setAttribute('tabindex', '-1');
+    }
+    heading.focus();
+    return heading;
+}
+
+/**
+ * Mark a container as being updated
+ * @param {HTMLElement} element
+ * @param {boolean} busy
+ */
+function setBusy(element, busy) {
+    if (element) {
+        element.setAttribute('aria-busy', busy ? 'true' : 'false');
+    }
+}
+
+/**
+ * Block or unblock the page behind an overlay. Focus that the browser
+ * drops while the page is inert is given back afterwards.
+ * @param {string} reason - 'loading' or 'dialog'
+ * @param {boolean} blocked
+ */
+function setPageBlocked(reason, blocked) {
+    const app = document.getElementById('app');
+    if (!app) return;
+
+    const wasBlocked = pageBlockers.size > 0;
+    if (blocked) {
+        pageBlockers.add(reason);
+    } else {
+        pageBlockers.delete(reason);
+    }
+
+    if (!wasBlocked && pageBlockers.size) {
+        focusBeforeBlock = app.contains(document.activeElement) ? document.activeElement : null;
+        app.setAttribute('inert', '');
+        app.setAttribute('aria-busy', String(pageBlockers.has('loading')));
+    } else if (pageBlockers.size) {
+        app.setAttribute('aria-busy', String(pageBlockers.has('loading')));
+    } else if (wasBlocked) {
+        app.removeAttribute('inert');
+        app.setAttribute('aria-busy', 'false');
+
+        const lostFocus = !document.activeElement || document.activeElement === document.body;
+        if (lostFocus && focusBeforeBlock && focusBeforeBlock.isConnected) {
+            focusBeforeBlock.focus();
+        }
+        focusBeforeBlock = null;
+    }
+}
+
+/**
+ * Check whether an element inside a container is shown
+ * @param {HTMLElement} element
+ * @param {HTMLElement} container
+ */
+function isShown(element, container) {
+    for (let node = element; node && node !== container.parentElement; node = node.parentElement) {
+        if (node.hidden || getComputedStyle(node).display === 'none') {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Get the elements Tab can reach in a container, in order
+ * @param {HTMLElement} container
+ * @returns {Array<HTMLElement>}
+ */
+function getFocusable(container) {
+    return [...container.querySelectorAll(FOCUSABLE_SELECTOR)]
+        .filter(element => isShown(element, container));
+}
+
+/**
+ * Show a modal dialog: block the page, keep Tab inside the dialog and
+ * focus its first control. Closing it returns focus to where it was.
+ * @param {HTMLElement} overlay - The .modal-overlay element
+ * @param {object} options
+ * @param {HTMLElement} options.initialFocus - Control to focus (default: the first)
+ * @param {function} options.onEscape - Called when Escape is pressed
+ */
+function openDialog(overlay, { initialFocus, onEscape } = {}) {
+    if (!overlay || openDialogs.some(dialog => dialog.overlay === overlay)) return;
+
+    const dialog = {
+        overlay,
+        returnFocus: document.activeElement,
+        onKeydown: event => handleDialogKeydown(dialog, event),
+        onEscape
+    };
+    openDialogs.push(dialog);
+
+    overlay.style.display = 'flex';
+    overlay.addEventListener('keydown', dialog.onKeydown);
+    setPageBlocked('dialog', true);
+
+    const target = initialFocus || getFocusable(overlay)[0];
+    if (target) {
+        target.focus();
+    }
+}
+
+/**
+ * Hide a modal dialog and give focus back
+ * @param {HTMLElement} overlay
+ */
+function closeDialog(overlay) {
+    const index = openDialogs.findIndex(dialog => dialog.overlay === overlay);
+    if (index === -1) {
+        if (overlay) {
+            overlay.style.display = 'none';
+        }
+        return;
+    }
+
+    const [dialog] = openDialogs.splice(index, 1);
+    overlay.style.display = 'none';
+    overlay.removeEventListener('keydown', dialog.onKeydown);
+    if (!openDialogs.length) {
+        setPageBlocked('dialog', false);
+    }
+
+    const returnFocus = dialog.returnFocus;
+    if (returnFocus && returnFocus.isConnected && returnFocus !== document.body) {
+        returnFocus.focus();
+    }
+}
+
+/**
+ * Check whether a dialog is open
+ * @param {HTMLElement} overlay
+ */
+function isDialogOpen(overlay) {
+    return openDialogs.some(dialog => dialog.overlay === overlay);
+}
+
+/**
+ * Wrap Tab around the dialog's controls and handle Escape
+ * @param {object} dialog
+ * @param {KeyboardEvent} event
+ */
+function handleDialogKeydown(dialog, event) {
+    if (event.key === 'Escape' && dialog.onEscape) {
+        event.preventDefault();
+        dialog.onEscape();
+        return;
+    }
+    if (event.key !== 'Tab') return;
+
+    const focusable = getFocusable(dialog.overlay);
+    if (!focusable.length) {
+        event.preventDefault();
+        return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+// Export accessibility helpers
+window.a11y = {
+    announce,
+    focusHeading,
+    setBusy,
+    setPageBlocked,
+    getFocusable,
+    openDialog,
+    closeDialog,
+    isDialogOpen
+};
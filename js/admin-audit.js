@@ -0,0 +1,226 @@
+// Admin activity log view: the entries recorded by audit.js in a
+// filterable table, with JSON and CSV downloads of the filtered entries.
+// Everything is read from this device, so paging and sorting happen here.
+
+const AUDIT_PAGE_SIZES = [20, 50, 100];
+const AUDIT_SORT_KEYS = ['time', 'userEmail', 'type', 'action'];
+
+// Period filter values and how far back they reach (ms)
+const AUDIT_PERIODS = {
+    '1h': 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_AUDIT_QUERY = { page: 1, limit: 20, sort: 'time', order: 'desc', q: '', filters: { type: '', period: '' } };
+
+// Entries matching the current filters, in table order
+let auditEntries = [];
+let auditQuery = { ...DEFAULT_AUDIT_QUERY };
+let auditTable = null;
+
+/**
+ * Create the activity log table the first time it is needed
+ */
+function getAuditTable() {
+    const resultDiv = document.getElementById('admin-audit-result');
+    if (!resultDiv) return null;
+
+    if (!auditTable || !resultDiv.contains(auditTable.root)) {
+        const { t } = window.i18n;
+        auditTable = new window.DataTable(resultDiv, {
+            columns: [
+                { key: 'time', label: t('audit.columnTime'), sortable: true, render: entry => window.i18n.formatDate(entry.time, { dateStyle: 'medium', timeStyle: 'medium' }) },
+                { key: 'userEmail', label: t('audit.columnUser'), sortable: true, render: renderAuditUserCell },
+                { key: 'type', label: t('audit.columnType'), sortable: true, render: renderAuditTypeCell },
+                { key: 'action', label: t('audit.columnAction'), sortable: true },
+                { key: 'status', label: t('audit.columnStatus'), render: renderAuditStatusCell },
+                { key: 'details', label: t('audit.columnDetails') }
+            ],
+            filters: [
+                {
+                    key: 'type',
+                    label: t('audit.columnType'),
+                    options: [{ value: '', label: t('audit.allTypes') }, ...window.audit.TYPES.map(type => ({ value: type, label: t(`audit.type.${type}`) }))]
+                },
+                {
+                    key: 'period',
+                    label: t('audit.period'),
+                    options: [{ value: '', label: t('audit.allTime') }, ...Object.keys(AUDIT_PERIODS).map(period => ({ value: period, label: t(`audit.period.${period}`) }))]
+                }
+            ],
+            pageSizes: AUDIT_PAGE_SIZES,
+            searchPlaceholder: t('audit.search'),
+            emptyMessage: t('audit.empty'),
+            itemLabel: t('audit.itemLabel'),
+            rowClass: entry => `audit-row audit-row-${entry.type}`,
+            onChange: state => loadAuditLog(state)
+        });
+    }
+    return auditTable;
+}
+
+/**
+ * Render the admin, and the customer they were impersonating
+ * @param {object} entry
+ */
+function renderAuditUserCell(entry) {
+    if (!entry.impersonating) return entry.userEmail;
+    return window.i18n.t('audit.userAs', { email: entry.userEmail, impersonating: entry.impersonating });
+}
+
+/**
+ * Render the type cell as a badge
+ * @param {object} entry
+ */
+function renderAuditTypeCell(entry) {
+    const { html } = window.safeHtml;
+    return html`<span class="badge audit-type-${entry.type}">${window.i18n.t(`audit.type.${entry.type}`, { defaultValue: entry.type })}</span>`;
+}
+
+/**
+ * Render the HTTP status and how long the request took
+ * @param {object} entry
+ */
+function renderAuditStatusCell(entry) {
+    if (entry.duration === null) {
+        return entry.status === null ? '' : entry.status;
+    }
+    return window.i18n.t('audit.statusDuration', { status: entry.status === null ? '–' : entry.status, duration: entry.duration });
+}
+
+/**
+ * Translate the table filters into activity log filters
+ * @param {object} query - Activity log table query
+ */
+function toAuditFilters(query) {
+    const period = AUDIT_PERIODS[query.filters.period];
+    return {
+        type: query.filters.type || '',
+        since: period ? new Date(Date.now() - period).toISOString() : '',
+        q: query.q || ''
+    };
+}
+
+/**
+ * Sort entries by a table column
+ * @param {Array<object>} entries
+ * @param {object} query - { sort, order }
+ */
+function sortAuditEntries(entries, { sort, order }) {
+    const key = AUDIT_SORT_KEYS.includes(sort) ? sort : DEFAULT_AUDIT_QUERY.sort;
+    const direction = order === 'asc' ? 1 : -1;
+    return [...entries].sort((a, b) =>
+        direction * (String(a[key] || '').localeCompare(String(b[key] || '')) || a.id - b.id));
+}
+
+/**
+ * Load the activity log into the admin view
+ * @param {object} query - Activity log table query; defaults to the current one
+ */
+async function loadAuditLog(query = auditQuery) {
+    const table = getAuditTable();
+    if (!table) return;
+
+    auditQuery = { ...DEFAULT_AUDIT_QUERY, ...query, filters: { ...DEFAULT_AUDIT_QUERY.filters, ...query.filters } };
+    table.setState(auditQuery);
+    table.setLoading(true);
+
+    const current = auditQuery;
+    try {
+        const entries = await window.audit.getEntries(toAuditFilters(current));
+        // Ignore results for filters the admin has already changed
+        if (auditQuery !== current) return;
+
+        auditEntries = sortAuditEntries(entries, current);
+        renderAuditPage();
+    } catch (error) {
+        if (auditQuery === current) {
+            table.setError(window.i18n.t('common.errorPrefix', { message: error.message }));
+        }
+    }
+}
+
+/**
+ * Show the current page of entries, stepping back if it ran past the end
+ */
+function renderAuditPage() {
+    const lastPage = Math.max(1, Math.ceil(auditEntries.length / auditQuery.limit));
+    if (auditQuery.page > lastPage) {
+        auditQuery = { ...auditQuery, page: lastPage };
+        auditTable.setState(auditQuery);
+    }
+
+    const start = (auditQuery.page - 1) * auditQuery.limit;
+    auditTable.setRows(auditEntries.slice(start, start + auditQuery.limit), auditEntries.length);
+}
+
+/**
+ * Download the entries matching the current filters
+ * @param {string} format - 'json' or 'csv'
+ */
+function downloadAuditLog(format) {
+    window.app.downloadFile('activity-log', format, window.audit.export(auditEntries, format));
+}
+
+/**
+ * Delete the activity log on this device after confirmation
+ */
+async function handleClearAuditLog() {
+    // Whoever is being audited may not erase the record
+    if (!window.permissions.can('audit:clear')) return;
+
+    const { t } = window.i18n;
+    const confirmed = await window.app.confirmDialog(t('audit.confirmClear'), t('audit.clear'));
+    if (!confirmed) return;
+
+    await window.audit.clear();
+    window.notifications.notify(t('audit.cleared'), { type: 'success' });
+}
+
+/**
+ * Show new entries while the admin dashboard is open
+ */
+function handleAuditEntry() {
+    const view = document.getElementById('admin-view');
+    if (auditTable && view && view.classList.contains('active')) {
+        loadAuditLog();
+    }
+}
+
+/**
+ * Rebuild the table in the new language
+ */
+function handleAuditLocaleChange() {
+    if (!auditTable) return;
+
+    auditTable = null;
+    getAuditTable().setState(auditQuery);
+    renderAuditPage();
+}
+
+/**
+ * Set up the activity log buttons
+ */
+function initializeAuditLog() {
+    const buttons = {
+        'audit-export-json': () => downloadAuditLog('json'),
+        'audit-export-csv': () => downloadAuditLog('csv'),
+        'audit-clear-btn': handleClearAuditLog
+    };
+    Object.entries(buttons).forEach(([id, handler]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', handler);
+        }
+    });
+
+    window.audit.subscribe(handleAuditEntry);
+    window.i18n.subscribe(handleAuditLocaleChange);
+}
+
+// Export activity log view functions
+window.adminAudit = {
+    loadAuditLog,
+    initializeAuditLog
+};
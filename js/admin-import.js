@@ -0,0 +1,491 @@
+// Bulk user import from CSV. The admin picks a file, maps its columns to
+// user fields and checks a preview in which every row is validated (email
+// format, duplicates in the file and existing accounts, role, password).
+// Valid rows are sent to /admin/users/import in chunks with a progress bar;
+// a dry run sends them with dryRun so the server checks without creating.
+// Rejected rows can be downloaded with their errors, fixed and imported again.
+
+// User fields a column can be mapped to, and header names matched automatically
+const IMPORT_FIELDS = [
+    { key: 'name', required: true, headers: ['name', 'full name', 'fullname', 'nombre'] },
+    { key: 'email', required: true, headers: ['email', 'e-mail', 'email address', 'mail', 'correo', 'correo electrónico'] },
+    { key: 'role', required: false, headers: ['role', 'rol'] },
+    { key: 'password', required: false, headers: ['password', 'initial password', 'contraseña'] }
+];
+
+const IMPORT_CHUNK_SIZE = 50;
+const IMPORT_PREVIEW_ROWS = 50;
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_DEFAULT_ROLE = 'customer';
+
+// Parsed file: { headers, rows } where rows are arrays of cells
+let importFile = null;
+// Field key -> index of the mapped column, or -1
+let importMapping = {};
+// Validated rows: { line, cells, values, errors }
+let importRecords = [];
+// Lower-cased emails of the existing accounts
+let existingEmails = new Set();
+// { cancelled } while chunks are being sent
+let importRun = null;
+// Rows rejected by the last run: { headers, passwordColumn, records: [{ line, cells, errors }] }
+let importReport = null;
+
+/**
+ * Read a file chosen in an <input type="file">
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+function readFileText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Map fields to the columns whose header names them
+ * @param {Array<string>} headers
+ */
+function guessImportMapping(headers) {
+    const normalized = headers.map(header => header.trim().toLowerCase().replace(/[_\s]+/g, ' '));
+    return Object.fromEntries(IMPORT_FIELDS.map(field =>
+        [field.key, normalized.findIndex(header => field.headers.includes(header))]));
+}
+
+/**
+ * Turn a role cell into a role, accepting the translated names too
+ * @param {string} text
+ * @returns {string|null} null for an unknown role
+ */
+function readImportRole(text) {
+    const value = text.trim().toLowerCase();
+    if (!value) return IMPORT_DEFAULT_ROLE;
+
+    const { t } = window.i18n;
+    return window.adminUsers.ROLES.find(role => role === value || t(`roles.${role}`).toLowerCase() === value) || null;
+}
+
+/**
+ * Read the mapped values of every row and validate them
+ */
+function readImportRecords() {
+    const { t } = window.i18n;
+    const cell = (cells, key) => (importMapping[key] >= 0 ? (cells[importMapping[key]] || '').trim() : '');
+    // Lower-cased email -> first line it appears on
+    const seen = new Map();
+
+    importRecords = importFile.rows.map((cells, index) => {
+        // Line 1 is the header
+        const line = index + 2;
+        const role = readImportRole(cell(cells, 'role'));
+        const values = {
+            name: cell(cells, 'name'),
+            email: cell(cells, 'email'),
+            role: role || cell(cells, 'role')
+        };
+        const password = importMapping.password >= 0 ? cells[importMapping.password] || '' : '';
+        if (password) {
+            values.password = password;
+        }
+
+        const errors = [];
+        const email = values.email.toLowerCase();
+        if (!values.name) {
+            errors.push(t('import.nameRequired'));
+        }
+        if (!window.validation.isValidEmail(values.email)) {
+            errors.push(t('import.emailInvalid'));
+        } else if (seen.has(email)) {
+            errors.push(t('import.emailRepeated', { line: seen.get(email) }));
+        } else if (existingEmails.has(email)) {
+            errors.push(t('import.emailExists'));
+        }
+        if (!role) {
+            errors.push(t('import.roleInvalid', { value: values.role }));
+        }
+        if (password && password.length < window.validation.MIN_PASSWORD_LENGTH) {
+            errors.push(t('validation.passwordLength', { count: window.validation.MIN_PASSWORD_LENGTH }));
+        }
+
+        if (!seen.has(email)) {
+            seen.set(email, line);
+        }
+        return { line, cells, values, errors };
+    });
+}
+
+/**
+ * Required fields that have no column
+ * @returns {Array<object>}
+ */
+function unmappedImportFields() {
+    return IMPORT_FIELDS.filter(field => field.required && importMapping[field.key] < 0);
+}
+
+/**
+ * Load the chosen file: parse it, guess the mapping and show the preview
+ * @param {Event} event - change event of the file input
+ */
+async function handleImportFileChange(event) {
+    const form = event.target.form;
+    const [file] = event.target.files;
+    resetImport(form);
+    if (!file) return;
+
+    const { t } = window.i18n;
+    try {
+        const [headers, ...rows] = window.csv.parse(await readFileText(file));
+        if (!headers || !rows.length) {
+            throw new Error(t('import.empty'));
+        }
+        if (rows.length > IMPORT_MAX_ROWS) {
+            throw new Error(t('import.tooManyRows', { count: rows.length, max: IMPORT_MAX_ROWS }));
+        }
+        importFile = { headers, rows };
+    } catch (error) {
+        setImportError(form, error.message);
+        return;
+    }
+
+    try {
+        const users = await window.api.getAllAdminUsers({}, { notifyErrors: false });
+        existingEmails = new Set(users.map(user => user.email.toLowerCase()));
+    } catch (error) {
+        // The server still rejects existing accounts
+        window.logger.warn('Could not load the existing users for the import preview:', error);
+    }
+
+    importMapping = guessImportMapping(importFile.headers);
+    renderImportMapping();
+    renderImport(form);
+}
+
+/**
+ * Re-validate after the admin maps a column
+ * @param {Event} event - change event of a mapping select
+ */
+function handleImportMappingChange(event) {
+    const select = event.target.closest('[data-import-field]');
+    if (!select || !importFile) return;
+
+    importMapping = { ...importMapping, [select.dataset.importField]: Number(select.value) };
+    renderImport(select.form);
+}
+
+/**
+ * Validate the rows and render the preview and buttons
+ * @param {HTMLFormElement} form
+ */
+function renderImport(form) {
+    const { t } = window.i18n;
+    readImportRecords();
+    renderImportPreview();
+
+    const missing = unmappedImportFields();
+    setImportError(form, missing.length
+        ? t('import.mapRequired', { fields: missing.map(field => t(`import.field.${field.key}`)).join(', ') })
+        : null);
+    updateImportControls(form);
+}
+
+/**
+ * Render a column select for each user field
+ */
+function renderImportMapping() {
+    const container = document.getElementById('import-mapping');
+    const { html, render } = window.safeHtml;
+    const { t } = window.i18n;
+
+    container.hidden = false;
+    render(container.querySelector('.import-mapping-fields'), html`${IMPORT_FIELDS.map(field => html`
+        <div class="form-group">
+            <label for="import-map-${field.key}">${t(`import.field.${field.key}`)}${field.required ? ` ${t('import.required')}` : ''}</label>
+            <select id="import-map-${field.key}" data-import-field="${field.key}">
+                <option value="-1">${t('import.notInFile')}</option>
+                ${importFile.headers.map((header, index) => html`
+                    <option value="${index}" ${importMapping[field.key] === index ? 'selected' : ''}>${header || t('import.column', { number: index + 1 })}</option>
+                `)}
+            </select>
+        </div>
+    `)}`);
+}
+
+/**
+ * Render the row counts and the first rows with their errors
+ */
+function renderImportPreview() {
+    const { html, render } = window.safeHtml;
+    const { t } = window.i18n;
+    const invalid = importRecords.filter(record => record.errors.length).length;
+    const shown = importRecords.slice(0, IMPORT_PREVIEW_ROWS);
+
+    render(document.getElementById('import-preview'), html`
+        <p class="import-summary">
+            ${t('import.summary', { count: importRecords.length, valid: importRecords.length - invalid, invalid })}
+            ${importRecords.length > shown.length && html`<span>${t('import.previewLimit', { count: shown.length })}</span>`}
+        </p>
+        <div class="data-table-scroll">
+            <table class="import-preview-table">
+                <thead>
+                    <tr>
+                        <th scope="col">${t('import.line')}</th>
+                        <th scope="col">${t('import.field.name')}</th>
+                        <th scope="col">${t('import.field.email')}</th>
+                        <th scope="col">${t('import.field.role')}</th>
+                        <th scope="col">${t('import.status')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${shown.map(record => html`
+                        <tr class="${record.errors.length ? 'import-row-invalid' : ''}">
+                            <td>${record.line}</td>
+                            <td>${record.values.name}</td>
+                            <td>${record.values.email}</td>
+                            <td>${t(`roles.${record.values.role}`, { defaultValue: record.values.role })}</td>
+                            <td>${record.errors.length ? record.errors.join(' ') : t('import.ready')}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        </div>
+    `);
+}
+
+/**
+ * Show or clear the error message of the import form
+ * @param {HTMLFormElement} form
+ * @param {string|null} message
+ */
+function setImportError(form, message) {
+    const errorDiv = form.querySelector('.error-message');
+    errorDiv.textContent = message || '';
+    errorDiv.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Enable the controls that apply to the current state
+ * @param {HTMLFormElement} form
+ */
+function updateImportControls(form) {
+    const running = !!importRun;
+    const ready = !!importFile && !unmappedImportFields().length &&
+        importRecords.some(record => !record.errors.length);
+
+    form.elements.file.disabled = running;
+    form.elements.dryRun.disabled = running;
+    form.querySelectorAll('[data-import-field]').forEach(select => {
+        select.disabled = running;
+    });
+    document.getElementById('import-submit').disabled = running || !ready;
+    document.getElementById('import-report-btn').hidden = running || !importReport || !importReport.records.length;
+}
+
+/**
+ * Send the valid rows, or check them in a dry run
+ * @param {Event} event - submit event of the import form
+ */
+async function handleImportSubmit(event) {
+    event.preventDefault();
+    const form = event.target;
+    if (importRun || !importFile || unmappedImportFields().length) return;
+
+    const dryRun = form.elements.dryRun.checked;
+    const valid = importRecords.filter(record => !record.errors.length);
+    const rejected = importRecords.filter(record => record.errors.length);
+    importReport = null;
+    importRun = { cancelled: false };
+    setImportError(form, null);
+    updateImportControls(form);
+
+    let accepted = 0;
+    let stopped = null;
+    setImportProgress(0, valid.length, dryRun);
+
+    for (let start = 0; start < valid.length; start += IMPORT_CHUNK_SIZE) {
+        const chunk = valid.slice(start, start + IMPORT_CHUNK_SIZE);
+        if (importRun.cancelled) {
+            stopped = window.i18n.t('import.stopped');
+        }
+        if (stopped) {
+            rejected.push(...chunk.map(record => ({ ...record, errors: [stopped] })));
+            continue;
+        }
+
+        try {
+            const response = await window.api.importUsers(chunk.map(record => record.values), { dryRun });
+            chunk.forEach((record, index) => {
+                const result = response.results[index] || {};
+                if (result.success) {
+                    accepted++;
+                } else {
+                    rejected.push({ ...record, errors: [describeImportResult(result)] });
+                }
+            });
+        } catch (error) {
+            stopped = window.i18n.t('import.notSent', { message: window.app.describeError(error) });
+            rejected.push(...chunk.map(record => ({ ...record, errors: [stopped] })));
+        }
+        setImportProgress(Math.min(start + chunk.length, valid.length), valid.length, dryRun);
+    }
+
+    importRun = null;
+    importReport = {
+        headers: importFile.headers,
+        passwordColumn: importMapping.password,
+        records: rejected.sort((a, b) => a.line - b.line)
+    };
+    finishImport(form, { dryRun, accepted, rejected: rejected.length });
+}
+
+/**
+ * Describe why the server rejected a row
+ * @param {object} result - { message, errors }
+ */
+function describeImportResult(result) {
+    const fieldErrors = Object.values(result.errors || {});
+    return fieldErrors.length ? fieldErrors.join(' ') : result.message || window.i18n.t('errors.unknown');
+}
+
+/**
+ * Show how far the import got
+ * @param {number} done - Rows sent
+ * @param {number} total - Rows to send
+ * @param {boolean} dryRun
+ */
+function setImportProgress(done, total, dryRun) {
+    const container = document.getElementById('import-progress');
+    const bar = container.querySelector('progress');
+    container.hidden = false;
+    bar.max = Math.max(total, 1);
+    bar.value = done;
+    document.getElementById('import-progress-text').textContent =
+        window.i18n.t(dryRun ? 'import.checking' : 'import.importing', { done, total });
+}
+
+/**
+ * Report the outcome. After a real import the file is cleared so the
+ * same rows cannot be sent twice; a dry run keeps it for the real import.
+ * @param {HTMLFormElement} form
+ * @param {object} outcome - { dryRun, accepted, rejected }
+ */
+function finishImport(form, { dryRun, accepted, rejected }) {
+    const { t } = window.i18n;
+    const message = t(dryRun ? 'import.dryRunDone' : 'import.done', { accepted, rejected });
+    document.getElementById('import-progress-text').textContent = message;
+    window.notifications.notify(message, { type: rejected ? 'warning' : 'success' });
+
+    if (!dryRun) {
+        importFile = null;
+        importRecords = [];
+        form.elements.file.value = '';
+        document.getElementById('import-mapping').hidden = true;
+        document.getElementById('import-preview').replaceChildren();
+        if (accepted) {
+            window.adminUsers.loadUsers();
+        }
+    }
+    updateImportControls(form);
+}
+
+/**
+ * Download the rejected rows as they were in the file, with their errors.
+ * The password column is left blank so the report holds no passwords.
+ */
+function downloadImportReport() {
+    if (!importReport) return;
+
+    const { t } = window.i18n;
+    const { passwordColumn } = importReport;
+    const headers = [t('import.line'), ...importReport.headers, t('import.error')];
+    const rows = importReport.records.map(record => [
+        record.line,
+        ...importReport.headers.map((header, index) => (index === passwordColumn ? '' : record.cells[index] || '')),
+        record.errors.join(' ')
+    ]);
+    window.app.downloadFile('import-errors', 'csv', window.csv.stringify(rows, headers.map((header, index) => index), headers));
+}
+
+/**
+ * Clear the loaded file, preview and outcome
+ * @param {HTMLFormElement} form
+ */
+function resetImport(form) {
+    importFile = null;
+    importMapping = {};
+    importRecords = [];
+    importReport = null;
+    existingEmails = new Set();
+
+    document.getElementById('import-mapping').hidden = true;
+    document.getElementById('import-progress').hidden = true;
+    document.getElementById('import-preview').replaceChildren();
+    setImportError(form, null);
+    updateImportControls(form);
+}
+
+/**
+ * Show or hide the import form
+ * @param {boolean} show - Omit to toggle
+ */
+function toggleImportForm(show) {
+    const form = document.getElementById('admin-user-import-form');
+    if (!form) return;
+
+    const visible = show !== undefined ? show : form.style.display === 'none';
+    form.style.display = visible ? 'block' : 'none';
+    if (!visible) {
+        form.elements.file.value = '';
+        resetImport(form);
+    }
+}
+
+/**
+ * Stop a running import after the current chunk, or close the form
+ */
+function handleImportCancel() {
+    if (importRun) {
+        importRun.cancelled = true;
+    } else {
+        toggleImportForm(false);
+    }
+}
+
+/**
+ * Redraw the mapping and preview in the new language
+ */
+function handleImportLocaleChange() {
+    const form = document.getElementById('admin-user-import-form');
+    if (form && importFile && !importRun) {
+        renderImportMapping();
+        renderImport(form);
+    }
+}
+
+/**
+ * Set up the import form
+ */
+function initializeUserImport() {
+    const openBtn = document.getElementById('admin-import-btn');
+    if (openBtn) {
+        openBtn.addEventListener('click', () => toggleImportForm());
+    }
+
+    const form = document.getElementById('admin-user-import-form');
+    if (!form) return;
+
+    form.elements.file.addEventListener('change', handleImportFileChange);
+    form.addEventListener('change', handleImportMappingChange);
+    form.addEventListener('submit', handleImportSubmit);
+    document.getElementById('import-cancel').addEventListener('click', handleImportCancel);
+    document.getElementById('import-report-btn').addEventListener('click', downloadImportReport);
+
+    window.i18n.subscribe(handleImportLocaleChange);
+}
+
+// Export user import functions
+window.adminImport = {
+    initializeUserImport
+};
@@ -0,0 +1,314 @@
+// Admin statistics dashboard: KPI tiles, a role breakdown donut and a user
+// growth chart. While the admin view is open the data is polled in the
+// background; polling pauses while the tab is hidden.
+
+const STATS_RANGES = ['7d', '30d', '90d', '12m'];
+const STATS_PREFERENCES_KEY = 'statsDashboard';
+
+let statsRange = '30d';
+// Polling interval in ms; null means the statsRefreshInterval setting
+let statsInterval = null;
+let statsTimer = null;
+let statsActive = false;
+
+// Last responses, so a range change can re-render the KPIs
+let latestStats = null;
+let latestHistory = null;
+
+/**
+ * Load the range and interval the admin picked last time
+ */
+function loadStatsPreferences() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STATS_PREFERENCES_KEY)) || {};
+        if (STATS_RANGES.includes(saved.range)) {
+            statsRange = saved.range;
+        }
+        if (Number.isFinite(saved.interval)) {
+            statsInterval = saved.interval;
+        }
+    } catch (error) {
+        window.logger.warn('Ignoring invalid stats dashboard preferences');
+    }
+}
+
+/**
+ * Remember the selected range and interval
+ */
+function saveStatsPreferences() {
+    localStorage.setItem(STATS_PREFERENCES_KEY, JSON.stringify({ range: statsRange, interval: statsInterval }));
+}
+
+/**
+ * Get the polling interval in ms (0 when auto-refresh is off)
+ */
+function getStatsInterval() {
+    return statsInterval !== null ? statsInterval : (window.config.get('statsRefreshInterval') || 0);
+}
+
+/**
+ * Start the dashboard when the admin view is entered
+ */
+function startStatsDashboard() {
+    if (statsActive) return;
+    statsActive = true;
+
+    loadStatsPreferences();
+    syncStatsControls();
+    document.addEventListener('visibilitychange', handleStatsVisibilityChange);
+    refreshStats();
+}
+
+/**
+ * Stop polling when the admin view is left
+ */
+function stopStatsDashboard() {
+    statsActive = false;
+    clearTimeout(statsTimer);
+    document.removeEventListener('visibilitychange', handleStatsVisibilityChange);
+}
+
+/**
+ * Pause polling while the tab is hidden and catch up when it is shown again
+ */
+function handleStatsVisibilityChange() {
+    if (document.hidden) {
+        clearTimeout(statsTimer);
+    } else {
+        refreshStats({ background: true });
+    }
+}
+
+/**
+ * Schedule the next poll
+ */
+function scheduleStatsRefresh() {
+    clearTimeout(statsTimer);
+
+    const interval = getStatsInterval();
+    if (!statsActive || document.hidden || !interval) return;
+
+    statsTimer = setTimeout(() => refreshStats({ background: true }), interval);
+}
+
+/**
+ * Load the current statistics and the history for the selected range
+ * @param {object} options - { background: true } to poll without the loading overlay
+ */
+async function refreshStats(options = {}) {
+    clearTimeout(statsTimer);
+
+    const requestOptions = options.background ? { forceRefresh: true, background: true } : {};
+    const range = statsRange;
+    const section = document.getElementById('stats-section');
+
+    window.a11y.setBusy(section, true);
+    const [stats, history] = await Promise.allSettled([
+        window.api.getAdminStats({ ...requestOptions, onUpdate: renderStats }),
+        window.api.getAdminStatsHistory(range, { ...requestOptions, onUpdate: renderHistory })
+    ]);
+    window.a11y.setBusy(section, false);
+
+    if (stats.status === 'fulfilled') {
+        renderStats(stats.value);
+    }
+    // The range may have changed while the request was in flight
+    if (history.status === 'fulfilled' && range === statsRange) {
+        renderHistory(history.value);
+    }
+
+    const failed = [stats, history].find(result => result.status === 'rejected');
+    setStatsStatus(failed ? window.i18n.t('common.errorPrefix', { message: window.app.describeError(failed.reason) }) : '', !!failed);
+
+    scheduleStatsRefresh();
+}
+
+/**
+ * Show a status message above the dashboard
+ * @param {string} message
+ * @param {boolean} isError
+ */
+function setStatsStatus(message, isError) {
+    const statusDiv = document.getElementById('admin-stats-result');
+    if (!statusDiv) return;
+
+    statusDiv.textContent = message;
+    statusDiv.classList.toggle('stats-status-error', isError);
+}
+
+/**
+ * Render the KPI tiles and role breakdown from /admin/stats
+ * @param {object} response - /admin/stats response
+ */
+function renderStats(response) {
+    if (!response.success) return;
+
+    latestStats = response.statistics;
+    renderKpis();
+
+    const { t, formatDate } = window.i18n;
+    const chart = document.getElementById('stats-roles-chart');
+    if (chart) {
+        window.safeHtml.render(chart, window.charts.donut(getRoleCounts(latestStats), { title: t('stats.rolesChart'), centerLabel: t('stats.users') }));
+    }
+
+    const updated = document.getElementById('stats-updated');
+    if (updated) {
+        updated.textContent = t('stats.updated', { time: formatDate(latestStats.lastUpdate, { timeStyle: 'medium' }) });
+    }
+}
+
+/**
+ * Render the growth chart from /admin/stats/history
+ * @param {object} response - /admin/stats/history response
+ */
+function renderHistory(response) {
+    if (!response.success || response.range !== statsRange) return;
+
+    latestHistory = response;
+    renderKpis();
+
+    const chart = document.getElementById('stats-growth-chart');
+    if (chart) {
+        const points = response.points.map(point => ({
+            label: formatHistoryDate(point.date, response.range),
+            value: point.totalUsers
+        }));
+        window.safeHtml.render(chart, window.charts.line(points, { title: window.i18n.t('stats.growthChart') }));
+    }
+}
+
+/**
+ * Render the KPI tiles from the latest responses
+ */
+function renderKpis() {
+    const container = document.getElementById('stats-kpis');
+    if (!container || !latestStats) return;
+
+    const { html, render } = window.safeHtml;
+    const newUsers = latestHistory
+        ? latestHistory.points.reduce((sum, point) => sum + point.newUsers, 0)
+        : null;
+    const { systemStatus } = latestStats;
+    const operational = systemStatus === 'operational';
+    const { t } = window.i18n;
+
+    const tiles = [
+        { label: t('stats.totalUsers'), value: latestStats.totalUsers },
+        ...getRoleCounts(latestStats),
+        { label: t('stats.disabled'), value: latestStats.disabledUsers },
+        { label: t('stats.newInRange'), value: newUsers },
+        {
+            label: t('stats.systemStatus'),
+            value: systemStatus && t(`stats.status.${systemStatus}`, { defaultValue: systemStatus }),
+            className: operational ? 'kpi-ok' : 'kpi-warning'
+        }
+    ];
+
+    const visible = tiles.filter(tile => tile.value !== undefined && tile.value !== null);
+    render(container, html`${visible.map(tile => html`
+        <div class="kpi-tile ${tile.className || ''}">
+            <span class="kpi-value">${tile.value}</span>
+            <span class="kpi-label">${tile.label}</span>
+        </div>
+    `)}`);
+}
+
+/**
+ * Get the number of users of each role, in the order of js/permissions.js;
+ * roles the frontend does not know come last
+ * @param {object} stats - Statistics from /admin/stats ({ usersByRole })
+ * @returns {Array<object>} { label, value } with the translated role name
+ */
+function getRoleCounts(stats) {
+    const counts = stats.usersByRole || {};
+    const roles = [...new Set([...window.permissions.ROLES, ...Object.keys(counts)])];
+    return roles.map(role => ({
+        label: window.i18n.t(`roles.${role}`, { defaultValue: role }),
+        value: counts[role] || 0
+    }));
+}
+
+/**
+ * Format a history bucket date for the chart axis
+ * @param {string} date - ISO date
+ * @param {string} range - Selected range
+ */
+function formatHistoryDate(date, range) {
+    const options = range === '12m' ? { month: 'short', year: '2-digit' } : { month: 'short', day: 'numeric' };
+    return window.i18n.formatDate(date, options);
+}
+
+/**
+ * Show the saved range and interval in the toolbar
+ */
+function syncStatsControls() {
+    const rangeSelect = document.getElementById('stats-range');
+    if (rangeSelect) {
+        rangeSelect.value = statsRange;
+    }
+
+    const intervalSelect = document.getElementById('stats-refresh-interval');
+    if (intervalSelect) {
+        const interval = String(getStatsInterval());
+        // Keep a configured interval that is not one of the presets
+        if (![...intervalSelect.options].some(option => option.value === interval)) {
+            const option = new Option('', interval);
+            option.dataset.i18n = 'stats.everySeconds';
+            option.dataset.i18nParams = JSON.stringify({ count: Number(interval) / 1000 });
+            intervalSelect.add(option);
+            window.i18n.translatePage(intervalSelect);
+        }
+        intervalSelect.value = interval;
+    }
+}
+
+/**
+ * Render the last responses again in the new language
+ */
+function handleStatsLocaleChange() {
+    if (latestStats) {
+        renderStats({ success: true, statistics: latestStats });
+    }
+    if (latestHistory) {
+        renderHistory(latestHistory);
+    }
+}
+
+/**
+ * Initialize the dashboard toolbar
+ */
+function initializeStatsDashboard() {
+    const rangeSelect = document.getElementById('stats-range');
+    if (rangeSelect) {
+        rangeSelect.addEventListener('change', () => {
+            statsRange = rangeSelect.value;
+            saveStatsPreferences();
+            refreshStats();
+        });
+    }
+
+    const intervalSelect = document.getElementById('stats-refresh-interval');
+    if (intervalSelect) {
+        intervalSelect.addEventListener('change', () => {
+            statsInterval = Number(intervalSelect.value);
+            saveStatsPreferences();
+            scheduleStatsRefresh();
+        });
+    }
+
+    const refreshBtn = document.getElementById('stats-refresh-btn');
+    if (refreshBtn) {
+        refreshBtn.addEventListener('click', () => refreshStats({ background: true }));
+    }
+
+    window.i18n.subscribe(handleStatsLocaleChange);
+}
+
+// Export stats dashboard functions
+window.adminStats = {
+    start: startStatsDashboard,
+    stop: stopStatsDashboard,
+    refresh: refreshStats,
+    initializeStatsDashboard
+};
@@ -0,0 +1,656 @@
+// Admin user management: searchable, paginated users table with create,
+// edit, enable/disable, delete and password reset. Changes are applied to
+// the list immediately and rolled back if the server rejects them.
+
+const USER_ROLES = window.permissions.ROLES;
+
+// Users table query parameters, mirrored in the /admin route query string
+const USERS_PAGE_SIZES = [10, 20, 50];
+const USERS_SORT_KEYS = ['id', 'name', 'email', 'role'];
+const DEFAULT_USERS_QUERY = { page: 1, limit: 20, sort: 'name', order: 'asc', q: '', role: '' };
+
+// Columns of the users CSV export, in order
+const USERS_CSV_COLUMNS = ['id', 'name', 'email', 'role', 'accountStatus', 'memberSince'];
+
+// Users on the current page of the table
+let users = [];
+let totalUsers = 0;
+let usersQuery = { ...DEFAULT_USERS_QUERY };
+let usersTable = null;
+
+// ID of the user being edited inline, if any
+let editingUserId = null;
+
+/**
+ * Read the users table query from route query parameters, falling back to
+ * the defaults for missing or invalid values
+ * @param {object} routeQuery - Parsed query string of the /admin route
+ */
+function readUsersQuery(routeQuery = {}) {
+    const page = parseInt(routeQuery.page, 10);
+    const limit = parseInt(routeQuery.limit, 10);
+
+    return {
+        page: page > 0 ? page : DEFAULT_USERS_QUERY.page,
+        limit: USERS_PAGE_SIZES.includes(limit) ? limit : DEFAULT_USERS_QUERY.limit,
+        sort: USERS_SORT_KEYS.includes(routeQuery.sort) ? routeQuery.sort : DEFAULT_USERS_QUERY.sort,
+        order: routeQuery.order === 'desc' ? 'desc' : 'asc',
+        q: routeQuery.q || '',
+        role: USER_ROLES.includes(routeQuery.role) ? routeQuery.role : ''
+    };
+}
+
+/**
+ * Build the /admin path for a users table query. The page is always kept
+ * so the table reopens when the link is shared; other defaults are left out.
+ * @param {object} query - Users table query
+ */
+function usersPath(query) {
+    const params = new URLSearchParams({ page: query.page });
+    ['limit', 'sort', 'order', 'q', 'role'].forEach(key => {
+        if (query[key] !== DEFAULT_USERS_QUERY[key]) {
+            params.set(key, query[key]);
+        }
+    });
+    return `/admin?${params}`;
+}
+
+/**
+ * Open the users table for the /admin route if its query asks for it
+ * @param {object} to - Resolved /admin route
+ */
+function syncUsersFromRoute(to) {
+    if (to.query.page !== undefined) {
+        loadUsers(readUsersQuery(to.query));
+    }
+}
+
+/**
+ * Show the users table, keeping the current filters
+ */
+function openUsers() {
+    const path = usersPath(usersQuery);
+    if (window.router.currentRoute === path) {
+        loadUsers(usersQuery);
+    } else {
+        window.router.navigate(path);
+    }
+}
+
+/**
+ * Create the users table the first time it is needed
+ */
+function getUsersTable() {
+    const resultDiv = document.getElementById('admin-users-result');
+    if (!resultDiv) return null;
+
+    if (!usersTable || !resultDiv.contains(usersTable.root)) {
+        const { t } = window.i18n;
+        usersTable = new window.DataTable(resultDiv, {
+            columns: [
+                { key: 'id', label: t('users.columnId'), sortable: true },
+                { key: 'name', label: t('users.columnName'), sortable: true, render: renderNameCell },
+                { key: 'email', label: t('users.columnEmail'), sortable: true },
+                { key: 'role', label: t('users.columnRole'), sortable: true, render: user => t(`roles.${user.role}`, { defaultValue: user.role }) },
+                { key: 'actions', label: t('users.columnActions'), render: renderActionsCell }
+            ],
+            filters: [{
+                key: 'role',
+                label: t('users.columnRole'),
+                options: [{ value: '', label: t('users.allRoles') }, ...USER_ROLES.map(role => ({ value: role, label: t(`roles.${role}`) }))]
+            }],
+            pageSizes: USERS_PAGE_SIZES,
+            searchPlaceholder: t('users.search'),
+            emptyMessage: t('users.empty'),
+            itemLabel: t('users.itemLabel'),
+            rowClass: user => ['user-row',
+                user.accountStatus === 'disabled' ? 'user-row-disabled' : '',
+                user.pending ? 'user-row-pending' : ''].join(' '),
+            renderRow: user => (String(user.id) === String(editingUserId) ? renderEditForm(user) : null),
+            onChange: (state, options) => {
+                window.router.navigate(usersPath({ ...state, role: state.filters.role || '' }), options);
+            }
+        });
+    }
+    return usersTable;
+}
+
+/**
+ * Load a page of users into the admin view
+ * @param {object} query - Users table query; defaults to the current one
+ */
+async function loadUsers(query = usersQuery) {
+    const table = getUsersTable();
+    if (!table) return;
+
+    usersQuery = { ...query };
+    const { role, ...state } = usersQuery;
+    table.setState({ ...state, filters: { role } });
+    table.setLoading(true);
+
+    const current = usersQuery;
+    const apply = response => {
+        // Ignore responses for a query the user has already moved away from
+        if (response.success && usersQuery === current) {
+            users = response.users;
+            totalUsers = response.totalUsers !== undefined ? response.totalUsers : response.users.length;
+            table.setRows(users, totalUsers);
+            table.setStatus(response.message);
+        }
+    };
+
+    try {
+        apply(await window.api.getAdminUsers({ query: usersQuery, onUpdate: apply }));
+    } catch (error) {
+        if (usersQuery === current) {
+            table.setError(window.i18n.t('common.errorPrefix', { message: window.app.describeError(error) }));
+        }
+    }
+}
+
+/**
+ * Re-render the current page after a local change
+ */
+function renderUsers() {
+    if (usersTable) {
+        usersTable.setRows(users, totalUsers);
+    }
+}
+
+/**
+ * Render the name cell with status badges
+ * @param {object} user
+ */
+function renderNameCell(user) {
+    const { html } = window.safeHtml;
+    const { t } = window.i18n;
+    return html`
+        <strong>${user.name}</strong>
+        ${user.accountStatus === 'disabled' && html`<span class="badge badge-muted">${t('users.disabledBadge')}</span>`}
+        ${user.pending && html`<span class="badge">${t('users.savingBadge')}</span>`}
+    `;
+}
+
+/**
+ * Render the action buttons of a user row
+ * @param {object} user
+ */
+function renderActionsCell(user) {
+    const disabled = user.accountStatus === 'disabled';
+    const isSelf = isCurrentUser(user);
+    const { html } = window.safeHtml;
+    const { t } = window.i18n;
+    // Support staff may only enable and disable customers
+    const statusPermissions = user.role === 'customer' ? 'users:disable' : 'users:disable users:update';
+    // Only active customers can be impersonated, and not with cookie sessions
+    const canViewAs = user.role === 'customer' && !window.session.usesCookies();
+
+    return html`
+        <div class="user-actions">
+            <button type="button" class="btn btn-small btn-secondary" data-action="edit" data-requires="users:update" data-requires-mode="disable" ${user.pending ? 'disabled' : ''}>${t('users.edit')}</button>
+            <button type="button" class="btn btn-small btn-secondary" data-action="toggle-status" data-requires="${statusPermissions}" data-requires-mode="disable" ${user.pending || isSelf ? 'disabled' : ''}>${disabled ? t('users.enable') : t('users.disable')}</button>
+            <button type="button" class="btn btn-small btn-secondary" data-action="reset-password" data-requires="users:reset-password" data-requires-mode="disable" ${user.pending ? 'disabled' : ''}>${t('users.resetPassword')}</button>
+            ${canViewAs && html`<button type="button" class="btn btn-small btn-secondary" data-action="impersonate" data-requires="users:impersonate" data-requires-mode="disable" ${user.pending || disabled ? 'disabled' : ''}>${t('users.viewAs')}</button>`}
+            <button type="button" class="btn btn-small btn-danger" data-action="delete" data-requires="users:delete" data-requires-mode="disable" ${user.pending || isSelf ? 'disabled' : ''}>${t('common.delete')}</button>
+        </div>
+    `;
+}
+
+/**
+ * Render the inline edit form for a user
+ * @param {object} user
+ */
+function renderEditForm(user) {
+    const { html } = window.safeHtml;
+    const { t } = window.i18n;
+    const roleOptions = USER_ROLES
+        .map(role => html`<option value="${role}" ${role === user.role ? 'selected' : ''}>${t(`roles.${role}`)}</option>`);
+
+    return html`
+        <tr class="user-row" data-row-key="${user.id}">
+            <td colspan="5">
+                <form class="user-edit-form" novalidate>
+                    <div class="form-group">
+                        <label for="edit-user-name">${t('fields.name')}</label>
+                        <input type="text" id="edit-user-name" name="name" value="${user.name}" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="edit-user-email">${t('fields.email')}</label>
+                        <input type="email" id="edit-user-email" name="email" value="${user.email}" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="edit-user-role">${t('fields.role')}</label>
+                        <select id="edit-user-role" name="role" ${isCurrentUser(user) ? 'disabled' : ''}>${roleOptions}</select>
+                    </div>
+                    <div class="error-message" style="display: none;"></div>
+                    <div class="user-actions">
+                        <button type="submit" class="btn btn-small btn-primary">${t('common.save')}</button>
+                        <button type="button" class="btn btn-small btn-secondary" data-action="cancel-edit">${t('common.cancel')}</button>
+                    </div>
+                </form>
+            </td>
+        </tr>
+    `;
+}
+
+/**
+ * Check whether a user is the signed-in admin
+ * @param {object} user
+ */
+function isCurrentUser(user) {
+    const current = window.api.getCurrentUser();
+    return !!current && String(current.id) === String(user.id);
+}
+
+/**
+ * Validate user form values
+ * @param {object} values - { name, email, role, password }
+ * @param {boolean} requirePassword - True when creating a user
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateUser(values, requirePassword) {
+    const { t } = window.i18n;
+    if (!values.name) {
+        return t('validation.userNameRequired');
+    }
+    if (!window.validation.isValidEmail(values.email)) {
+        return t('validation.emailInvalid');
+    }
+    if (!USER_ROLES.includes(values.role)) {
+        return t('validation.roleInvalid');
+    }
+    const minLength = window.validation.MIN_PASSWORD_LENGTH;
+    if (requirePassword && (!values.password || values.password.length < minLength)) {
+        return t('validation.passwordLength', { count: minLength });
+    }
+    return null;
+}
+
+/**
+ * Read trimmed values from a user form
+ * @param {HTMLFormElement} form
+ */
+function readUserForm(form) {
+    const { elements } = form;
+    return {
+        name: elements.name.value.trim(),
+        email: elements.email.value.trim(),
+        role: elements.role.value,
+        password: elements.password ? elements.password.value : undefined
+    };
+}
+
+/**
+ * Show or clear the error message inside a form
+ * @param {HTMLFormElement} form
+ * @param {string|null} message
+ */
+function setFormError(form, message) {
+    const errorDiv = form.querySelector('.error-message');
+    if (!errorDiv) return;
+
+    errorDiv.textContent = message || '';
+    errorDiv.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Find a user in the list by ID
+ * @param {number|string} id
+ */
+function findUserIndex(id) {
+    return users.findIndex(user => String(user.id) === String(id));
+}
+
+/**
+ * Replace a user in the list
+ * @param {number|string} id - ID of the user to replace
+ * @param {object} user - New version
+ */
+function replaceUser(id, user) {
+    const index = findUserIndex(id);
+    if (index !== -1) {
+        users[index] = user;
+    }
+}
+
+/**
+ * Report the outcome of an action
+ * @param {string} message
+ * @param {string} type - success or error
+ * @param {Array<object>} actions - Toast buttons, e.g. Undo
+ */
+function notify(message, type, actions) {
+    window.notifications.notify(message, { type, actions });
+}
+
+/**
+ * Handle the create user form
+ * @param {Event} event - Submit event
+ */
+async function handleCreateUser(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const values = readUserForm(form);
+    const error = validateUser(values, true);
+    window.validation.clearFieldErrors(form);
+    setFormError(form, error);
+    if (error) return;
+
+    // Show the new user straight away with a temporary ID
+    const tempId = `new-${Date.now()}`;
+    const { password, ...visible } = values;
+    users.push({ ...visible, id: tempId, accountStatus: 'active', pending: true });
+    totalUsers++;
+    renderUsers();
+    form.reset();
+    toggleCreateForm(false);
+
+    try {
+        const response = await window.api.createUser(values);
+        replaceUser(tempId, response.user);
+        notify(window.i18n.t('users.created', { email: values.email }), 'success');
+    } catch (error) {
+        // The list may have reloaded without the temporary row meanwhile
+        const index = findUserIndex(tempId);
+        if (index !== -1) {
+            users.splice(index, 1);
+            totalUsers--;
+        }
+        notify(window.i18n.t('users.createFailed', { email: values.email, message: window.app.describeError(error) }), 'error');
+        renderUsers();
+        reopenCreateForm(form, values, error);
+        return;
+    }
+
+    // The server decides which page the new user lands on
+    renderUsers();
+    loadUsers();
+}
+
+/**
+ * Bring back the create form with the values the server rejected, and
+ * show its field errors next to the fields
+ * @param {HTMLFormElement} form
+ * @param {object} values - Submitted values
+ * @param {Error} error
+ */
+function reopenCreateForm(form, values, error) {
+    Object.keys(values).forEach(name => {
+        form.elements[name].value = values[name];
+    });
+    toggleCreateForm(true);
+
+    const fields = error instanceof window.http.ValidationError ? error.fields : {};
+    const field = window.validation.showFieldErrors(form, fields);
+    if (field) {
+        field.focus();
+    } else {
+        setFormError(form, window.app.describeError(error));
+    }
+}
+
+/**
+ * Save the inline edit form
+ * @param {HTMLFormElement} form
+ * @param {string} id - User ID
+ */
+async function handleSaveUser(form, id) {
+    const index = findUserIndex(id);
+    if (index === -1) return;
+
+    const previous = users[index];
+    const values = readUserForm(form);
+    if (form.elements.role.disabled) {
+        values.role = previous.role;
+    }
+
+    const error = validateUser(values, false);
+    setFormError(form, error);
+    if (error) return;
+
+    delete values.password;
+    editingUserId = null;
+    users[index] = { ...previous, ...values, pending: true };
+    renderUsers();
+
+    try {
+        const response = await window.api.updateUser(previous.id, values);
+        replaceUser(id, response.user || { ...previous, ...values });
+        notify(window.i18n.t('users.updated', { email: values.email }), 'success');
+    } catch (error) {
+        replaceUser(id, previous);
+        notify(window.i18n.t('users.updateFailed', { email: previous.email, message: window.app.describeError(error) }), 'error');
+    }
+    renderUsers();
+}
+
+/**
+ * Enable or disable a user
+ * @param {string} id - User ID
+ */
+async function handleToggleStatus(id) {
+    // Undo may arrive after the user left the current page
+    const index = findUserIndex(id);
+    if (index === -1) return;
+
+    const previous = users[index];
+    const enable = previous.accountStatus === 'disabled';
+
+    replaceUser(id, { ...previous, accountStatus: enable ? 'active' : 'disabled', pending: true });
+    renderUsers();
+
+    try {
+        const response = await window.api.setUserEnabled(previous.id, enable);
+        replaceUser(id, response.user || { ...previous, accountStatus: enable ? 'active' : 'disabled' });
+        notify(window.i18n.t(enable ? 'users.enabled' : 'users.disabled', { email: previous.email }), 'success', [
+            { label: window.i18n.t('common.undo'), onClick: () => handleToggleStatus(id) }
+        ]);
+    } catch (error) {
+        replaceUser(id, previous);
+        notify(window.i18n.t('users.statusFailed', { email: previous.email, message: window.app.describeError(error) }), 'error');
+    }
+    renderUsers();
+}
+
+/**
+ * Delete a user after confirmation
+ * @param {string} id - User ID
+ */
+async function handleDeleteUser(id) {
+    const previous = users[findUserIndex(id)];
+    if (!previous) return;
+
+    const confirmed = await window.app.confirmDialog(
+        window.i18n.t('users.confirmDelete', { name: previous.name, email: previous.email }),
+        window.i18n.t('common.delete')
+    );
+    if (!confirmed) return;
+
+    // The list may have been reloaded while the dialog was open
+    const index = findUserIndex(id);
+    if (index !== -1) {
+        users.splice(index, 1);
+        totalUsers--;
+        renderUsers();
+    }
+
+    try {
+        await window.api.deleteUser(previous.id);
+        notify(window.i18n.t('users.deleted', { email: previous.email }), 'success');
+        // Pull the next user up into the current page
+        loadUsers();
+    } catch (error) {
+        // Put the user back where it was
+        if (index !== -1 && findUserIndex(id) === -1) {
+            users.splice(Math.min(index, users.length), 0, previous);
+            totalUsers++;
+        }
+        notify(window.i18n.t('users.deleteFailed', { email: previous.email, message: window.app.describeError(error) }), 'error');
+        renderUsers();
+    }
+}
+
+/**
+ * Send a password reset email to a user
+ * @param {string} id - User ID
+ */
+async function handleSendPasswordReset(id) {
+    const user = users[findUserIndex(id)];
+    if (!user) return;
+
+    const confirmed = await window.app.confirmDialog(
+        window.i18n.t('users.confirmReset', { email: user.email }),
+        window.i18n.t('users.sendLink')
+    );
+    if (!confirmed) return;
+
+    try {
+        await window.api.sendPasswordReset(user.id);
+        notify(window.i18n.t('users.resetSent', { email: user.email }), 'success');
+    } catch (error) {
+        notify(window.i18n.t('users.resetFailed', { message: window.app.describeError(error) }), 'error');
+    }
+}
+
+/**
+ * Dispatch clicks on the action buttons in the users list
+ * @param {MouseEvent} event
+ */
+function handleListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    const row = event.target.closest('[data-row-key]');
+    if (!button || !row || button.disabled) return;
+
+    const id = row.dataset.rowKey;
+
+    switch (button.dataset.action) {
+        case 'edit':
+            editingUserId = id;
+            renderUsers();
+            break;
+        case 'cancel-edit':
+            editingUserId = null;
+            renderUsers();
+            break;
+        case 'toggle-status':
+            handleToggleStatus(id);
+            break;
+        case 'reset-password':
+            handleSendPasswordReset(id);
+            break;
+        case 'delete':
+            handleDeleteUser(id);
+            break;
+        case 'impersonate':
+            window.impersonation.start(users[findUserIndex(id)]);
+            break;
+    }
+}
+
+/**
+ * Handle submission of the inline edit form
+ * @param {Event} event
+ */
+function handleListSubmit(event) {
+    const form = event.target.closest('.user-edit-form');
+    if (!form) return;
+
+    event.preventDefault();
+    handleSaveUser(form, form.closest('[data-row-key]').dataset.rowKey);
+}
+
+/**
+ * Show or hide the create user form
+ * @param {boolean} show - Omit to toggle
+ */
+function toggleCreateForm(show) {
+    const form = document.getElementById('admin-user-create-form');
+    if (!form) return;
+
+    const visible = show !== undefined ? show : form.style.display === 'none';
+    form.style.display = visible ? 'block' : 'none';
+    if (!visible) {
+        setFormError(form, null);
+        window.validation.clearFieldErrors(form);
+    }
+}
+
+/**
+ * Download every user matching the table's search and filters, not just
+ * the page on screen
+ * @param {string} format - 'csv' or 'json'
+ */
+async function exportUsers(format) {
+    const { q, role, sort, order } = usersQuery;
+    try {
+        const matching = await window.api.getAllAdminUsers({ q, role, sort, order }, { notifyErrors: false });
+        const content = format === 'csv'
+            ? window.csv.stringify(matching, USERS_CSV_COLUMNS)
+            : JSON.stringify(matching, null, 2);
+        window.app.downloadFile('users', format, content);
+    } catch (error) {
+        notify(window.i18n.t('users.exportFailed', { message: window.app.describeError(error) }), 'error');
+    }
+}
+
+/**
+ * Rebuild the users table in the new language, keeping the loaded page
+ */
+function handleUsersLocaleChange() {
+    if (!usersTable) return;
+
+    usersTable = null;
+    const table = getUsersTable();
+    const { role, ...state } = usersQuery;
+    table.setState({ ...state, filters: { role } });
+    table.setRows(users, totalUsers);
+}
+
+/**
+ * Initialize user management event listeners
+ */
+function initializeUserManagement() {
+    const adminUsersBtn = document.getElementById('admin-users-btn');
+    if (adminUsersBtn) {
+        adminUsersBtn.addEventListener('click', openUsers);
+    }
+
+    ['csv', 'json'].forEach(format => {
+        const exportBtn = document.getElementById(`admin-users-export-${format}`);
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => exportUsers(format));
+        }
+    });
+
+    const addUserBtn = document.getElementById('admin-add-user-btn');
+    if (addUserBtn) {
+        addUserBtn.addEventListener('click', () => toggleCreateForm());
+    }
+
+    const createForm = document.getElementById('admin-user-create-form');
+    if (createForm) {
+        createForm.addEventListener('submit', handleCreateUser);
+
+        const cancelBtn = document.getElementById('admin-user-create-cancel');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => toggleCreateForm(false));
+        }
+    }
+
+    const resultDiv = document.getElementById('admin-users-result');
+    if (resultDiv) {
+        resultDiv.addEventListener('click', handleListClick);
+        resultDiv.addEventListener('submit', handleListSubmit);
+    }
+
+    window.i18n.subscribe(handleUsersLocaleChange);
+}
+
+// Export user management functions
+window.adminUsers = {
+    ROLES: USER_ROLES,
+    loadUsers,
+    syncUsersFromRoute,
+    initializeUserManagement
+};
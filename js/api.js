@@ -1,171 +1,775 @@
 // API utility for handling backend communication
 
-const API_BASE_URL = 'http://localhost:3000/api'; // Change this for production
+// Refresh the token proactively when it has less than this many seconds left
+const TOKEN_REFRESH_THRESHOLD = 5 * 60;
+
+// Endpoints that must never trigger a token refresh themselves
+const AUTH_ENDPOINTS = [
+    '/auth/login',
+    '/auth/login/verify',
+    '/auth/login/resend',
+    '/auth/refresh',
+    '/auth/logout',
+    '/auth/register',
+    '/auth/verify-email',
+    '/auth/verify-email/resend',
+    '/auth/forgot-password',
+    '/auth/reset-password'
+];
+
+// Pending refresh shared by every request that needs a new token
+let refreshPromise = null;
+
+// Number of requests currently holding the loading overlay
+let pendingRequests = 0;
+
+// How long (ms) cached responses are served without revalidating
+const CACHE_TTLS = {
+    '/customer/profile': 5 * 60 * 1000,
+    '/admin/users': 60 * 1000,
+    '/admin/stats': 30 * 1000,
+    '/admin/stats/history': 60 * 1000
+};
+
+// Page size used to fetch a whole users list (the API's maximum)
+const ALL_USERS_PAGE_SIZE = 100;
 
 /**
- * Get the stored JWT token from localStorage
+ * Get the API base URL from the runtime configuration
  */
-function getToken() {
-    return localStorage.getItem('authToken');
+function getApiBaseUrl() {
+    return window.config.get('apiBaseUrl');
 }
 
 /**
- * Set the JWT token in localStorage
+ * Get the current JWT token from the session store
  */
-function setToken(token) {
-    localStorage.setItem('authToken', token);
+function getToken() {
+    return window.session.getState().token;
 }
 
 /**
- * Remove the JWT token from localStorage
+ * Remove the JWT and refresh tokens. Cookie sessions also ask the server
+ * to clear its httpOnly cookies.
  */
 function removeToken() {
-    localStorage.removeItem('authToken');
+    if (window.session.usesCookies() && isAuthenticated()) {
+        makeRequest('/auth/logout', { method: 'POST', background: true }).catch(error => {
+            window.logger.warn('Sign-out request failed:', error);
+        });
+    }
+    window.session.clear();
+
+    // Never leave one account's data behind for the next
+    window.cache.clear();
 }
 
 /**
- * Make an API request with authentication
- * @param {string} endpoint - API endpoint (relative to /api)
- * @param {object} options - Request options
+ * Get the number of seconds before the current token expires
+ * @returns {number|null} Seconds remaining, or null if there is no valid token
  */
-async function makeRequest(endpoint, options = {}) {
-    const url = `${API_BASE_URL}${endpoint}`;
+function getTokenTimeRemaining() {
+    const user = getCurrentUser();
+    if (!user || !user.exp) return null;
+
+    return user.exp - Date.now() / 1000;
+}
+
+/**
+ * Exchange the current session for a new token through /auth/refresh.
+ * Concurrent callers share the same pending refresh, so only one
+ * request reaches the backend.
+ */
+function refreshToken() {
+    if (!refreshPromise) {
+        refreshPromise = requestTokenRefresh().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+/**
+ * Perform the refresh request and store the new tokens
+ */
+async function requestTokenRefresh() {
+    // Impersonation tokens are short-lived and come without a refresh token
+    if (window.session.getState().impersonator) {
+        throw new window.http.AuthError('Impersonation sessions cannot be refreshed', { status: 401 });
+    }
+
+    const data = await makeRequest('/auth/refresh', {
+        method: 'POST',
+        body: JSON.stringify({ refreshToken: window.session.getRefreshToken() })
+    });
+
+    if (!window.session.hasTokens(data)) {
+        throw new window.http.AuthError('Session refresh failed', { status: 401, data });
+    }
+
+    // Subscribers (e.g. the session warning) pick up the new expiry
+    window.session.setTokens(data);
+
+    return data.token;
+}
+
+/**
+ * Make sure the token is usable before a request goes out. Waits for a
+ * refresh that is already in flight, and starts one if the token is
+ * about to expire.
+ */
+async function ensureFreshToken() {
+    if (refreshPromise) {
+        await refreshPromise.catch(() => {});
+        return;
+    }
+
+    const { impersonator } = window.session.getState();
+    const remaining = getTokenTimeRemaining();
+    if (remaining !== null && remaining < TOKEN_REFRESH_THRESHOLD && !impersonator) {
+        // Let the request go out anyway; a 401 is handled by retryAfterRefresh
+        await refreshToken().catch(error => {
+            window.logger.warn('Proactive token refresh failed:', error);
+        });
+    }
+}
+
+/**
+ * Check whether an endpoint is part of the sign-in and account recovery flows
+ * @param {string} endpoint
+ */
+function isAuthEndpoint(endpoint) {
+    return AUTH_ENDPOINTS.includes(endpoint);
+}
+
+/**
+ * Request interceptor: hold the request while the token is refreshed,
+ * then attach the current JWT
+ * @param {object} config - Request config
+ */
+async function attachAuthHeader(config) {
+    if (!isAuthEndpoint(config.endpoint)) {
+        await ensureFreshToken();
+    }
+
     const token = getToken();
-    
-    const defaultHeaders = {
-        'Content-Type': 'application/json',
-        ...options.headers
-    };
+    const headers = { ...config.headers };
 
     // Add authorization header if token exists
     if (token) {
-        defaultHeaders['Authorization'] = `Bearer ${token}`;
+        headers['Authorization'] = `Bearer ${token}`;
     }
 
-    const config = {
-        method: 'GET',
-        headers: defaultHeaders,
-        ...options
-    };
+    // The session the request went out with, for retryAfterRefresh
+    return { ...config, headers, token, session: window.session.getState() };
+}
+
+/**
+ * Error interceptor: on a 401, refresh the token once and replay the request
+ * @param {Error} error - Request error
+ * @param {object} config - Request config
+ */
+async function retryAfterRefresh(error, config) {
+    const expired = error instanceof window.http.AuthError && error.status === 401;
+    if (!expired || isAuthEndpoint(config.endpoint) || config.isRetry || !config.session.isAuthenticated) {
+        throw error;
+    }
 
     try {
-        showLoading();
-        const response = await fetch(url, config);
-        const data = await response.json();
+        // Another request may already have replaced the token
+        if (window.session.getState() === config.session) {
+            await refreshToken();
+        }
+    } catch (refreshError) {
+        window.logger.warn('Token refresh failed:', refreshError);
+        throw error;
+    }
 
-        hideLoading();
+    // Never share the original request's de-duplication slot: with cookie
+    // sessions the replay has the same key and would wait on itself
+    return window.http.request({ ...config, isRetry: true, dedupe: false });
+}
+
+/**
+ * Error interceptor: end the session when the server rejects the token
+ * @param {Error} error - Request error
+ * @param {object} config - Request config
+ */
+function handleAuthFailure(error, config) {
+    // Failed logins stay on the login form, and a failed refresh leaves
+    // the decision to the request that triggered it
+    if (error instanceof window.http.AuthError && !isAuthEndpoint(config.endpoint)) {
+        // An impersonation ends by going back to the admin's own session
+        if (window.session.getState().impersonator && window.impersonation) {
+            window.impersonation.end('expired');
+            throw error;
+        }
+        removeToken();
+        if (window.router && typeof window.router.redirectToLogin === 'function') {
+            window.router.redirectToLogin();
+        }
+    }
+    throw error;
+}
+
+window.http.interceptors.request.use(attachAuthHeader);
+window.http.interceptors.error.use(retryAfterRefresh);
+window.http.interceptors.error.use(handleAuthFailure);
 
-        // Handle authentication errors
-        if (response.status === 401 || response.status === 403) {
-            removeToken();
-            if (window.router && typeof window.router.navigate === 'function') {
-                window.router.navigate('/login');
+/**
+ * Make an API request with authentication
+ * @param {string} endpoint - API endpoint (relative to /api)
+ * @param {object} options - Request options (method, headers, body, timeout, retries, signal, dedupe,
+ *                           background: true to skip the loading overlay,
+ *                           overlay: false when the caller shows its own progress,
+ *                           notifyErrors: false when the caller reports errors itself)
+ * @returns {Promise<object|null>} Parsed response body
+ */
+async function makeRequest(endpoint, options = {}) {
+    const { headers, background, overlay, notifyErrors, ...rest } = options;
+    const loadingDelta = background || overlay === false ? 0 : 1;
+
+    trackLoading(loadingDelta);
+    try {
+        const response = await window.http.request({
+            ...rest,
+            endpoint,
+            // Lets interceptors tell polling apart from user actions
+            background: !!background,
+            // httpOnly session cookies only go out with credentialed requests
+            ...(window.session.usesCookies() ? { credentials: 'include' } : {}),
+            url: `${getApiBaseUrl()}${endpoint}`,
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept-Language': window.i18n.getLocale(),
+                ...headers
             }
-            throw new Error(data.error || 'Authentication failed');
+        });
+        return response.data;
+    } catch (error) {
+        if (!(error instanceof window.http.CancelledError)) {
+            window.logger.error('API request failed:', error);
+        }
+        if (notifyErrors !== false && !background) {
+            reportRequestError(endpoint, error);
         }
+        throw error;
+    } finally {
+        trackLoading(-loadingDelta);
+    }
+}
+
+/**
+ * Show a failed request in the notification center. Errors the user
+ * already sees elsewhere are left out: cancelled requests, the sign-in
+ * forms, field validation and expired sessions (which go to the login page).
+ * @param {string} endpoint - API endpoint
+ * @param {Error} error - Request error
+ */
+function reportRequestError(endpoint, error) {
+    const { CancelledError, AuthError, ValidationError } = window.http;
+    if (isAuthEndpoint(endpoint) || error instanceof CancelledError ||
+        (error instanceof AuthError && error.status !== 403) || error instanceof ValidationError) {
+        return;
+    }
+
+    const message = window.app.describeError(error);
+    window.notifications.notify(message, { type: 'error', key: `api-error:${message}` });
+}
 
-        if (!response.ok) {
-            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+/**
+ * Make a GET request through the response cache (stale-while-revalidate).
+ * Fresh entries are returned without a request. Stale entries are returned
+ * immediately and revalidated in the background; onUpdate receives the new
+ * data. If revalidation is impossible (e.g. offline) the cached copy is used.
+ * @param {string} endpoint - API endpoint (relative to /api)
+ * @param {object} options - Request options plus { onUpdate, forceRefresh }
+ */
+async function cachedRequest(endpoint, options = {}) {
+    const { onUpdate, forceRefresh, ...requestOptions } = options;
+    const ttl = CACHE_TTLS[endpoint.split('?')[0]] || 0;
+    const cached = await window.cache.get(endpoint);
+
+    if (cached && !forceRefresh) {
+        if (cached.age >= ttl) {
+            makeRequest(endpoint, { ...requestOptions, background: true })
+                .then(data => {
+                    window.cache.set(endpoint, data);
+                    if (onUpdate) {
+                        onUpdate(data);
+                    }
+                })
+                .catch(error => {
+                    window.logger.warn(`Revalidating ${endpoint} failed, keeping cached copy:`, error);
+                });
         }
+        return cached.data;
+    }
 
+    try {
+        const data = await makeRequest(endpoint, requestOptions);
+        window.cache.set(endpoint, data);
         return data;
     } catch (error) {
-        hideLoading();
-        console.error('API request failed:', error);
+        // Fall back to the cached copy during short outages
+        if (cached && error instanceof window.http.NetworkError) {
+            window.logger.warn(`Serving cached ${endpoint} while the server is unreachable`);
+            return cached.data;
+        }
         throw error;
     }
 }
 
+/**
+ * Keep the loading overlay up while any request is pending
+ * @param {number} delta - +1 when a request starts, -1 when it settles
+ */
+function trackLoading(delta) {
+    pendingRequests += delta;
+    if (pendingRequests > 0) {
+        showLoading();
+    } else {
+        hideLoading();
+    }
+}
+
+/**
+ * Drop cached data so the next call goes to the network
+ * @param {string} endpoint - API endpoint, or omit to clear everything
+ */
+function invalidateCache(endpoint) {
+    return endpoint ? window.cache.invalidate(endpoint) : window.cache.clear();
+}
+
 /**
  * Login user with email and password
  * @param {string} email 
  * @param {string} password 
+ * @param {object} options
+ * @param {boolean} options.remember - Stay signed in after the browser closes
  */
-async function login(email, password) {
+async function login(email, password, { remember = false } = {}) {
+    const deviceToken = window.session.getDeviceToken(email);
     const response = await makeRequest('/auth/login', {
         method: 'POST',
-        body: JSON.stringify({ email, password })
+        body: JSON.stringify({ email, password, remember, ...(deviceToken ? { deviceToken } : {}) })
     });
 
-    if (response.success && response.token) {
-        setToken(response.token);
+    // Accounts with two-step verification get a challenge instead of a session
+    if (response.success && response.mfaRequired) {
+        return response;
+    }
+
+    if (response.success && window.session.hasTokens(response)) {
+        window.session.setTokens(response, { remember });
         return response;
     }
 
     throw new Error('Login failed');
 }
 
+/**
+ * Finish a sign-in that asked for a one-time code
+ * @param {object} challenge - { challengeToken, email, remember }
+ * @param {object} answer - { method: 'totp', 'email' or 'recovery', code, trustDevice }
+ */
+async function verifyLoginCode(challenge, answer) {
+    const response = await makeRequest('/auth/login/verify', {
+        method: 'POST',
+        body: JSON.stringify({ challengeToken: challenge.challengeToken, remember: !!challenge.remember, ...answer })
+    });
+
+    if (response.success && window.session.hasTokens(response)) {
+        if (response.deviceToken) {
+            window.session.setDeviceToken(challenge.email, response.deviceToken);
+        }
+        window.session.setTokens(response, { remember: !!challenge.remember });
+        return response;
+    }
+
+    throw new Error('Login failed');
+}
+
+/**
+ * Email a sign-in code for a pending challenge
+ * @param {string} challengeToken
+ * @returns {Promise<object>} { resendAfter } seconds until another code can be sent
+ */
+async function resendLoginCode(challengeToken) {
+    return makeRequest('/auth/login/resend', {
+        method: 'POST',
+        body: JSON.stringify({ challengeToken })
+    });
+}
+
+/**
+ * Create a customer account. The account has to be verified through the
+ * link sent by email before it can sign in.
+ * @param {object} account - { name, email, password }
+ */
+async function register(account) {
+    return makeRequest('/auth/register', {
+        method: 'POST',
+        body: JSON.stringify(account)
+    });
+}
+
+/**
+ * Confirm an email address with the token from the verification link
+ * @param {string} token
+ */
+async function verifyEmail(token) {
+    return makeRequest('/auth/verify-email', {
+        method: 'POST',
+        body: JSON.stringify({ token })
+    });
+}
+
+/**
+ * Send the verification email again
+ * @param {string} email
+ */
+async function resendVerification(email) {
+    return makeRequest('/auth/verify-email/resend', {
+        method: 'POST',
+        body: JSON.stringify({ email })
+    });
+}
+
+/**
+ * Email a password reset link. The server answers the same way whether
+ * or not the address has an account.
+ * @param {string} email
+ */
+async function requestPasswordReset(email) {
+    return makeRequest('/auth/forgot-password', {
+        method: 'POST',
+        body: JSON.stringify({ email })
+    });
+}
+
+/**
+ * Set a new password with the token from the reset link
+ * @param {string} token
+ * @param {string} password
+ */
+async function resetPassword(token, password) {
+    return makeRequest('/auth/reset-password', {
+        method: 'POST',
+        body: JSON.stringify({ token, password })
+    });
+}
+
 /**
  * Get customer service data
+ * @param {object} options - Request options (e.g. { signal })
  */
-async function getCustomerService() {
-    return makeRequest('/customer');
+async function getCustomerService(options = {}) {
+    return makeRequest('/customer', options);
 }
 
 /**
- * Get customer profile
+ * Get customer profile (cached)
+ * @param {object} options - Request options plus { onUpdate, forceRefresh }
  */
-async function getCustomerProfile() {
-    return makeRequest('/customer/profile');
+async function getCustomerProfile(options = {}) {
+    return cachedRequest('/customer/profile', options);
+}
+
+/**
+ * Update the signed-in customer's name and email. Changing the email needs
+ * the current password; the server then returns a token with the new email.
+ * @param {object} changes - { name, email, currentPassword }
+ */
+async function updateProfile(changes) {
+    const response = await makeRequest('/customer/profile', {
+        method: 'PATCH',
+        notifyErrors: false,
+        body: JSON.stringify(changes)
+    });
+
+    if (window.session.hasTokens(response)) {
+        window.session.setTokens(response);
+    }
+    window.cache.invalidate('/customer/profile');
+    return response;
+}
+
+/**
+ * Change the signed-in customer's password
+ * @param {string} currentPassword
+ * @param {string} newPassword
+ */
+async function changePassword(currentPassword, newPassword) {
+    return makeRequest('/customer/profile/password', {
+        method: 'POST',
+        notifyErrors: false,
+        body: JSON.stringify({ currentPassword, newPassword })
+    });
+}
+
+/**
+ * Get the signed-in customer's two-step verification status
+ * @returns {Promise<object>} { enabled, recoveryCodesLeft }
+ */
+async function getTwoFactorStatus() {
+    return makeRequest('/customer/two-factor');
+}
+
+/**
+ * Start turning on two-step verification
+ * @returns {Promise<object>} { secret, otpauthUri, qrCode }; qrCode (an image URL) is optional
+ */
+async function startTwoFactorSetup() {
+    return makeRequest('/customer/two-factor/setup', { method: 'POST' });
+}
+
+/**
+ * Turn on two-step verification with the first code from the authenticator app
+ * @param {string} code
+ * @returns {Promise<object>} { recoveryCodes }
+ */
+async function enableTwoFactor(code) {
+    return makeRequest('/customer/two-factor/enable', {
+        method: 'POST',
+        notifyErrors: false,
+        body: JSON.stringify({ code })
+    });
+}
+
+/**
+ * Turn off two-step verification
+ * @param {string} currentPassword
+ */
+async function disableTwoFactor(currentPassword) {
+    return makeRequest('/customer/two-factor/disable', {
+        method: 'POST',
+        notifyErrors: false,
+        body: JSON.stringify({ currentPassword })
+    });
 }
 
 /**
  * Get admin service data
+ * @param {object} options - Request options (e.g. { signal })
+ */
+async function getAdminService(options = {}) {
+    return makeRequest('/admin', options);
+}
+
+/**
+ * Get a page of users (admin only) (cached per query)
+ * @param {object} options - Request options plus { query, onUpdate, forceRefresh },
+ * where query is { page, limit, sort, order, q, role }
+ */
+async function getAdminUsers(options = {}) {
+    const { query, ...requestOptions } = options;
+    return cachedRequest(withQuery('/admin/users', query), requestOptions);
+}
+
+/**
+ * Get every user matching a query, across all pages (admin only, not cached)
+ * @param {object} query - { sort, order, q, role }
+ * @param {object} options - Request options
+ * @returns {Promise<Array<object>>}
+ */
+async function getAllAdminUsers(query = {}, options = {}) {
+    const all = [];
+    for (let page = 1; ; page++) {
+        const response = await makeRequest(withQuery('/admin/users', { ...query, page, limit: ALL_USERS_PAGE_SIZE }), options);
+        all.push(...response.users);
+
+        const total = response.totalUsers !== undefined ? response.totalUsers : all.length;
+        if (!response.users.length || all.length >= total) {
+            return all;
+        }
+    }
+}
+
+/**
+ * Append query parameters to an endpoint, skipping empty values
+ * @param {string} endpoint - API endpoint
+ * @param {object} query - Parameter names and values
+ */
+function withQuery(endpoint, query = {}) {
+    const params = new URLSearchParams();
+    Object.keys(query).forEach(key => {
+        if (query[key] !== undefined && query[key] !== null && query[key] !== '') {
+            params.set(key, query[key]);
+        }
+    });
+    const search = params.toString();
+    return search ? `${endpoint}?${search}` : endpoint;
+}
+
+/**
+ * Get system statistics (admin only) (cached)
+ * @param {object} options - Request options plus { onUpdate, forceRefresh }
+ */
+async function getAdminStats(options = {}) {
+    return cachedRequest('/admin/stats', options);
+}
+
+/**
+ * Get user counts over time (admin only) (cached per range)
+ * @param {string} range - '7d', '30d', '90d' or '12m'
+ * @param {object} options - Request options plus { onUpdate, forceRefresh }
+ */
+async function getAdminStatsHistory(range, options = {}) {
+    return cachedRequest(withQuery('/admin/stats/history', { range }), options);
+}
+
+/**
+ * Send a request that changes users and drop the cached lists and stats.
+ * The users list reports the outcome, so errors are not notified here.
+ * @param {string} endpoint - API endpoint
+ * @param {object} options - Request options
  */
-async function getAdminService() {
-    return makeRequest('/admin');
+async function mutateUsers(endpoint, options) {
+    const response = await makeRequest(endpoint, { ...options, notifyErrors: false });
+    window.cache.invalidate('/admin/users');
+    window.cache.invalidate('/admin/stats');
+    window.cache.invalidate('/admin/stats/history');
+    return response;
 }
 
 /**
- * Get all users (admin only)
+ * Create a user (admin only)
+ * @param {object} user - { name, email, role, password }
  */
-async function getAdminUsers() {
-    return makeRequest('/admin/users');
+async function createUser(user) {
+    return mutateUsers('/admin/users', {
+        method: 'POST',
+        body: JSON.stringify(user)
+    });
 }
 
 /**
- * Get system statistics (admin only)
+ * Create users in bulk (admin only). Each user is checked separately; the
+ * response lists a result per user, in order.
+ * @param {Array<object>} users - { name, email, role, password }; without a
+ *                                password the user is emailed a link to set one
+ * @param {object} options - { dryRun: true } to only check the users
+ * @returns {Promise<object>} { accepted, rejected, results: [{ success, user, message, errors }] }
  */
-async function getAdminStats() {
-    return makeRequest('/admin/stats');
+async function importUsers(users, { dryRun = false } = {}) {
+    return mutateUsers('/admin/users/import', {
+        method: 'POST',
+        body: JSON.stringify({ users, dryRun }),
+        overlay: false
+    });
+}
+
+/**
+ * Replace a user's name, email and role (admin only)
+ * @param {number|string} id - User ID
+ * @param {object} user - { name, email, role }
+ */
+async function updateUser(id, user) {
+    return mutateUsers(`/admin/users/${encodeURIComponent(id)}`, {
+        method: 'PUT',
+        body: JSON.stringify(user)
+    });
+}
+
+/**
+ * Enable or disable a user account (admin only)
+ * @param {number|string} id - User ID
+ * @param {boolean} enabled - True to enable, false to disable
+ */
+async function setUserEnabled(id, enabled) {
+    return mutateUsers(`/admin/users/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ accountStatus: enabled ? 'active' : 'disabled' })
+    });
+}
+
+/**
+ * Delete a user (admin only)
+ * @param {number|string} id - User ID
+ */
+async function deleteUser(id) {
+    return mutateUsers(`/admin/users/${encodeURIComponent(id)}`, {
+        method: 'DELETE'
+    });
+}
+
+/**
+ * Email a password reset link to a user (admin only)
+ * @param {number|string} id - User ID
+ */
+async function sendPasswordReset(id) {
+    return makeRequest(`/admin/users/${encodeURIComponent(id)}/password-reset`, {
+        method: 'POST',
+        notifyErrors: false
+    });
+}
+
+/**
+ * Switch to an impersonation session for a customer (users:impersonate).
+ * The admin's session is put aside until stopImpersonation().
+ * @param {number|string} id - User ID
+ * @returns {Promise<object>} { token, user, expiresIn }
+ */
+async function impersonateUser(id) {
+    const response = await makeRequest(`/admin/users/${encodeURIComponent(id)}/impersonate`, {
+        method: 'POST'
+    });
+
+    // Nothing cached for the admin belongs to the customer's view
+    window.cache.clear();
+    window.session.startImpersonation(response);
+    return response;
+}
+
+/**
+ * Leave an impersonation session and restore the admin's own
+ * @returns {boolean} false when nobody was being impersonated
+ */
+function stopImpersonation() {
+    if (!window.session.stopImpersonation()) return false;
+
+    window.cache.clear();
+    return true;
+}
+
+/**
+ * Send activity log entries to the server (admin only)
+ * @param {Array<object>} entries - Entries recorded by window.audit
+ */
+async function sendAuditEntries(entries) {
+    return makeRequest('/admin/audit', {
+        method: 'POST',
+        body: JSON.stringify({ entries }),
+        background: true,
+        notifyErrors: false
+    });
 }
 
 /**
  * Check if user is authenticated
  */
 function isAuthenticated() {
-    return !!getToken();
+    return window.session.getState().isAuthenticated;
 }
 
 /**
  * Get current user info from token
  */
 function getCurrentUser() {
-    const token = getToken();
-    if (!token) return null;
-
-    try {
-        // Parse JWT token (base64 decode payload)
-        const payload = JSON.parse(atob(token.split('.')[1]));
-        return {
-            id: payload.id,
-            email: payload.email,
-            role: payload.role,
-            exp: payload.exp
-        };
-    } catch (error) {
-        console.error('Failed to parse user token:', error);
-        return null;
-    }
+    return window.session.getState().user;
 }
 
 /**
- * Show loading overlay
+ * Show loading overlay. The page behind it is blocked, and screen readers
+ * hear that something is loading.
  */
 function showLoading() {
     const loading = document.getElementById('loading');
-    if (loading) {
+    if (loading && loading.style.display === 'none') {
         loading.style.display = 'flex';
+        window.a11y.setPageBlocked('loading', true);
+        window.a11y.announce(window.i18n.t('common.loading'));
     }
 }
 
@@ -174,8 +778,9 @@ function showLoading() {
  */
 function hideLoading() {
     const loading = document.getElementById('loading');
-    if (loading) {
+    if (loading && loading.style.display !== 'none') {
         loading.style.display = 'none';
+        window.a11y.setPageBlocked('loading', false);
     }
 }
 
@@ -185,7 +790,7 @@ function hideLoading() {
  * @param {string} elementId - ID of element to show error message
  */
 function handleApiError(error, elementId) {
-    console.error('API Error:', error);
+    window.logger.error('API Error:', error);
     
     const element = document.getElementById(elementId);
     if (element) {
@@ -197,14 +802,42 @@ function handleApiError(error, elementId) {
 // Export functions
 window.api = {
     login,
+    verifyLoginCode,
+    resendLoginCode,
+    register,
+    verifyEmail,
+    resendVerification,
+    requestPasswordReset,
+    resetPassword,
     getCustomerService,
     getCustomerProfile,
+    updateProfile,
+    changePassword,
+    getTwoFactorStatus,
+    startTwoFactorSetup,
+    enableTwoFactor,
+    disableTwoFactor,
     getAdminService,
     getAdminUsers,
+    getAllAdminUsers,
     getAdminStats,
+    getAdminStatsHistory,
+    createUser,
+    importUsers,
+    updateUser,
+    setUserEnabled,
+    deleteUser,
+    sendPasswordReset,
+    impersonateUser,
+    stopImpersonation,
+    sendAuditEntries,
     isAuthenticated,
     getCurrentUser,
+    getToken,
+    getTokenTimeRemaining,
+    refreshToken,
     removeToken,
+    invalidateCache,
     handleApiError,
     showLoading,
     hideLoading
@@ -1,24 +1,109 @@
 // Main application file
 
+// View shown by the last navigation, for the page title and focus moves
+let shownViewId = null;
+
 /**
  * Initialize the application
  */
 function initApp() {
-    console.log('Initializing Authentication System...');
+    window.logger.info(`Initializing Authentication System (${window.config.get('environment')})...`);
     
     // Initialize authentication listeners
     window.auth.initializeAuthListeners();
     
+    // Follow sign-ins, sign-outs and token refreshes from other tabs
+    window.session.startSync();
+    
+    // Sign out idle sessions
+    window.idle.initializeIdleTracking();
+    
+    // Toasts and the notification history in the navbar
+    window.notifications.initializeNotificationCenter();
+    
+    // Language menu; views re-render themselves when the language changes
+    window.i18n.initializeLanguageSwitcher();
+    
     // Initialize view-specific event listeners
     initializeViewListeners();
+    window.adminUsers.initializeUserManagement();
+    window.adminImport.initializeUserImport();
+    window.adminStats.initializeStatsDashboard();
+    window.adminAudit.initializeAuditLog();
+    window.customerProfile.initializeProfile();
+    window.twoFactor.initializeTwoFactor();
+    window.impersonation.initializeImpersonation();
+    
+    // Apply feature flags to static content
+    applyFeatureFlags();
+    
+    // Hide or disable data-requires elements the user lacks permissions for
+    window.permissions.startGating();
+    
+    // Page titles, focus and announcements on navigation
+    initializeRouteAnnouncements();
+    
+    // Record admin navigations, API calls and errors
+    window.audit.initializeAuditTrail();
+    
+    // Handle the initial route now that the API is configured
+    window.router.start();
     
     // Update user info in navigation
     window.auth.updateUserInfo();
     
+    // Warn before the current session expires
+    if (window.api.isAuthenticated()) {
+        window.auth.scheduleSessionWarning();
+    }
+    
     // Enable auto-login for development
     window.auth.enableAutoLogin();
     
-    console.log('Application initialized successfully');
+    window.logger.info('Application initialized successfully');
+}
+
+/**
+ * Show or hide static page sections that depend on feature flags
+ */
+function applyFeatureFlags() {
+    const demoCredentials = document.querySelector('.demo-credentials');
+    if (demoCredentials && !window.config.isFeatureEnabled('demoCredentials')) {
+        demoCredentials.style.display = 'none';
+    }
+}
+
+/**
+ * Title each page after its heading. Navigation does not reload the page,
+ * so focus is moved to the new view's heading and the page is announced.
+ */
+function initializeRouteAnnouncements() {
+    window.router.afterEach((to, from) => {
+        const changed = to.view !== shownViewId;
+        shownViewId = to.view;
+        const page = updatePageTitle();
+        
+        // Leave focus alone on the first page and when only the query changes
+        if (from && changed) {
+            window.a11y.focusHeading(document.getElementById(to.view));
+            window.a11y.announce(page);
+        }
+    });
+    window.i18n.subscribe(updatePageTitle);
+}
+
+/**
+ * Set the document title from the heading of the current view
+ * @returns {string} The page name
+ */
+function updatePageTitle() {
+    const { t } = window.i18n;
+    const view = shownViewId && document.getElementById(shownViewId);
+    const heading = view && view.querySelector('h1, h2');
+    const page = heading ? heading.textContent.trim() : '';
+    
+    document.title = page ? t('app.pageTitle', { page }) : t('app.title');
+    return page;
 }
 
 /**
@@ -36,18 +121,6 @@ function initializeViewListeners() {
     if (adminServiceBtn) {
         adminServiceBtn.addEventListener('click', handleAdminService);
     }
-    
-    // Admin users button
-    const adminUsersBtn = document.getElementById('admin-users-btn');
-    if (adminUsersBtn) {
-        adminUsersBtn.addEventListener('click', handleAdminUsers);
-    }
-    
-    // Admin stats button
-    const adminStatsBtn = document.getElementById('admin-stats-btn');
-    if (adminStatsBtn) {
-        adminStatsBtn.addEventListener('click', handleAdminStats);
-    }
 }
 
 /**
@@ -57,23 +130,8 @@ async function handleCustomerService() {
     const resultDiv = document.getElementById('customer-service-result');
     if (!resultDiv) return;
     
-    resultDiv.innerHTML = '<p>Loading...</p>';
-    
-    try {
-        const response = await window.api.getCustomerService();
-        if (response.success) {
-            resultDiv.innerHTML = `
-                <div style="color: #27ae60; font-weight: bold;">✓ ${response.message}</div>
-                <p><strong>Service:</strong> ${response.data.service}</p>
-                <p><strong>User:</strong> ${response.data.user.name} (${response.data.user.role})</p>
-                <p><strong>Timestamp:</strong> ${response.data.timestamp}</p>
-            `;
-        }
-    } catch (error) {
-        resultDiv.innerHTML = `
-            <div style="color: #e74c3c;">✗ Error: ${error.message}</div>
-        `;
-    }
+    await renderServiceResult(resultDiv, 'service.customer',
+        () => window.api.getCustomerService({ notifyErrors: false }), handleCustomerService);
 }
 
 /**
@@ -83,149 +141,164 @@ async function handleAdminService() {
     const resultDiv = document.getElementById('admin-service-result');
     if (!resultDiv) return;
     
-    resultDiv.innerHTML = '<p>Loading...</p>';
+    await renderServiceResult(resultDiv, 'service.admin',
+        () => window.api.getAdminService({ notifyErrors: false }), handleAdminService);
+}
+
+/**
+ * Call a service endpoint, show its response in a result panel and report
+ * the outcome in the notification center
+ * @param {HTMLElement} resultDiv - Result panel
+ * @param {string} nameKey - Message key of the service name, for the notification
+ * @param {function} request - Calls the endpoint, returning a promise
+ * @param {function} retry - Runs the whole request again
+ */
+async function renderServiceResult(resultDiv, nameKey, request, retry) {
+    const { html, render } = window.safeHtml;
+    const { t, formatDate } = window.i18n;
+
+    render(resultDiv, html`<p>${t('common.loading')}</p>`);
+    window.a11y.setBusy(resultDiv, true);
     
     try {
-        const response = await window.api.getAdminService();
+        const response = await request();
         if (response.success) {
-            resultDiv.innerHTML = `
+            const { service, user, timestamp } = response.data;
+            render(resultDiv, html`
                 <div style="color: #27ae60; font-weight: bold;">✓ ${response.message}</div>
-                <p><strong>Service:</strong> ${response.data.service}</p>
-                <p><strong>User:</strong> ${response.data.user.name} (${response.data.user.role})</p>
-                <p><strong>Timestamp:</strong> ${response.data.timestamp}</p>
-            `;
+                <p><strong>${t('service.serviceLabel')}</strong> ${service}</p>
+                <p><strong>${t('service.userLabel')}</strong> ${user.name} (${t(`roles.${user.role}`, { defaultValue: user.role })})</p>
+                <p><strong>${t('service.timestampLabel')}</strong> ${formatDate(timestamp, { dateStyle: 'medium', timeStyle: 'medium' })}</p>
+            `);
+            window.notifications.notify(t('service.loaded', { name: t(nameKey) }), { type: 'success' });
         }
     } catch (error) {
-        resultDiv.innerHTML = `
-            <div style="color: #e74c3c;">✗ Error: ${error.message}</div>
-        `;
+        const message = describeError(error);
+        render(resultDiv, html`
+            <div style="color: #e74c3c;">${t('common.errorPrefix', { message })}</div>
+        `);
+        window.notifications.notify(t('service.failed', { name: t(nameKey), message }), {
+            type: 'error',
+            actions: [{ label: t('common.retry'), onClick: retry }]
+        });
+    } finally {
+        window.a11y.setBusy(resultDiv, false);
     }
 }
 
 /**
- * Handle admin users request
+ * Turn a request error into a message for the result panels
+ * @param {Error} error - Error thrown by window.api
  */
-async function handleAdminUsers() {
-    const resultDiv = document.getElementById('admin-users-result');
-    if (!resultDiv) return;
-    
-    resultDiv.innerHTML = '<p>Loading...</p>';
-    
-    try {
-        const response = await window.api.getAdminUsers();
-        if (response.success) {
-            let usersHtml = `
-                <div style="color: #27ae60; font-weight: bold;">✓ ${response.message}</div>
-                <p><strong>Total Users:</strong> ${response.totalUsers}</p>
-                <div style="margin-top: 15px;">
-            `;
-            
-            response.users.forEach(user => {
-                usersHtml += `
-                    <div style="background: white; padding: 10px; margin: 5px 0; border-radius: 4px; border-left: 4px solid #3498db;">
-                        <strong>${user.name}</strong><br>
-                        Email: ${user.email}<br>
-                        Role: ${user.role}<br>
-                        ID: ${user.id}
-                    </div>
-                `;
-            });
-            
-            usersHtml += '</div>';
-            resultDiv.innerHTML = usersHtml;
-        }
-    } catch (error) {
-        resultDiv.innerHTML = `
-            <div style="color: #e74c3c;">✗ Error: ${error.message}</div>
-        `;
+function describeError(error) {
+    const http = window.http;
+    const { t } = window.i18n;
+
+    if (error instanceof http.TimeoutError) {
+        return t('errors.timeout');
+    }
+    if (error instanceof http.NetworkError) {
+        return t('errors.network');
+    }
+    if (error instanceof http.AuthError) {
+        return error.status === 403 ? t('errors.forbidden') : t('errors.sessionExpired');
+    }
+    if (error instanceof http.RateLimitError) {
+        return error.retryAfter
+            ? t('errors.rateLimitedWait', { wait: formatWait(error.retryAfter) })
+            : t('errors.rateLimited');
     }
+    if (error instanceof http.ServerError) {
+        return t('errors.server');
+    }
+    return error.message || t('errors.unknown');
 }
 
 /**
- * Handle admin stats request
+ * Describe a wait in seconds as "45 seconds" or "3 minutes"
+ * @param {number} seconds
  */
-async function handleAdminStats() {
-    const resultDiv = document.getElementById('admin-stats-result');
-    if (!resultDiv) return;
-    
-    resultDiv.innerHTML = '<p>Loading...</p>';
-    
-    try {
-        const response = await window.api.getAdminStats();
-        if (response.success) {
-            const stats = response.statistics;
-            resultDiv.innerHTML = `
-                <div style="color: #27ae60; font-weight: bold;">✓ ${response.message}</div>
-                <div style="margin-top: 15px;">
-                    <p><strong>Total Users:</strong> ${stats.totalUsers}</p>
-                    <p><strong>Admin Users:</strong> ${stats.adminUsers}</p>
-                    <p><strong>Customer Users:</strong> ${stats.customerUsers}</p>
-                    <p><strong>System Status:</strong> ${stats.systemStatus}</p>
-                    <p><strong>Last Update:</strong> ${stats.lastUpdate}</p>
-                </div>
-            `;
-        }
-    } catch (error) {
-        resultDiv.innerHTML = `
-            <div style="color: #e74c3c;">✗ Error: ${error.message}</div>
-        `;
+function formatWait(seconds) {
+    if (seconds < 60) {
+        return window.i18n.t('time.seconds', { count: seconds });
     }
+    return window.i18n.t('time.minutes', { count: Math.ceil(seconds / 60) });
 }
 
 /**
- * Show notification message
- * @param {string} message - Message to show
- * @param {string} type - Message type (success, error, info)
+ * Ask the user to confirm an action
+ * @param {string} message - Question to show
+ * @param {string} confirmLabel - Label of the confirm button
+ * @returns {Promise<boolean>} True if the user confirmed
  */
-function showNotification(message, type = 'info') {
-    // Create notification element
-    const notification = document.createElement('div');
-    notification.className = `notification notification-${type}`;
-    notification.textContent = message;
-    
-    // Add styles
-    notification.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        padding: 15px 20px;
-        border-radius: 4px;
-        color: white;
-        font-weight: bold;
-        z-index: 1001;
-        opacity: 0;
-        transition: opacity 0.3s ease;
-    `;
+function confirmDialog(message, confirmLabel = window.i18n.t('common.confirm')) {
+    const dialog = document.getElementById('confirm-dialog');
+    const messageEl = document.getElementById('confirm-dialog-message');
+    const confirmBtn = document.getElementById('confirm-dialog-confirm');
+    const cancelBtn = document.getElementById('confirm-dialog-cancel');
     
-    // Set background color based on type
-    switch (type) {
-        case 'success':
-            notification.style.backgroundColor = '#27ae60';
-            break;
-        case 'error':
-            notification.style.backgroundColor = '#e74c3c';
-            break;
-        default:
-            notification.style.backgroundColor = '#3498db';
+    if (!dialog || !messageEl || !confirmBtn || !cancelBtn) {
+        return Promise.resolve(window.confirm(message));
     }
     
-    // Add to page
-    document.body.appendChild(notification);
+    messageEl.textContent = message;
+    confirmBtn.textContent = confirmLabel;
     
-    // Animate in
-    setTimeout(() => {
-        notification.style.opacity = '1';
-    }, 100);
+    return new Promise(resolve => {
+        const close = result => {
+            window.a11y.closeDialog(dialog);
+            confirmBtn.removeEventListener('click', onConfirm);
+            cancelBtn.removeEventListener('click', onCancel);
+            resolve(result);
+        };
+        const onConfirm = () => close(true);
+        const onCancel = () => close(false);
+        
+        confirmBtn.addEventListener('click', onConfirm);
+        cancelBtn.addEventListener('click', onCancel);
+        
+        // Start on Cancel so Enter does not confirm by accident
+        window.a11y.openDialog(dialog, { initialFocus: cancelBtn, onEscape: onCancel });
+    });
+}
+
+// MIME types of the files offered for download
+const DOWNLOAD_TYPES = {
+    csv: 'text/csv',
+    json: 'application/json',
+    txt: 'text/plain'
+};
+
+/**
+ * Offer text as a file download named "<name>-<YYYY-MM-DD>.<format>".
+ * CSV files start with a byte order mark so spreadsheets read them as UTF-8.
+ * @param {string} name - e.g. 'users'
+ * @param {string} format - 'csv', 'json' or 'txt'
+ * @param {string} content
+ */
+function downloadFile(name, format, content) {
+    const bom = format === 'csv' ? '\uFEFF' : '';
+    const blob = new Blob([bom + content], { type: `${DOWNLOAD_TYPES[format]};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
     
-    // Remove after 3 seconds
-    setTimeout(() => {
-        notification.style.opacity = '0';
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
-            }
-        }, 300);
-    }, 3000);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Some browsers start the download after click() returns
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Show notification message
+ * @param {string} message - Message to show
+ * @param {string} type - Message type (success, info, warning, error)
+ * @returns {number} Notification ID
+ */
+function showNotification(message, type = 'info') {
+    return window.notifications.notify(message, { type });
 }
 
 /**
@@ -237,6 +310,8 @@ function debugInfo() {
     const route = window.router.getCurrentRoute();
     
     console.log('=== Debug Info ===');
+    console.log('Environment:', window.config.get('environment'));
+    console.log('API Base URL:', window.config.get('apiBaseUrl'));
     console.log('Current Route:', route);
     console.log('Is Authenticated:', isAuth);
     console.log('Current User:', user);
@@ -247,12 +322,20 @@ function debugInfo() {
 // Make debug function globally available
 window.debugInfo = debugInfo;
 
-// Initialize app when DOM is loaded
-document.addEventListener('DOMContentLoaded', initApp);
+// Load the runtime configuration and the messages, then initialize the app
+document.addEventListener('DOMContentLoaded', () => {
+    window.config.load()
+        .then(() => window.i18n.load())
+        .then(initApp);
+});
 
 // Make app functions globally available
 window.app = {
     initApp,
+    describeError,
+    formatWait,
+    confirmDialog,
+    downloadFile,
     showNotification,
     debugInfo
 };
\ No newline at end of file
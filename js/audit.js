@@ -0,0 +1,407 @@
+// Activity log of admin sessions (anyone with admin:access, so support and
+// auditor sessions too): navigations, API calls and their results, and
+// errors, each tagged with the signed-in admin. While an admin impersonates
+// a customer, their actions are recorded too, under the admin with the
+// customer in `impersonating`. Entries are kept in
+// IndexedDB on this device (in memory if IndexedDB is unavailable) and,
+// when auditFlushInterval is set, sent to /admin/audit in batches.
+//
+// Polling (background requests) and the log's own uploads are not recorded.
+
+const AUDIT_DB_NAME = 'auditLog';
+const AUDIT_DB_VERSION = 1;
+const AUDIT_STORE = 'entries';
+const AUDIT_ENDPOINT = '/admin/audit';
+const AUDIT_TYPES = ['navigation', 'request', 'error'];
+const AUDIT_FLUSH_BATCH = 100;
+
+// Columns of the CSV export, in order
+const AUDIT_CSV_COLUMNS = ['id', 'time', 'type', 'userEmail', 'userRole', 'impersonating', 'action', 'status', 'duration', 'details'];
+
+let auditDbPromise = null;
+let auditFlushTimer = null;
+let auditFlushing = null;
+
+// Fallback store when IndexedDB cannot be opened (e.g. private browsing)
+const memoryAuditEntries = [];
+let nextMemoryAuditId = 1;
+
+const auditListeners = new Set();
+
+/**
+ * Open the activity log database once
+ * @returns {Promise<IDBDatabase|null>} null when only the memory store is available
+ */
+function openAuditDb() {
+    if (!auditDbPromise) {
+        auditDbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = window.indexedDB.open(AUDIT_DB_NAME, AUDIT_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(AUDIT_STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            window.logger.warn('Activity log is kept in memory only:', error);
+            return null;
+        });
+    }
+    return auditDbPromise;
+}
+
+/**
+ * Run work in an IndexedDB transaction
+ * @param {IDBDatabase} db
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} work - (store) => IDBRequest whose result is returned, or nothing
+ * @returns {Promise<*>} Resolves when the transaction completes
+ */
+function runAuditTransaction(db, mode, work) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(AUDIT_STORE, mode);
+        const request = work(transaction.objectStore(AUDIT_STORE));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Store an entry and drop the oldest ones past auditMaxEntries
+ * @param {object} entry
+ * @returns {Promise<object>} The entry with its id
+ */
+async function storeAuditEntry(entry) {
+    const max = window.config.get('auditMaxEntries');
+    const db = await openAuditDb();
+
+    if (!db) {
+        const stored = { ...entry, id: nextMemoryAuditId++ };
+        memoryAuditEntries.push(stored);
+        memoryAuditEntries.splice(0, Math.max(0, memoryAuditEntries.length - max));
+        return stored;
+    }
+
+    const id = await runAuditTransaction(db, 'readwrite', store => store.add(entry));
+    await runAuditTransaction(db, 'readwrite', store => {
+        const count = store.count();
+        count.onsuccess = () => {
+            let excess = count.result - max;
+            if (excess <= 0) return;
+            store.openCursor().onsuccess = event => {
+                const cursor = event.target.result;
+                if (cursor && excess-- > 0) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        };
+    });
+    return { ...entry, id };
+}
+
+/**
+ * Read every stored entry, oldest first
+ * @returns {Promise<Array<object>>}
+ */
+async function loadAuditEntries() {
+    const db = await openAuditDb();
+    if (!db) {
+        return memoryAuditEntries.map(entry => ({ ...entry }));
+    }
+    return runAuditTransaction(db, 'readonly', store => store.getAll());
+}
+
+/**
+ * Mark entries as sent to the server
+ * @param {Array<number>} ids
+ */
+async function markAuditEntriesFlushed(ids) {
+    const db = await openAuditDb();
+    if (!db) {
+        memoryAuditEntries
+            .filter(entry => ids.includes(entry.id))
+            .forEach(entry => { entry.flushed = true; });
+        return;
+    }
+
+    await runAuditTransaction(db, 'readwrite', store => {
+        ids.forEach(id => {
+            store.get(id).onsuccess = event => {
+                const entry = event.target.result;
+                if (entry) {
+                    store.put({ ...entry, flushed: true });
+                }
+            };
+        });
+    });
+}
+
+/**
+ * Delete every entry on this device
+ */
+async function clearAuditLog() {
+    const db = await openAuditDb();
+    if (!db) {
+        memoryAuditEntries.length = 0;
+    } else {
+        await runAuditTransaction(db, 'readwrite', store => store.clear());
+    }
+    notifyAuditListeners(null);
+}
+
+/**
+ * Check whether a user's actions are recorded
+ * @param {object|null} user
+ */
+function isAudited(user) {
+    return !!user && (!!user.impersonator || window.permissions.can('admin:access', user));
+}
+
+/**
+ * Check whether a user may send the log to the server. Impersonation
+ * tokens may not, so uploads wait for the admin's own session.
+ * @param {object|null} user
+ */
+function canUploadAuditLog(user) {
+    return !!user && window.permissions.can('admin:access', user);
+}
+
+/**
+ * Record an action of the signed-in admin, or of the admin impersonating
+ * the signed-in user. Nothing is recorded for other users or when nobody
+ * is signed in.
+ * @param {string} type - 'navigation', 'request' or 'error'
+ * @param {string} action - e.g. '/admin?page=2' or 'DELETE /admin/users/4'
+ * @param {object} info - { status, duration, details: error message or view shown }
+ * @param {object} user - Who acted (default: the current user)
+ * @returns {Promise<object|null>} The stored entry
+ */
+async function recordAuditEntry(type, action, info = {}, user = window.api.getCurrentUser()) {
+    if (!isAudited(user) || !AUDIT_TYPES.includes(type)) return null;
+
+    const actor = user.impersonator || user;
+    const entry = {
+        time: new Date().toISOString(),
+        type,
+        action,
+        userId: actor.id,
+        userEmail: actor.email,
+        userRole: actor.role,
+        impersonating: user.impersonator ? user.email : null,
+        status: info.status !== undefined ? info.status : null,
+        duration: info.duration !== undefined ? info.duration : null,
+        details: info.details || '',
+        flushed: false
+    };
+
+    try {
+        const stored = await storeAuditEntry(entry);
+        notifyAuditListeners(stored);
+        return stored;
+    } catch (error) {
+        window.logger.error('Could not record activity:', error);
+        return null;
+    }
+}
+
+/**
+ * Get entries, newest first
+ * @param {object} filters
+ * @param {string} filters.type - Only this type
+ * @param {string} filters.since - Only entries at or after this ISO time
+ * @param {string} filters.q - Text to find in the user, impersonated user, action or details
+ * @returns {Promise<Array<object>>}
+ */
+async function getAuditEntries({ type = '', since = '', q = '' } = {}) {
+    const text = q.trim().toLowerCase();
+    const entries = await loadAuditEntries();
+
+    return entries
+        .filter(entry => !type || entry.type === type)
+        .filter(entry => !since || entry.time >= since)
+        .filter(entry => !text || [entry.userEmail, entry.impersonating, entry.action, entry.details]
+            .some(value => String(value || '').toLowerCase().includes(text)))
+        .reverse();
+}
+
+/**
+ * Send unsent entries to the server, one batch at a time
+ * @returns {Promise<number>} Number of entries sent
+ */
+function flushAuditLog() {
+    if (!auditFlushing) {
+        auditFlushing = sendPendingAuditEntries()
+            .finally(() => { auditFlushing = null; });
+    }
+    return auditFlushing;
+}
+
+/**
+ * Send the unsent entries while the admin is still signed in
+ * @returns {Promise<number>} Number of entries sent
+ */
+async function sendPendingAuditEntries() {
+    let sent = 0;
+    while (canUploadAuditLog(window.api.getCurrentUser())) {
+        const batch = (await loadAuditEntries())
+            .filter(entry => !entry.flushed)
+            .slice(0, AUDIT_FLUSH_BATCH);
+        if (!batch.length) break;
+
+        try {
+            await window.api.sendAuditEntries(batch.map(({ flushed, ...entry }) => entry));
+        } catch (error) {
+            window.logger.warn('Could not send the activity log; will retry:', error.message);
+            break;
+        }
+        await markAuditEntriesFlushed(batch.map(entry => entry.id));
+        sent += batch.length;
+    }
+    return sent;
+}
+
+/**
+ * Serialize entries for download
+ * @param {Array<object>} entries
+ * @param {string} format - 'json' or 'csv'
+ * @returns {string}
+ */
+function exportAuditEntries(entries, format) {
+    const rows = entries.map(({ flushed, ...entry }) => entry);
+    if (format === 'json') {
+        return JSON.stringify(rows, null, 2);
+    }
+    if (format !== 'csv') {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    return window.csv.stringify(rows, AUDIT_CSV_COLUMNS);
+}
+
+/**
+ * Subscribe to new entries
+ * @param {function} listener - (entry) after an entry is stored; null after the log is cleared
+ * @returns {function} Unsubscribe
+ */
+function subscribeToAudit(listener) {
+    auditListeners.add(listener);
+    return () => auditListeners.delete(listener);
+}
+
+/**
+ * Tell listeners about a change
+ * @param {object|null} entry
+ */
+function notifyAuditListeners(entry) {
+    auditListeners.forEach(listener => {
+        try {
+            listener(entry);
+        } catch (error) {
+            window.logger.error('Activity log listener failed:', error);
+        }
+    });
+}
+
+/**
+ * Note who made a request and when it started
+ * @param {object} config - HTTP request config
+ */
+function stampAuditRequest(config) {
+    return { ...config, auditUser: window.api.getCurrentUser(), auditStartedAt: Date.now() };
+}
+
+/**
+ * Check whether a request is one of the admin's own actions
+ * @param {object} config - HTTP request config
+ */
+function isAuditedRequest(config) {
+    return !!config.endpoint && !config.background && config.endpoint !== AUDIT_ENDPOINT;
+}
+
+/**
+ * Record a successful API call
+ * @param {object} response
+ * @param {object} config - HTTP request config
+ */
+function recordAuditResponse(response, config) {
+    if (isAuditedRequest(config)) {
+        recordAuditEntry('request', `${config.method} ${config.endpoint}`, {
+            status: response.status,
+            duration: Date.now() - config.auditStartedAt
+        }, config.auditUser);
+    }
+    return response;
+}
+
+/**
+ * Record a failed API call and pass the error on
+ * @param {Error} error
+ * @param {object} config - HTTP request config
+ */
+function recordAuditError(error, config) {
+    if (isAuditedRequest(config) && !(error instanceof window.http.CancelledError)) {
+        recordAuditEntry('error', `${config.method} ${config.endpoint}`, {
+            status: error.status,
+            duration: Date.now() - config.auditStartedAt,
+            details: error.message
+        }, config.auditUser);
+    }
+    throw error;
+}
+
+/**
+ * Send entries every auditFlushInterval ms while an admin is signed in
+ * @param {object} state - Session state
+ */
+function syncAuditFlushing(state) {
+    const interval = window.config.get('auditFlushInterval');
+    const shouldFlush = interval > 0 && state.isAuthenticated && canUploadAuditLog(state.user);
+
+    if (shouldFlush && !auditFlushTimer) {
+        auditFlushTimer = setInterval(flushAuditLog, interval);
+    } else if (!shouldFlush && auditFlushTimer) {
+        clearInterval(auditFlushTimer);
+        auditFlushTimer = null;
+    }
+}
+
+/**
+ * Start recording navigations, API calls and uncaught errors
+ */
+function initializeAuditTrail() {
+    window.http.interceptors.request.use(stampAuditRequest);
+    window.http.interceptors.response.use(recordAuditResponse);
+    window.http.interceptors.error.use(recordAuditError);
+
+    window.router.afterEach(to => {
+        recordAuditEntry('navigation', to.fullPath, { details: to.view });
+    });
+
+    window.addEventListener('error', event => {
+        recordAuditEntry('error', 'script', { details: event.message });
+    });
+    window.addEventListener('unhandledrejection', event => {
+        const reason = event.reason;
+        recordAuditEntry('error', 'script', { details: reason && reason.message ? reason.message : String(reason) });
+    });
+
+    window.session.subscribe(syncAuditFlushing);
+    syncAuditFlushing(window.session.getState());
+}
+
+// Export activity log functions
+window.audit = {
+    TYPES: AUDIT_TYPES,
+    record: recordAuditEntry,
+    getEntries: getAuditEntries,
+    clear: clearAuditLog,
+    flush: flushAuditLog,
+    export: exportAuditEntries,
+    subscribe: subscribeToAudit,
+    initializeAuditTrail
+};
@@ -1,5 +1,32 @@
 // Authentication module
 
+// Show the session expiry warning this many seconds before the token expires
+const SESSION_WARNING_LEAD = 5 * 60;
+
+let sessionWarningTimer = null;
+let sessionExpiryTimer = null;
+let sessionCountdownInterval = null;
+
+// Token from the password reset link currently open
+let resetToken = null;
+
+// Sign-in waiting for its one-time code: { challengeToken, email, methods, expiresAt, emailSent }
+let loginChallenge = null;
+// Code the code form asks for: 'totp', 'email' or 'recovery'
+let loginCodeMethod = null;
+// Seconds until another code can be emailed
+let resendCooldown = 0;
+let resendCooldownTimer = null;
+
+const LOGIN_CODE_METHODS = ['totp', 'email', 'recovery'];
+
+// Why the last session ended, shown on the login view until the next sign-in
+const LOGOUT_REASON_KEY = 'logoutReason';
+const LOGOUT_REASON_MESSAGES = {
+    idle: details => window.i18n.t('logout.idle', { count: details.minutes }),
+    expired: () => window.i18n.t('logout.expired')
+};
+
 /**
  * Handle user login
  */
@@ -7,8 +34,9 @@ async function handleLogin(event) {
     event.preventDefault();
     
     const form = event.target;
-    const email = form.email.value.trim();
-    const password = form.password.value;
+    const email = form.elements.email.value.trim();
+    const password = form.elements.password.value;
+    const remember = form.elements.remember.checked;
     const errorDiv = document.getElementById('login-error');
     
     // Clear previous errors
@@ -17,27 +45,255 @@ async function handleLogin(event) {
     
     // Validate input
     if (!email || !password) {
-        showError(errorDiv, 'Please enter both email and password');
+        showError(errorDiv, window.i18n.t('login.missingFields'), true);
         return;
     }
     
     try {
         // Attempt login
-        const response = await window.api.login(email, password);
+        const response = await window.api.login(email, password, { remember });
         
-        if (response.success) {
-            // Login successful, redirect based on role
-            const user = response.user;
-            if (user.role === 'admin') {
-                window.router.navigate('/admin');
-            } else {
-                window.router.navigate('/customer');
-            }
+        if (response.mfaRequired) {
+            // Two-step verification: ask for the code, keeping the returnTo
+            startLoginChallenge(response, email, remember);
+            const returnTo = window.router.current && window.router.current.query.returnTo;
+            window.router.navigate(returnTo ? `/login/verify?returnTo=${encodeURIComponent(returnTo)}` : '/login/verify');
+        } else if (response.success) {
+            // Login successful, go back to the requested page or the role's dashboard
+            window.router.navigate(window.router.getPostLoginRoute(response.user));
         } else {
-            showError(errorDiv, response.error || 'Login failed');
+            showError(errorDiv, response.error || window.i18n.t('login.failed'), true);
         }
     } catch (error) {
-        showError(errorDiv, error.message || 'Login failed. Please try again.');
+        if (error instanceof window.http.RateLimitError) {
+            lockForm(form, error);
+            return;
+        }
+        showError(errorDiv, error.message || window.i18n.t('login.failedRetry'), true);
+    }
+}
+
+/**
+ * Remember a sign-in that still needs its one-time code
+ * @param {object} response - /auth/login challenge: { challengeToken, methods, expiresIn }
+ * @param {string} email - Account signing in
+ * @param {boolean} remember - "Keep me signed in" was ticked
+ */
+function startLoginChallenge(response, email, remember) {
+    const methods = (response.methods || ['totp']).filter(method => LOGIN_CODE_METHODS.includes(method));
+    loginChallenge = {
+        challengeToken: response.challengeToken,
+        email,
+        remember,
+        methods,
+        expiresAt: response.expiresIn ? Date.now() + response.expiresIn * 1000 : null,
+        emailSent: false
+    };
+    // Emailed codes are only sent on request
+    loginCodeMethod = methods.find(method => method !== 'email') || methods[0];
+}
+
+/**
+ * Check whether the pending sign-in can still be completed
+ */
+function isLoginChallengeActive() {
+    return !!loginChallenge && (!loginChallenge.expiresAt || loginChallenge.expiresAt > Date.now());
+}
+
+/**
+ * Check whether the server gave up on the pending sign-in (expired, or
+ * too many wrong codes)
+ * @param {Error} error
+ */
+function isChallengeExpired(error) {
+    return error instanceof window.http.ValidationError && !!error.data && error.data.code === 'challenge_expired';
+}
+
+/**
+ * Prepare the one-time code view for the pending sign-in
+ */
+function prepareLoginCode() {
+    const form = document.getElementById('login-code-form');
+    if (!form) return;
+
+    showAccountForm('login-code-form');
+    startResendCooldown(0);
+
+    if (!isLoginChallengeActive()) {
+        loginChallenge = null;
+    }
+    form.querySelector('button[type="submit"]').disabled = !loginChallenge;
+    showLoginCodeMethod();
+
+    if (!loginChallenge) {
+        showError(form.querySelector('.error-message'), window.i18n.t('loginCode.expired'));
+    }
+}
+
+/**
+ * Label the code field for the current method and offer the other ones
+ */
+function showLoginCodeMethod() {
+    const form = document.getElementById('login-code-form');
+    if (!form) return;
+
+    const { t } = window.i18n;
+    const methods = loginChallenge ? loginChallenge.methods : [];
+    const recovery = loginCodeMethod === 'recovery';
+    const input = form.elements.code;
+
+    document.getElementById('login-code-label').textContent = t(recovery ? 'loginCode.recoveryLabel' : 'loginCode.codeLabel');
+    document.getElementById('login-code-hint').textContent = loginChallenge
+        ? t(`loginCode.hint.${loginCodeMethod}`, { email: loginChallenge.email })
+        : '';
+    input.setAttribute('inputmode', recovery ? 'text' : 'numeric');
+    input.setAttribute('autocomplete', recovery ? 'off' : 'one-time-code');
+
+    document.querySelectorAll('[data-code-method]').forEach(button => {
+        button.hidden = button.dataset.codeMethod === loginCodeMethod || !methods.includes(button.dataset.codeMethod);
+    });
+    document.getElementById('login-code-resend').hidden = !methods.includes('email');
+    updateResendButton();
+}
+
+/**
+ * Ask for another kind of code
+ * @param {string} method - 'totp' or 'recovery'
+ */
+function switchLoginCodeMethod(method) {
+    const form = document.getElementById('login-code-form');
+    loginCodeMethod = method;
+    form.elements.code.value = '';
+    window.validation.clearFieldErrors(form);
+    form.querySelector('.error-message').style.display = 'none';
+    showLoginCodeMethod();
+    form.elements.code.focus();
+}
+
+/**
+ * Show the resend button's label, or how long until it can be used again
+ */
+function updateResendButton() {
+    const button = document.getElementById('login-code-resend');
+    if (!button) return;
+
+    const { t } = window.i18n;
+    button.disabled = resendCooldown > 0 || !loginChallenge;
+    if (resendCooldown > 0) {
+        button.textContent = t('loginCode.resendIn', { wait: window.app.formatWait(resendCooldown) });
+    } else {
+        button.textContent = t(loginChallenge && loginChallenge.emailSent ? 'loginCode.resend' : 'loginCode.sendEmail');
+    }
+}
+
+/**
+ * Keep the resend button disabled for a number of seconds
+ * @param {number} seconds
+ */
+function startResendCooldown(seconds) {
+    clearInterval(resendCooldownTimer);
+    resendCooldown = seconds;
+    updateResendButton();
+    if (resendCooldown <= 0) return;
+
+    resendCooldownTimer = setInterval(() => {
+        resendCooldown--;
+        if (resendCooldown <= 0) {
+            clearInterval(resendCooldownTimer);
+        }
+        updateResendButton();
+    }, 1000);
+}
+
+/**
+ * Give up on a sign-in the server no longer accepts
+ */
+function expireLoginChallenge() {
+    loginChallenge = null;
+    prepareLoginCode();
+}
+
+/**
+ * Email a sign-in code and switch the form to it
+ */
+async function handleResendLoginCode() {
+    const form = document.getElementById('login-code-form');
+    const errorDiv = form.querySelector('.error-message');
+    const button = document.getElementById('login-code-resend');
+    if (!loginChallenge) return;
+
+    errorDiv.style.display = 'none';
+    button.disabled = true;
+
+    try {
+        const response = await window.api.resendLoginCode(loginChallenge.challengeToken);
+        loginChallenge.emailSent = true;
+        switchLoginCodeMethod('email');
+        window.a11y.announce(window.i18n.t('loginCode.sent', { email: loginChallenge.email }));
+        startResendCooldown(response.resendAfter || 0);
+    } catch (error) {
+        if (error instanceof window.http.RateLimitError) {
+            startResendCooldown(error.retryAfter || 0);
+        } else if (isChallengeExpired(error)) {
+            expireLoginChallenge();
+        } else {
+            updateResendButton();
+            showError(errorDiv, window.app.describeError(error), true);
+        }
+    }
+}
+
+/**
+ * Handle the one-time code form of a two-step sign-in
+ * @param {Event} event - Submit event
+ */
+async function handleLoginCode(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const errorDiv = form.querySelector('.error-message');
+    const code = form.elements.code.value.trim();
+    errorDiv.style.display = 'none';
+    if (!loginChallenge) return;
+
+    const errors = code ? {} : { code: window.i18n.t('loginCode.codeRequired') };
+    const invalid = window.validation.showFieldErrors(form, errors);
+    if (invalid) {
+        invalid.focus();
+        return;
+    }
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+        const response = await window.api.verifyLoginCode(loginChallenge, {
+            method: loginCodeMethod,
+            code,
+            trustDevice: form.elements.trustDevice.checked
+        });
+        loginChallenge = null;
+        startResendCooldown(0);
+        window.router.navigate(window.router.getPostLoginRoute(response.user));
+    } catch (error) {
+        if (error instanceof window.http.RateLimitError) {
+            lockForm(form, error);
+            return;
+        }
+
+        submitBtn.disabled = false;
+        if (isChallengeExpired(error)) {
+            expireLoginChallenge();
+            return;
+        }
+        const fields = error instanceof window.http.ValidationError ? error.fields : {};
+        const field = window.validation.showFieldErrors(form, fields);
+        if (field) {
+            field.select();
+            field.focus();
+        } else {
+            showError(errorDiv, window.app.describeError(error), true);
+        }
     }
 }
 
@@ -45,26 +301,27 @@ async function handleLogin(event) {
  * Handle user logout
  */
 function handleLogout() {
-    // Remove token
+    // Remove token; the session listener hides the user info and timers
     window.api.removeToken();
     
-    // Clear user info from UI
-    clearUserInfo();
-    
     // Navigate to welcome page
     window.router.navigate('/');
     
-    console.log('User logged out successfully');
+    window.logger.info('User logged out successfully');
 }
 
 /**
  * Show error message
  * @param {HTMLElement} errorDiv - Error container element
  * @param {string} message - Error message
+ * @param {boolean} focus - Move focus to the message so keyboard users land on it
  */
-function showError(errorDiv, message) {
+function showError(errorDiv, message, focus = false) {
     errorDiv.textContent = message;
     errorDiv.style.display = 'block';
+    if (focus) {
+        errorDiv.focus();
+    }
 }
 
 /**
@@ -79,7 +336,8 @@ function updateUserInfo() {
     const user = window.api.getCurrentUser();
     
     if (user && window.api.isAuthenticated()) {
-        userInfo.textContent = `${user.email} (${user.role})`;
+        const role = window.i18n.t(`roles.${user.role}`, { defaultValue: user.role });
+        userInfo.textContent = window.i18n.t('nav.userInfo', { email: user.email, role });
         navigation.style.display = 'block';
     } else {
         navigation.style.display = 'none';
@@ -103,12 +361,13 @@ function clearUserInfo() {
 }
 
 /**
- * Check if current user has required role
+ * Check if current user has required role, directly or through the role
+ * hierarchy (admins also have the support role)
  * @param {string} requiredRole - Required role
  */
 function hasRole(requiredRole) {
     const user = window.api.getCurrentUser();
-    return user && user.role === requiredRole;
+    return !!user && window.permissions.roleIncludes(user.role, requiredRole);
 }
 
 /**
@@ -130,16 +389,466 @@ function isTokenExpired() {
     return user.exp < currentTime;
 }
 
+/**
+ * Schedule the session expiry warning and the forced logout at expiry
+ * for the current token. Any previously scheduled timers are replaced.
+ */
+function scheduleSessionWarning() {
+    cancelSessionWarning();
+
+    // Impersonation tokens cannot be extended; js/impersonation.js ends them
+    if (window.session.getState().impersonator) return;
+
+    const remaining = window.api.getTokenTimeRemaining();
+    if (remaining === null || remaining <= 0) return;
+
+    const warnIn = Math.max(remaining - SESSION_WARNING_LEAD, 0);
+    sessionWarningTimer = setTimeout(showSessionWarning, warnIn * 1000);
+    sessionExpiryTimer = setTimeout(handleSessionExpired, remaining * 1000);
+}
+
+/**
+ * Cancel pending session timers and hide the warning
+ */
+function cancelSessionWarning() {
+    clearTimeout(sessionWarningTimer);
+    clearTimeout(sessionExpiryTimer);
+    sessionWarningTimer = null;
+    sessionExpiryTimer = null;
+    hideSessionWarning();
+}
+
+/**
+ * Show the "session expires soon" prompt
+ */
+function showSessionWarning() {
+    const warning = document.getElementById('session-warning');
+    if (!warning) return;
+
+    updateSessionCountdown();
+    window.a11y.openDialog(warning, { onEscape: handleStaySignedIn });
+
+    clearInterval(sessionCountdownInterval);
+    sessionCountdownInterval = setInterval(updateSessionCountdown, 15000);
+}
+
+/**
+ * Hide the "session expires soon" prompt
+ */
+function hideSessionWarning() {
+    clearInterval(sessionCountdownInterval);
+    sessionCountdownInterval = null;
+
+    window.a11y.closeDialog(document.getElementById('session-warning'));
+}
+
+/**
+ * Update the minutes left shown in the session warning
+ */
+function updateSessionCountdown() {
+    const message = document.getElementById('session-warning-message');
+    const remaining = window.api.getTokenTimeRemaining();
+    if (!message || remaining === null) return;
+
+    const minutes = Math.max(1, Math.ceil(remaining / 60));
+    message.textContent = window.i18n.t('sessionWarning.message', { count: minutes });
+}
+
+/**
+ * Refresh the token when the user chooses to stay signed in
+ */
+async function handleStaySignedIn() {
+    try {
+        // A successful refresh reschedules (and hides) the warning
+        await window.api.refreshToken();
+    } catch (error) {
+        window.logger.error('Failed to extend session:', error);
+        handleSessionExpired();
+    }
+}
+
+/**
+ * Sign the user out once the token has expired
+ */
+function handleSessionExpired() {
+    signOut('expired');
+}
+
+/**
+ * End the session for a reason the login view explains, keeping the
+ * current page as the place to return to
+ * @param {string} reason - 'idle' or 'expired'
+ * @param {object} details - Values for the message, e.g. { minutes }
+ */
+function signOut(reason, details = {}) {
+    // Recorded first so other tabs find it when they follow the sign-out
+    localStorage.setItem(LOGOUT_REASON_KEY, JSON.stringify({ reason, ...details }));
+
+    cancelSessionWarning();
+    window.api.removeToken();
+    clearUserInfo();
+    window.router.redirectToLogin();
+}
+
+/**
+ * Explain on the login view why the last session ended
+ */
+function showLogoutReason() {
+    const notice = document.getElementById('login-notice');
+    if (!notice) return;
+
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(LOGOUT_REASON_KEY));
+    } catch (error) {
+        window.logger.warn('Ignoring invalid logout reason');
+    }
+
+    const message = saved && LOGOUT_REASON_MESSAGES[saved.reason];
+    notice.textContent = message ? message(saved) : '';
+    notice.hidden = !message;
+}
+
+/**
+ * Disable a form's submit button after a 429 and count down until the
+ * server accepts requests again
+ * @param {HTMLFormElement} form
+ * @param {RateLimitError} error
+ */
+function lockForm(form, error) {
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const errorDiv = form.querySelector('.error-message');
+    let remaining = error.retryAfter;
+
+    if (!remaining) {
+        submitBtn.disabled = false;
+        showError(errorDiv, window.app.describeError(error));
+        return;
+    }
+
+    const tick = () => {
+        if (remaining <= 0) {
+            clearInterval(timer);
+            submitBtn.disabled = false;
+            errorDiv.style.display = 'none';
+            return;
+        }
+        showError(errorDiv, window.i18n.t('errors.rateLimitedWait', { wait: window.app.formatWait(remaining) }));
+        remaining--;
+    };
+
+    submitBtn.disabled = true;
+    const timer = setInterval(tick, 1000);
+    tick();
+}
+
+/**
+ * Validate and submit an account form (register, forgot/reset password,
+ * resend verification), showing field, form-level and rate-limit errors
+ * @param {HTMLFormElement} form
+ * @param {object} errors - Client-side errors by field name
+ * @param {function} request - Sends the request, returning a promise
+ * @returns {Promise<boolean>} True when the request succeeded
+ */
+async function submitAccountForm(form, errors, request) {
+    const errorDiv = form.querySelector('.error-message');
+    errorDiv.style.display = 'none';
+
+    const invalid = window.validation.showFieldErrors(form, errors);
+    if (invalid) {
+        invalid.focus();
+        return false;
+    }
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+        await request();
+        submitBtn.disabled = false;
+        return true;
+    } catch (error) {
+        if (error instanceof window.http.RateLimitError) {
+            lockForm(form, error);
+            return false;
+        }
+
+        submitBtn.disabled = false;
+        const fields = error instanceof window.http.ValidationError ? error.fields : {};
+        const field = window.validation.showFieldErrors(form, fields);
+        if (field) {
+            field.focus();
+        } else {
+            showError(errorDiv, window.app.describeError(error));
+        }
+        return false;
+    }
+}
+
+/**
+ * Show a form again, emptied, in place of its success message
+ * @param {string} formId
+ */
+function showAccountForm(formId) {
+    const form = document.getElementById(formId);
+    if (!form) return;
+
+    const success = form.parentElement.querySelector('.form-success');
+    form.reset();
+    form.hidden = false;
+    window.validation.clearFieldErrors(form);
+    form.querySelector('.error-message').style.display = 'none';
+    form.querySelectorAll('.password-strength').forEach(meter => {
+        meter.hidden = true;
+    });
+    if (success) {
+        success.hidden = true;
+    }
+}
+
+/**
+ * Replace a form with its success message
+ * @param {HTMLFormElement} form
+ * @param {string} email - Shown in the message, if it has a .success-email slot
+ */
+function showAccountSuccess(form, email) {
+    const success = form.parentElement.querySelector('.form-success');
+    form.hidden = true;
+    success.hidden = false;
+
+    const emailSlot = success.querySelector('.success-email');
+    if (emailSlot) {
+        emailSlot.textContent = email;
+    }
+}
+
+/**
+ * Check a new password and its confirmation
+ * @param {object} values - { password, confirmPassword }
+ * @returns {object} Errors by field name
+ */
+function validateNewPassword(values) {
+    const errors = {};
+    const passwordError = window.validation.newPasswordError(values.password);
+    if (passwordError) {
+        errors.password = passwordError;
+    }
+    if (values.confirmPassword !== values.password) {
+        errors.confirmPassword = window.i18n.t('validation.passwordMismatch');
+    }
+    return errors;
+}
+
+/**
+ * Handle the registration form
+ * @param {Event} event - Submit event
+ */
+async function handleRegister(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const { elements } = form;
+    const values = {
+        name: elements.name.value.trim(),
+        email: elements.email.value.trim(),
+        password: elements.password.value,
+        confirmPassword: elements.confirmPassword.value
+    };
+
+    const errors = validateNewPassword(values);
+    if (!values.name) {
+        errors.name = window.i18n.t('validation.nameRequired');
+    }
+    if (!window.validation.isValidEmail(values.email)) {
+        errors.email = window.i18n.t('validation.emailInvalid');
+    }
+
+    const { confirmPassword, ...account } = values;
+    if (await submitAccountForm(form, errors, () => window.api.register(account))) {
+        showAccountSuccess(form, values.email);
+    }
+}
+
+/**
+ * Handle the forgot password form
+ * @param {Event} event - Submit event
+ */
+async function handleForgotPassword(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const email = form.elements.email.value.trim();
+    const errors = window.validation.isValidEmail(email) ? {} : { email: window.i18n.t('validation.emailInvalid') };
+
+    if (await submitAccountForm(form, errors, () => window.api.requestPasswordReset(email))) {
+        showAccountSuccess(form, email);
+    }
+}
+
+/**
+ * Prepare the reset password view for the token in the link
+ * @param {string} token - Token from the reset-password URL
+ */
+function prepareResetPassword(token) {
+    const form = document.getElementById('reset-password-form');
+    if (!form) return;
+
+    resetToken = token || null;
+    showAccountForm('reset-password-form');
+    form.querySelector('button[type="submit"]').disabled = !resetToken;
+
+    if (!resetToken) {
+        showError(form.querySelector('.error-message'), window.i18n.t('reset.incompleteLink'));
+    }
+}
+
+/**
+ * Handle the reset password form
+ * @param {Event} event - Submit event
+ */
+async function handleResetPassword(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const values = {
+        password: form.elements.password.value,
+        confirmPassword: form.elements.confirmPassword.value
+    };
+
+    const request = () => window.api.resetPassword(resetToken, values.password);
+    if (await submitAccountForm(form, validateNewPassword(values), request)) {
+        resetToken = null;
+        showAccountSuccess(form);
+    }
+}
+
+/**
+ * Verify the email address from the token in the verification link
+ * @param {string} token - Token from the verify-email URL
+ */
+async function verifyEmailFromLink(token) {
+    const status = document.getElementById('verify-email-status');
+    const resendForm = document.getElementById('verify-email-resend-form');
+    if (!status || !resendForm) return;
+
+    showAccountForm('verify-email-resend-form');
+    resendForm.hidden = true;
+
+    if (!token) {
+        status.textContent = window.i18n.t('verify.openLink');
+        resendForm.hidden = false;
+        return;
+    }
+
+    status.textContent = window.i18n.t('verify.verifying');
+
+    try {
+        await window.api.verifyEmail(token);
+        status.textContent = window.i18n.t('verify.verified');
+    } catch (error) {
+        status.textContent = error instanceof window.http.ValidationError
+            ? window.i18n.t('verify.invalidLink')
+            : window.app.describeError(error);
+        resendForm.hidden = false;
+    }
+}
+
+/**
+ * Handle the resend verification email form
+ * @param {Event} event - Submit event
+ */
+async function handleResendVerification(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const email = form.elements.email.value.trim();
+    const errors = window.validation.isValidEmail(email) ? {} : { email: window.i18n.t('validation.emailInvalid') };
+
+    if (await submitAccountForm(form, errors, () => window.api.resendVerification(email))) {
+        form.hidden = true;
+        document.getElementById('verify-email-status').textContent = window.i18n.t('verify.resent', { email });
+    }
+}
+
+/**
+ * Keep the navigation and session timers in step with the session store.
+ * When another tab signs in, signs out or switches user, re-run the
+ * router guards so this tab does not keep showing a view it may no
+ * longer open.
+ * @param {object} state - New session state
+ * @param {object} previous - Previous session state
+ * @param {object} details - { remote: true } for changes from another tab
+ */
+function handleSessionChange(state, previous, { remote }) {
+    updateUserInfo();
+
+    if (state.isAuthenticated) {
+        localStorage.removeItem(LOGOUT_REASON_KEY);
+        scheduleSessionWarning();
+    } else {
+        cancelSessionWarning();
+    }
+
+    const sameUser = state.user && previous.user
+        && state.user.id === previous.user.id && state.role === previous.role;
+    if (!remote || sameUser) return;
+
+    window.logger.info(state.isAuthenticated ? 'Session changed in another tab' : 'Signed out in another tab');
+    // Signed out, or another user (an impersonation started or ended)
+    window.cache.clear();
+    window.router.handleRouteChange();
+}
+
+/**
+ * Re-render the text this module shows once the language changes
+ */
+function handleAuthLocaleChange() {
+    updateUserInfo();
+    showLogoutReason();
+    if (loginChallenge) {
+        showLoginCodeMethod();
+    }
+    if (sessionCountdownInterval) {
+        updateSessionCountdown();
+    }
+}
+
 /**
  * Initialize authentication event listeners
  */
 function initializeAuthListeners() {
+    // Session changes, from this tab or another one
+    window.session.subscribe(handleSessionChange);
+    
+    window.i18n.subscribe(handleAuthLocaleChange);
+    
     // Login form
     const loginForm = document.getElementById('login-form');
     if (loginForm) {
         loginForm.addEventListener('submit', handleLogin);
     }
     
+    // Only some token storage modes can stay signed in across browser restarts
+    const rememberMe = document.getElementById('remember-me-option');
+    if (rememberMe) {
+        rememberMe.hidden = !window.session.canRemember();
+    }
+    
+    // One-time code step of a two-step sign-in
+    const loginCodeForm = document.getElementById('login-code-form');
+    if (loginCodeForm) {
+        loginCodeForm.addEventListener('submit', handleLoginCode);
+    }
+    
+    document.querySelectorAll('[data-code-method]').forEach(button => {
+        button.addEventListener('click', () => switchLoginCodeMethod(button.dataset.codeMethod));
+    });
+    
+    const loginCodeResend = document.getElementById('login-code-resend');
+    if (loginCodeResend) {
+        loginCodeResend.addEventListener('click', handleResendLoginCode);
+    }
+    
     // Logout button
     const logoutBtn = document.getElementById('logout-btn');
     if (logoutBtn) {
@@ -161,19 +870,58 @@ function initializeAuthListeners() {
     if (unauthorizedBack) {
         unauthorizedBack.addEventListener('click', () => window.router.navigate('/'));
     }
+    
+    // Links between the login and account views
+    document.querySelectorAll('[data-route]').forEach(button => {
+        button.addEventListener('click', () => window.router.navigate(button.dataset.route));
+    });
+
+    // Registration and account recovery
+    const accountForms = {
+        'register-form': handleRegister,
+        'forgot-password-form': handleForgotPassword,
+        'reset-password-form': handleResetPassword,
+        'verify-email-resend-form': handleResendVerification
+    };
+    Object.keys(accountForms).forEach(id => {
+        const form = document.getElementById(id);
+        if (form) {
+            form.addEventListener('submit', accountForms[id]);
+            form.addEventListener('input', event => {
+                const meter = form.querySelector('.password-strength');
+                if (meter && event.target.name === 'password') {
+                    window.validation.updatePasswordMeter(meter, event.target.value);
+                }
+            });
+        }
+    });
+    
+    const notFoundBack = document.getElementById('not-found-back');
+    if (notFoundBack) {
+        notFoundBack.addEventListener('click', () => window.router.navigate('/'));
+    }
+    
+    // Session expiry warning
+    const sessionStayBtn = document.getElementById('session-stay-btn');
+    if (sessionStayBtn) {
+        sessionStayBtn.addEventListener('click', handleStaySignedIn);
+    }
+    
+    const sessionLogoutBtn = document.getElementById('session-logout-btn');
+    if (sessionLogoutBtn) {
+        sessionLogoutBtn.addEventListener('click', handleLogout);
+    }
 }
 
 /**
  * Auto-login functionality for development (optional)
- * This can be removed in production
+ * Controlled by the "autoLogin" feature flag
  */
 function enableAutoLogin() {
-    // Check if auto-login is enabled in localStorage
-    const autoLogin = localStorage.getItem('autoLogin');
-    if (autoLogin === 'true' && window.api.isAuthenticated()) {
+    if (window.config.isFeatureEnabled('autoLogin') && window.api.isAuthenticated()) {
         const user = window.api.getCurrentUser();
         if (user) {
-            console.log('Auto-login enabled for user:', user.email);
+            window.logger.info('Auto-login enabled for user:', user.email);
             // Don't automatically navigate, let user choose
         }
     }
@@ -182,11 +930,23 @@ function enableAutoLogin() {
 // Export authentication functions
 window.auth = {
     handleLogin,
+    handleLoginCode,
+    prepareLoginCode,
     handleLogout,
+    handleRegister,
+    handleForgotPassword,
+    handleResetPassword,
+    showAccountForm,
+    prepareResetPassword,
+    verifyEmailFromLink,
+    signOut,
+    showLogoutReason,
     updateUserInfo,
     hasRole,
     getUserRole,
     isTokenExpired,
+    scheduleSessionWarning,
+    cancelSessionWarning,
     initializeAuthListeners,
     enableAutoLogin
 };
\ No newline at end of file
@@ -0,0 +1,148 @@
+// Response cache scoped to the signed-in user, kept in memory and
+// optionally mirrored to IndexedDB so dashboards survive reloads and outages
+
+const CACHE_DB_NAME = 'auth-system-cache';
+const CACHE_STORE_NAME = 'responses';
+const CACHE_SCOPE_KEY = 'cacheScope';
+
+// key -> { data, storedAt }
+const memoryCache = new Map();
+
+let databasePromise = null;
+
+/**
+ * Get the scope cached entries belong to. Role is part of the scope so a
+ * role change never serves data fetched under the old role.
+ * @returns {string|null} Scope, or null when nobody is signed in
+ */
+function getScope() {
+    const user = window.api.getCurrentUser();
+    return user ? `${user.id}:${user.role}` : null;
+}
+
+/**
+ * Drop every entry if the signed-in user or role changed since the last call
+ * @returns {Promise<string|null>} Current scope
+ */
+async function checkScope() {
+    const scope = getScope();
+    if (scope && localStorage.getItem(CACHE_SCOPE_KEY) !== scope) {
+        await clearCache();
+        localStorage.setItem(CACHE_SCOPE_KEY, scope);
+    }
+    return scope;
+}
+
+/**
+ * Open the IndexedDB database, resolving to null when persistence is off
+ * or IndexedDB is unavailable
+ */
+function openDatabase() {
+    if (!window.indexedDB || !window.config.isFeatureEnabled('persistentCache')) {
+        return Promise.resolve(null);
+    }
+
+    if (!databasePromise) {
+        databasePromise = new Promise(resolve => {
+            const request = window.indexedDB.open(CACHE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(CACHE_STORE_NAME);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                window.logger.warn('Response cache: IndexedDB unavailable', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Run a single request against the object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} operation - (store) => IDBRequest
+ */
+async function withStore(mode, operation) {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    return new Promise(resolve => {
+        const request = operation(db.transaction(CACHE_STORE_NAME, mode).objectStore(CACHE_STORE_NAME));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+    });
+}
+
+/**
+ * Get a cached entry for an endpoint
+ * @param {string} endpoint - API endpoint
+ * @returns {Promise<object|null>} { data, storedAt, age } or null
+ */
+async function getEntry(endpoint) {
+    const scope = await checkScope();
+    if (!scope) return null;
+
+    const key = `${scope}|${endpoint}`;
+    let entry = memoryCache.get(key);
+
+    if (!entry) {
+        entry = await withStore('readonly', store => store.get(key));
+        if (entry) {
+            memoryCache.set(key, entry);
+        }
+    }
+
+    return entry ? { ...entry, age: Date.now() - entry.storedAt } : null;
+}
+
+/**
+ * Store a response for an endpoint
+ * @param {string} endpoint - API endpoint
+ * @param {object} data - Parsed response body
+ */
+async function setEntry(endpoint, data) {
+    const scope = await checkScope();
+    if (!scope) return;
+
+    const key = `${scope}|${endpoint}`;
+    const entry = { data, storedAt: Date.now() };
+    memoryCache.set(key, entry);
+    await withStore('readwrite', store => store.put(entry, key));
+}
+
+/**
+ * Remove the entries for one endpoint in the current scope, including
+ * every query string variant of it (/admin/users?page=2, ...)
+ * @param {string} endpoint - API endpoint without query string
+ */
+async function invalidate(endpoint) {
+    const scope = getScope();
+    if (!scope) return;
+
+    const key = `${scope}|${endpoint}`;
+    for (const cachedKey of memoryCache.keys()) {
+        if (cachedKey === key || cachedKey.startsWith(`${key}?`)) {
+            memoryCache.delete(cachedKey);
+        }
+    }
+    await withStore('readwrite', store => store.delete(key));
+    await withStore('readwrite', store => store.delete(IDBKeyRange.bound(`${key}?`, `${key}?￿`)));
+}
+
+/**
+ * Remove every cached entry for every user
+ */
+async function clearCache() {
+    memoryCache.clear();
+    localStorage.removeItem(CACHE_SCOPE_KEY);
+    await withStore('readwrite', store => store.clear());
+}
+
+// Export cache functions
+window.cache = {
+    get: getEntry,
+    set: setEntry,
+    invalidate,
+    clear: clearCache
+};
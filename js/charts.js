@@ -0,0 +1,128 @@
+// Dependency-free SVG charts. Each function returns an html template for
+// window.safeHtml.render, so callers can pass raw data.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_COLORS = ['#3498db', '#e67e22', '#27ae60', '#9b59b6', '#e74c3c', '#95a5a6'];
+
+/**
+ * Render a donut chart with a legend
+ * @param {Array<object>} segments - { label, value, color }
+ * @param {object} options - { size, thickness, title, centerLabel }
+ * @returns {SafeHtml}
+ */
+function donutChart(segments, options = {}) {
+    const { html } = window.safeHtml;
+    const { size = 160, thickness = 28, title = '', centerLabel = window.i18n.t('charts.total') } = options;
+    const radius = (size - thickness) / 2;
+    const circumference = 2 * Math.PI * radius;
+    const total = segments.reduce((sum, segment) => sum + segment.value, 0);
+
+    let offset = 0;
+    const arcs = segments.map((segment, i) => {
+        const length = total ? (segment.value / total) * circumference : 0;
+        const arc = html`
+            <circle cx="${size / 2}" cy="${size / 2}" r="${radius}" fill="none"
+                stroke="${segment.color || CHART_COLORS[i % CHART_COLORS.length]}" stroke-width="${thickness}"
+                stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}">
+                <title>${segment.label}: ${segment.value}</title>
+            </circle>
+        `;
+        offset += length;
+        return arc;
+    });
+
+    const summary = segments.map(segment => `${segment.label}: ${segment.value}`).join(', ');
+    const legend = segments.map((segment, i) => html`
+        <li>
+            <span class="chart-swatch" style="background: ${segment.color || CHART_COLORS[i % CHART_COLORS.length]};"></span>
+            ${segment.label} <strong>${segment.value}</strong>
+            (${total ? Math.round((segment.value / total) * 100) : 0}%)
+        </li>
+    `);
+
+    return html`
+        <figure class="chart chart-donut">
+            <svg xmlns="${SVG_NS}" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}" role="img" aria-label="${title} (${summary})">
+                <g transform="rotate(-90 ${size / 2} ${size / 2})">
+                    <circle cx="${size / 2}" cy="${size / 2}" r="${radius}" fill="none" stroke="#ecf0f1" stroke-width="${thickness}"></circle>
+                    ${arcs}
+                </g>
+                <text x="50%" y="48%" text-anchor="middle" class="chart-total">${total}</text>
+                <text x="50%" y="62%" text-anchor="middle" class="chart-caption">${centerLabel}</text>
+            </svg>
+            <ul class="chart-legend">${legend}</ul>
+        </figure>
+    `;
+}
+
+/**
+ * Render a line chart with a shaded area
+ * @param {Array<object>} points - { label, value } in chronological order
+ * @param {object} options - { width, height, title, color }
+ * @returns {SafeHtml}
+ */
+function lineChart(points, options = {}) {
+    const { html } = window.safeHtml;
+    const { width = 480, height = 200, title = '', color = CHART_COLORS[0] } = options;
+
+    if (!points.length) {
+        return html`<p class="chart-empty">${window.i18n.t('charts.empty')}</p>`;
+    }
+
+    const padding = { top: 10, right: 10, bottom: 24, left: 36 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const max = Math.max(1, ...points.map(point => point.value));
+
+    const x = i => padding.left + (points.length === 1 ? plotWidth / 2 : (i / (points.length - 1)) * plotWidth);
+    const y = value => padding.top + plotHeight - (value / max) * plotHeight;
+
+    const coordinates = points.map((point, i) => `${x(i).toFixed(1)},${y(point.value).toFixed(1)}`);
+    const baseline = padding.top + plotHeight;
+    const area = `M${x(0).toFixed(1)},${baseline} L${coordinates.join(' L')} L${x(points.length - 1).toFixed(1)},${baseline} Z`;
+
+    const ticks = [0, Math.round(max / 2), max].map(value => html`
+        <line x1="${padding.left}" x2="${width - padding.right}" y1="${y(value)}" y2="${y(value)}" class="chart-grid"></line>
+        <text x="${padding.left - 6}" y="${y(value) + 4}" text-anchor="end" class="chart-axis">${value}</text>
+    `);
+
+    // Label the first, middle and last points so labels never overlap
+    const labelled = [...new Set([0, Math.floor((points.length - 1) / 2), points.length - 1])];
+    const labels = labelled.map(i => html`
+        <text x="${x(i)}" y="${height - 6}" text-anchor="middle" class="chart-axis">${points[i].label}</text>
+    `);
+
+    const dots = points.map((point, i) => html`
+        <circle cx="${x(i).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="3" fill="${color}">
+            <title>${point.label}: ${point.value}</title>
+        </circle>
+    `);
+
+    const last = points[points.length - 1];
+    const summary = window.i18n.t('charts.lineSummary', {
+        title,
+        first: points[0].value,
+        firstLabel: points[0].label,
+        last: last.value,
+        lastLabel: last.label
+    });
+
+    return html`
+        <figure class="chart chart-line">
+            <svg xmlns="${SVG_NS}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${summary}">
+                ${ticks}
+                <path d="${area}" fill="${color}" fill-opacity="0.15"></path>
+                <polyline points="${coordinates.join(' ')}" fill="none" stroke="${color}" stroke-width="2"></polyline>
+                ${dots}
+                ${labels}
+            </svg>
+        </figure>
+    `;
+}
+
+// Export chart functions
+window.charts = {
+    donut: donutChart,
+    line: lineChart,
+    COLORS: CHART_COLORS
+};
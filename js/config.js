@@ -0,0 +1,215 @@
+// Runtime configuration loader
+
+// Used when config.json is missing or does not set a value
+const DEFAULT_CONFIG = {
+    apiBaseUrl: 'http://localhost:3000/api',
+    requestTimeout: 15000,
+    logLevel: 'info',
+    // 'hash' (#/admin) or 'history' (/admin, needs a server fallback to index.html)
+    routerMode: 'hash',
+    // Path the app is served from in history mode, e.g. '/frontend'
+    basePath: '',
+    // Admin stats dashboard polling interval (ms); 0 turns auto-refresh off
+    statsRefreshInterval: 30000,
+    // Inactivity sign-out per role (s); roles not listed or 0 never time out
+    idleTimeouts: { admin: 15 * 60, support: 15 * 60, auditor: 15 * 60, customer: 30 * 60 },
+    // How long before the inactivity sign-out the countdown is shown (s)
+    idleWarning: 60,
+    // Admin activity log entries kept on this device; the oldest are dropped
+    auditMaxEntries: 1000,
+    // How often the activity log is sent to /admin/audit (ms); 0 keeps it on the device
+    auditFlushInterval: 0,
+    // Where the session lives: 'auto' ("remember me" picks localStorage or
+    // sessionStorage), 'local', 'session', 'memory' or 'cookie' (httpOnly)
+    tokenStorage: 'auto',
+    allowOverrides: false,
+    features: {}
+};
+
+const CONFIG_URL = 'config.json';
+const OVERRIDES_KEY = 'configOverrides';
+
+// Settings that can be overridden from the query string or localStorage
+const OVERRIDABLE_KEYS = ['environment', 'apiBaseUrl', 'requestTimeout', 'logLevel', 'tokenStorage', 'features'];
+
+let currentConfig = { ...DEFAULT_CONFIG, environment: 'development' };
+
+/**
+ * Load the runtime configuration. Resolution order, later wins:
+ * defaults, the environment profile from config.json, <meta name="app-config:*">
+ * tags, then local overrides (only when the profile allows them).
+ */
+async function loadConfig() {
+    const file = await fetchConfigFile();
+    const profiles = (file && file.environments) || {};
+
+    const detected = detectEnvironment(file);
+    const detectedProfile = profiles[detected] || {};
+    const overrides = detectedProfile.allowOverrides ? readOverrides() : {};
+
+    const environment = overrides.environment || detected;
+    delete overrides.environment;
+
+    let config = mergeConfig(DEFAULT_CONFIG, profiles[environment] || {});
+    config = mergeConfig(config, readMetaConfig());
+    config = mergeConfig(config, overrides);
+
+    currentConfig = { ...config, environment };
+    return currentConfig;
+}
+
+/**
+ * Fetch config.json, returning null if it cannot be loaded
+ */
+async function fetchConfigFile() {
+    try {
+        const response = await fetch(CONFIG_URL, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.warn('Could not load config.json, using defaults:', error);
+        return null;
+    }
+}
+
+/**
+ * Work out which environment profile applies to this page
+ * @param {object|null} file - Parsed config.json
+ */
+function detectEnvironment(file) {
+    const meta = document.querySelector('meta[name="app-environment"]');
+    if (meta && meta.content) {
+        return meta.content;
+    }
+
+    const profiles = (file && file.environments) || {};
+    const hostname = window.location.hostname;
+    const match = Object.keys(profiles).find(name => {
+        const hosts = profiles[name].hosts || [];
+        return hosts.some(pattern => matchesHost(hostname, pattern));
+    });
+
+    return match || (file && file.defaultEnvironment) || 'development';
+}
+
+/**
+ * Match a hostname against a pattern such as "*.replit.dev"
+ * @param {string} hostname
+ * @param {string} pattern
+ */
+function matchesHost(hostname, pattern) {
+    if (pattern.startsWith('*.')) {
+        return hostname.endsWith(pattern.slice(1));
+    }
+    return hostname === pattern;
+}
+
+/**
+ * Read values from <meta name="app-config:key" content="value"> tags
+ */
+function readMetaConfig() {
+    const config = {};
+    document.querySelectorAll('meta[name^="app-config:"]').forEach(meta => {
+        const key = meta.getAttribute('name').slice('app-config:'.length);
+        config[key] = parseValue(meta.content);
+    });
+    return config;
+}
+
+/**
+ * Read development overrides from localStorage and the query string.
+ * Query parameters win and only apply to the current page load.
+ */
+function readOverrides() {
+    let overrides = {};
+
+    try {
+        overrides = JSON.parse(localStorage.getItem(OVERRIDES_KEY)) || {};
+    } catch (error) {
+        console.warn('Ignoring invalid config overrides in localStorage');
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('env')) {
+        overrides.environment = params.get('env');
+    }
+    ['apiBaseUrl', 'requestTimeout', 'logLevel'].forEach(key => {
+        if (params.has(key)) {
+            overrides[key] = parseValue(params.get(key));
+        }
+    });
+
+    return pick(overrides, OVERRIDABLE_KEYS);
+}
+
+/**
+ * Persist development overrides in localStorage (applied on next load)
+ * @param {object|null} overrides - Values to store, or null to clear them
+ */
+function setOverrides(overrides) {
+    if (!overrides) {
+        localStorage.removeItem(OVERRIDES_KEY);
+        return;
+    }
+    localStorage.setItem(OVERRIDES_KEY, JSON.stringify(pick(overrides, OVERRIDABLE_KEYS)));
+}
+
+/**
+ * Merge two config objects, combining their feature flags
+ */
+function mergeConfig(base, extra) {
+    const merged = { ...base, ...extra };
+    merged.features = { ...base.features, ...extra.features };
+    delete merged.hosts;
+    return merged;
+}
+
+/**
+ * Keep only the given keys of an object
+ */
+function pick(source, keys) {
+    const result = {};
+    keys.forEach(key => {
+        if (source[key] !== undefined) {
+            result[key] = source[key];
+        }
+    });
+    return result;
+}
+
+/**
+ * Convert a string setting to a number or boolean where it looks like one
+ * @param {string} value
+ */
+function parseValue(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value !== '' && !isNaN(value)) return Number(value);
+    return value;
+}
+
+/**
+ * Get a configuration value
+ * @param {string} key - Setting name (e.g., 'apiBaseUrl')
+ */
+function getConfig(key) {
+    return currentConfig[key];
+}
+
+/**
+ * Check whether a feature flag is enabled
+ * @param {string} name - Feature flag name
+ */
+function isFeatureEnabled(name) {
+    return currentConfig.features[name] === true;
+}
+
+// Export configuration functions
+window.config = {
+    load: loadConfig,
+    get: getConfig,
+    isFeatureEnabled,
+    setOverrides
+};
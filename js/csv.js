@@ -0,0 +1,106 @@
+// CSV reading and writing for the admin imports and exports.
+//
+// Files from spreadsheets vary: a UTF-8 byte order mark, CRLF or LF line
+// ends, and semicolons instead of commas (Excel in many locales) are all
+// accepted. Written files use commas and CRLF.
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Pick the delimiter used in the header line
+ * @param {string} text
+ */
+function detectCsvDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const counts = CSV_DELIMITERS.map(delimiter => header.split(delimiter).length - 1);
+    const best = counts.indexOf(Math.max(...counts));
+    return counts[best] > 0 ? CSV_DELIMITERS[best] : ',';
+}
+
+/**
+ * Parse CSV text into rows of cells. Quoted cells may contain delimiters,
+ * line breaks and doubled quotes. Blank lines are skipped.
+ * @param {string} text
+ * @param {object} options
+ * @param {string} options.delimiter - Cell separator (default: detected)
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text, { delimiter } = {}) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const separator = delimiter || detectCsvDelimiter(source);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length) {
+        endRow();
+    }
+    return rows;
+}
+
+/**
+ * Write objects (or arrays) as CSV with a header line
+ * @param {Array<object>} rows
+ * @param {Array<string|number>} columns - Properties (or indexes) to write, in order
+ * @param {Array<string>} headers - Header line (default: the column names)
+ * @returns {string}
+ */
+function stringifyCsv(rows, columns, headers = columns) {
+    return [headers.map(toCsvCell).join(',')]
+        .concat(rows.map(row => columns.map(column => toCsvCell(row[column])).join(',')))
+        .join('\r\n');
+}
+
+/**
+ * Quote a CSV value. Text that a spreadsheet would run as a formula is
+ * prefixed with an apostrophe.
+ * @param {*} value
+ */
+function toCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export CSV helpers
+window.csv = {
+    parse: parseCsv,
+    stringify: stringifyCsv
+};
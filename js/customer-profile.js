@@ -0,0 +1,319 @@
+// Customer profile: read-only summary with an edit mode for name, email and
+// password. Email and password changes need the current password.
+
+let currentProfile = null;
+let editingProfile = false;
+
+/**
+ * Load the profile into the customer view
+ */
+function loadProfile() {
+    const container = document.getElementById('customer-profile');
+    if (!container) return;
+
+    editingProfile = false;
+
+    const apply = response => {
+        if (response.success && response.profile) {
+            currentProfile = response.profile;
+            // Never replace a form the customer is typing in
+            if (!editingProfile) {
+                renderProfile();
+            }
+        }
+    };
+
+    window.a11y.setBusy(container, true);
+    window.api.getCustomerProfile({ onUpdate: apply })
+        .then(apply)
+        .catch(error => {
+            const { html, render } = window.safeHtml;
+            render(container, html`
+                <p style="color: #e74c3c;">${window.i18n.t('profile.loadFailed', { message: window.app.describeError(error) })}</p>
+            `);
+        })
+        .finally(() => window.a11y.setBusy(container, false));
+}
+
+/**
+ * Render the read-only profile
+ * @param {string} message - Optional confirmation shown above the details
+ */
+function renderProfile(message) {
+    const container = document.getElementById('customer-profile');
+    if (!container || !currentProfile) return;
+
+    const { html, render } = window.safeHtml;
+    const { t, formatDate } = window.i18n;
+    const { name, email, role, accountStatus, memberSince } = currentProfile;
+    render(container, html`
+        ${message && html`<div class="success-message" role="status">✓ ${message}</div>`}
+        <p><strong>${t('fields.name')}</strong> ${name}</p>
+        <p><strong>${t('fields.email')}</strong> ${email}</p>
+        <p><strong>${t('fields.role')}</strong> ${t(`roles.${role}`, { defaultValue: role })}</p>
+        <p><strong>${t('profile.accountStatus')}</strong> ${t(`status.${accountStatus}`, { defaultValue: accountStatus })}</p>
+        <p><strong>${t('profile.memberSince')}</strong> ${formatDate(memberSince, { dateStyle: 'long' })}</p>
+        <button type="button" class="btn btn-small btn-secondary" data-action="edit-profile">${t('profile.edit')}</button>
+    `);
+}
+
+/**
+ * Render the profile edit form
+ */
+function renderProfileForm() {
+    const container = document.getElementById('customer-profile');
+    if (!container || !currentProfile) return;
+
+    const { html, render } = window.safeHtml;
+    const { t } = window.i18n;
+    render(container, html`
+        <form id="profile-form" novalidate>
+            <div class="form-group">
+                <label for="profile-name">${t('fields.name')}</label>
+                <input type="text" id="profile-name" name="name" value="${currentProfile.name}" autocomplete="name" aria-describedby="profile-name-error" required>
+                <div class="field-error" id="profile-name-error" data-error-for="name"></div>
+            </div>
+            <div class="form-group">
+                <label for="profile-email">${t('fields.email')}</label>
+                <input type="email" id="profile-email" name="email" value="${currentProfile.email}" autocomplete="email" aria-describedby="profile-email-error" required>
+                <div class="field-error" id="profile-email-error" data-error-for="email"></div>
+            </div>
+            <div class="form-group" data-requires="profile:security">
+                <label for="profile-new-password">${t('fields.newPassword')}</label>
+                <input type="password" id="profile-new-password" name="newPassword" autocomplete="new-password" aria-describedby="profile-new-password-hint profile-new-password-error">
+                <small id="profile-new-password-hint" class="field-hint">${t('profile.newPasswordHint')}</small>
+                <div class="password-strength" data-score="0" hidden>
+                    <div class="password-strength-bar"><span></span></div>
+                    <span class="password-strength-label" aria-live="polite"></span>
+                </div>
+                <div class="field-error" id="profile-new-password-error" data-error-for="newPassword"></div>
+            </div>
+            <div class="form-group" data-requires="profile:security">
+                <label for="profile-confirm-password">${t('fields.confirmNewPassword')}</label>
+                <input type="password" id="profile-confirm-password" name="confirmPassword" autocomplete="new-password" aria-describedby="profile-confirm-password-error">
+                <div class="field-error" id="profile-confirm-password-error" data-error-for="confirmPassword"></div>
+            </div>
+            <div class="form-group" id="profile-current-password-group" hidden>
+                <label for="profile-current-password">${t('fields.currentPassword')}</label>
+                <input type="password" id="profile-current-password" name="currentPassword" autocomplete="current-password" aria-describedby="profile-current-password-hint profile-current-password-error">
+                <small id="profile-current-password-hint" class="field-hint">${t('profile.currentPasswordHint')}</small>
+                <div class="field-error" id="profile-current-password-error" data-error-for="currentPassword"></div>
+            </div>
+            <div class="error-message" style="display: none;"></div>
+            <div class="user-actions">
+                <button type="submit" class="btn btn-small btn-primary">${t('profile.save')}</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="cancel-profile">${t('common.cancel')}</button>
+            </div>
+        </form>
+    `);
+
+    container.querySelector('#profile-name').focus();
+}
+
+/**
+ * Read trimmed values from the profile form
+ * @param {HTMLFormElement} form
+ */
+function readProfileForm(form) {
+    const { elements } = form;
+    return {
+        name: elements.name.value.trim(),
+        email: elements.email.value.trim(),
+        newPassword: elements.newPassword.value,
+        confirmPassword: elements.confirmPassword.value,
+        currentPassword: elements.currentPassword.value
+    };
+}
+
+/**
+ * Check whether the form changes the email or password
+ * @param {object} values - Form values
+ */
+function isSensitiveChange(values) {
+    return values.email !== currentProfile.email || values.newPassword !== '';
+}
+
+/**
+ * Validate the profile form
+ * @param {object} values - Form values
+ * @returns {object} Field name to message; empty when valid
+ */
+function validateProfile(values) {
+    const { isValidEmail, newPasswordError } = window.validation;
+    const { t } = window.i18n;
+    const errors = {};
+
+    if (!values.name) {
+        errors.name = t('validation.nameRequired');
+    }
+    if (!isValidEmail(values.email)) {
+        errors.email = t('validation.emailInvalid');
+    }
+    if (values.newPassword) {
+        const passwordError = newPasswordError(values.newPassword);
+        if (passwordError) {
+            errors.newPassword = passwordError;
+        }
+        if (values.confirmPassword !== values.newPassword) {
+            errors.confirmPassword = t('validation.passwordMismatch');
+        }
+    }
+    if (isSensitiveChange(values) && !values.currentPassword) {
+        errors.currentPassword = t('validation.currentPasswordRequired');
+    }
+    return errors;
+}
+
+/**
+ * Update the strength meter and show the current password field when needed
+ * @param {HTMLFormElement} form
+ */
+function updateProfileForm(form) {
+    const values = readProfileForm(form);
+
+    window.validation.updatePasswordMeter(form.querySelector('.password-strength'), values.newPassword);
+
+    form.querySelector('#profile-current-password-group').hidden = !isSensitiveChange(values);
+}
+
+/**
+ * Show or clear the form-level error message
+ * @param {HTMLFormElement} form
+ * @param {string|null} message
+ */
+function setProfileFormError(form, message) {
+    const errorDiv = form.querySelector('.error-message');
+    errorDiv.textContent = message || '';
+    errorDiv.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Show server-side validation errors next to their fields; messages for
+ * fields the form does not have go into the form-level error
+ * @param {HTMLFormElement} form
+ * @param {object} fields - ValidationError.fields
+ * @returns {HTMLElement|null} First invalid field
+ */
+function showServerErrors(form, fields) {
+    const unmatched = Object.keys(fields).filter(name => !form.elements[name]);
+    setProfileFormError(form, unmatched.map(name => fields[name]).join('. ') || null);
+
+    // The current password field may be hidden when the server asks for it
+    if (fields.currentPassword) {
+        form.querySelector('#profile-current-password-group').hidden = false;
+    }
+    return window.validation.showFieldErrors(form, fields);
+}
+
+/**
+ * Save the profile form
+ * @param {Event} event - Submit event
+ */
+async function handleProfileSubmit(event) {
+    event.preventDefault();
+
+    let form = event.target;
+    const values = readProfileForm(form);
+    const invalid = window.validation.showFieldErrors(form, validateProfile(values));
+    setProfileFormError(form, null);
+    if (invalid) {
+        invalid.focus();
+        return;
+    }
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    let updatedProfile = false;
+    let updatedPassword = false;
+    try {
+        if (values.name !== currentProfile.name || values.email !== currentProfile.email) {
+            const changes = { name: values.name, email: values.email };
+            if (values.email !== currentProfile.email) {
+                changes.currentPassword = values.currentPassword;
+            }
+            const response = await window.api.updateProfile(changes);
+            currentProfile = response.profile || { ...currentProfile, name: values.name, email: values.email };
+            updatedProfile = true;
+        }
+
+        if (values.newPassword) {
+            await window.api.changePassword(values.currentPassword, values.newPassword);
+            updatedPassword = true;
+        }
+    } catch (error) {
+        submitBtn.disabled = false;
+        if (updatedProfile) {
+            // Only the password change failed: show the saved name and email
+            // and let the customer try the password again
+            renderProfileForm();
+            form = document.getElementById('profile-form');
+            window.notifications.notify(window.i18n.t('profile.passwordNotChanged'), { type: 'warning' });
+        }
+        const fields = error instanceof window.http.ValidationError ? error.fields : {};
+        const field = Object.keys(fields).length
+            ? showServerErrors(form, fields)
+            : setProfileFormError(form, window.app.describeError(error));
+        if (field) {
+            field.focus();
+        }
+        return;
+    }
+
+    editingProfile = false;
+    let messageKey = 'profile.noChanges';
+    if (updatedProfile && updatedPassword) {
+        messageKey = 'profile.updatedBoth';
+    } else if (updatedProfile || updatedPassword) {
+        messageKey = updatedProfile ? 'profile.updatedProfile' : 'profile.updatedPassword';
+    }
+    renderProfile(window.i18n.t(messageKey));
+}
+
+/**
+ * Initialize profile event listeners
+ */
+function initializeProfile() {
+    const container = document.getElementById('customer-profile');
+    if (!container) return;
+
+    container.addEventListener('click', event => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        if (button.dataset.action === 'edit-profile') {
+            editingProfile = true;
+            renderProfileForm();
+        }
+        if (button.dataset.action === 'cancel-profile') {
+            editingProfile = false;
+            renderProfile();
+        }
+    });
+
+    container.addEventListener('input', event => {
+        const form = event.target.closest('#profile-form');
+        if (form) {
+            updateProfileForm(form);
+        }
+    });
+
+    container.addEventListener('submit', event => {
+        if (event.target.id === 'profile-form') {
+            handleProfileSubmit(event);
+        }
+    });
+
+    // Leave an open form alone so nothing typed is lost
+    window.i18n.subscribe(() => {
+        if (!editingProfile) {
+            renderProfile();
+        }
+    });
+}
+
+// Export customer profile functions
+window.customerProfile = {
+    loadProfile,
+    initializeProfile
+};
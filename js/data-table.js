@@ -0,0 +1,270 @@
+// Data table component with search, filters, sortable columns and
+// pagination. The table does not fetch anything itself: it reports state
+// changes through onChange and the owner passes rows back with setRows.
+
+const DEFAULT_PAGE_SIZES = [10, 20, 50];
+const SEARCH_DEBOUNCE = 300;
+
+class DataTable {
+    /**
+     * @param {HTMLElement} container - Element the table is rendered into
+     * @param {object} options
+     * @param {Array<object>} options.columns - { key, label, sortable, render(row) returning an html template or a value to escape }
+     * @param {Array<object>} options.filters - { key, label, options: [{ value, label }] }
+     * @param {function} options.onChange - (state, { replace }) when the user changes the state
+     * @param {function} options.renderRow - (row) returning a custom <tr> html template, or null for the default
+     * @param {function} options.rowClass - (row) returning extra row classes
+     * @param {string} options.rowKey - Row property used for data-row-key (default 'id')
+     * @param {string} options.searchPlaceholder - Placeholder of the search box
+     * @param {string} options.emptyMessage - Shown when there are no rows
+     * @param {string} options.itemLabel - Plural noun for the summary (default 'items')
+     */
+    constructor(container, options) {
+        this.container = container;
+        this.options = {
+            filters: [],
+            pageSizes: DEFAULT_PAGE_SIZES,
+            rowKey: 'id',
+            rowClass: () => '',
+            renderRow: () => null,
+            searchPlaceholder: window.i18n.t('table.search'),
+            emptyMessage: window.i18n.t('table.empty'),
+            itemLabel: window.i18n.t('table.items'),
+            ...options
+        };
+        this.state = { page: 1, limit: this.options.pageSizes[1] || this.options.pageSizes[0], sort: '', order: 'asc', q: '', filters: {} };
+        this.rows = [];
+        this.total = 0;
+        this.searchTimer = null;
+
+        this.renderSkeleton();
+    }
+
+    /**
+     * Build the toolbar, table and footer once so the search box keeps
+     * focus while rows are re-rendered
+     */
+    renderSkeleton() {
+        const { html, render } = window.safeHtml;
+        const filters = this.options.filters.map(filter => html`
+            <label class="data-table-filter">
+                ${filter.label}
+                <select data-table-filter="${filter.key}">
+                    ${filter.options.map(option => html`<option value="${option.value}">${option.label}</option>`)}
+                </select>
+            </label>
+        `);
+
+        render(this.container, html`
+            <div class="data-table">
+                <div class="data-table-toolbar">
+                    <input type="search" class="data-table-search" placeholder="${this.options.searchPlaceholder}" aria-label="${this.options.searchPlaceholder}">
+                    ${filters}
+                </div>
+                <div class="data-table-status" role="status"></div>
+                <div class="data-table-scroll">
+                    <table>
+                        <thead></thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+                <div class="data-table-footer"></div>
+            </div>
+        `);
+
+        this.root = this.container.querySelector('.data-table');
+        this.searchInput = this.root.querySelector('.data-table-search');
+
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.update({ q: this.searchInput.value.trim(), page: 1 }, { replace: true });
+            }, SEARCH_DEBOUNCE);
+        });
+
+        this.root.querySelectorAll('[data-table-filter]').forEach(select => {
+            select.addEventListener('change', () => {
+                const filters = { ...this.state.filters, [select.dataset.tableFilter]: select.value };
+                this.update({ filters, page: 1 });
+            });
+        });
+
+        this.root.addEventListener('click', event => this.handleClick(event));
+        this.root.addEventListener('change', event => {
+            if (event.target.matches('[data-table-page-size]')) {
+                this.update({ limit: Number(event.target.value), page: 1 });
+            }
+        });
+    }
+
+    /**
+     * Handle clicks on sortable headers and pagination buttons
+     * @param {MouseEvent} event
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-table-action]');
+        if (!button || button.disabled) return;
+
+        const { tableAction, key, page } = button.dataset;
+        if (tableAction === 'sort') {
+            const order = this.state.sort === key && this.state.order === 'asc' ? 'desc' : 'asc';
+            this.update({ sort: key, order, page: 1 });
+        }
+        if (tableAction === 'page') {
+            this.update({ page: Number(page) });
+        }
+    }
+
+    /**
+     * Apply a user change and report it to the owner
+     * @param {object} changes - Partial state
+     * @param {object} options - { replace: true } for changes that should not add history entries
+     */
+    update(changes, options = {}) {
+        this.setState({ ...this.state, ...changes });
+        this.options.onChange(this.state, options);
+    }
+
+    /**
+     * Set the table state (e.g. from the URL) and sync the controls
+     * @param {object} state - { page, limit, sort, order, q, filters }
+     */
+    setState(state) {
+        this.state = { ...this.state, ...state, filters: { ...state.filters } };
+
+        if (document.activeElement !== this.searchInput) {
+            this.searchInput.value = this.state.q || '';
+        }
+        this.root.querySelectorAll('[data-table-filter]').forEach(select => {
+            select.value = this.state.filters[select.dataset.tableFilter] || '';
+        });
+        this.renderHeader();
+    }
+
+    /**
+     * Show a page of rows
+     * @param {Array<object>} rows - Rows of the current page
+     * @param {number} total - Number of rows across all pages
+     */
+    setRows(rows, total) {
+        this.rows = rows;
+        this.total = total;
+        this.setLoading(false);
+        this.setStatus('');
+        this.renderBody();
+        this.renderFooter();
+    }
+
+    /**
+     * Mark the table as loading
+     * @param {boolean} loading
+     */
+    setLoading(loading) {
+        this.root.classList.toggle('data-table-loading', loading);
+        this.root.setAttribute('aria-busy', loading ? 'true' : 'false');
+    }
+
+    /**
+     * Show an error above the table
+     * @param {string} message
+     */
+    setError(message) {
+        this.setLoading(false);
+        this.setStatus(message, true);
+    }
+
+    /**
+     * Set the status line above the table
+     * @param {string} message
+     * @param {boolean} isError
+     */
+    setStatus(message, isError = false) {
+        const status = this.root.querySelector('.data-table-status');
+        status.textContent = message;
+        status.classList.toggle('data-table-error', isError);
+    }
+
+    /**
+     * Re-render the rows, e.g. after a row changed locally
+     */
+    refresh() {
+        this.renderBody();
+        this.renderFooter();
+    }
+
+    /**
+     * Render the header with the current sort indicators
+     */
+    renderHeader() {
+        const { html, render } = window.safeHtml;
+        const cells = this.options.columns.map(column => {
+            if (!column.sortable) {
+                return html`<th scope="col">${column.label}</th>`;
+            }
+
+            const active = this.state.sort === column.key;
+            const ariaSort = active ? (this.state.order === 'asc' ? 'ascending' : 'descending') : 'none';
+            const arrow = active ? (this.state.order === 'asc' ? ' ▲' : ' ▼') : '';
+            return html`
+                <th scope="col" aria-sort="${ariaSort}">
+                    <button type="button" class="data-table-sort" data-table-action="sort" data-key="${column.key}">${column.label}${arrow}</button>
+                </th>
+            `;
+        });
+
+        render(this.root.querySelector('thead'), html`<tr>${cells}</tr>`);
+    }
+
+    /**
+     * Render the rows of the current page
+     */
+    renderBody() {
+        const { html, render } = window.safeHtml;
+        const { columns, rowKey, rowClass, renderRow, emptyMessage } = this.options;
+        const tbody = this.root.querySelector('tbody');
+
+        if (!this.rows.length) {
+            render(tbody, html`<tr><td colspan="${columns.length}" class="data-table-empty">${emptyMessage}</td></tr>`);
+            return;
+        }
+
+        render(tbody, html`${this.rows.map(row => {
+            const custom = renderRow(row);
+            if (custom) return custom;
+
+            const cells = columns.map(column => html`<td data-label="${column.label}">${column.render ? column.render(row) : row[column.key]}</td>`);
+            return html`<tr class="${rowClass(row)}" data-row-key="${row[rowKey]}">${cells}</tr>`;
+        })}`);
+    }
+
+    /**
+     * Render the summary, page size selector and pagination buttons
+     */
+    renderFooter() {
+        const { page, limit } = this.state;
+        const totalPages = Math.max(1, Math.ceil(this.total / limit));
+        const first = this.total ? (page - 1) * limit + 1 : 0;
+        const last = Math.min(page * limit, this.total);
+
+        const { html, render } = window.safeHtml;
+        const { t } = window.i18n;
+        const sizes = this.options.pageSizes
+            .map(size => html`<option value="${size}" ${size === limit ? 'selected' : ''}>${size}</option>`);
+
+        render(this.root.querySelector('.data-table-footer'), html`
+            <span class="data-table-summary">${t('table.summary', { first, last, total: this.total, items: this.options.itemLabel })}</span>
+            <label class="data-table-page-size">
+                ${t('table.perPage')}
+                <select data-table-page-size>${sizes}</select>
+            </label>
+            <nav class="data-table-pagination" aria-label="${t('table.pagination')}">
+                <button type="button" class="btn btn-small btn-secondary" data-table-action="page" data-page="${page - 1}" ${page <= 1 ? 'disabled' : ''}>${t('table.previous')}</button>
+                <span>${t('table.page', { page, pages: totalPages })}</span>
+                <button type="button" class="btn btn-small btn-secondary" data-table-action="page" data-page="${page + 1}" ${page >= totalPages ? 'disabled' : ''}>${t('table.next')}</button>
+            </nav>
+        `);
+    }
+}
+
+// Export data table component
+window.DataTable = DataTable;
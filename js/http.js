@@ -0,0 +1,391 @@
+// HTTP request pipeline: interceptors, timeouts, retries and de-duplication
+
+// Retry idempotent requests this many times on network or gateway errors
+const DEFAULT_RETRIES = 2;
+
+// First retry waits this long (ms); each further retry doubles it
+const RETRY_BASE_DELAY = 300;
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+/**
+ * Base class for all request failures
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - Human readable message
+     * @param {object} details - { status, data }
+     */
+    constructor(message, { status = 0, data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.data = data;
+    }
+}
+
+/**
+ * The server could not be reached
+ */
+class NetworkError extends ApiError {
+    constructor(message = 'Unable to reach the server') {
+        super(message);
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * The request took longer than its timeout
+ */
+class TimeoutError extends NetworkError {
+    constructor(message = 'Request timed out') {
+        super(message);
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * The caller aborted the request
+ */
+class CancelledError extends ApiError {
+    constructor(message = 'Request was cancelled') {
+        super(message);
+        this.name = 'CancelledError';
+    }
+}
+
+/**
+ * The server rejected the credentials (401) or the permission (403)
+ */
+class AuthError extends ApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * The server rejected the submitted data (400/422)
+ */
+class ValidationError extends ApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ValidationError';
+        // Field-level messages, e.g. { email: 'Email already in use' }
+        this.fields = (details && details.data && (details.data.errors || details.data.fields)) || {};
+    }
+}
+
+/**
+ * Too many requests (429). retryAfter is in seconds, or null when the
+ * server did not say.
+ */
+class RateLimitError extends ApiError {
+    constructor(message, details, retryAfter = null) {
+        super(message, details);
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * The server failed to handle the request (5xx)
+ */
+class ServerError extends ApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ServerError';
+    }
+}
+
+/**
+ * Ordered list of interceptor functions
+ */
+class InterceptorChain {
+    constructor() {
+        this.handlers = [];
+    }
+
+    /**
+     * Register an interceptor
+     * @param {function} handler
+     * @returns {function} Function that removes the interceptor
+     */
+    use(handler) {
+        this.handlers.push(handler);
+        return () => {
+            this.handlers = this.handlers.filter(h => h !== handler);
+        };
+    }
+}
+
+const interceptors = {
+    // (config) => config, may be async
+    request: new InterceptorChain(),
+    // (response, config) => response, may be async
+    response: new InterceptorChain(),
+    // (error, config) => response or throw, may be async
+    error: new InterceptorChain()
+};
+
+// In-flight GET requests keyed by method, URL and credentials
+const inflightRequests = new Map();
+
+/**
+ * Send a request through the pipeline
+ * @param {object} config - { url, method, headers, body, timeout, retries, signal, dedupe }
+ * @returns {Promise<object>} { status, ok, headers, data }
+ */
+async function request(config) {
+    let finalConfig = {
+        method: 'GET',
+        headers: {},
+        ...config
+    };
+    finalConfig.method = finalConfig.method.toUpperCase();
+
+    for (const handler of interceptors.request.handlers) {
+        finalConfig = await handler(finalConfig);
+    }
+
+    const key = getDedupeKey(finalConfig);
+    if (key && inflightRequests.has(key)) {
+        return inflightRequests.get(key);
+    }
+
+    const pending = sendWithInterceptors(finalConfig);
+    if (key) {
+        inflightRequests.set(key, pending);
+        pending.then(() => inflightRequests.delete(key), () => inflightRequests.delete(key));
+    }
+    return pending;
+}
+
+/**
+ * Send the request and run the response or error interceptors
+ * @param {object} config
+ */
+async function sendWithInterceptors(config) {
+    try {
+        let response = await sendWithRetries(config);
+        for (const handler of interceptors.response.handlers) {
+            response = await handler(response, config);
+        }
+        return response;
+    } catch (error) {
+        let lastError = error;
+        for (const handler of interceptors.error.handlers) {
+            try {
+                return await handler(lastError, config);
+            } catch (handlerError) {
+                lastError = handlerError;
+            }
+        }
+        throw lastError;
+    }
+}
+
+/**
+ * Build the de-duplication key for a request, or null if it must not be shared
+ * @param {object} config
+ */
+function getDedupeKey(config) {
+    if (config.method !== 'GET' || config.dedupe === false || config.signal) {
+        return null;
+    }
+    return `${config.method} ${config.url} ${config.headers['Authorization'] || ''}`;
+}
+
+/**
+ * Send the request, retrying idempotent requests with exponential backoff
+ * @param {object} config
+ */
+async function sendWithRetries(config) {
+    const idempotent = IDEMPOTENT_METHODS.includes(config.method);
+    const retries = config.retries !== undefined ? config.retries : (idempotent ? DEFAULT_RETRIES : 0);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await sendOnce(config);
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) {
+                throw error;
+            }
+            const delay = RETRY_BASE_DELAY * Math.pow(2, attempt) + Math.random() * 100;
+            window.logger.warn(`Retrying ${config.method} ${config.url} in ${Math.round(delay)}ms:`, error.message);
+            await wait(delay, config.signal);
+        }
+    }
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error
+ */
+function isRetryable(error) {
+    if (error instanceof NetworkError) return true;
+    return error instanceof ServerError && RETRYABLE_STATUSES.includes(error.status);
+}
+
+/**
+ * Wait before the next retry, stopping early if the caller cancels
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new CancelledError());
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new CancelledError());
+            }, { once: true });
+        }
+    });
+}
+
+/**
+ * Perform a single fetch with a timeout and convert failures to typed errors
+ * @param {object} config
+ */
+async function sendOnce(config) {
+    const controller = new AbortController();
+    const timeout = config.timeout || window.config.get('requestTimeout');
+    let timedOut = false;
+
+    const timeoutId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+
+    const onCallerAbort = () => controller.abort();
+    if (config.signal) {
+        if (config.signal.aborted) {
+            controller.abort();
+        }
+        config.signal.addEventListener('abort', onCallerAbort, { once: true });
+    }
+
+    let response;
+    try {
+        response = await fetch(config.url, {
+            method: config.method,
+            headers: config.headers,
+            body: config.body,
+            credentials: config.credentials,
+            signal: controller.signal
+        });
+    } catch (error) {
+        if (timedOut) {
+            throw new TimeoutError();
+        }
+        if (config.signal && config.signal.aborted) {
+            throw new CancelledError();
+        }
+        throw new NetworkError();
+    } finally {
+        clearTimeout(timeoutId);
+        if (config.signal) {
+            config.signal.removeEventListener('abort', onCallerAbort);
+        }
+    }
+
+    const data = await parseBody(response);
+    const result = {
+        status: response.status,
+        ok: response.ok,
+        headers: response.headers,
+        data
+    };
+
+    if (!response.ok) {
+        throw createHttpError(result);
+    }
+
+    return result;
+}
+
+/**
+ * Parse a JSON response body, tolerating empty and non-JSON bodies
+ * @param {Response} response
+ * @returns {Promise<object|null>}
+ */
+async function parseBody(response) {
+    let text;
+    try {
+        text = await response.text();
+    } catch (error) {
+        return null;
+    }
+
+    if (!text) return null;
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        // HTML error pages from proxies and the like
+        return null;
+    }
+}
+
+/**
+ * Create the typed error matching an HTTP error response
+ * @param {object} response - { status, headers, data }
+ */
+function createHttpError({ status, headers, data }) {
+    const message = (data && (data.error || data.message)) || `HTTP error! status: ${status}`;
+    const details = { status, data };
+
+    if (status === 401 || status === 403) {
+        return new AuthError(message, details);
+    }
+    if (status === 400 || status === 422) {
+        return new ValidationError(message, details);
+    }
+    if (status === 429) {
+        return new RateLimitError(message, details, parseRetryAfter(headers, data));
+    }
+    if (status >= 500) {
+        return new ServerError(message, details);
+    }
+    return new ApiError(message, details);
+}
+
+/**
+ * Read the wait time of a 429 response from the Retry-After header
+ * (seconds or an HTTP date) or a retryAfter field in the body
+ * @param {Headers} headers
+ * @param {object|null} data
+ * @returns {number|null} Seconds to wait
+ */
+function parseRetryAfter(headers, data) {
+    const value = (headers && headers.get && headers.get('retry-after')) || (data && data.retryAfter);
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(0, Math.ceil(seconds));
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+// Export HTTP pipeline
+window.http = {
+    request,
+    interceptors,
+    ApiError,
+    NetworkError,
+    TimeoutError,
+    CancelledError,
+    AuthError,
+    ValidationError,
+    RateLimitError,
+    ServerError
+};
@@ -0,0 +1,271 @@
+// Internationalization: JSON message catalogs in locales/, looked up by key
+// with {name} interpolation and plural forms, plus locale-aware dates.
+// Static text in index.html carries data-i18n attributes and is translated
+// again when the language changes; views that render their own text
+// subscribe to language changes.
+//
+//   window.i18n.t('users.deleted', { email })
+//   window.i18n.t('time.minutes', { count: 5 })   // { "one": "...", "other": "..." }
+
+const SUPPORTED_LOCALES = { en: 'English', es: 'Español' };
+const DEFAULT_LOCALE = 'en';
+const LOCALE_STORAGE_KEY = 'locale';
+const LOCALES_URL = 'locales';
+
+// Attributes translated from data-i18n-<attribute>="key"
+const TRANSLATED_ATTRIBUTES = ['aria-label', 'placeholder', 'title'];
+
+// Date-only values such as '2023-03-02' are midnight UTC; show that day everywhere
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const localeCatalogs = {};
+const localeListeners = new Set();
+
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * Pick the language to start with: the saved choice, then the browser's
+ * languages, then English
+ */
+function detectLocale() {
+    const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (SUPPORTED_LOCALES[saved]) return saved;
+
+    const preferred = navigator.languages || [navigator.language];
+    const match = preferred
+        .map(tag => String(tag).split('-')[0].toLowerCase())
+        .find(language => SUPPORTED_LOCALES[language]);
+    return match || DEFAULT_LOCALE;
+}
+
+/**
+ * Fetch a message catalog once
+ * @param {string} locale
+ * @returns {Promise<object>} Messages by key; empty if the file cannot be loaded
+ */
+async function loadCatalog(locale) {
+    if (localeCatalogs[locale]) return localeCatalogs[locale];
+
+    try {
+        // Revalidate so updated messages ship with each deploy
+        const response = await fetch(`${LOCALES_URL}/${locale}.json`, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        localeCatalogs[locale] = await response.json();
+        return localeCatalogs[locale];
+    } catch (error) {
+        window.logger.error(`Could not load the ${locale} messages:`, error);
+        return {};
+    }
+}
+
+/**
+ * Load the messages for the starting language and translate the page.
+ * English is always loaded too, as the fallback for missing keys.
+ */
+async function loadTranslations() {
+    const locale = detectLocale();
+    await Promise.all([loadCatalog(DEFAULT_LOCALE), loadCatalog(locale)]);
+    applyLocale(locale);
+}
+
+/**
+ * Switch language, remember the choice and re-render without a reload
+ * @param {string} locale - One of SUPPORTED_LOCALES
+ */
+async function setLocale(locale) {
+    if (!SUPPORTED_LOCALES[locale]) {
+        throw new Error(`Unsupported language: ${locale}`);
+    }
+
+    await loadCatalog(locale);
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    if (locale === currentLocale) return;
+
+    const previous = currentLocale;
+    applyLocale(locale);
+    window.logger.info(`Language changed to ${locale}`);
+
+    localeListeners.forEach(listener => {
+        try {
+            listener(locale, previous);
+        } catch (error) {
+            window.logger.error('Language listener failed:', error);
+        }
+    });
+}
+
+/**
+ * Make a language current and translate the static markup
+ * @param {string} locale
+ */
+function applyLocale(locale) {
+    currentLocale = locale;
+    document.documentElement.lang = locale;
+    translatePage();
+
+    const select = document.getElementById('language-select');
+    if (select) {
+        select.value = locale;
+    }
+}
+
+/**
+ * Get the current language
+ * @returns {string} e.g. 'es'
+ */
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Find a message in the current language, falling back to English
+ * @param {string} key
+ * @returns {string|object|undefined}
+ */
+function findMessage(key) {
+    const catalogs = [localeCatalogs[currentLocale], localeCatalogs[DEFAULT_LOCALE]];
+    const catalog = catalogs.find(messages => messages && messages[key] !== undefined);
+    return catalog ? catalog[key] : undefined;
+}
+
+/**
+ * Check whether a message exists
+ * @param {string} key
+ */
+function hasTranslation(key) {
+    return findMessage(key) !== undefined;
+}
+
+/**
+ * Translate a message. {name} placeholders are filled from params; a
+ * message with plural forms ({ one, other, ... }) is chosen by params.count.
+ * @param {string} key - Message key, e.g. 'login.title'
+ * @param {object} params - Values for the placeholders; defaultValue is
+ *                          returned when the key is missing
+ * @returns {string}
+ */
+function translate(key, params = {}) {
+    let message = findMessage(key);
+    if (message === undefined) {
+        if (params.defaultValue !== undefined) return String(params.defaultValue);
+        window.logger.warn(`Missing translation: ${key}`);
+        return key;
+    }
+
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(currentLocale).select(Number(params.count));
+        message = message[form] !== undefined ? message[form] : message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        (params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder));
+}
+
+/**
+ * Format a date or ISO string for the current language
+ * @param {Date|string|number} value
+ * @param {object} options - Intl.DateTimeFormat options (default: medium date)
+ * @returns {string} The formatted date, or the value as is if it is not a date
+ */
+function formatDate(value, options = { dateStyle: 'medium' }) {
+    if (value === null || value === undefined || value === '') return '';
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return String(value);
+
+    const dateOnly = typeof value === 'string' && DATE_ONLY_PATTERN.test(value);
+    return new Intl.DateTimeFormat(currentLocale, dateOnly ? { ...options, timeZone: 'UTC' } : options).format(date);
+}
+
+/**
+ * Translate an element marked with data-i18n="key". Params come from
+ * data-i18n-params (JSON). Children marked data-i18n-slot="name" are kept
+ * and moved to where {name} appears, so they can hold values filled in
+ * later, like the email on the sign-up confirmation.
+ * @param {HTMLElement} element
+ */
+function translateElement(element) {
+    const key = element.dataset.i18n;
+    // Keep the markup's English text if the catalogs did not load
+    if (!hasTranslation(key)) return;
+
+    const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+    const slots = {};
+    element.querySelectorAll('[data-i18n-slot]').forEach(slot => {
+        slots[slot.dataset.i18nSlot] = slot;
+        params[slot.dataset.i18nSlot] = `{${slot.dataset.i18nSlot}}`;
+    });
+
+    const text = translate(key, params);
+    if (!Object.keys(slots).length) {
+        element.textContent = text;
+        return;
+    }
+
+    const parts = text.split(/\{(\w+)\}/)
+        .map((part, i) => (i % 2 === 1 && slots[part] ? slots[part] : part))
+        .filter(part => part !== '');
+    element.replaceChildren(...parts);
+}
+
+/**
+ * Translate the static markup: data-i18n text and data-i18n-<attribute>s
+ * @param {ParentNode} root - Defaults to the whole document
+ */
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(translateElement);
+
+    TRANSLATED_ATTRIBUTES.forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            const key = element.getAttribute(`data-i18n-${attribute}`);
+            if (hasTranslation(key)) {
+                element.setAttribute(attribute, translate(key));
+            }
+        });
+    });
+}
+
+/**
+ * Subscribe to language changes
+ * @param {function} listener - (locale, previous) after the page is translated
+ * @returns {function} Unsubscribe
+ */
+function subscribeToLocale(listener) {
+    localeListeners.add(listener);
+    return () => localeListeners.delete(listener);
+}
+
+/**
+ * Fill the language menu and switch language when it changes
+ */
+function initializeLanguageSwitcher() {
+    const select = document.getElementById('language-select');
+    if (!select) return;
+
+    select.replaceChildren(...Object.keys(SUPPORTED_LOCALES).map(locale => {
+        const option = new Option(SUPPORTED_LOCALES[locale], locale);
+        option.lang = locale;
+        return option;
+    }));
+    select.value = currentLocale;
+
+    select.addEventListener('change', () => {
+        setLocale(select.value).catch(error => window.logger.error('Failed to change language:', error));
+    });
+}
+
+// Export i18n functions
+window.i18n = {
+    SUPPORTED_LOCALES,
+    t: translate,
+    has: hasTranslation,
+    getLocale,
+    setLocale,
+    load: loadTranslations,
+    formatDate,
+    translatePage,
+    subscribe: subscribeToLocale,
+    initializeLanguageSwitcher
+};
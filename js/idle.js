@@ -0,0 +1,222 @@
+// Inactivity logout. Mouse, keyboard, touch and scroll activity in any tab
+// keeps the session alive; the last activity time is shared through
+// localStorage so an active tab keeps idle ones signed in. A countdown
+// dialog is shown before the user is signed out.
+
+const LAST_ACTIVITY_KEY = 'lastActivity';
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll', 'wheel'];
+
+// Write the shared activity time at most this often (ms)
+const ACTIVITY_WRITE_INTERVAL = 5000;
+
+let idleTimeout = 0;
+let lastActivity = 0;
+let lastActivityWrite = 0;
+let idleTimer = null;
+let idleTracking = false;
+
+/**
+ * Get the idle timeout for a role in seconds (0 when it never times out)
+ * @param {string} role
+ */
+function getIdleTimeout(role) {
+    const timeouts = window.config.get('idleTimeouts') || {};
+    return Number(timeouts[role]) || 0;
+}
+
+/**
+ * Get the role whose idle timeout applies: the admin's while they
+ * impersonate a customer
+ * @param {object} state - Session state
+ */
+function getIdleRole(state) {
+    return state.impersonator ? state.impersonator.role : state.role;
+}
+
+/**
+ * Start tracking activity for the signed-in user's role
+ */
+function startIdleTracking() {
+    stopIdleTracking();
+
+    idleTimeout = getIdleTimeout(getIdleRole(window.session.getState()));
+    if (!idleTimeout) return;
+
+    idleTracking = true;
+    ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, handleActivity, { passive: true, capture: true }));
+    document.addEventListener('visibilitychange', handleIdleVisibilityChange);
+    window.addEventListener('storage', handleSharedActivity);
+
+    recordActivity(true);
+    checkIdle();
+}
+
+/**
+ * Stop tracking, e.g. after signing out
+ */
+function stopIdleTracking() {
+    idleTracking = false;
+    clearTimeout(idleTimer);
+    hideIdleWarning();
+
+    ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, handleActivity, { capture: true }));
+    document.removeEventListener('visibilitychange', handleIdleVisibilityChange);
+    window.removeEventListener('storage', handleSharedActivity);
+}
+
+/**
+ * Note activity in this tab. Activity behind the warning dialog does not
+ * count: the user has to choose to stay signed in.
+ */
+function handleActivity() {
+    if (!isIdleWarningShown()) {
+        recordActivity();
+    }
+}
+
+/**
+ * Remember the time of the latest activity and share it with other tabs
+ * @param {boolean} force - Write to localStorage even if written recently
+ */
+function recordActivity(force = false) {
+    lastActivity = Date.now();
+    if (force || lastActivity - lastActivityWrite >= ACTIVITY_WRITE_INTERVAL) {
+        lastActivityWrite = lastActivity;
+        localStorage.setItem(LAST_ACTIVITY_KEY, String(lastActivity));
+    }
+}
+
+/**
+ * Get the latest activity in any tab
+ */
+function getLastActivity() {
+    const shared = Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || 0;
+    return Math.max(lastActivity, shared);
+}
+
+/**
+ * Activity in another tab may cancel the warning shown here
+ * @param {StorageEvent} event
+ */
+function handleSharedActivity(event) {
+    if (event.key === LAST_ACTIVITY_KEY) {
+        checkIdle();
+    }
+}
+
+/**
+ * Timers are throttled in hidden tabs, so check again when shown
+ */
+function handleIdleVisibilityChange() {
+    if (!document.hidden) {
+        checkIdle();
+    }
+}
+
+/**
+ * Sign out, warn or wait depending on how long the user has been idle
+ */
+function checkIdle() {
+    clearTimeout(idleTimer);
+    if (!idleTracking) return;
+
+    const remaining = getLastActivity() + idleTimeout * 1000 - Date.now();
+    const warningLead = (window.config.get('idleWarning') || 0) * 1000;
+
+    if (remaining <= 0) {
+        handleIdleTimeout();
+    } else if (remaining <= warningLead) {
+        showIdleWarning(remaining);
+        idleTimer = setTimeout(checkIdle, Math.min(1000, remaining));
+    } else {
+        hideIdleWarning();
+        idleTimer = setTimeout(checkIdle, remaining - warningLead);
+    }
+}
+
+/**
+ * Sign the user out for inactivity
+ */
+function handleIdleTimeout() {
+    const minutes = Math.round(idleTimeout / 60);
+    stopIdleTracking();
+    window.logger.info(`Signing out after ${minutes} minutes of inactivity`);
+    window.auth.signOut('idle', { minutes });
+}
+
+/**
+ * Show the countdown dialog
+ * @param {number} remaining - Milliseconds until sign-out
+ */
+function showIdleWarning(remaining) {
+    const warning = document.getElementById('idle-warning');
+    const message = document.getElementById('idle-warning-message');
+    if (!warning || !message) return;
+
+    const seconds = Math.ceil(remaining / 1000);
+    message.textContent = window.i18n.t('idle.message', { wait: window.app.formatWait(seconds) });
+
+    if (!isIdleWarningShown()) {
+        window.a11y.openDialog(warning, {
+            initialFocus: document.getElementById('idle-stay-btn'),
+            onEscape: extendIdleSession
+        });
+    }
+}
+
+/**
+ * Hide the countdown dialog
+ */
+function hideIdleWarning() {
+    window.a11y.closeDialog(document.getElementById('idle-warning'));
+}
+
+/**
+ * Check whether the countdown dialog is open
+ */
+function isIdleWarningShown() {
+    return window.a11y.isDialogOpen(document.getElementById('idle-warning'));
+}
+
+/**
+ * Keep the session when the user chooses to stay signed in
+ */
+function extendIdleSession() {
+    recordActivity(true);
+    checkIdle();
+}
+
+/**
+ * Initialize the dialog buttons and follow sign-ins and sign-outs
+ */
+function initializeIdleTracking() {
+    const stayBtn = document.getElementById('idle-stay-btn');
+    if (stayBtn) {
+        stayBtn.addEventListener('click', extendIdleSession);
+    }
+
+    const logoutBtn = document.getElementById('idle-logout-btn');
+    if (logoutBtn) {
+        logoutBtn.addEventListener('click', () => window.auth.handleLogout());
+    }
+
+    window.session.subscribe((state, previous) => {
+        if (!state.isAuthenticated) {
+            stopIdleTracking();
+        } else if (!previous.isAuthenticated || getIdleRole(state) !== getIdleRole(previous)) {
+            startIdleTracking();
+        }
+    });
+
+    if (window.session.getState().isAuthenticated) {
+        startIdleTracking();
+    }
+}
+
+// Export idle tracking functions
+window.idle = {
+    start: startIdleTracking,
+    stop: stopIdleTracking,
+    extend: extendIdleSession,
+    initializeIdleTracking
+};
@@ -0,0 +1,110 @@
+// "View as customer": staff with users:impersonate open the app as a
+// customer, using a short-lived impersonation token from the backend. The
+// token names the admin in its act claim, so requests and activity log
+// entries made meanwhile are tagged as impersonated. A banner stays on
+// screen until the admin exits or the token runs out; either way the
+// admin's own session comes back and they return to where they started.
+
+// Page to return to afterwards, kept for this tab across reloads
+const IMPERSONATION_RETURN_KEY = 'impersonationReturnTo';
+const IMPERSONATION_FALLBACK_PATH = '/admin?page=1';
+
+let impersonationExpiryTimer = null;
+
+/**
+ * Start viewing the app as a customer, after confirmation
+ * @param {object} user - Customer from the users list
+ */
+async function startImpersonating(user) {
+    const { t } = window.i18n;
+    const confirmed = await window.app.confirmDialog(t('impersonation.confirm', { email: user.email }), t('impersonation.start'));
+    if (!confirmed) return;
+
+    const returnTo = window.router.current ? window.router.current.fullPath : IMPERSONATION_FALLBACK_PATH;
+    try {
+        await window.api.impersonateUser(user.id);
+    } catch (error) {
+        // The request already reported the error
+        window.logger.warn('Impersonation failed:', error);
+        return;
+    }
+
+    sessionStorage.setItem(IMPERSONATION_RETURN_KEY, returnTo);
+    window.router.navigate('/customer');
+}
+
+/**
+ * Restore the admin's session and go back to the page they started from
+ * @param {string} reason - 'exit', or 'expired' when the token ran out
+ */
+function endImpersonation(reason = 'exit') {
+    const impersonated = window.api.getCurrentUser();
+    if (!window.api.stopImpersonation()) return;
+
+    const returnTo = sessionStorage.getItem(IMPERSONATION_RETURN_KEY) || IMPERSONATION_FALLBACK_PATH;
+    sessionStorage.removeItem(IMPERSONATION_RETURN_KEY);
+
+    const { t } = window.i18n;
+    const message = reason === 'expired'
+        ? t('impersonation.expired', { email: impersonated.email })
+        : t('impersonation.ended', { email: impersonated.email });
+    window.notifications.notify(message, { type: reason === 'expired' ? 'warning' : 'info' });
+
+    // The admin's token may have expired meanwhile; the router refreshes it
+    window.router.navigate(window.router.getPostLoginRoute(window.api.getCurrentUser(), returnTo));
+}
+
+/**
+ * Show or hide the banner for the current session
+ */
+function renderImpersonationBanner() {
+    const banner = document.getElementById('impersonation-banner');
+    if (!banner) return;
+
+    const { user, impersonator } = window.session.getState();
+    banner.hidden = !impersonator;
+    document.getElementById('impersonation-message').textContent = impersonator
+        ? window.i18n.t('impersonation.banner', { email: user.email, admin: impersonator.email })
+        : '';
+}
+
+/**
+ * End the impersonation when its token expires
+ */
+function scheduleImpersonationExpiry() {
+    clearTimeout(impersonationExpiryTimer);
+    impersonationExpiryTimer = null;
+
+    if (!window.session.getState().impersonator) return;
+
+    const remaining = window.api.getTokenTimeRemaining();
+    if (remaining !== null) {
+        impersonationExpiryTimer = setTimeout(() => endImpersonation('expired'), Math.max(remaining, 0) * 1000);
+    }
+}
+
+/**
+ * Initialize the banner and follow the session
+ */
+function initializeImpersonation() {
+    const exitBtn = document.getElementById('impersonation-exit');
+    if (exitBtn) {
+        exitBtn.addEventListener('click', () => endImpersonation());
+    }
+
+    window.session.subscribe(() => {
+        renderImpersonationBanner();
+        scheduleImpersonationExpiry();
+    });
+    window.i18n.subscribe(renderImpersonationBanner);
+
+    renderImpersonationBanner();
+    scheduleImpersonationExpiry();
+}
+
+// Export impersonation mode
+window.impersonation = {
+    start: startImpersonating,
+    end: endImpersonation,
+    initializeImpersonation
+};
@@ -0,0 +1,34 @@
+// Console logger filtered by the configured log level
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Check whether messages of a level should be written
+ * @param {string} level - Message level
+ */
+function shouldLog(level) {
+    const configured = LOG_LEVELS.indexOf(window.config.get('logLevel'));
+    const threshold = configured === -1 ? LOG_LEVELS.indexOf('info') : configured;
+    return LOG_LEVELS.indexOf(level) >= threshold;
+}
+
+/**
+ * Create a logging method for a level
+ * @param {string} level - Message level
+ * @param {string} method - Console method to write with
+ */
+function createLogMethod(level, method) {
+    return (...args) => {
+        if (shouldLog(level)) {
+            console[method](...args);
+        }
+    };
+}
+
+// Export logger
+window.logger = {
+    debug: createLogMethod('debug', 'debug'),
+    info: createLogMethod('info', 'log'),
+    warn: createLogMethod('warn', 'warn'),
+    error: createLogMethod('error', 'error')
+};
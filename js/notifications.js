@@ -0,0 +1,342 @@
+// Notification center: stacked toasts with optional actions, plus a
+// history of the session's notifications behind the bell in the navbar.
+// Toasts live in an aria-live region; repeats of a visible toast are
+// counted instead of stacked again.
+
+// How long each type stays up (ms); 0 keeps it until dismissed
+const NOTIFICATION_DURATIONS = {
+    success: 4000,
+    info: 5000,
+    warning: 7000,
+    error: 8000
+};
+const MAX_VISIBLE_TOASTS = 3;
+const MAX_NOTIFICATION_HISTORY = 50;
+
+// Toasts on screen, oldest first, and toasts waiting for a free slot
+const visibleToasts = [];
+const queuedToasts = [];
+const notificationHistory = [];
+
+let nextNotificationId = 1;
+let unreadNotifications = 0;
+
+/**
+ * Show a notification
+ * @param {string} message
+ * @param {object} options
+ * @param {string} options.type - success, info, warning or error
+ * @param {number} options.duration - ms before it closes; 0 keeps it open
+ * @param {Array<object>} options.actions - { label, onClick } buttons, e.g. Retry or Undo
+ * @param {string} options.key - Identifies repeats (default: type and message)
+ * @returns {number} Notification ID
+ */
+function pushNotification(message, options = {}) {
+    const type = NOTIFICATION_DURATIONS[options.type] !== undefined ? options.type : 'info';
+    const key = options.key || `${type}:${message}`;
+
+    const repeat = [...visibleToasts, ...queuedToasts].find(toast => toast.key === key);
+    if (repeat) {
+        repeat.count++;
+        repeat.entry.count = repeat.count;
+        repeat.entry.time = new Date();
+        updateToast(repeat);
+        startToastTimer(repeat, repeat.duration);
+        addUnread();
+        return repeat.id;
+    }
+
+    const toast = {
+        id: nextNotificationId++,
+        key,
+        type,
+        message,
+        actions: options.actions || [],
+        duration: options.duration !== undefined ? options.duration : NOTIFICATION_DURATIONS[type],
+        count: 1,
+        timer: null,
+        element: null
+    };
+    toast.entry = { id: toast.id, type, message, count: 1, time: new Date() };
+
+    notificationHistory.unshift(toast.entry);
+    notificationHistory.splice(MAX_NOTIFICATION_HISTORY);
+    addUnread();
+
+    if (visibleToasts.length < MAX_VISIBLE_TOASTS) {
+        showToast(toast);
+    } else {
+        queuedToasts.push(toast);
+    }
+    return toast.id;
+}
+
+/**
+ * Put a toast on screen and start its timer
+ * @param {object} toast
+ */
+function showToast(toast) {
+    const region = document.getElementById('notification-region');
+    if (!region) return;
+    visibleToasts.push(toast);
+
+    const { html, render } = window.safeHtml;
+    const element = document.createElement('div');
+    element.className = `toast toast-${toast.type}`;
+    element.dataset.notificationId = toast.id;
+    element.setAttribute('role', toast.type === 'error' ? 'alert' : 'status');
+
+    render(element, html`
+        <span class="toast-message">${toast.message}</span>
+        <span class="toast-count" hidden></span>
+        ${toast.actions.length > 0 && html`
+            <span class="toast-actions">
+                ${toast.actions.map((action, i) => html`<button type="button" class="btn btn-small btn-link" data-toast-action="${i}">${action.label}</button>`)}
+            </span>
+        `}
+        <button type="button" class="toast-close" aria-label="${window.i18n.t('notifications.dismiss')}">×</button>
+    `);
+
+    element.addEventListener('click', event => handleToastClick(toast, event));
+    element.addEventListener('mouseenter', () => pauseToast(toast));
+    element.addEventListener('mouseleave', () => resumeToast(toast));
+    element.addEventListener('focusin', () => pauseToast(toast));
+    element.addEventListener('focusout', event => {
+        if (!element.contains(event.relatedTarget)) {
+            resumeToast(toast);
+        }
+    });
+
+    toast.element = element;
+    region.appendChild(element);
+    startToastTimer(toast, toast.duration);
+}
+
+/**
+ * Show the repeat count of a toast
+ * @param {object} toast
+ */
+function updateToast(toast) {
+    const count = toast.element && toast.element.querySelector('.toast-count');
+    if (count) {
+        count.textContent = `×${toast.count}`;
+        count.hidden = false;
+    }
+}
+
+/**
+ * (Re)start the timer that closes a toast
+ * @param {object} toast
+ * @param {number} duration - ms; 0 keeps the toast open
+ */
+function startToastTimer(toast, duration) {
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    if (!duration || !toast.element) return;
+
+    toast.remaining = duration;
+    toast.startedAt = Date.now();
+    toast.timer = setTimeout(() => dismiss(toast.id), duration);
+}
+
+/**
+ * Stop the timer while the pointer or focus is on a toast
+ * @param {object} toast
+ */
+function pauseToast(toast) {
+    if (!toast.timer) return;
+
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    toast.remaining -= Date.now() - toast.startedAt;
+    toast.paused = true;
+}
+
+/**
+ * Restart the timer with the time that was left
+ * @param {object} toast
+ */
+function resumeToast(toast) {
+    if (!toast.paused) return;
+
+    toast.paused = false;
+    startToastTimer(toast, Math.max(toast.remaining, 1000));
+}
+
+/**
+ * Run an action button or close the toast
+ * @param {object} toast
+ * @param {MouseEvent} event
+ */
+function handleToastClick(toast, event) {
+    const actionBtn = event.target.closest('[data-toast-action]');
+    if (actionBtn) {
+        dismiss(toast.id);
+        toast.actions[Number(actionBtn.dataset.toastAction)].onClick();
+    } else if (event.target.closest('.toast-close')) {
+        dismiss(toast.id);
+    }
+}
+
+/**
+ * Close a toast and show the next queued one
+ * @param {number} id - Notification ID
+ */
+function dismiss(id) {
+    const queued = queuedToasts.findIndex(toast => toast.id === id);
+    if (queued !== -1) {
+        queuedToasts.splice(queued, 1);
+        return;
+    }
+
+    const index = visibleToasts.findIndex(toast => toast.id === id);
+    if (index === -1) return;
+
+    const [toast] = visibleToasts.splice(index, 1);
+    clearTimeout(toast.timer);
+    if (toast.element) {
+        toast.element.remove();
+    }
+
+    if (queuedToasts.length) {
+        showToast(queuedToasts.shift());
+    }
+}
+
+/**
+ * Close every toast, e.g. when signing out
+ */
+function dismissAll() {
+    queuedToasts.length = 0;
+    [...visibleToasts].forEach(toast => dismiss(toast.id));
+}
+
+/**
+ * Count a new notification as unread and update the bell
+ */
+function addUnread() {
+    const panel = document.getElementById('notification-panel');
+    if (!panel || panel.hidden) {
+        unreadNotifications++;
+    }
+    renderNotificationCenter();
+}
+
+/**
+ * Get the notifications of this session, newest first
+ * @returns {Array<object>} { id, type, message, count, time }
+ */
+function getHistory() {
+    return notificationHistory.map(entry => ({ ...entry }));
+}
+
+/**
+ * Forget the session's notifications
+ */
+function clearHistory() {
+    notificationHistory.length = 0;
+    unreadNotifications = 0;
+    renderNotificationCenter();
+}
+
+/**
+ * Render the bell badge and the history panel
+ */
+function renderNotificationCenter() {
+    const badge = document.getElementById('notification-badge');
+    const bell = document.getElementById('notification-bell');
+    const list = document.getElementById('notification-list');
+
+    if (badge) {
+        badge.textContent = unreadNotifications > 9 ? '9+' : String(unreadNotifications);
+        badge.hidden = unreadNotifications === 0;
+    }
+    if (bell) {
+        bell.setAttribute('aria-label', unreadNotifications
+            ? window.i18n.t('notifications.bellUnread', { count: unreadNotifications })
+            : window.i18n.t('notifications.bell'));
+    }
+    if (list) {
+        const { html, render } = window.safeHtml;
+        render(list, notificationHistory.length
+            ? html`${notificationHistory.map(entry => html`
+                <li class="notification-item notification-item-${entry.type}">
+                    <span>${entry.message}${entry.count > 1 && ` (×${entry.count})`}</span>
+                    <time datetime="${entry.time.toISOString()}">${window.i18n.formatDate(entry.time, { timeStyle: 'short' })}</time>
+                </li>
+            `)}`
+            : html`<li class="notification-empty">${window.i18n.t('notifications.empty')}</li>`);
+    }
+}
+
+/**
+ * Open or close the history panel; opening it marks everything read
+ * @param {boolean} open - Omit to toggle
+ */
+function toggleNotificationPanel(open) {
+    const panel = document.getElementById('notification-panel');
+    const bell = document.getElementById('notification-bell');
+    if (!panel || !bell) return;
+
+    const show = open !== undefined ? open : panel.hidden;
+    panel.hidden = !show;
+    bell.setAttribute('aria-expanded', String(show));
+    if (show) {
+        unreadNotifications = 0;
+    }
+    renderNotificationCenter();
+}
+
+/**
+ * Initialize the bell and panel, and forget notifications on sign-out
+ */
+function initializeNotificationCenter() {
+    const bell = document.getElementById('notification-bell');
+    if (bell) {
+        bell.addEventListener('click', () => toggleNotificationPanel());
+    }
+
+    const clearBtn = document.getElementById('notification-clear-btn');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', clearHistory);
+    }
+
+    document.addEventListener('click', event => {
+        const center = document.getElementById('notification-center');
+        if (center && !center.contains(event.target)) {
+            toggleNotificationPanel(false);
+        }
+    });
+    document.addEventListener('keydown', event => {
+        const panel = document.getElementById('notification-panel');
+        if (event.key === 'Escape' && panel && !panel.hidden) {
+            toggleNotificationPanel(false);
+            const panelBell = document.getElementById('notification-bell');
+            if (panelBell) {
+                panelBell.focus();
+            }
+        }
+    });
+
+    window.i18n.subscribe(renderNotificationCenter);
+
+    // The history belongs to the session that produced it
+    window.session.subscribe(state => {
+        if (!state.isAuthenticated) {
+            dismissAll();
+            clearHistory();
+        }
+    });
+
+    renderNotificationCenter();
+}
+
+// Export notification center functions
+window.notifications = {
+    notify: pushNotification,
+    dismiss,
+    dismissAll,
+    getHistory,
+    clearHistory,
+    initializeNotificationCenter
+};
@@ -0,0 +1,152 @@
+// Permissions: what the signed-in user may do. Tokens may carry a
+// `permissions` claim; otherwise the permissions follow from the role, and
+// each role also has those of the roles it inherits:
+//   customer  - their own profile, and its password and two-step verification
+//   auditor   - read-only admin: the dashboard, statistics and users list
+//   support   - auditor, plus disabling accounts, sending password resets and
+//               viewing the app as a customer (js/impersonation.js)
+//   admin     - support, plus creating, editing, importing and deleting users,
+//               and clearing the activity log
+// Granted permissions may use wildcards: 'users:*' or '*'.
+//
+// Markup declares what an element needs with data-requires="users:delete"
+// (several permissions, separated by spaces, are all required). Elements
+// the user may not use are hidden, or disabled with
+// data-requires-mode="disable". Content rendered later is checked as it is
+// added to the page, and everything again when the session changes.
+
+const ROLE_PERMISSIONS = {
+    customer: { permissions: ['profile:read', 'profile:update', 'profile:security'] },
+    auditor: { permissions: ['admin:access', 'stats:read', 'users:read', 'users:export', 'audit:read'] },
+    support: { inherits: ['auditor'], permissions: ['users:disable', 'users:reset-password', 'users:impersonate'] },
+    admin: { inherits: ['support'], permissions: ['users:create', 'users:update', 'users:delete', 'users:import', 'audit:clear'] }
+};
+
+// Set on elements hidden or disabled here, so granting the permission
+// again only undoes what this module did
+const PERMISSION_HIDDEN_ATTRIBUTE = 'data-permission-hidden';
+const PERMISSION_DISABLED_ATTRIBUTE = 'data-permission-disabled';
+
+let permissionObserver = null;
+
+/**
+ * Get a role followed by every role it inherits
+ * @param {string} role
+ * @returns {Array<string>} Empty for unknown roles
+ */
+function getRoleChain(role, seen = new Set()) {
+    if (!ROLE_PERMISSIONS[role] || seen.has(role)) return [];
+
+    seen.add(role);
+    const parents = ROLE_PERMISSIONS[role].inherits || [];
+    return [role, ...parents.flatMap(parent => getRoleChain(parent, seen))];
+}
+
+/**
+ * Check whether a role is, or inherits, another one
+ * @param {string} role - e.g. 'admin'
+ * @param {string} other - e.g. 'support'
+ */
+function roleIncludes(role, other) {
+    return getRoleChain(role).includes(other);
+}
+
+/**
+ * Get the permissions of a user: the token's claim, or those of their role
+ * @param {object|null} user - Defaults to the signed-in user
+ * @returns {Array<string>}
+ */
+function getUserPermissions(user = window.session.getState().user) {
+    if (!user) return [];
+    if (Array.isArray(user.permissions)) return user.permissions;
+
+    return [...new Set(getRoleChain(user.role).flatMap(role => ROLE_PERMISSIONS[role].permissions))];
+}
+
+/**
+ * Check whether one permission is granted, exactly or through a wildcard
+ * @param {Array<string>} granted
+ * @param {string} permission - e.g. 'users:delete'
+ */
+function isPermissionGranted(granted, permission) {
+    const resource = permission.split(':')[0];
+    return granted.includes(permission) || granted.includes(`${resource}:*`) || granted.includes('*');
+}
+
+/**
+ * Check whether a user may do something
+ * @param {string|Array<string>} permissions - One permission, or several that are all required
+ * @param {object|null} user - Defaults to the signed-in user
+ */
+function hasPermission(permissions, user) {
+    const granted = getUserPermissions(user);
+    return [].concat(permissions).every(permission => isPermissionGranted(granted, permission));
+}
+
+/**
+ * Hide or disable the data-requires elements in (and including) an element
+ * @param {Element|Document} root - Defaults to the whole page
+ */
+function applyPermissions(root = document) {
+    const elements = [...root.querySelectorAll('[data-requires]')];
+    if (root.matches && root.matches('[data-requires]')) {
+        elements.unshift(root);
+    }
+
+    elements.forEach(element => {
+        const allowed = hasPermission(element.dataset.requires.split(/\s+/).filter(Boolean));
+        if (element.dataset.requiresMode === 'disable' && 'disabled' in element) {
+            setPermissionState(element, 'disabled', PERMISSION_DISABLED_ATTRIBUTE, !allowed);
+        } else {
+            setPermissionState(element, 'hidden', PERMISSION_HIDDEN_ATTRIBUTE, !allowed);
+        }
+    });
+}
+
+/**
+ * Set hidden or disabled for a missing permission, and clear it only if it
+ * was set here
+ * @param {Element} element
+ * @param {string} property - 'hidden' or 'disabled'
+ * @param {string} marker - Attribute recording that it was set here
+ * @param {boolean} denied
+ */
+function setPermissionState(element, property, marker, denied) {
+    if (denied && !element[property]) {
+        element[property] = true;
+        element.setAttribute(marker, '');
+    } else if (!denied && element.hasAttribute(marker)) {
+        element[property] = false;
+        element.removeAttribute(marker);
+    }
+}
+
+/**
+ * Gate the page now, whenever the session changes and whenever content
+ * is added
+ */
+function startPermissionGating() {
+    if (permissionObserver) return;
+
+    applyPermissions();
+    window.session.subscribe(() => applyPermissions());
+
+    permissionObserver = new MutationObserver(records => {
+        records.forEach(record => record.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                applyPermissions(node);
+            }
+        }));
+    });
+    permissionObserver.observe(document.body, { childList: true, subtree: true });
+}
+
+// Export permission checks
+window.permissions = {
+    ROLES: Object.keys(ROLE_PERMISSIONS),
+    can: hasPermission,
+    getPermissions: getUserPermissions,
+    roleIncludes,
+    apply: applyPermissions,
+    startGating: startPermissionGating
+};
@@ -1,55 +1,284 @@
 // Router for client-side navigation
 
 class Router {
-    constructor() {
-        this.routes = new Map();
+    /**
+     * @param {Array<object>} routes - Route definitions (see js/routes.js)
+     */
+    constructor(routes = []) {
+        this.routes = [];
+        this.beforeHooks = [];
+        this.afterHooks = [];
         this.currentRoute = '';
+        this.current = null;
+        this.notFoundView = 'not-found-view';
+        this.mode = 'hash';
+        this.basePath = '';
+        this.addRoutes(routes);
         this.init();
     }
 
     /**
-     * Initialize router and set up hash change listener
+     * Initialize router
      */
     init() {
-        // Listen for hash changes
-        window.addEventListener('hashchange', () => {
-            this.handleRouteChange();
-        });
+        // Make router globally available
+        window.router = this;
+    }
+
+    /**
+     * Start listening for URL changes and handle the initial route.
+     * Called once the runtime configuration has loaded, which selects
+     * hash (#/admin) or history (/admin) mode.
+     */
+    start() {
+        this.mode = window.config.get('routerMode') === 'history' ? 'history' : 'hash';
+        this.basePath = (window.config.get('basePath') || '').replace(/\/$/, '');
+        
+        if (this.mode === 'history') {
+            // Upgrade old hash links such as /#/admin
+            if (window.location.hash.startsWith('#/')) {
+                window.history.replaceState(null, '', this.toUrl(window.location.hash.slice(1)));
+            }
+            
+            window.addEventListener('popstate', () => {
+                this.handleRouteChange();
+            });
+            document.addEventListener('click', event => this.handleLinkClick(event));
+        } else {
+            // Listen for hash changes
+            window.addEventListener('hashchange', () => {
+                this.handleRouteChange();
+            });
+        }
         
         // Handle initial route
         this.handleRouteChange();
+    }
+
+    /**
+     * Route same-origin link clicks through the router in history mode
+     * @param {MouseEvent} event - Click event
+     */
+    handleLinkClick(event) {
+        if (event.defaultPrevented || event.button !== 0 ||
+            event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+            return;
+        }
         
-        // Make router globally available
-        window.router = this;
+        const link = event.target.closest('a[href]');
+        if (!link || link.target || link.hasAttribute('download') || link.dataset.external !== undefined) {
+            return;
+        }
+        
+        const url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin || !url.pathname.startsWith(this.basePath + '/')) {
+            return;
+        }
+        
+        event.preventDefault();
+        this.navigate(url.pathname.slice(this.basePath.length) + url.search);
+    }
+
+    /**
+     * Build the browser URL for a route path in history mode
+     * @param {string} path - Route path with optional query string
+     */
+    toUrl(path) {
+        return `${this.basePath}${path}`;
     }
 
     /**
      * Add a route to the router
-     * @param {string} path - Route path (e.g., '/login', '/customer')
-     * @param {function} handler - Route handler function
+     * @param {object|string} definition - Route definition, or a path for the legacy form
+     * @param {function} handler - Legacy form only: called when the route is entered
      */
-    addRoute(path, handler) {
-        this.routes.set(path, handler);
+    addRoute(definition, handler) {
+        if (typeof definition === 'string') {
+            definition = { path: definition, onEnter: handler };
+        }
+        this.compileRoute(definition, null);
+    }
+
+    /**
+     * Add several route definitions
+     * @param {Array<object>} definitions
+     */
+    addRoutes(definitions) {
+        definitions.forEach(definition => this.addRoute(definition));
+    }
+
+    /**
+     * Turn a definition (and its children) into route records. Children
+     * inherit their parent's path prefix, access rules and view.
+     * @param {object} definition - Route definition
+     * @param {object|null} parent - Parent route record
+     */
+    compileRoute(definition, parent) {
+        const path = parent ? joinPaths(parent.path, definition.path) : definition.path;
+        const inherit = key => (definition[key] !== undefined ? definition[key] : parent && parent[key]);
+
+        const record = {
+            ...definition,
+            path,
+            parent,
+            view: inherit('view'),
+            roles: inherit('roles') || null,
+            permissions: inherit('permissions') || null,
+            impersonation: inherit('impersonation') !== false,
+            public: !!inherit('public'),
+            pattern: compilePattern(path),
+            paramNames: (path.match(/:[^/]+/g) || []).map(name => name.slice(1))
+        };
+
+        this.routes.push(record);
+        (definition.children || []).forEach(child => this.compileRoute(child, record));
+    }
+
+    /**
+     * Register a hook that runs before every navigation.
+     * The hook receives (to, from) and may return false to deny access
+     * (shows unauthorized-view) or a path to redirect to.
+     * @param {function} hook
+     */
+    beforeEach(hook) {
+        this.beforeHooks.push(hook);
+    }
+
+    /**
+     * Register a hook that runs after every navigation, with (to, from)
+     * @param {function} hook
+     */
+    afterEach(hook) {
+        this.afterHooks.push(hook);
+    }
+
+    /**
+     * Find the route matching a path
+     * @param {string} fullPath - Path with optional query string
+     * @returns {object} { path, fullPath, query, params, route }; route is null when nothing matches
+     */
+    resolve(fullPath) {
+        const [path, search = ''] = fullPath.split('?');
+        const query = parseQuery(search);
+
+        for (const route of this.routes) {
+            const match = route.pattern.exec(path);
+            // A malformed escape, e.g. in a mistyped URL, matches nothing
+            const params = match && decodeRouteParams(route.paramNames, match);
+            if (params) {
+                return { path, fullPath, query, params, route };
+            }
+        }
+
+        return { path, fullPath, query, params: {}, route: null };
     }
 
     /**
      * Navigate to a specific route
-     * @param {string} path - Route path
+     * @param {string} path - Route path with optional query string
+     * @param {object} options - { replace: true } to replace the history entry
      */
-    navigate(path) {
-        if (path !== this.currentRoute) {
+    navigate(path, options = {}) {
+        if (path === this.currentRoute) return;
+        
+        if (this.mode === 'history') {
+            const method = options.replace ? 'replaceState' : 'pushState';
+            window.history[method](null, '', this.toUrl(path));
+            // pushState does not fire popstate
+            this.handleRouteChange();
+        } else if (options.replace) {
+            window.location.replace(`#${path}`);
+        } else {
             window.location.hash = path;
         }
     }
 
     /**
-     * Get current route from hash
+     * Get current route (path and query) from the URL
      */
     getCurrentRoute() {
+        if (this.mode === 'history') {
+            const pathname = window.location.pathname;
+            const path = pathname.startsWith(this.basePath) ? pathname.slice(this.basePath.length) : pathname;
+            return (path || '/') + window.location.search;
+        }
+        
         const hash = window.location.hash.slice(1) || '/';
         return hash;
     }
 
+    /**
+     * Send the user to the login view, remembering where they were going
+     * @param {string} returnTo - Path (and query) to come back to after login
+     */
+    redirectToLogin(returnTo = this.currentRoute) {
+        const { route } = this.resolve(returnTo || '/');
+        if (route && route.guestOnly) {
+            // Already on the login page; keep its returnTo
+            this.showView('login-view');
+            return;
+        }
+        
+        const target = returnTo && this.isSafeReturnPath(returnTo)
+            ? `/login?returnTo=${encodeURIComponent(returnTo)}`
+            : '/login';
+        
+        this.showView('login-view');
+        this.navigate(target, { replace: true });
+    }
+
+    /**
+     * Check that a return-to value is a path inside this app and not a
+     * redirect to another site (//evil.com, https://evil.com, /\evil.com)
+     * @param {string} path - Candidate path
+     * @param {object} user - If given, the user must be allowed to open the route
+     */
+    isSafeReturnPath(path, user = null) {
+        if (typeof path !== 'string' || !path.startsWith('/') || /^\/[/\\]/.test(path) || /[\u0000-\u001f]/.test(path)) {
+            return false;
+        }
+        
+        let url;
+        try {
+            url = new URL(path, window.location.origin);
+        } catch (error) {
+            return false;
+        }
+        if (url.origin !== window.location.origin) {
+            return false;
+        }
+        
+        const { route } = this.resolve(path);
+        if (!route || route.guestOnly) {
+            return false;
+        }
+        return !user || this.isRouteAllowed(route, user);
+    }
+
+    /**
+     * Check whether a signed-in user may open a route: their role is one of
+     * its roles and they hold all of its permissions. While an admin
+     * impersonates someone, these apply to the impersonated user, and
+     * routes with impersonation: false stay closed.
+     * @param {object} route - Route record
+     * @param {object} user
+     */
+    isRouteAllowed(route, user) {
+        return (!route.roles || route.roles.includes(user.role))
+            && (!route.permissions || window.permissions.can(route.permissions, user))
+            && (route.impersonation || !user.impersonator);
+    }
+
+    /**
+     * Get where a user should land after signing in: the validated
+     * returnTo of the login URL, or the dashboard for their role
+     * @param {object} user - Signed-in user
+     * @param {string} returnTo - Requested path; defaults to the current route's returnTo
+     */
+    getPostLoginRoute(user, returnTo = this.current && this.current.query.returnTo) {
+        return this.isSafeReturnPath(returnTo, user) ? returnTo : this.getDefaultRoute(user);
+    }
+
     /**
      * Handle route changes
      */
@@ -87,110 +316,227 @@ class Router {
         }
     }
 
+    /**
+     * Get the dashboard a user lands on after signing in
+     * @param {object} user - Current user
+     */
+    getDefaultRoute(user) {
+        return window.permissions.can('admin:access', user) ? '/admin' : '/customer';
+    }
+
     /**
      * Handle route with authentication and authorization checks
-     * @param {string} path - Route path
+     * @param {string} fullPath - Route path with optional query string
      */
-    handleRoute(path) {
+    handleRoute(fullPath) {
         const isAuthenticated = window.api.isAuthenticated();
         const user = window.api.getCurrentUser();
+        const to = this.resolve(fullPath);
+        const from = this.current;
+        const route = to.route;
         
-        // Public routes
-        if (path === '/' || path === '/welcome') {
-            this.showView('welcome-view');
-            window.auth.updateUserInfo();
+        // Unknown route
+        if (!route) {
+            this.showFallbackView(to, from, this.notFoundView);
             return;
         }
         
-        if (path === '/login') {
-            // If already authenticated, redirect to appropriate dashboard
-            if (isAuthenticated && user) {
-                if (user.role === 'admin') {
-                    this.navigate('/admin');
-                    return;
-                } else {
-                    this.navigate('/customer');
-                    return;
-                }
-            }
-            this.showView('login-view');
+        if (route.redirect) {
+            this.navigate(route.redirect, { replace: true });
             return;
         }
         
-        // Protected routes
-        if (!isAuthenticated) {
-            this.showView('login-view');
-            this.navigate('/login');
+        // Guest-only routes (login): redirect to the page the user asked
+        // for, or to the appropriate dashboard
+        if (route.guestOnly && isAuthenticated && user) {
+            this.navigate(this.getPostLoginRoute(user, to.query.returnTo), { replace: true });
             return;
         }
         
-        // Check token expiration
-        if (window.auth.isTokenExpired()) {
-            window.api.removeToken();
-            this.showView('login-view');
-            this.navigate('/login');
-            return;
+        if (!route.public) {
+            // Protected routes
+            if (!isAuthenticated) {
+                this.redirectToLogin(fullPath);
+                return;
+            }
+            
+            // Check token expiration, trying to renew the session first.
+            // Impersonation tokens cannot be renewed: return to the admin.
+            if (window.auth.isTokenExpired() && user && user.impersonator) {
+                window.impersonation.end('expired');
+                return;
+            }
+            if (window.auth.isTokenExpired()) {
+                window.api.refreshToken()
+                    .then(() => this.handleRoute(fullPath))
+                    .catch(() => {
+                        window.api.removeToken();
+                        this.redirectToLogin(fullPath);
+                    });
+                return;
+            }
+            
+            // Role and permission checks
+            if (!this.isRouteAllowed(route, user)) {
+                this.showFallbackView(to, from, 'unauthorized-view');
+                return;
+            }
         }
         
-        // Role-based route handling
-        switch (path) {
-            case '/customer':
-                if (user.role === 'customer') {
-                    this.showView('customer-view');
-                    window.auth.updateUserInfo();
-                    // Load customer profile
-                    this.loadCustomerProfile();
-                } else {
-                    this.showView('unauthorized-view');
-                }
-                break;
-                
-            case '/admin':
-                if (user.role === 'admin') {
-                    this.showView('admin-view');
-                    window.auth.updateUserInfo();
-                } else {
-                    this.showView('unauthorized-view');
-                }
-                break;
-                
-            default:
-                // Unknown route, show welcome page
-                this.showView('welcome-view');
-                break;
-        }
-    }
-
-    /**
-     * Load customer profile data
-     */
-    loadCustomerProfile() {
-        const profileContainer = document.getElementById('customer-profile');
-        if (!profileContainer) return;
-        
-        window.api.getCustomerProfile()
-            .then(response => {
-                if (response.success && response.profile) {
-                    const profile = response.profile;
-                    profileContainer.innerHTML = `
-                        <p><strong>Name:</strong> ${profile.name}</p>
-                        <p><strong>Email:</strong> ${profile.email}</p>
-                        <p><strong>Role:</strong> ${profile.role}</p>
-                        <p><strong>Account Status:</strong> ${profile.accountStatus}</p>
-                        <p><strong>Member Since:</strong> ${profile.memberSince}</p>
-                    `;
-                }
-            })
-            .catch(error => {
-                profileContainer.innerHTML = `
-                    <p style="color: #e74c3c;">Error loading profile: ${error.message}</p>
-                `;
-            });
+        // Custom guards
+        for (const hook of this.beforeHooks) {
+            const result = hook(to, from);
+            if (result === false) {
+                this.showFallbackView(to, from, 'unauthorized-view');
+                return;
+            }
+            if (typeof result === 'string') {
+                this.navigate(result, { replace: true });
+                return;
+            }
+        }
+        
+        this.enterRoute(to, from);
+    }
+
+    /**
+     * Enter a route: run the hooks of the parts of the route chain that
+     * changed, show its views and run the after hooks
+     * @param {object} to - Resolved target route
+     * @param {object|null} from - Previously active route
+     */
+    enterRoute(to, from) {
+        const toChain = getRouteChain(to.route);
+        const fromChain = from && from.route ? getRouteChain(from.route) : [];
+        
+        // Ancestors shared with the previous route stay entered
+        const shared = toChain.filter((record, i) => record === fromChain[i]
+            && record !== to.route && record !== from.route);
+        
+        this.leaveRoute(from, to, shared);
+        this.current = to;
+        
+        toChain.forEach(record => record.view && this.showView(record.view));
+        window.auth.updateUserInfo();
+        
+        toChain
+            .filter(record => !shared.includes(record))
+            .forEach(record => record.onEnter && record.onEnter(to, from));
+        
+        this.runAfterHooks(to, from, to.route.view);
+    }
+
+    /**
+     * Show a view that replaces the route's own (not found, unauthorized)
+     * @param {object} to - Resolved target route
+     * @param {object|null} from - Previously active route
+     * @param {string} viewId - View to show
+     */
+    showFallbackView(to, from, viewId) {
+        this.leaveRoute(from, to);
+        
+        // The route itself was never entered, so it must not be left later
+        this.current = { ...to, route: null };
+        
+        this.showView(viewId);
+        window.auth.updateUserInfo();
+        this.runAfterHooks(this.current, from, viewId);
+    }
+
+    /**
+     * Run the onLeave hooks of the previous route, innermost first
+     * @param {object|null} from - Previously active route
+     * @param {object} to - Resolved target route
+     * @param {Array<object>} keep - Route records that stay entered
+     */
+    leaveRoute(from, to, keep = []) {
+        if (!from || !from.route) return;
+        
+        getRouteChain(from.route)
+            .reverse()
+            .filter(record => !keep.includes(record))
+            .forEach(record => record.onLeave && record.onLeave(from, to));
+    }
+
+    /**
+     * Run the after hooks for a completed navigation
+     * @param {object} to - Resolved target route
+     * @param {object|null} from - Previously active route
+     * @param {string} viewId - View that is now shown
+     */
+    runAfterHooks(to, from, viewId) {
+        this.afterHooks.forEach(hook => hook({ ...to, view: viewId }, from));
+    }
+}
+
+/**
+ * Join a parent and child route path
+ * @param {string} parent - e.g. '/admin'
+ * @param {string} child - e.g. 'users/:id'
+ */
+function joinPaths(parent, child) {
+    if (!child) return parent;
+    return `${parent.replace(/\/$/, '')}/${child.replace(/^\//, '')}`;
+}
+
+/**
+ * Compile a route path with :params into a regular expression
+ * @param {string} path - e.g. '/admin/users/:id'
+ */
+function compilePattern(path) {
+    const source = path
+        .split('/')
+        .map(segment => (segment.startsWith(':')
+            ? '([^/]+)'
+            : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+        .join('/');
+    return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Decode the path params of a route match
+ * @param {Array<string>} names - Param names, in order
+ * @param {Array<string>} match - Result of the route pattern
+ * @returns {object|null} Params by name; null for a malformed escape
+ */
+function decodeRouteParams(names, match) {
+    const params = {};
+    try {
+        names.forEach((name, i) => {
+            params[name] = decodeURIComponent(match[i + 1]);
+        });
+    } catch (error) {
+        return null;
+    }
+    return params;
+}
+
+/**
+ * Parse a query string into an object
+ * @param {string} search - Query string without the leading '?'
+ */
+function parseQuery(search) {
+    const query = {};
+    new URLSearchParams(search).forEach((value, key) => {
+        query[key] = value;
+    });
+    return query;
+}
+
+/**
+ * Get a route record and its ancestors, outermost first
+ * @param {object} route - Route record
+ */
+function getRouteChain(route) {
+    const chain = [];
+    for (let record = route; record; record = record.parent) {
+        chain.unshift(record);
     }
+    return chain;
 }
 
 // Initialize router
-window.router = new Router();
+window.router = new Router(window.routes);
 
 // Export router class
 window.Router = Router;
\ No newline at end of file
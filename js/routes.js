@@ -0,0 +1,115 @@
+// Route definitions
+//
+// Each route is an object with:
+//   path       - '/admin', '/admin/users/:id' (:params end up in to.params)
+//   view       - id of the .view element to show
+//   public     - true if no sign-in is required (routes are protected by default)
+//   guestOnly  - redirect signed-in users to their dashboard (e.g. /login)
+//   roles      - roles allowed to open the route; others see unauthorized-view
+//   permissions - permissions needed to open the route, all of them (see
+//                js/permissions.js); others see unauthorized-view
+//   impersonation - false to keep the route closed while an admin views the
+//                app as another user (see js/impersonation.js)
+//   redirect   - path to send the user to instead
+//   onEnter    - (to, from) called after the view is shown
+//   onLeave    - (from, to) called when navigating away
+//   children   - nested routes; paths are relative and access rules are inherited
+//
+// Unknown paths show not-found-view.
+
+const ROUTES = [
+    {
+        path: '/',
+        view: 'welcome-view',
+        public: true
+    },
+    {
+        path: '/welcome',
+        view: 'welcome-view',
+        public: true
+    },
+    {
+        path: '/login',
+        view: 'login-view',
+        public: true,
+        guestOnly: true,
+        onEnter: () => window.auth.showLogoutReason()
+    },
+    {
+        path: '/login/verify',
+        view: 'login-code-view',
+        public: true,
+        guestOnly: true,
+        // Second step of a sign-in with two-step verification
+        onEnter: () => window.auth.prepareLoginCode()
+    },
+    {
+        path: '/register',
+        view: 'register-view',
+        public: true,
+        guestOnly: true,
+        onEnter: () => window.auth.showAccountForm('register-form')
+    },
+    {
+        path: '/verify-email',
+        view: 'verify-email-view',
+        public: true,
+        // ?token= from the link in the verification email
+        onEnter: to => window.auth.verifyEmailFromLink(to.query.token)
+    },
+    {
+        path: '/forgot-password',
+        view: 'forgot-password-view',
+        public: true,
+        guestOnly: true,
+        onEnter: () => window.auth.showAccountForm('forgot-password-form')
+    },
+    {
+        path: '/reset-password',
+        view: 'reset-password-view',
+        public: true,
+        // ?token= from the link in the password reset email
+        onEnter: to => window.auth.prepareResetPassword(to.query.token)
+    },
+    {
+        path: '/customer',
+        view: 'customer-view',
+        permissions: ['profile:read'],
+        onEnter: () => {
+            window.customerProfile.loadProfile();
+            // Not while an admin views the profile as the customer
+            if (window.permissions.can('profile:security')) {
+                window.twoFactor.loadTwoFactor();
+            }
+        }
+    },
+    {
+        path: '/admin',
+        view: 'admin-view',
+        permissions: ['admin:access'],
+        impersonation: false,
+        onEnter: to => {
+            // Read-only and support roles may not see every section
+            const { can } = window.permissions;
+            if (can('stats:read')) {
+                window.adminStats.start();
+            }
+            if (can('users:read')) {
+                // ?page=&limit=&sort=&order=&q=&role= open the users table
+                window.adminUsers.syncUsersFromRoute(to);
+            }
+            if (can('audit:read')) {
+                window.adminAudit.loadAuditLog();
+            }
+        },
+        // Query changes re-enter /admin; keep the dashboard polling for those
+        onLeave: (from, to) => {
+            if (to.route !== from.route) {
+                window.adminStats.stop();
+            }
+        }
+    }
+];
+
+// Export route definitions
+window.routes = ROUTES;
@@ -0,0 +1,91 @@
+// Escaping HTML templates. Every view builds its markup with the html tag,
+// which escapes interpolated values unless they are themselves html
+// templates or explicitly marked as trusted.
+//
+//   const { html } = window.safeHtml;
+//   window.safeHtml.render(container, html`<strong>${user.name}</strong>`);
+
+/**
+ * Markup that is safe to insert: built by the html tag or marked trusted
+ */
+class SafeHtml {
+    /**
+     * @param {string} markup
+     */
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Escape a value for interpolation into HTML
+ * @param {*} value - Value to escape (null and undefined become '')
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Turn an interpolated value into markup. Templates pass through, arrays
+ * are concatenated, null, undefined and false render nothing and anything
+ * else is escaped.
+ * @param {*} value
+ * @returns {string}
+ */
+function interpolate(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(interpolate).join('');
+    if (value === false) return '';
+    return escapeHtml(value);
+}
+
+/**
+ * Tagged template that escapes every interpolated value
+ * @returns {SafeHtml}
+ */
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, i) => markup + interpolate(values[i - 1]) + string));
+}
+
+/**
+ * Mark markup as trusted so it is inserted without escaping. Only for
+ * markup the app generates itself, never for server or user data.
+ * @param {string} markup
+ * @returns {SafeHtml}
+ */
+function trustedHtml(markup) {
+    return new SafeHtml(String(markup));
+}
+
+/**
+ * Replace an element's content. Plain strings are shown as text, so
+ * markup only reaches innerHTML through the html tag or trustedHtml.
+ * @param {HTMLElement} element
+ * @param {SafeHtml|string} content
+ */
+function renderInto(element, content) {
+    if (content instanceof SafeHtml) {
+        element.innerHTML = content.markup;
+    } else {
+        element.textContent = content === null || content === undefined ? '' : String(content);
+    }
+}
+
+// Export template helpers
+window.safeHtml = {
+    SafeHtml,
+    html,
+    trusted: trustedHtml,
+    render: renderInto,
+    escape: escapeHtml
+};
@@ -0,0 +1,448 @@
+// Session store: the single owner of the stored tokens. Views subscribe
+// to it instead of re-reading storage, and changes made in other tabs
+// arrive through the storage event.
+//
+// Where the tokens live is up to a storage adapter, picked by the
+// tokenStorage setting:
+//   auto     - "remember me" on the login form: localStorage to stay signed
+//              in, sessionStorage (this tab only) otherwise
+//   local, session, memory - always that one; memory is lost on reload
+//   cookie   - httpOnly cookies set by the server; the tokens never reach
+//              the page, which only keeps the user's claims
+// Adapters have read() -> { token, refreshToken } ({ user } for cookies) or
+// null, write(response) and clear(), plus readSuspended() and suspend(values)
+// for the session put aside while an admin impersonates a user.
+
+const TOKEN_STORAGE_KEY = 'authToken';
+const REFRESH_TOKEN_STORAGE_KEY = 'refreshToken';
+// Claims of a cookie session: { id, email, role, exp, permissions }
+const USER_STORAGE_KEY = 'authUser';
+// The admin's own { token, refreshToken } during an impersonation
+const SUSPENDED_SESSION_STORAGE_KEY = 'suspendedSession';
+// Tokens that let this device skip the sign-in code, by email. They outlive
+// the session, so signing out leaves them alone.
+const TRUSTED_DEVICES_STORAGE_KEY = 'trustedDevices';
+
+const TOKEN_STORES = {
+    local: createWebStorageAdapter(() => localStorage),
+    session: createWebStorageAdapter(() => sessionStorage),
+    memory: createMemoryAdapter(),
+    cookie: createCookieAdapter()
+};
+
+const sessionListeners = new Set();
+
+// Read on first use, once the configuration (and log level) has loaded
+let sessionState = null;
+let stopSessionSync = null;
+
+/**
+ * Adapter keeping the tokens in localStorage or sessionStorage
+ * @param {function} getStorage - Returns the Storage object
+ */
+function createWebStorageAdapter(getStorage) {
+    return {
+        keepsTokens: true,
+        read() {
+            const storage = getStorage();
+            const token = storage.getItem(TOKEN_STORAGE_KEY);
+            return token ? { token, refreshToken: storage.getItem(REFRESH_TOKEN_STORAGE_KEY) } : null;
+        },
+        write({ token, refreshToken }) {
+            const storage = getStorage();
+            storage.setItem(TOKEN_STORAGE_KEY, token);
+            if (refreshToken) {
+                storage.setItem(REFRESH_TOKEN_STORAGE_KEY, refreshToken);
+            }
+        },
+        clear() {
+            const storage = getStorage();
+            storage.removeItem(TOKEN_STORAGE_KEY);
+            storage.removeItem(REFRESH_TOKEN_STORAGE_KEY);
+        },
+        readSuspended() {
+            try {
+                return JSON.parse(getStorage().getItem(SUSPENDED_SESSION_STORAGE_KEY));
+            } catch (error) {
+                return null;
+            }
+        },
+        suspend(values) {
+            if (values) {
+                getStorage().setItem(SUSPENDED_SESSION_STORAGE_KEY, JSON.stringify(values));
+            } else {
+                getStorage().removeItem(SUSPENDED_SESSION_STORAGE_KEY);
+            }
+        }
+    };
+}
+
+/**
+ * Adapter keeping the tokens in a variable, out of reach of other pages
+ */
+function createMemoryAdapter() {
+    let tokens = null;
+    let suspended = null;
+    return {
+        keepsTokens: true,
+        read: () => tokens,
+        write({ token, refreshToken }) {
+            tokens = { token, refreshToken: refreshToken || (tokens && tokens.refreshToken) || null };
+        },
+        clear() {
+            tokens = null;
+        },
+        readSuspended: () => suspended,
+        suspend(values) {
+            suspended = values;
+        }
+    };
+}
+
+/**
+ * Adapter for httpOnly cookie sessions. The server sets and clears the
+ * cookies; the page keeps the claims it needs for routing and the expiry
+ * warning, in localStorage so other tabs follow along.
+ */
+function createCookieAdapter() {
+    return {
+        keepsTokens: false,
+        read() {
+            try {
+                const user = JSON.parse(localStorage.getItem(USER_STORAGE_KEY));
+                return user ? { user } : null;
+            } catch (error) {
+                window.logger.warn('Ignoring invalid session claims');
+                return null;
+            }
+        },
+        write({ user, exp }) {
+            const claims = { id: user.id, email: user.email, role: user.role, exp, permissions: user.permissions };
+            localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(claims));
+        },
+        clear() {
+            localStorage.removeItem(USER_STORAGE_KEY);
+        },
+        // The page never holds a cookie session's tokens, so it cannot put one aside
+        readSuspended: () => null,
+        suspend() {}
+    };
+}
+
+/**
+ * Get the configured adapter name ('auto' lets "remember me" decide)
+ */
+function getTokenStorageSetting() {
+    const name = window.config.get('tokenStorage');
+    return TOKEN_STORES[name] ? name : 'auto';
+}
+
+/**
+ * Get the adapter holding the current session. In auto mode that is
+ * sessionStorage when this tab signed in without "remember me".
+ */
+function getTokenStore() {
+    const name = getTokenStorageSetting();
+    if (name !== 'auto') {
+        return TOKEN_STORES[name];
+    }
+    return TOKEN_STORES.session.read() ? TOKEN_STORES.session : TOKEN_STORES.local;
+}
+
+/**
+ * Move tokens left in another adapter (the setting changed) into the
+ * current one, or drop them when they cannot move: tokens cannot become
+ * httpOnly cookies, and cookie claims are useless without the cookies
+ */
+function migrateTokens() {
+    const setting = window.config.get('tokenStorage');
+    if (!TOKEN_STORES[setting] && setting !== 'auto') {
+        window.logger.warn(`Unknown tokenStorage "${setting}", using "auto"`);
+    }
+
+    const target = getTokenStore();
+    const current = new Set(getTokenStorageSetting() === 'auto' ? [TOKEN_STORES.local, TOKEN_STORES.session] : [target]);
+    Object.values(TOKEN_STORES).filter(store => !current.has(store)).forEach(store => {
+        const values = store.read();
+        if (!values) return;
+
+        if (store.keepsTokens && target.keepsTokens && !target.read()) {
+            window.logger.info('Moving the session to the configured token storage');
+            target.write(values);
+        }
+        store.clear();
+    });
+}
+
+/**
+ * Build the session state from what an adapter holds
+ * @param {object|null} values - { token } or { user }
+ * @returns {object} { token, user, role, isAuthenticated, impersonator }
+ */
+function createSessionState(values) {
+    const token = (values && values.token) || null;
+    const user = token ? parseTokenUser(token) : (values && values.user) || null;
+    return {
+        token,
+        user,
+        role: user ? user.role : null,
+        isAuthenticated: !!(token || user),
+        // The admin behind an impersonation token, from its act claim
+        impersonator: (user && user.impersonator) || null
+    };
+}
+
+/**
+ * Read the user claims from a JWT
+ * @param {string} token
+ * @returns {object|null} { id, email, role, exp }, or null if the token is malformed
+ */
+function parseTokenUser(token) {
+    try {
+        // Parse JWT token (base64url decode payload)
+        const payload = JSON.parse(decodeBase64Url(token.split('.')[1]));
+        return {
+            id: payload.id,
+            email: payload.email,
+            role: payload.role,
+            exp: payload.exp,
+            permissions: payload.permissions,
+            impersonator: payload.act
+        };
+    } catch (error) {
+        window.logger.error('Failed to parse user token:', error);
+        return null;
+    }
+}
+
+/**
+ * Decode a base64url string (as used in JWTs) to text
+ * @param {string} value
+ */
+function decodeBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+    const binary = atob(padded);
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Get the current session state
+ * @returns {object} { token, user, role, isAuthenticated }
+ */
+function getSessionState() {
+    if (!sessionState) {
+        migrateTokens();
+        sessionState = createSessionState(getTokenStore().read());
+    }
+    return sessionState;
+}
+
+/**
+ * Get the stored refresh token (null for cookie sessions)
+ */
+function getStoredRefreshToken() {
+    const values = getTokenStore().read();
+    return (values && values.refreshToken) || null;
+}
+
+/**
+ * Check whether a sign-in or refresh response carries a session for the
+ * current adapter: a token, or the user and expiry of a cookie session
+ * @param {object} response
+ */
+function hasSessionTokens(response) {
+    if (!response) return false;
+    return getTokenStore().keepsTokens ? !!response.token : !!(response.user && response.exp);
+}
+
+/**
+ * Store a new session; a missing refresh token keeps the current one
+ * @param {object} response - { token, refreshToken }, or { user, exp } for cookie sessions
+ * @param {object} options
+ * @param {boolean} options.remember - "Remember me" at sign-in; in auto mode
+ *        picks localStorage or sessionStorage and clears the other
+ */
+function setSessionTokens(response, { remember } = {}) {
+    const previous = getSessionState();
+    let store = getTokenStore();
+
+    if (remember !== undefined && getTokenStorageSetting() === 'auto') {
+        const chosen = remember ? TOKEN_STORES.local : TOKEN_STORES.session;
+        if (chosen !== store) {
+            store.clear();
+            store = chosen;
+        }
+    }
+
+    store.write(response);
+    updateSession(previous, { remote: false });
+}
+
+/**
+ * Remove the stored session
+ */
+function clearSessionTokens() {
+    const previous = getSessionState();
+    const store = getTokenStore();
+    store.clear();
+    store.suspend(null);
+    updateSession(previous, { remote: false });
+}
+
+/**
+ * Switch to an impersonation token, putting the current session aside to
+ * return to. A second impersonation keeps the admin's original session.
+ * @param {object} response - { token } from the backend
+ */
+function startSessionImpersonation(response) {
+    const store = getTokenStore();
+    if (!store.keepsTokens) {
+        throw new Error('Impersonation is not available with cookie sessions');
+    }
+
+    const previous = getSessionState();
+    if (!store.readSuspended()) {
+        store.suspend(store.read());
+    }
+    store.clear();
+    store.write({ token: response.token });
+    updateSession(previous, { remote: false });
+}
+
+/**
+ * Drop the impersonation token and restore the session put aside
+ * @returns {boolean} false when nobody was being impersonated
+ */
+function stopSessionImpersonation() {
+    const store = getTokenStore();
+    const suspended = store.readSuspended();
+    if (!suspended) return false;
+
+    const previous = getSessionState();
+    store.clear();
+    store.suspend(null);
+    store.write(suspended);
+    updateSession(previous, { remote: false });
+    return true;
+}
+
+/**
+ * Check whether requests must send the session cookies
+ */
+function usesSessionCookies() {
+    return !getTokenStore().keepsTokens;
+}
+
+/**
+ * Check whether the login form's "remember me" choice has any effect
+ */
+function canRememberSession() {
+    return ['auto', 'cookie'].includes(getTokenStorageSetting());
+}
+
+/**
+ * Read the trusted device tokens
+ * @returns {object} Token by lower-cased email
+ */
+function readTrustedDevices() {
+    try {
+        return JSON.parse(localStorage.getItem(TRUSTED_DEVICES_STORAGE_KEY)) || {};
+    } catch (error) {
+        window.logger.warn('Ignoring invalid trusted devices');
+        return {};
+    }
+}
+
+/**
+ * Get the token that lets this device skip the sign-in code for an account
+ * @param {string} email
+ * @returns {string|null}
+ */
+function getTrustedDeviceToken(email) {
+    return readTrustedDevices()[email.toLowerCase()] || null;
+}
+
+/**
+ * Remember that this device may skip the sign-in code for an account
+ * @param {string} email
+ * @param {string} token - Device token from the server
+ */
+function setTrustedDeviceToken(email, token) {
+    const devices = readTrustedDevices();
+    devices[email.toLowerCase()] = token;
+    localStorage.setItem(TRUSTED_DEVICES_STORAGE_KEY, JSON.stringify(devices));
+}
+
+/**
+ * Re-read the stored token and notify subscribers if it changed
+ * @param {object} previous - State before the change
+ * @param {object} details - { remote: true } when another tab made the change
+ */
+function updateSession(previous, details) {
+    const next = createSessionState(getTokenStore().read());
+    if (next.token === previous.token && JSON.stringify(next.user) === JSON.stringify(previous.user)) return;
+
+    sessionState = next;
+    sessionListeners.forEach(listener => {
+        try {
+            listener(next, previous, details);
+        } catch (error) {
+            window.logger.error('Session listener failed:', error);
+        }
+    });
+}
+
+/**
+ * Subscribe to session changes
+ * @param {function} listener - (state, previous, { remote }) on every token change
+ * @returns {function} Unsubscribe
+ */
+function subscribeToSession(listener) {
+    sessionListeners.add(listener);
+    return () => sessionListeners.delete(listener);
+}
+
+/**
+ * Follow sign-ins, sign-outs and token refreshes made in other tabs.
+ * localStorage fires the storage event in every tab but the one that
+ * made the change.
+ * @returns {function} Stop following
+ */
+function startSessionSync() {
+    if (stopSessionSync) return stopSessionSync;
+
+    const onStorage = event => {
+        // key is null when another tab cleared the whole storage
+        if (event.storageArea === localStorage && [null, TOKEN_STORAGE_KEY, USER_STORAGE_KEY].includes(event.key)) {
+            // The storage already holds the new value; fall back to the event's old one
+            const previous = sessionState || createSessionState(event.key === TOKEN_STORAGE_KEY ? { token: event.oldValue } : null);
+            updateSession(previous, { remote: true });
+        }
+    };
+
+    window.addEventListener('storage', onStorage);
+    stopSessionSync = () => {
+        window.removeEventListener('storage', onStorage);
+        stopSessionSync = null;
+    };
+    return stopSessionSync;
+}
+
+// Export session store
+window.session = {
+    getState: getSessionState,
+    getRefreshToken: getStoredRefreshToken,
+    setTokens: setSessionTokens,
+    clear: clearSessionTokens,
+    hasTokens: hasSessionTokens,
+    startImpersonation: startSessionImpersonation,
+    stopImpersonation: stopSessionImpersonation,
+    usesCookies: usesSessionCookies,
+    canRemember: canRememberSession,
+    getDeviceToken: getTrustedDeviceToken,
+    setDeviceToken: setTrustedDeviceToken,
+    subscribe: subscribeToSession,
+    startSync: startSessionSync
+};
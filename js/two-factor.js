@@ -0,0 +1,339 @@
+// Two-step verification settings in the customer profile: turning it on
+// with an authenticator app (scan the QR code or open the otpauth link,
+// then confirm a first code), showing the recovery codes once, and
+// turning it off again with the current password.
+
+// { enabled, recoveryCodesLeft } from the server
+let twoFactorStatus = null;
+// What the section shows: 'status', 'setup', 'codes' or 'disable'
+let twoFactorStep = 'status';
+// Setup in progress: { secret, otpauthUri, qrCode }
+let twoFactorSetup = null;
+// Recovery codes from the last setup; they are only shown once
+let recoveryCodes = [];
+
+/**
+ * Load the two-step verification status into the customer view
+ */
+function loadTwoFactor() {
+    const container = document.getElementById('customer-two-factor');
+    if (!container) return;
+
+    twoFactorStep = 'status';
+    twoFactorSetup = null;
+    recoveryCodes = [];
+
+    window.a11y.setBusy(container, true);
+    window.api.getTwoFactorStatus()
+        .then(response => {
+            twoFactorStatus = { enabled: !!response.enabled, recoveryCodesLeft: response.recoveryCodesLeft || 0 };
+            renderTwoFactor();
+        })
+        .catch(error => {
+            const { html, render } = window.safeHtml;
+            render(container, html`
+                <p style="color: #e74c3c;">${window.i18n.t('twoFactor.loadFailed', { message: window.app.describeError(error) })}</p>
+            `);
+        })
+        .finally(() => window.a11y.setBusy(container, false));
+}
+
+/**
+ * Render the current step of the section
+ * @param {string} message - Optional confirmation shown above the status
+ */
+function renderTwoFactor(message) {
+    const container = document.getElementById('customer-two-factor');
+    if (!container || !twoFactorStatus) return;
+
+    const renderers = {
+        status: renderTwoFactorStatus,
+        setup: renderTwoFactorSetup,
+        codes: renderRecoveryCodes,
+        disable: renderDisableTwoFactor
+    };
+    window.safeHtml.render(container, renderers[twoFactorStep](message));
+}
+
+/**
+ * Whether two-step verification is on, with the button to change it
+ * @param {string} message - Optional confirmation
+ */
+function renderTwoFactorStatus(message) {
+    const { html } = window.safeHtml;
+    const { t } = window.i18n;
+    const { enabled, recoveryCodesLeft } = twoFactorStatus;
+    return html`
+        ${message && html`<div class="success-message" role="status">✓ ${message}</div>`}
+        <p>${enabled ? t('twoFactor.on') : t('twoFactor.off')}</p>
+        ${enabled && html`<p>${t('twoFactor.codesLeft', { count: recoveryCodesLeft })}</p>`}
+        ${enabled
+            ? html`<button type="button" class="btn btn-small btn-secondary" data-action="disable-two-factor">${t('twoFactor.turnOff')}</button>`
+            : html`<button type="button" class="btn btn-small btn-primary" data-action="enable-two-factor">${t('twoFactor.turnOn')}</button>`}
+    `;
+}
+
+/**
+ * The secret to add to the authenticator app and the form for its first code
+ */
+function renderTwoFactorSetup() {
+    const { html } = window.safeHtml;
+    const { t } = window.i18n;
+    const { secret, otpauthUri, qrCode } = twoFactorSetup;
+    return html`
+        <p>${t('twoFactor.scan')}</p>
+        ${isSafeImageUrl(qrCode) && html`<img class="two-factor-qr" src="${qrCode}" alt="${t('twoFactor.qrAlt')}" width="200" height="200">`}
+        ${/^otpauth:\/\//.test(otpauthUri || '') && html`
+            <p><a class="btn btn-small btn-secondary" href="${otpauthUri}">${t('twoFactor.openApp')}</a></p>
+        `}
+        <p>${t('twoFactor.manual')} <code class="two-factor-secret">${formatSecret(secret)}</code></p>
+        <form id="two-factor-setup-form" novalidate>
+            <div class="form-group">
+                <label for="two-factor-code">${t('twoFactor.codeLabel')}</label>
+                <input type="text" id="two-factor-code" name="code" inputmode="numeric" autocomplete="one-time-code" aria-describedby="two-factor-code-error" required>
+                <div class="field-error" id="two-factor-code-error" data-error-for="code"></div>
+            </div>
+            <div class="error-message" style="display: none;"></div>
+            <div class="user-actions">
+                <button type="submit" class="btn btn-small btn-primary">${t('twoFactor.verify')}</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="cancel-two-factor">${t('common.cancel')}</button>
+            </div>
+        </form>
+    `;
+}
+
+/**
+ * The recovery codes of a setup that just finished
+ */
+function renderRecoveryCodes() {
+    const { html } = window.safeHtml;
+    const { t } = window.i18n;
+    return html`
+        <div class="success-message" role="status">✓ ${t('twoFactor.enabled')}</div>
+        <p>${t('twoFactor.saveCodes')}</p>
+        <ul class="recovery-codes">
+            ${recoveryCodes.map(code => html`<li><code>${code}</code></li>`)}
+        </ul>
+        <div class="user-actions">
+            <button type="button" class="btn btn-small btn-secondary" data-action="download-recovery-codes">${t('twoFactor.downloadCodes')}</button>
+            <button type="button" class="btn btn-small btn-primary" data-action="close-recovery-codes">${t('twoFactor.done')}</button>
+        </div>
+    `;
+}
+
+/**
+ * The form to turn two-step verification off
+ */
+function renderDisableTwoFactor() {
+    const { html } = window.safeHtml;
+    const { t } = window.i18n;
+    return html`
+        <form id="two-factor-disable-form" novalidate>
+            <p>${t('twoFactor.disablePrompt')}</p>
+            <div class="form-group">
+                <label for="two-factor-password">${t('fields.currentPassword')}</label>
+                <input type="password" id="two-factor-password" name="currentPassword" autocomplete="current-password" aria-describedby="two-factor-password-error" required>
+                <div class="field-error" id="two-factor-password-error" data-error-for="currentPassword"></div>
+            </div>
+            <div class="error-message" style="display: none;"></div>
+            <div class="user-actions">
+                <button type="submit" class="btn btn-small btn-danger">${t('twoFactor.turnOff')}</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="cancel-two-factor">${t('common.cancel')}</button>
+            </div>
+        </form>
+    `;
+}
+
+/**
+ * QR codes come from the server as data: or https: image URLs
+ * @param {string} url
+ */
+function isSafeImageUrl(url) {
+    return /^(data:image\/(png|gif|svg\+xml);|https:\/\/)/.test(url || '');
+}
+
+/**
+ * Split a base32 secret into groups of four for typing it in
+ * @param {string} secret
+ */
+function formatSecret(secret) {
+    return (secret || '').replace(/(.{4})(?=.)/g, '$1 ');
+}
+
+/**
+ * Switch the section to another step and focus its first field or button
+ * @param {string} step
+ * @param {string} message - Optional confirmation for the status step
+ */
+function showTwoFactorStep(step, message) {
+    twoFactorStep = step;
+    renderTwoFactor(message);
+
+    const container = document.getElementById('customer-two-factor');
+    const target = container.querySelector('input, button');
+    if (target && step !== 'status') {
+        target.focus();
+    }
+}
+
+/**
+ * Show or clear the form-level error message
+ * @param {HTMLFormElement} form
+ * @param {string|null} message
+ */
+function setTwoFactorError(form, message) {
+    const errorDiv = form.querySelector('.error-message');
+    errorDiv.textContent = message || '';
+    errorDiv.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Submit one of the section's forms, showing field and form-level errors
+ * @param {HTMLFormElement} form
+ * @param {object} errors - Client-side errors by field name
+ * @param {function} request - Sends the request, returning a promise
+ * @returns {Promise<object|null>} The response, or null when it failed
+ */
+async function submitTwoFactorForm(form, errors, request) {
+    setTwoFactorError(form, null);
+    const invalid = window.validation.showFieldErrors(form, errors);
+    if (invalid) {
+        invalid.focus();
+        return null;
+    }
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+        return await request();
+    } catch (error) {
+        submitBtn.disabled = false;
+        const fields = error instanceof window.http.ValidationError ? error.fields : {};
+        const field = window.validation.showFieldErrors(form, fields);
+        if (field) {
+            field.focus();
+        } else {
+            setTwoFactorError(form, window.app.describeError(error));
+        }
+        return null;
+    }
+}
+
+/**
+ * Start the setup: get a new secret for the authenticator app
+ * @param {HTMLButtonElement} button - The "Turn on" button
+ */
+async function handleStartTwoFactorSetup(button) {
+    // Each request replaces the secret, so only one may be in flight
+    button.disabled = true;
+
+    try {
+        twoFactorSetup = await window.api.startTwoFactorSetup();
+        showTwoFactorStep('setup');
+    } catch (error) {
+        button.disabled = false;
+        // The request already reported the error
+        window.logger.warn('Two-step verification setup failed:', error);
+    }
+}
+
+/**
+ * Confirm the first code and turn two-step verification on
+ * @param {HTMLFormElement} form
+ */
+async function handleEnableTwoFactor(form) {
+    const code = form.elements.code.value.trim();
+    const errors = code ? {} : { code: window.i18n.t('loginCode.codeRequired') };
+
+    const response = await submitTwoFactorForm(form, errors, () => window.api.enableTwoFactor(code));
+    if (!response) return;
+
+    recoveryCodes = response.recoveryCodes || [];
+    twoFactorSetup = null;
+    twoFactorStatus = { enabled: true, recoveryCodesLeft: recoveryCodes.length };
+    showTwoFactorStep('codes');
+}
+
+/**
+ * Turn two-step verification off after checking the password
+ * @param {HTMLFormElement} form
+ */
+async function handleDisableTwoFactor(form) {
+    const currentPassword = form.elements.currentPassword.value;
+    const errors = currentPassword ? {} : { currentPassword: window.i18n.t('validation.currentPasswordRequired') };
+
+    const response = await submitTwoFactorForm(form, errors, () => window.api.disableTwoFactor(currentPassword));
+    if (!response) return;
+
+    twoFactorStatus = { enabled: false, recoveryCodesLeft: 0 };
+    showTwoFactorStep('status', window.i18n.t('twoFactor.disabled'));
+}
+
+/**
+ * Download the recovery codes as a text file
+ */
+function downloadRecoveryCodes() {
+    window.app.downloadFile('recovery-codes', 'txt', recoveryCodes.join('\r\n'));
+}
+
+/**
+ * Initialize the two-step verification section
+ */
+function initializeTwoFactor() {
+    const container = document.getElementById('customer-two-factor');
+    if (!container) return;
+
+    const actions = {
+        'enable-two-factor': handleStartTwoFactorSetup,
+        'disable-two-factor': () => showTwoFactorStep('disable'),
+        'cancel-two-factor': () => {
+            twoFactorSetup = null;
+            showTwoFactorStep('status');
+        },
+        'download-recovery-codes': downloadRecoveryCodes,
+        'close-recovery-codes': () => {
+            recoveryCodes = [];
+            showTwoFactorStep('status');
+        }
+    };
+    container.addEventListener('click', event => {
+        const button = event.target.closest('button[data-action]');
+        if (button && actions[button.dataset.action]) {
+            actions[button.dataset.action](button);
+        }
+    });
+
+    container.addEventListener('submit', event => {
+        event.preventDefault();
+        if (event.target.id === 'two-factor-setup-form') {
+            handleEnableTwoFactor(event.target);
+        }
+        if (event.target.id === 'two-factor-disable-form') {
+            handleDisableTwoFactor(event.target);
+        }
+    });
+
+    // Never leave a secret or recovery codes on the page after signing out
+    window.session.subscribe(state => {
+        if (!state.isAuthenticated) {
+            twoFactorStatus = null;
+            twoFactorSetup = null;
+            recoveryCodes = [];
+            container.replaceChildren();
+        }
+    });
+
+    // Leave an open form alone so nothing typed is lost
+    window.i18n.subscribe(() => {
+        if (twoFactorStep === 'status' || twoFactorStep === 'codes') {
+            renderTwoFactor();
+        }
+    });
+}
+
+// Export two-step verification settings
+window.twoFactor = {
+    loadTwoFactor,
+    initializeTwoFactor
+};
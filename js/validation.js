@@ -0,0 +1,119 @@
+// Form validation helpers shared by the admin, profile and account forms
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+// Message keys of the strength labels, by score
+const PASSWORD_STRENGTH_LABELS = [
+    'password.tooShort',
+    'password.weak',
+    'password.fair',
+    'password.good',
+    'password.strong'
+];
+
+// Lowest passwordStrength score accepted for a new password ('Fair')
+const MIN_PASSWORD_SCORE = 2;
+
+/**
+ * Check an email address looks valid
+ * @param {string} email
+ */
+function isValidEmail(email) {
+    return EMAIL_PATTERN.test(email || '');
+}
+
+/**
+ * Score a password from 0 (too short) to 4 (strong). Length, mixed case,
+ * digits and symbols each add a point once the minimum length is met.
+ * @param {string} password
+ * @returns {object} { score, label }
+ */
+function passwordStrength(password = '') {
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return { score: 0, label: window.i18n.t(PASSWORD_STRENGTH_LABELS[0]) };
+    }
+
+    const checks = [
+        password.length >= 12,
+        /[a-z]/.test(password) && /[A-Z]/.test(password),
+        /\d/.test(password),
+        /[^A-Za-z0-9]/.test(password)
+    ];
+    const score = Math.max(1, checks.filter(Boolean).length);
+    return { score, label: window.i18n.t(PASSWORD_STRENGTH_LABELS[score]) };
+}
+
+/**
+ * Check a new password is long and strong enough
+ * @param {string} password
+ * @returns {string|null} Error message, or null when acceptable
+ */
+function newPasswordError(password) {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        return window.i18n.t('validation.passwordLength', { count: MIN_PASSWORD_LENGTH });
+    }
+    if (passwordStrength(password).score < MIN_PASSWORD_SCORE) {
+        return window.i18n.t('validation.passwordWeak');
+    }
+    return null;
+}
+
+/**
+ * Update a .password-strength meter for the password being typed; the
+ * meter is hidden while the password is empty
+ * @param {HTMLElement} meter
+ * @param {string} password
+ */
+function updatePasswordMeter(meter, password) {
+    const strength = passwordStrength(password);
+    meter.hidden = !password;
+    meter.dataset.score = strength.score;
+    meter.querySelector('.password-strength-label').textContent = window.i18n.t('password.strength', { label: strength.label });
+}
+
+/**
+ * Show messages next to form fields. Each message goes into the element
+ * with data-error-for="<field name>".
+ * @param {HTMLFormElement} form
+ * @param {object} errors - Field name to message
+ * @returns {HTMLElement|null} First invalid field, for focusing
+ */
+function showFieldErrors(form, errors) {
+    clearFieldErrors(form);
+
+    let first = null;
+    Object.keys(errors).forEach(name => {
+        const field = form.elements[name];
+        const message = form.querySelector(`[data-error-for="${name}"]`);
+        if (message) {
+            message.textContent = errors[name];
+        }
+        if (field) {
+            field.setAttribute('aria-invalid', 'true');
+            first = first || field;
+        }
+    });
+    return first;
+}
+
+/**
+ * Remove every field message from a form
+ * @param {HTMLFormElement} form
+ */
+function clearFieldErrors(form) {
+    form.querySelectorAll('[data-error-for]').forEach(message => {
+        message.textContent = '';
+    });
+    form.querySelectorAll('[aria-invalid]').forEach(field => field.removeAttribute('aria-invalid'));
+}
+
+// Export validation helpers
+window.validation = {
+    MIN_PASSWORD_LENGTH,
+    isValidEmail,
+    passwordStrength,
+    newPasswordError,
+    updatePasswordMeter,
+    showFieldErrors,
+    clearFieldErrors
+};
@@ -0,0 +1,1420 @@
+// Mock backend for local development
+//
+// Implements every endpoint the frontend calls, signs real HS256 JWTs and
+// can simulate latency and failures. Only uses Node built-ins.
+//
+//   npm run mock          start the mock API on http://localhost:3000/api
+//   npm run dev:mock      start the mock API and the static server together
+//
+// Settings come from environment variables and can be changed at runtime:
+//   curl -X POST localhost:3000/__mock/config -d '{"failure":"500","latency":800}'
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.MOCK_PORT) || 3000;
+const API_PREFIX = '/api';
+const JWT_SECRET = process.env.MOCK_JWT_SECRET || 'mock-development-secret';
+const FIXTURES_PATH = process.env.MOCK_FIXTURES || path.join(__dirname, 'fixtures.json');
+
+// Supported values for settings.failure
+const FAILURE_MODES = ['401', '500', 'expired'];
+
+const ROLES = ['customer', 'auditor', 'support', 'admin'];
+// Permissions of each role, including those of the roles it inherits. They
+// go into the access token's permissions claim.
+const ROLE_PERMISSIONS = {
+    customer: { permissions: ['profile:read', 'profile:update', 'profile:security'] },
+    auditor: { permissions: ['admin:access', 'stats:read', 'users:read', 'users:export', 'audit:read'] },
+    support: { inherits: ['auditor'], permissions: ['users:disable', 'users:reset-password', 'users:impersonate'] },
+    admin: { inherits: ['support'], permissions: ['users:create', 'users:update', 'users:delete', 'users:import', 'audit:clear'] }
+};
+// Left out of impersonation tokens: staff viewing the app as a customer
+// never change the customer's password or two-step verification
+const IMPERSONATION_EXCLUDED_PERMISSIONS = ['profile:security'];
+const ACCOUNT_STATUSES = ['active', 'disabled'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SORTABLE_USER_FIELDS = ['id', 'name', 'email', 'role'];
+const MAX_PAGE_SIZE = 100;
+// Users accepted by one POST /admin/users/import request
+const MAX_IMPORT_BATCH = 500;
+// Uploaded activity log entries kept in memory
+const MAX_AUDIT_ENTRIES = 5000;
+
+// Two-step verification: RFC 6238 codes (SHA-1, 30 s steps, 6 digits),
+// accepted one step early or late to allow for clock drift
+const TOTP_ISSUER = 'SFD App';
+const TOTP_STEP = 30;
+const TOTP_DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const RECOVERY_CODE_COUNT = 10;
+// Lifetime of a sign-in waiting for its code, and of a trusted device (seconds)
+const LOGIN_CHALLENGE_TTL = 5 * 60;
+const TRUSTED_DEVICE_TTL = 30 * 24 * 3600;
+// Wrong codes allowed per sign-in, and the wait between emailed codes (seconds)
+const MAX_LOGIN_CODE_ATTEMPTS = 5;
+const LOGIN_CODE_RESEND_INTERVAL = 30;
+
+// Buckets returned by /admin/stats/history for each range
+const HISTORY_RANGES = {
+    '7d': { count: 7, unit: 'day' },
+    '30d': { count: 30, unit: 'day' },
+    '90d': { count: 13, unit: 'week' },
+    '12m': { count: 12, unit: 'month' }
+};
+
+/**
+ * Error carrying the HTTP status to reply with
+ */
+class HttpError extends Error {
+    constructor(status, message, extra = {}) {
+        super(message);
+        this.status = status;
+        this.extra = extra;
+    }
+}
+
+/**
+ * Read the default settings from the environment
+ */
+function defaultSettings() {
+    return {
+        // Delay added to every response (ms)
+        latency: Number(process.env.MOCK_LATENCY) || 0,
+        // null, '401', '500' or 'expired'
+        failure: process.env.MOCK_FAILURE || null,
+        // Limit failures to these endpoints (e.g. '/admin/stats'); empty means all
+        failurePaths: (process.env.MOCK_FAILURE_PATHS || '').split(',').filter(Boolean),
+        // Access and refresh token lifetimes (seconds)
+        tokenTtl: Number(process.env.MOCK_TOKEN_TTL) || 3600,
+        refreshTokenTtl: Number(process.env.MOCK_REFRESH_TOKEN_TTL) || 7 * 24 * 3600,
+        // Impersonation token lifetime (seconds); these are never refreshed
+        impersonationTtl: Number(process.env.MOCK_IMPERSONATION_TTL) || 15 * 60,
+        // Enforce the per-route rate limits (register, password reset, ...)
+        rateLimits: process.env.MOCK_RATE_LIMITS !== 'off',
+        // Frontend URL used in the links of emails written to the outbox
+        appUrl: process.env.MOCK_APP_URL || 'http://localhost:8080/#',
+        // Send the tokens as httpOnly cookies instead of in the response body
+        tokenCookies: process.env.MOCK_TOKEN_COOKIES === 'on'
+    };
+}
+
+/**
+ * Load the user fixtures
+ * @param {string} fixturesPath - Path to a fixtures JSON file
+ */
+function loadFixtures(fixturesPath) {
+    const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    return {
+        users: fixtures.users.map(user => ({ ...user }))
+    };
+}
+
+/**
+ * Encode a value as base64url
+ * @param {Buffer|string} value
+ */
+function base64Url(value) {
+    return Buffer.from(value).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+/**
+ * Sign an HS256 JWT
+ * @param {object} payload - Token claims
+ */
+function signJwt(payload) {
+    const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64Url(JSON.stringify(payload));
+    const signature = base64Url(crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${body}`).digest());
+    return `${header}.${body}.${signature}`;
+}
+
+/**
+ * Verify an HS256 JWT and return its claims
+ * @param {string} token
+ */
+function verifyJwt(token) {
+    const [header, body, signature] = (token || '').split('.');
+    if (!header || !body || !signature) {
+        throw new HttpError(401, 'Invalid token');
+    }
+
+    const expected = base64Url(crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${body}`).digest());
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new HttpError(401, 'Invalid token');
+    }
+
+    const payload = JSON.parse(Buffer.from(body, 'base64').toString('utf8'));
+    if (payload.exp && payload.exp < Date.now() / 1000) {
+        throw new HttpError(401, 'Token expired');
+    }
+    return payload;
+}
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding), as authenticator apps expect
+ * @param {Buffer} buffer
+ */
+function base32Encode(buffer) {
+    const bits = [...buffer].map(byte => byte.toString(2).padStart(8, '0')).join('');
+    return (bits.match(/.{1,5}/g) || [])
+        .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+        .join('');
+}
+
+/**
+ * Decode base32 text, ignoring case, spaces and padding
+ * @param {string} text
+ */
+function base32Decode(text) {
+    const bits = text.toUpperCase().replace(/[^A-Z2-7]/g, '').split('')
+        .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+        .join('');
+    return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+}
+
+/**
+ * Compute the TOTP code of a secret for a point in time
+ * @param {string} secret - Base32 secret
+ * @param {number} time - Milliseconds since the epoch
+ */
+function totpCode(secret, time = Date.now()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / TOTP_STEP)));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a TOTP code against the current, previous and next time step
+ * @param {string} secret - Base32 secret
+ * @param {string} code
+ */
+function verifyTotp(secret, code) {
+    const now = Date.now();
+    return [-1, 0, 1].some(drift => totpCode(secret, now + drift * TOTP_STEP * 1000) === code);
+}
+
+/**
+ * Recovery codes are compared without case, spaces or dashes
+ * @param {string} code
+ */
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Strip fields that must never leave the server
+ * @param {object} user
+ */
+function publicUser(user) {
+    const { password, ...rest } = user;
+    return rest;
+}
+
+/**
+ * Get the permissions of a role, including those of the roles it inherits
+ * @param {string} role
+ * @returns {Array<string>}
+ */
+function permissionsFor(role) {
+    const definition = ROLE_PERMISSIONS[role];
+    if (!definition) return [];
+
+    const inherited = (definition.inherits || []).flatMap(permissionsFor);
+    return [...new Set([...inherited, ...definition.permissions])];
+}
+
+/**
+ * Fail with 403 unless the token grants a permission
+ * @param {object} user - Verified token claims
+ * @param {string} permission
+ */
+function requirePermission(user, permission) {
+    if (!(user.permissions || permissionsFor(user.role)).includes(permission)) {
+        throw new HttpError(403, 'Insufficient permissions');
+    }
+}
+
+/**
+ * Count users per role, with every role present
+ * @param {Array<object>} users
+ * @returns {object} e.g. { customer: 3, auditor: 1, support: 1, admin: 1 }
+ */
+function countUsersByRole(users) {
+    return Object.fromEntries(Object.keys(ROLE_PERMISSIONS)
+        .map(role => [role, users.filter(user => user.role === role).length]));
+}
+
+/**
+ * Filter, sort and paginate users for GET /admin/users. Without page or
+ * limit every matching user is returned.
+ * @param {Array<object>} users - Public user objects
+ * @param {object} query - { q, role, sort, order, page, limit }
+ */
+function listUsers(users, query) {
+    const q = (query.q || '').toLowerCase();
+    const sort = SORTABLE_USER_FIELDS.includes(query.sort) ? query.sort : 'id';
+    const direction = query.order === 'desc' ? -1 : 1;
+
+    const matching = users
+        .filter(user => !q || user.name.toLowerCase().includes(q) || user.email.toLowerCase().includes(q))
+        .filter(user => !query.role || user.role === query.role)
+        .sort((a, b) => direction * (typeof a[sort] === 'number'
+            ? a[sort] - b[sort]
+            : String(a[sort]).localeCompare(String(b[sort]))));
+
+    if (query.page === undefined && query.limit === undefined) {
+        return { totalUsers: matching.length, users: matching };
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+    return {
+        totalUsers: matching.length,
+        page,
+        limit,
+        totalPages: Math.max(1, Math.ceil(matching.length / limit)),
+        users: matching.slice((page - 1) * limit, page * limit)
+    };
+}
+
+/**
+ * Count users at the end of each bucket of a history range
+ * @param {Array<object>} users - All users
+ * @param {object} range - { count, unit } from HISTORY_RANGES
+ * @returns {Array<object>} { date, totalUsers, usersByRole, newUsers }, oldest first
+ */
+function statsHistory(users, range) {
+    const shift = (date, amount) => {
+        const result = new Date(date);
+        if (range.unit === 'month') {
+            result.setMonth(result.getMonth() - amount);
+        } else {
+            result.setDate(result.getDate() - amount * (range.unit === 'week' ? 7 : 1));
+        }
+        return result;
+    };
+
+    const now = new Date();
+    const points = [];
+    for (let i = range.count - 1; i >= 0; i--) {
+        const end = shift(now, i);
+        const start = shift(end, 1);
+        const members = users.filter(user => new Date(user.memberSince) <= end);
+        points.push({
+            date: end.toISOString(),
+            totalUsers: members.length,
+            usersByRole: countUsersByRole(members),
+            newUsers: members.filter(user => new Date(user.memberSince) > start).length
+        });
+    }
+    return points;
+}
+
+/**
+ * Profile fields a customer can see about themselves
+ * @param {object} user
+ */
+function profileOf(user) {
+    return {
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        accountStatus: user.accountStatus,
+        memberSince: user.memberSince
+    };
+}
+
+/**
+ * Create the mock API server
+ * @param {object} options - { fixturesPath, settings }
+ * @returns {http.Server} Server with `settings`, `db`, `outbox` and `auditLog` properties for tests
+ */
+function createServer(options = {}) {
+    const db = loadFixtures(options.fixturesPath || FIXTURES_PATH);
+    const settings = { ...defaultSettings(), ...options.settings };
+    const refreshTokens = new Map();
+    // Single-use email verification and password reset tokens: token -> { userId, expiresAt }
+    const verificationTokens = new Map();
+    const resetTokens = new Map();
+    // Requests per rate-limited route and client: key -> { count, resetAt }
+    const rateLimitHits = new Map();
+    // Emails the server would have sent, newest last
+    const outbox = [];
+    // Activity log entries uploaded by admin sessions, newest last
+    const auditLog = [];
+    // Two-step verification: userId -> { secret, recoveryCodes }, and secrets
+    // waiting for their first code during setup: userId -> secret
+    const twoFactor = new Map();
+    const pendingTwoFactor = new Map();
+    // Sign-ins waiting for their code: token -> { userId, expiresAt, attempts, emailCode, resendAt }
+    const loginChallenges = new Map();
+    // Devices that skip the code: token -> { userId, expiresAt }
+    const trustedDevices = new Map();
+
+    /**
+     * Issue an access token and a refresh token for a user
+     * @param {object} user
+     * @param {boolean} remember - Keep the session cookies after the browser closes
+     */
+    function issueTokens(user, remember = false) {
+        const now = Math.floor(Date.now() / 1000);
+        const token = signJwt({
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            permissions: permissionsFor(user.role),
+            iat: now,
+            exp: now + settings.tokenTtl
+        });
+
+        const refreshToken = crypto.randomBytes(32).toString('hex');
+        refreshTokens.set(refreshToken, {
+            userId: user.id,
+            remember,
+            expiresAt: Date.now() + settings.refreshTokenTtl * 1000
+        });
+
+        return { token, refreshToken };
+    }
+
+    /**
+     * Start (or renew) a session. With settings.tokenCookies the tokens go
+     * out as httpOnly cookies and the body only carries the user and expiry.
+     * @param {object} user
+     * @param {function} setCookie - From the handler context
+     * @param {boolean} remember - Persistent cookies rather than session cookies
+     */
+    function startSession(user, setCookie, remember) {
+        const tokens = issueTokens(user, !!remember);
+        if (!settings.tokenCookies) {
+            return tokens;
+        }
+
+        const maxAge = remember ? settings.refreshTokenTtl : null;
+        setCookie('authToken', tokens.token, { path: API_PREFIX, maxAge });
+        setCookie('refreshToken', tokens.refreshToken, { path: `${API_PREFIX}/auth`, maxAge });
+        return { user: { ...publicUser(user), permissions: permissionsFor(user.role) }, exp: verifyJwt(tokens.token).exp };
+    }
+
+    /**
+     * Find a user by id or fail with 404
+     */
+    function findUser(id) {
+        const user = db.users.find(u => u.id === Number(id));
+        if (!user) {
+            throw new HttpError(404, 'User not found');
+        }
+        return user;
+    }
+
+    /**
+     * Validate user fields, throwing a 422 with field errors
+     * @param {object} body - Submitted fields
+     * @param {object} options - { partial: only check present fields, userId: user being edited }
+     */
+    function validateUserFields(body, { partial = false, userId = null } = {}) {
+        const errors = {};
+        const has = key => !partial || body[key] !== undefined;
+
+        if (has('name') && !String(body.name || '').trim()) {
+            errors.name = 'Name is required';
+        }
+        if (has('email')) {
+            if (!EMAIL_PATTERN.test(body.email || '')) {
+                errors.email = 'Email is invalid';
+            } else if (db.users.some(u => u.email === body.email && u.id !== userId)) {
+                errors.email = 'Email is already in use';
+            }
+        }
+        if (has('role') && !ROLES.includes(body.role)) {
+            errors.role = `Role must be one of ${ROLES.join(', ')}`;
+        }
+        if (body.accountStatus !== undefined && !ACCOUNT_STATUSES.includes(body.accountStatus)) {
+            errors.accountStatus = `Status must be one of ${ACCOUNT_STATUSES.join(', ')}`;
+        }
+
+        if (Object.keys(errors).length) {
+            throw new HttpError(422, 'Validation failed', { errors });
+        }
+    }
+
+    /**
+     * Check the initial password an admin sets for a new user
+     */
+    function validateInitialPassword(password) {
+        if (!password || password.length < 8) {
+            throw new HttpError(422, 'Validation failed', {
+                errors: { password: 'Password must be at least 8 characters' }
+            });
+        }
+    }
+
+    /**
+     * Add a validated user; accounts created by admins need no email verification
+     */
+    function addUser(fields) {
+        const user = {
+            id: Math.max(0, ...db.users.map(u => u.id)) + 1,
+            name: fields.name.trim(),
+            email: fields.email,
+            password: fields.password || crypto.randomBytes(24).toString('hex'),
+            role: fields.role,
+            accountStatus: 'active',
+            memberSince: new Date().toISOString()
+        };
+        db.users.push(user);
+        return user;
+    }
+
+    /**
+     * Reject changes an admin must not make to their own account
+     */
+    function guardSelf(user, target, changes) {
+        if (user.id !== target.id) return;
+        if (changes.role && changes.role !== target.role) {
+            throw new HttpError(400, 'You cannot change your own role');
+        }
+        if (changes.accountStatus === 'disabled') {
+            throw new HttpError(400, 'You cannot disable your own account');
+        }
+    }
+
+    /**
+     * Build the response shared by the /customer and /admin services
+     */
+    function serviceResponse(service, user) {
+        return {
+            success: true,
+            message: `${service} accessed successfully`,
+            data: {
+                service,
+                user: { name: user.name, role: user.role },
+                timestamp: new Date().toISOString()
+            }
+        };
+    }
+
+    // Route table: permissions lists what the caller needs (all of it), null means public
+    const routes = [
+        {
+            method: 'POST',
+            path: '/auth/login',
+            permissions: null,
+            handler: ({ body, setCookie }) => {
+                const user = db.users.find(u => u.email === body.email && u.password === body.password);
+                if (!user) {
+                    throw new HttpError(401, 'Invalid email or password');
+                }
+                if (user.accountStatus === 'disabled') {
+                    throw new HttpError(403, 'This account has been disabled');
+                }
+                if (user.emailVerified === false) {
+                    throw new HttpError(403, 'Please verify your email address before signing in', {
+                        code: 'email_not_verified'
+                    });
+                }
+                if (twoFactor.has(user.id) && !isTrustedDevice(body.deviceToken, user)) {
+                    return startLoginChallenge(user);
+                }
+                return {
+                    success: true,
+                    message: 'Login successful',
+                    ...startSession(user, setCookie, body.remember),
+                    user: publicUser(user)
+                };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/auth/login/verify',
+            permissions: null,
+            rateLimit: { max: 10, window: 15 * 60 },
+            handler: ({ body, setCookie }) => {
+                const challenge = findLoginChallenge(body.challengeToken);
+                const user = findUser(challenge.userId);
+                if (!checkLoginCode(challenge, user, body.method, String(body.code || '').trim())) {
+                    challenge.attempts++;
+                    if (challenge.attempts >= MAX_LOGIN_CODE_ATTEMPTS) {
+                        loginChallenges.delete(body.challengeToken);
+                        throw new HttpError(400, 'Too many incorrect codes. Please sign in again.', { code: 'challenge_expired' });
+                    }
+                    throw new HttpError(422, 'Validation failed', { errors: { code: 'The code is incorrect' } });
+                }
+
+                loginChallenges.delete(body.challengeToken);
+                return {
+                    success: true,
+                    message: 'Login successful',
+                    ...startSession(user, setCookie, body.remember),
+                    user: publicUser(user),
+                    ...(body.trustDevice ? { deviceToken: issueOneTimeToken(trustedDevices, user, TRUSTED_DEVICE_TTL) } : {})
+                };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/auth/login/resend',
+            permissions: null,
+            handler: ({ body }) => {
+                const challenge = findLoginChallenge(body.challengeToken);
+                const wait = Math.ceil((challenge.resendAt - Date.now()) / 1000);
+                if (wait > 0) {
+                    throw new HttpError(429, 'Please wait before requesting another code', { retryAfter: wait });
+                }
+
+                challenge.emailCode = String(crypto.randomInt(10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+                challenge.resendAt = Date.now() + LOGIN_CODE_RESEND_INTERVAL * 1000;
+                sendLoginCode(findUser(challenge.userId), challenge.emailCode);
+                return { success: true, message: 'A sign-in code has been sent', resendAfter: LOGIN_CODE_RESEND_INTERVAL };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/auth/refresh',
+            permissions: null,
+            handler: ({ body, cookies, setCookie }) => {
+                const presented = body.refreshToken || cookies.refreshToken;
+                const stored = refreshTokens.get(presented);
+                refreshTokens.delete(presented);
+                if (!stored || stored.expiresAt < Date.now()) {
+                    throw new HttpError(401, 'Invalid refresh token');
+                }
+                return { success: true, ...startSession(findUser(stored.userId), setCookie, stored.remember) };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/auth/logout',
+            permissions: null,
+            handler: ({ body, cookies, setCookie }) => {
+                refreshTokens.delete(body.refreshToken || cookies.refreshToken);
+                setCookie('authToken', '', { path: API_PREFIX, maxAge: 0 });
+                setCookie('refreshToken', '', { path: `${API_PREFIX}/auth`, maxAge: 0 });
+                return { success: true, message: 'Signed out' };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/auth/register',
+            permissions: null,
+            rateLimit: { max: 5, window: 15 * 60 },
+            handler: ({ body }) => {
+                validateUserFields({ name: body.name, email: body.email, role: 'customer' });
+                if (!body.password || body.password.length < 8) {
+                    throw new HttpError(422, 'Validation failed', {
+                        errors: { password: 'Password must be at least 8 characters' }
+                    });
+                }
+
+                const user = {
+                    id: Math.max(0, ...db.users.map(u => u.id)) + 1,
+                    name: body.name.trim(),
+                    email: body.email,
+                    password: body.password,
+                    role: 'customer',
+                    accountStatus: 'active',
+                    emailVerified: false,
+                    memberSince: new Date().toISOString()
+                };
+                db.users.push(user);
+                sendVerificationEmail(user);
+                return { success: true, message: 'Account created. Check your email to verify it.' };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/auth/verify-email',
+            permissions: null,
+            rateLimit: { max: 10, window: 15 * 60 },
+            handler: ({ body }) => {
+                const user = consumeOneTimeToken(verificationTokens, body.token, 'This verification link is invalid or has expired');
+                user.emailVerified = true;
+                return { success: true, message: 'Email verified' };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/auth/verify-email/resend',
+            permissions: null,
+            rateLimit: { max: 3, window: 15 * 60 },
+            handler: ({ body }) => {
+                // Same answer whether or not the address exists
+                const user = db.users.find(u => u.email === body.email);
+                if (user && user.emailVerified === false) {
+                    sendVerificationEmail(user);
+                }
+                return { success: true, message: 'If the address needs verifying, a new link has been sent' };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/auth/forgot-password',
+            permissions: null,
+            rateLimit: { max: 3, window: 15 * 60 },
+            handler: ({ body }) => {
+                // Same answer whether or not the address exists
+                const user = db.users.find(u => u.email === body.email);
+                if (user) {
+                    const token = issueOneTimeToken(resetTokens, user, 3600);
+                    sendEmail(user.email, 'Reset your password', `${settings.appUrl}/reset-password?token=${token}`);
+                }
+                return { success: true, message: 'If the address has an account, a reset link has been sent' };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/auth/reset-password',
+            permissions: null,
+            rateLimit: { max: 10, window: 15 * 60 },
+            handler: ({ body }) => {
+                if (!body.password || body.password.length < 8) {
+                    throw new HttpError(422, 'Validation failed', {
+                        errors: { password: 'Password must be at least 8 characters' }
+                    });
+                }
+                const user = consumeOneTimeToken(resetTokens, body.token, 'This reset link is invalid or has expired');
+                user.password = body.password;
+                return { success: true, message: 'Password changed successfully' };
+            }
+        },
+        {
+            method: 'GET',
+            path: '/customer',
+            permissions: ['profile:read'],
+            handler: ({ user }) => serviceResponse('Customer Service', findUser(user.id))
+        },
+        {
+            method: 'GET',
+            path: '/customer/profile',
+            permissions: ['profile:read'],
+            handler: ({ user }) => ({
+                success: true,
+                profile: profileOf(findUser(user.id))
+            })
+        },
+        {
+            method: 'PATCH',
+            path: '/customer/profile',
+            permissions: ['profile:update'],
+            handler: ({ body, user, cookies, setCookie }) => {
+                const target = findUser(user.id);
+                const changes = {};
+                ['name', 'email'].forEach(key => {
+                    if (body[key] !== undefined) {
+                        changes[key] = key === 'name' ? String(body.name).trim() : body.email;
+                    }
+                });
+                validateUserFields(changes, { partial: true, userId: target.id });
+
+                const emailChanged = changes.email !== undefined && changes.email !== target.email;
+                if (emailChanged && body.currentPassword !== target.password) {
+                    throw new HttpError(422, 'Validation failed', {
+                        errors: { currentPassword: body.currentPassword ? 'Current password is incorrect' : 'Current password is required' }
+                    });
+                }
+
+                Object.assign(target, changes);
+                if (!emailChanged) {
+                    return { success: true, message: 'Profile updated successfully', profile: profileOf(target) };
+                }
+
+                // The access token carries the email, so issue a new one
+                let renewed;
+                if (settings.tokenCookies) {
+                    const stored = refreshTokens.get(cookies.refreshToken);
+                    refreshTokens.delete(cookies.refreshToken);
+                    renewed = startSession(target, setCookie, stored && stored.remember);
+                } else {
+                    renewed = { token: issueTokens(target).token };
+                }
+                return { success: true, message: 'Profile updated successfully', profile: profileOf(target), ...renewed };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/customer/profile/password',
+            permissions: ['profile:security'],
+            handler: ({ body, user }) => {
+                const target = findUser(user.id);
+                const errors = {};
+                if (body.currentPassword !== target.password) {
+                    errors.currentPassword = body.currentPassword ? 'Current password is incorrect' : 'Current password is required';
+                }
+                if (!body.newPassword || body.newPassword.length < 8) {
+                    errors.newPassword = 'Password must be at least 8 characters';
+                } else if (body.newPassword === target.password) {
+                    errors.newPassword = 'New password must be different from the current one';
+                }
+                if (Object.keys(errors).length) {
+                    throw new HttpError(422, 'Validation failed', { errors });
+                }
+
+                target.password = body.newPassword;
+                return { success: true, message: 'Password changed successfully' };
+            }
+        },
+        {
+            method: 'GET',
+            path: '/customer/two-factor',
+            permissions: ['profile:read'],
+            handler: ({ user }) => {
+                const secondFactor = twoFactor.get(user.id);
+                return {
+                    success: true,
+                    enabled: !!secondFactor,
+                    recoveryCodesLeft: secondFactor ? secondFactor.recoveryCodes.length : 0
+                };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/customer/two-factor/setup',
+            permissions: ['profile:security'],
+            handler: ({ user }) => {
+                const target = findUser(user.id);
+                if (twoFactor.has(target.id)) {
+                    throw new HttpError(400, 'Two-step verification is already on');
+                }
+
+                const secret = base32Encode(crypto.randomBytes(20));
+                pendingTwoFactor.set(target.id, secret);
+                const label = encodeURIComponent(`${TOTP_ISSUER}:${target.email}`);
+                return {
+                    success: true,
+                    secret,
+                    otpauthUri: `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}` +
+                        `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP}`
+                };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/customer/two-factor/enable',
+            permissions: ['profile:security'],
+            handler: ({ body, user }) => {
+                const secret = pendingTwoFactor.get(user.id);
+                if (!secret) {
+                    throw new HttpError(400, 'Start the setup again');
+                }
+                if (!verifyTotp(secret, String(body.code || '').trim())) {
+                    throw new HttpError(422, 'Validation failed', { errors: { code: 'The code is incorrect' } });
+                }
+
+                const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+                    crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-'));
+                pendingTwoFactor.delete(user.id);
+                twoFactor.set(user.id, { secret, recoveryCodes: recoveryCodes.map(normalizeRecoveryCode) });
+                return { success: true, message: 'Two-step verification is on', recoveryCodes };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/customer/two-factor/disable',
+            permissions: ['profile:security'],
+            handler: ({ body, user }) => {
+                const target = findUser(user.id);
+                if (body.currentPassword !== target.password) {
+                    throw new HttpError(422, 'Validation failed', {
+                        errors: { currentPassword: body.currentPassword ? 'Current password is incorrect' : 'Current password is required' }
+                    });
+                }
+
+                twoFactor.delete(target.id);
+                // Trusted devices only skipped the code, so they go too
+                trustedDevices.forEach((device, token) => {
+                    if (device.userId === target.id) {
+                        trustedDevices.delete(token);
+                    }
+                });
+                return { success: true, message: 'Two-step verification is off' };
+            }
+        },
+        {
+            method: 'GET',
+            path: '/admin',
+            permissions: ['admin:access'],
+            handler: ({ user }) => serviceResponse('Admin Service', findUser(user.id))
+        },
+        {
+            method: 'GET',
+            path: '/admin/users',
+            permissions: ['users:read'],
+            handler: ({ query }) => ({
+                success: true,
+                message: 'Users retrieved successfully',
+                ...listUsers(db.users.map(publicUser), query)
+            })
+        },
+        {
+            method: 'POST',
+            path: '/admin/users',
+            permissions: ['users:create'],
+            handler: ({ body }) => {
+                validateUserFields(body);
+                validateInitialPassword(body.password);
+                const user = addUser(body);
+                return { success: true, message: 'User created successfully', user: publicUser(user) };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/admin/users/import',
+            permissions: ['users:import'],
+            handler: ({ body }) => {
+                if (!Array.isArray(body.users)) {
+                    throw new HttpError(400, 'users must be an array');
+                }
+                if (body.users.length > MAX_IMPORT_BATCH) {
+                    throw new HttpError(400, `At most ${MAX_IMPORT_BATCH} users can be imported per request`);
+                }
+
+                // Emails taken by earlier rows, which a dry run does not add to db
+                const taken = new Set();
+                const results = body.users.map(fields => {
+                    try {
+                        validateUserFields(fields);
+                        if (taken.has(fields.email)) {
+                            throw new HttpError(422, 'Validation failed', { errors: { email: 'Email is already in use' } });
+                        }
+                        // Without a password the user is sent a link to choose one
+                        if (fields.password) {
+                            validateInitialPassword(fields.password);
+                        }
+                        taken.add(fields.email);
+                        if (body.dryRun) {
+                            return { success: true };
+                        }
+
+                        const user = addUser(fields);
+                        if (!fields.password) {
+                            const token = issueOneTimeToken(resetTokens, user, 7 * 24 * 3600);
+                            sendEmail(user.email, 'Set your password', `${settings.appUrl}/reset-password?token=${token}`);
+                        }
+                        return { success: true, user: publicUser(user) };
+                    } catch (error) {
+                        if (!(error instanceof HttpError)) throw error;
+                        return { success: false, message: error.message, ...error.extra };
+                    }
+                });
+
+                const accepted = results.filter(result => result.success).length;
+                return {
+                    success: true,
+                    message: body.dryRun ? 'Users checked' : 'Users imported',
+                    dryRun: !!body.dryRun,
+                    accepted,
+                    rejected: results.length - accepted,
+                    results
+                };
+            }
+        },
+        {
+            method: 'PUT',
+            path: '/admin/users/:id',
+            permissions: ['users:update'],
+            handler: ({ body, params, user }) => {
+                const target = findUser(params.id);
+                validateUserFields(body, { userId: target.id });
+                guardSelf(user, target, body);
+
+                Object.assign(target, { name: body.name.trim(), email: body.email, role: body.role });
+                return { success: true, message: 'User updated successfully', user: publicUser(target) };
+            }
+        },
+        {
+            method: 'PATCH',
+            path: '/admin/users/:id',
+            permissions: ['users:disable'],
+            handler: ({ body, params, user }) => {
+                const target = findUser(params.id);
+                const changes = {};
+                ['name', 'email', 'role', 'accountStatus'].forEach(key => {
+                    if (body[key] !== undefined) {
+                        changes[key] = body[key];
+                    }
+                });
+                // Support staff may only enable and disable customer accounts
+                if (target.role !== 'customer' || Object.keys(changes).some(key => key !== 'accountStatus')) {
+                    requirePermission(user, 'users:update');
+                }
+                validateUserFields(changes, { partial: true, userId: target.id });
+                guardSelf(user, target, changes);
+
+                Object.assign(target, changes);
+                return { success: true, message: 'User updated successfully', user: publicUser(target) };
+            }
+        },
+        {
+            method: 'DELETE',
+            path: '/admin/users/:id',
+            permissions: ['users:delete'],
+            handler: ({ params, user }) => {
+                const target = findUser(params.id);
+                if (target.id === user.id) {
+                    throw new HttpError(400, 'You cannot delete your own account');
+                }
+                db.users.splice(db.users.indexOf(target), 1);
+                return { success: true, message: 'User deleted successfully' };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/admin/users/:id/password-reset',
+            permissions: ['users:reset-password'],
+            handler: ({ params }) => {
+                const target = findUser(params.id);
+                console.log(`[mock] Password reset link for ${target.email}`);
+                return { success: true, message: `Password reset link sent to ${target.email}` };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/admin/users/:id/impersonate',
+            permissions: ['users:impersonate'],
+            handler: ({ params, user }) => {
+                const target = findUser(params.id);
+                if (target.role !== 'customer' || target.accountStatus === 'disabled') {
+                    throw new HttpError(400, 'Only active customer accounts can be impersonated');
+                }
+                if (settings.tokenCookies) {
+                    throw new HttpError(400, 'Impersonation is not available with cookie sessions');
+                }
+
+                const now = Math.floor(Date.now() / 1000);
+                const token = signJwt({
+                    id: target.id,
+                    email: target.email,
+                    role: target.role,
+                    permissions: permissionsFor(target.role)
+                        .filter(permission => !IMPERSONATION_EXCLUDED_PERMISSIONS.includes(permission)),
+                    // The staff member acting as the customer (RFC 8693)
+                    act: { id: user.id, email: user.email, role: user.role },
+                    iat: now,
+                    exp: now + settings.impersonationTtl
+                });
+                console.log(`[mock] ${user.email} is impersonating ${target.email}`);
+                return { success: true, token, user: publicUser(target), expiresIn: settings.impersonationTtl };
+            }
+        },
+        {
+            method: 'GET',
+            path: '/admin/stats',
+            permissions: ['stats:read'],
+            handler: () => ({
+                success: true,
+                message: 'Statistics retrieved successfully',
+                statistics: {
+                    totalUsers: db.users.length,
+                    usersByRole: countUsersByRole(db.users),
+                    disabledUsers: db.users.filter(u => u.accountStatus === 'disabled').length,
+                    systemStatus: settings.failure ? 'degraded' : 'operational',
+                    lastUpdate: new Date().toISOString()
+                }
+            })
+        },
+        {
+            method: 'GET',
+            path: '/admin/stats/history',
+            permissions: ['stats:read'],
+            handler: ({ query }) => {
+                const range = query.range || '30d';
+                if (!HISTORY_RANGES[range]) {
+                    throw new HttpError(400, `Unknown range: ${range}`);
+                }
+                return {
+                    success: true,
+                    message: 'Statistics history retrieved successfully',
+                    range,
+                    points: statsHistory(db.users, HISTORY_RANGES[range])
+                };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/admin/audit',
+            permissions: ['admin:access'],
+            handler: ({ body, user }) => {
+                if (!Array.isArray(body.entries)) {
+                    throw new HttpError(400, 'entries must be an array');
+                }
+                body.entries.forEach(entry => {
+                    auditLog.push({ ...entry, receivedFrom: user.email, receivedAt: new Date().toISOString() });
+                });
+                auditLog.splice(0, Math.max(0, auditLog.length - MAX_AUDIT_ENTRIES));
+                return { success: true, message: 'Activity log received', received: body.entries.length };
+            }
+        }
+    ];
+
+    /**
+     * Find the route for a method and path, extracting :params
+     */
+    function matchRoute(method, pathname) {
+        const parts = pathname.split('/').filter(Boolean);
+        for (const route of routes) {
+            const routeParts = route.path.split('/').filter(Boolean);
+            if (route.method !== method || routeParts.length !== parts.length) continue;
+
+            const params = {};
+            const matches = routeParts.every((part, i) => {
+                if (part.startsWith(':')) {
+                    params[part.slice(1)] = decodeURIComponent(parts[i]);
+                    return true;
+                }
+                return part === parts[i];
+            });
+            if (matches) {
+                return { route, params };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Throw the configured failure if it applies to this endpoint
+     */
+    function injectFailure(route) {
+        if (!settings.failure) return;
+        if (settings.failurePaths.length && !settings.failurePaths.includes(route.path)) return;
+
+        if (settings.failure === '500') {
+            throw new HttpError(500, 'Simulated server error');
+        }
+        // Auth failures only make sense on protected endpoints
+        if (route.permissions && settings.failure === '401') {
+            throw new HttpError(401, 'Simulated authentication failure');
+        }
+        if (route.permissions && settings.failure === 'expired') {
+            throw new HttpError(401, 'Token expired');
+        }
+    }
+
+    /**
+     * Create a single-use token for a user in one of the token maps
+     */
+    function issueOneTimeToken(tokens, user, ttlSeconds) {
+        const token = crypto.randomBytes(24).toString('hex');
+        tokens.set(token, { userId: user.id, expiresAt: Date.now() + ttlSeconds * 1000 });
+        return token;
+    }
+
+    /**
+     * Take a single-use token out of its map, failing if it is unknown or expired
+     */
+    function consumeOneTimeToken(tokens, token, message) {
+        const stored = tokens.get(token);
+        tokens.delete(token);
+        if (!stored || stored.expiresAt < Date.now()) {
+            throw new HttpError(400, message);
+        }
+        return findUser(stored.userId);
+    }
+
+    /**
+     * Start a sign-in that needs a code from an account with two-step verification
+     */
+    function startLoginChallenge(user) {
+        const challengeToken = crypto.randomBytes(24).toString('hex');
+        loginChallenges.set(challengeToken, {
+            userId: user.id,
+            expiresAt: Date.now() + LOGIN_CHALLENGE_TTL * 1000,
+            attempts: 0,
+            emailCode: null,
+            resendAt: 0
+        });
+        return {
+            success: true,
+            mfaRequired: true,
+            challengeToken,
+            methods: ['totp', 'email', 'recovery'],
+            expiresIn: LOGIN_CHALLENGE_TTL
+        };
+    }
+
+    /**
+     * Find a pending sign-in, failing if it is unknown or expired
+     */
+    function findLoginChallenge(token) {
+        const challenge = loginChallenges.get(token);
+        if (!challenge || challenge.expiresAt < Date.now()) {
+            loginChallenges.delete(token);
+            throw new HttpError(400, 'This sign-in has expired. Please sign in again.', { code: 'challenge_expired' });
+        }
+        return challenge;
+    }
+
+    /**
+     * Check the code of a pending sign-in; a recovery code is used up
+     */
+    function checkLoginCode(challenge, user, method, code) {
+        const secondFactor = twoFactor.get(user.id);
+        if (method === 'totp') {
+            return verifyTotp(secondFactor.secret, code);
+        }
+        if (method === 'email') {
+            return !!challenge.emailCode && code === challenge.emailCode;
+        }
+        if (method === 'recovery') {
+            const index = secondFactor.recoveryCodes.indexOf(normalizeRecoveryCode(code));
+            if (index !== -1) {
+                secondFactor.recoveryCodes.splice(index, 1);
+            }
+            return index !== -1;
+        }
+        return false;
+    }
+
+    /**
+     * Check that a device token from an earlier sign-in belongs to this user
+     */
+    function isTrustedDevice(token, user) {
+        const device = token && trustedDevices.get(token);
+        return !!device && device.userId === user.id && device.expiresAt > Date.now();
+    }
+
+    /**
+     * "Send" an email by adding it to the outbox and logging the link
+     */
+    function sendEmail(to, subject, link) {
+        outbox.push({ to, subject, link, sentAt: new Date().toISOString() });
+        console.log(`Email to ${to}: ${subject} ${link}`);
+    }
+
+    /**
+     * "Send" a sign-in code by email
+     */
+    function sendLoginCode(user, code) {
+        outbox.push({ to: user.email, subject: 'Your sign-in code', code, sentAt: new Date().toISOString() });
+        console.log(`Email to ${user.email}: sign-in code ${code}`);
+    }
+
+    /**
+     * Send the verification link for a new account
+     */
+    function sendVerificationEmail(user) {
+        const token = issueOneTimeToken(verificationTokens, user, 24 * 3600);
+        sendEmail(user.email, 'Verify your email', `${settings.appUrl}/verify-email?token=${token}`);
+    }
+
+    /**
+     * Count a request against the route's rate limit
+     */
+    function checkRateLimit(req, route) {
+        if (!route.rateLimit || !settings.rateLimits) return;
+
+        const key = `${route.method} ${route.path} ${req.socket.remoteAddress}`;
+        const now = Date.now();
+        let hits = rateLimitHits.get(key);
+        if (!hits || hits.resetAt <= now) {
+            hits = { count: 0, resetAt: now + route.rateLimit.window * 1000 };
+            rateLimitHits.set(key, hits);
+        }
+
+        hits.count++;
+        if (hits.count > route.rateLimit.max) {
+            const retryAfter = Math.ceil((hits.resetAt - now) / 1000);
+            throw new HttpError(429, 'Too many requests', { retryAfter });
+        }
+    }
+
+    /**
+     * Check the bearer token (or the authToken cookie) and permissions for a protected route
+     */
+    function authenticate(req, route, cookies) {
+        if (!route.permissions) return null;
+
+        const header = req.headers['authorization'] || '';
+        const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : cookies.authToken;
+        if (!token) {
+            throw new HttpError(401, 'Access token required');
+        }
+
+        const user = verifyJwt(token);
+        route.permissions.forEach(permission => requirePermission(user, permission));
+        if (user.act) {
+            console.log(`[mock] ${user.act.email} as ${user.email}: ${req.method} ${req.url}`);
+        }
+        return user;
+    }
+
+    /**
+     * Handle the runtime settings endpoint
+     */
+    function handleMockConfig(method, body) {
+        if (method === 'POST') {
+            if (body.failure && !FAILURE_MODES.includes(String(body.failure))) {
+                throw new HttpError(400, `failure must be one of ${FAILURE_MODES.join(', ')}`);
+            }
+            Object.assign(settings, body);
+        }
+        if (method === 'DELETE') {
+            Object.assign(settings, defaultSettings());
+            rateLimitHits.clear();
+        }
+        return settings;
+    }
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        const origin = req.headers.origin;
+
+        // Echo the origin so credentialed requests are allowed too
+        res.setHeader('Access-Control-Allow-Origin', origin || '*');
+        res.setHeader('Access-Control-Allow-Credentials', 'true');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+        res.setHeader('Vary', 'Origin');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        let status = 200;
+        let payload;
+        const cookies = parseCookies(req.headers.cookie);
+        const setCookies = [];
+
+        try {
+            const body = await readBody(req);
+
+            if (url.pathname === '/__mock/config') {
+                payload = handleMockConfig(req.method, body);
+            } else if (url.pathname === '/__mock/outbox') {
+                payload = outbox;
+            } else if (url.pathname === '/__mock/audit') {
+                payload = auditLog;
+            } else {
+                if (settings.latency) {
+                    await new Promise(resolve => setTimeout(resolve, settings.latency));
+                }
+
+                const pathname = url.pathname.startsWith(API_PREFIX)
+                    ? url.pathname.slice(API_PREFIX.length)
+                    : null;
+                const match = pathname !== null && matchRoute(req.method, pathname);
+                if (!match) {
+                    throw new HttpError(404, 'Endpoint not found');
+                }
+
+                injectFailure(match.route);
+                checkRateLimit(req, match.route);
+                const user = authenticate(req, match.route, cookies);
+                payload = await match.route.handler({
+                    body,
+                    user,
+                    params: match.params,
+                    query: Object.fromEntries(url.searchParams),
+                    cookies,
+                    setCookie: (name, value, options) => setCookies.push(serializeCookie(name, value, options))
+                });
+            }
+        } catch (error) {
+            status = error.status || 500;
+            if (status === 429) {
+                res.setHeader('Retry-After', error.extra.retryAfter);
+            }
+            payload = { success: false, error: error.message, ...(error.extra || {}) };
+            if (!error.status) {
+                console.error(error);
+            }
+        }
+
+        console.log(`${new Date().toISOString()} ${req.method} ${url.pathname} ${status}`);
+
+        if (setCookies.length) {
+            res.setHeader('Set-Cookie', setCookies);
+        }
+
+        if (payload === null || payload === undefined) {
+            res.writeHead(status === 200 ? 204 : status);
+            res.end();
+            return;
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    });
+
+    server.settings = settings;
+    server.db = db;
+    server.outbox = outbox;
+    server.auditLog = auditLog;
+    return server;
+}
+
+/**
+ * Parse a Cookie request header
+ * @param {string} header
+ * @returns {object} Values by cookie name
+ */
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+        }
+    });
+    return cookies;
+}
+
+/**
+ * Build an httpOnly Set-Cookie value. Without maxAge it is a session cookie.
+ * @param {string} name
+ * @param {string} value
+ * @param {object} options - { path, maxAge }
+ */
+function serializeCookie(name, value, { path: cookiePath = '/', maxAge = null } = {}) {
+    const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${cookiePath}`, 'HttpOnly', 'SameSite=Lax'];
+    if (maxAge !== null) {
+        parts.push(`Max-Age=${maxAge}`);
+    }
+    return parts.join('; ');
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => {
+            raw += chunk;
+        });
+        req.on('end', () => {
+            if (!raw) {
+                resolve({});
+                return;
+            }
+            try {
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                reject(new HttpError(400, 'Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+if (require.main === module) {
+    createServer().listen(PORT, () => {
+        console.log(`Mock API listening on http://localhost:${PORT}${API_PREFIX}`);
+    });
+}
+
+module.exports = { createServer, signJwt, verifyJwt, totpCode };
@@ -0,0 +1,204 @@
+const { loadApp, tokenFor, flushPromises, activeViews, findAccessibilityViolations, ADMIN, CUSTOMER } = require('./helpers');
+
+const USERS = [
+    { id: 1, name: 'Admin User', email: 'admin@example.com', role: 'admin', accountStatus: 'active' },
+    { id: 2, name: 'Customer User', email: 'customer@example.com', role: 'customer', accountStatus: 'disabled' }
+];
+
+/**
+ * Fake backend for the dashboards
+ */
+function backend(url) {
+    if (url.endsWith('/admin/stats')) {
+        return { status: 200, body: { success: true, statistics: { totalUsers: 2, usersByRole: { customer: 1, admin: 1 }, disabledUsers: 1, systemStatus: 'operational' } } };
+    }
+    if (url.includes('/admin/stats/history')) {
+        return { status: 200, body: { success: true, points: [{ date: '2026-01-09', totalUsers: 1 }, { date: '2026-01-10', totalUsers: 2 }] } };
+    }
+    if (url.includes('/admin/users')) {
+        return { status: 200, body: { success: true, totalUsers: USERS.length, users: USERS } };
+    }
+    if (url.endsWith('/customer/profile')) {
+        return { status: 200, body: { success: true, profile: { ...USERS[1], memberSince: '2023-03-02' } } };
+    }
+    return { status: 404, body: null };
+}
+
+/**
+ * Load and start the whole app
+ */
+async function startApp(options = {}) {
+    const app = await loadApp({ fetch: backend, ...options });
+    app.app.initApp();
+    await flushPromises();
+    return app;
+}
+
+/**
+ * Navigate and let the hashchange and requests settle
+ */
+async function navigate(path) {
+    window.router.navigate(path);
+    await flushPromises();
+    await flushPromises();
+}
+
+/**
+ * Text of the latest polite announcement
+ */
+function announcement() {
+    return document.getElementById('a11y-status').textContent;
+}
+
+/**
+ * Press a key on the focused element
+ */
+function press(key, options = {}) {
+    document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+}
+
+describe('axe checks', () => {
+    test('the public pages have no violations', async () => {
+        await startApp();
+
+        expect(await findAccessibilityViolations()).toEqual([]);
+    });
+
+    test('the admin dashboard has no violations with its data loaded', async () => {
+        const app = await startApp({ token: tokenFor(ADMIN) });
+        await navigate('/admin');
+        await app.adminUsers.loadUsers();
+
+        expect(activeViews()).toEqual(['admin-view']);
+        expect(await findAccessibilityViolations()).toEqual([]);
+    });
+
+    test('the customer dashboard has no violations in edit mode', async () => {
+        await startApp({ token: tokenFor(CUSTOMER) });
+        await navigate('/customer');
+        document.querySelector('[data-action="edit-profile"]').click();
+
+        expect(await findAccessibilityViolations()).toEqual([]);
+    });
+
+    test('an open dialog has no violations', async () => {
+        const app = await startApp({ token: tokenFor(ADMIN) });
+        app.app.confirmDialog('Delete this user?');
+
+        expect(await findAccessibilityViolations('#confirm-dialog')).toEqual([]);
+        document.getElementById('confirm-dialog-cancel').click();
+    });
+});
+
+describe('route changes', () => {
+    test('leave focus alone on the first page but title it', async () => {
+        await startApp();
+
+        expect(document.title).toBe('Welcome to Authentication System – Authentication System');
+        expect(document.activeElement).toBe(document.body);
+    });
+
+    test('move focus to the new heading and announce the page', async () => {
+        await startApp();
+        document.getElementById('login-btn').focus();
+
+        await navigate('/login');
+
+        const heading = document.querySelector('#login-view h2');
+        expect(document.activeElement).toBe(heading);
+        expect(heading.getAttribute('tabindex')).toBe('-1');
+        expect(announcement()).toBe('Login');
+        expect(document.title).toBe('Login – Authentication System');
+    });
+
+    test('keep focus when only the query changes', async () => {
+        await startApp({ token: tokenFor(ADMIN) });
+        await navigate('/admin?page=1');
+        const search = document.querySelector('#admin-users-result input[type="search"]');
+        search.focus();
+
+        await navigate('/admin?page=1&q=cust');
+
+        expect(document.activeElement).toBe(search);
+    });
+
+    test('retitle the page when the language changes', async () => {
+        const app = await startApp();
+
+        await app.i18n.setLocale('es');
+
+        expect(document.title).toBe('Bienvenido al Sistema de autenticación – Sistema de autenticación');
+    });
+});
+
+describe('busy states', () => {
+    test('the loading overlay blocks the page and gives focus back', async () => {
+        let respond;
+        const app = await startApp({
+            token: tokenFor(CUSTOMER),
+            fetch: () => new Promise(resolve => { respond = resolve; })
+        });
+        const button = document.getElementById('customer-service-btn');
+        const result = document.getElementById('customer-service-result');
+        button.focus();
+
+        button.click();
+        await flushPromises();
+        expect(document.getElementById('app').hasAttribute('inert')).toBe(true);
+        expect(document.getElementById('app').getAttribute('aria-busy')).toBe('true');
+        expect(result.getAttribute('aria-busy')).toBe('true');
+        expect(announcement()).toBe('Loading...');
+
+        // Browsers drop focus from an inert page
+        button.blur();
+        respond({ status: 200, body: { success: true, message: 'OK', data: { service: 'customer', user: { name: 'C', role: 'customer' }, timestamp: '2026-01-10T12:00:00Z' } } });
+        await flushPromises();
+        await flushPromises();
+
+        expect(document.getElementById('app').hasAttribute('inert')).toBe(false);
+        expect(result.getAttribute('aria-busy')).toBe('false');
+        expect(document.activeElement).toBe(button);
+        app.notifications.dismissAll();
+    });
+});
+
+describe('dialogs', () => {
+    test('keep Tab inside, close on Escape and return focus', async () => {
+        const app = await startApp({ token: tokenFor(ADMIN) });
+        const opener = document.getElementById('admin-users-btn');
+        opener.focus();
+
+        const answer = app.app.confirmDialog('Delete this user?', 'Delete');
+        const confirmBtn = document.getElementById('confirm-dialog-confirm');
+        const cancelBtn = document.getElementById('confirm-dialog-cancel');
+        expect(document.activeElement).toBe(cancelBtn);
+        expect(document.getElementById('app').hasAttribute('inert')).toBe(true);
+
+        press('Tab');
+        expect(document.activeElement).toBe(confirmBtn);
+        press('Tab', { shiftKey: true });
+        expect(document.activeElement).toBe(cancelBtn);
+
+        press('Escape');
+
+        await expect(answer).resolves.toBe(false);
+        expect(document.getElementById('confirm-dialog').style.display).toBe('none');
+        expect(document.getElementById('app').hasAttribute('inert')).toBe(false);
+        expect(document.activeElement).toBe(opener);
+    });
+});
+
+describe('login errors', () => {
+    test('are announced and receive focus', async () => {
+        await startApp();
+        await navigate('/login');
+
+        document.getElementById('login-form').dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+        await flushPromises();
+
+        const error = document.getElementById('login-error');
+        expect(error.getAttribute('role')).toBe('alert');
+        expect(error.textContent).toBe('Please enter both email and password');
+        expect(document.activeElement).toBe(error);
+    });
+});
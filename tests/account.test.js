@@ -0,0 +1,189 @@
+const { loadApp, flushPromises } = require('./helpers');
+
+/**
+ * Fill in and submit one of the account forms
+ * @param {string} formId
+ * @param {object} values - Field name to value
+ * @param {function} handler - auth handler for the form
+ */
+async function submitForm(formId, values, handler) {
+    const form = document.getElementById(formId);
+    Object.keys(values).forEach(name => {
+        form.elements[name].value = values[name];
+    });
+
+    await handler({ preventDefault: () => {}, target: form });
+    return form;
+}
+
+/**
+ * Text of a field's inline error
+ */
+function fieldError(formId, name) {
+    return document.querySelector(`#${formId} [data-error-for="${name}"]`).textContent;
+}
+
+/**
+ * Fetch calls made to an endpoint
+ */
+function callsTo(app, endpoint) {
+    return app.fetch.mock.calls.filter(([url]) => url.endsWith(endpoint));
+}
+
+const ACCOUNT = {
+    name: 'New Customer',
+    email: 'new@example.com',
+    password: 'Sunny-Day-42',
+    confirmPassword: 'Sunny-Day-42'
+};
+
+describe('registration', () => {
+    test('validates the form before sending anything', async () => {
+        const app = await loadApp();
+
+        await submitForm('register-form', {
+            name: '',
+            email: 'not-an-email',
+            password: 'short',
+            confirmPassword: 'different'
+        }, window.auth.handleRegister);
+
+        expect(fieldError('register-form', 'name')).toBe('Please enter your name');
+        expect(fieldError('register-form', 'email')).toBe('Please enter a valid email address');
+        expect(fieldError('register-form', 'password')).toMatch(/at least 8 characters/);
+        expect(fieldError('register-form', 'confirmPassword')).toBe('Passwords do not match');
+        expect(callsTo(app, '/auth/register')).toHaveLength(0);
+    });
+
+    test('rejects a weak password', async () => {
+        await loadApp();
+
+        await submitForm('register-form', { ...ACCOUNT, password: 'password', confirmPassword: 'password' },
+            window.auth.handleRegister);
+
+        expect(fieldError('register-form', 'password')).toMatch(/too weak/);
+    });
+
+    test('shows the check-your-inbox message after signing up', async () => {
+        const app = await loadApp({ fetch: () => ({ status: 200, body: { success: true } }) });
+
+        const form = await submitForm('register-form', ACCOUNT, window.auth.handleRegister);
+
+        const [[, init]] = callsTo(app, '/auth/register');
+        expect(JSON.parse(init.body)).toEqual({ name: ACCOUNT.name, email: ACCOUNT.email, password: ACCOUNT.password });
+        expect(form.hidden).toBe(true);
+        expect(document.querySelector('#register-view .success-email').textContent).toBe(ACCOUNT.email);
+    });
+
+    test('shows server field errors next to the fields', async () => {
+        await loadApp({
+            fetch: () => ({
+                status: 422,
+                body: { success: false, error: 'Validation failed', errors: { email: 'Email is already in use' } }
+            })
+        });
+
+        const form = await submitForm('register-form', ACCOUNT, window.auth.handleRegister);
+
+        expect(form.hidden).toBe(false);
+        expect(fieldError('register-form', 'email')).toBe('Email is already in use');
+        expect(document.activeElement).toBe(form.elements.email);
+    });
+
+    test('locks the form until the rate limit resets', async () => {
+        await loadApp({
+            fetch: () => ({ status: 429, body: { success: false, error: 'Too many requests', retryAfter: 2 } })
+        });
+        jest.useFakeTimers();
+
+        try {
+            const form = await submitForm('register-form', ACCOUNT, window.auth.handleRegister);
+            const submitBtn = form.querySelector('button[type="submit"]');
+            const errorDiv = form.querySelector('.error-message');
+
+            expect(submitBtn.disabled).toBe(true);
+            expect(errorDiv.textContent).toBe('Too many attempts. Please try again in 2 seconds.');
+
+            jest.advanceTimersByTime(1000);
+            expect(errorDiv.textContent).toBe('Too many attempts. Please try again in 1 second.');
+
+            jest.advanceTimersByTime(1000);
+            expect(submitBtn.disabled).toBe(false);
+            expect(errorDiv.style.display).toBe('none');
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
+
+describe('email verification', () => {
+    test('verifies the token from the link', async () => {
+        const app = await loadApp({ fetch: () => ({ status: 200, body: { success: true } }) });
+
+        await window.auth.verifyEmailFromLink('abc123');
+
+        const [[, init]] = callsTo(app, '/auth/verify-email');
+        expect(JSON.parse(init.body)).toEqual({ token: 'abc123' });
+        expect(document.getElementById('verify-email-status').textContent).toMatch(/has been verified/);
+        expect(document.getElementById('verify-email-resend-form').hidden).toBe(true);
+    });
+
+    test('offers a new link when the token is invalid', async () => {
+        await loadApp({
+            fetch: () => ({ status: 400, body: { success: false, error: 'This verification link is invalid or has expired' } })
+        });
+
+        await window.auth.verifyEmailFromLink('expired');
+
+        expect(document.getElementById('verify-email-status').textContent).toMatch(/invalid or has expired/);
+        expect(document.getElementById('verify-email-resend-form').hidden).toBe(false);
+    });
+
+    test('runs when the verify-email route is opened', async () => {
+        const app = await loadApp({ fetch: () => ({ status: 200, body: { success: true } }) });
+
+        window.router.handleRoute('/verify-email?token=from-url');
+        await flushPromises();
+
+        const [[, init]] = callsTo(app, '/auth/verify-email');
+        expect(JSON.parse(init.body)).toEqual({ token: 'from-url' });
+    });
+});
+
+describe('password reset', () => {
+    test('sends the reset link and confirms without revealing whether the account exists', async () => {
+        const app = await loadApp({ fetch: () => ({ status: 200, body: { success: true } }) });
+
+        const form = await submitForm('forgot-password-form', { email: 'someone@example.com' },
+            window.auth.handleForgotPassword);
+
+        const [[, init]] = callsTo(app, '/auth/forgot-password');
+        expect(JSON.parse(init.body)).toEqual({ email: 'someone@example.com' });
+        expect(form.hidden).toBe(true);
+        expect(document.querySelector('#forgot-password-view .success-email').textContent).toBe('someone@example.com');
+    });
+
+    test('disables the reset form when the link has no token', async () => {
+        await loadApp();
+
+        window.auth.prepareResetPassword(undefined);
+
+        const form = document.getElementById('reset-password-form');
+        expect(form.querySelector('button[type="submit"]').disabled).toBe(true);
+        expect(form.querySelector('.error-message').textContent).toMatch(/link is incomplete/);
+    });
+
+    test('sets the new password with the token from the link', async () => {
+        const app = await loadApp({ fetch: () => ({ status: 200, body: { success: true } }) });
+        window.auth.prepareResetPassword('reset-token');
+
+        const form = await submitForm('reset-password-form', {
+            password: 'Brand-New-Pass1',
+            confirmPassword: 'Brand-New-Pass1'
+        }, window.auth.handleResetPassword);
+
+        const [[, init]] = callsTo(app, '/auth/reset-password');
+        expect(JSON.parse(init.body)).toEqual({ token: 'reset-token', password: 'Brand-New-Pass1' });
+        expect(form.hidden).toBe(true);
+    });
+});
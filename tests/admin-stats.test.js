@@ -0,0 +1,177 @@
+const { loadApp, tokenFor, flushPromises, ADMIN } = require('./helpers');
+
+const STATS = {
+    success: true,
+    message: 'Statistics retrieved',
+    statistics: {
+        totalUsers: 4,
+        usersByRole: { customer: 3, admin: 1 },
+        disabledUsers: 1,
+        systemStatus: 'operational',
+        lastUpdate: '2026-01-10T12:00:00.000Z'
+    }
+};
+
+/**
+ * History response with one user joining on the last day
+ */
+function history(range) {
+    return {
+        success: true,
+        range,
+        points: [
+            { date: '2026-01-08T00:00:00.000Z', totalUsers: 3, newUsers: 0 },
+            { date: '2026-01-09T00:00:00.000Z', totalUsers: 3, newUsers: 0 },
+            { date: '2026-01-10T00:00:00.000Z', totalUsers: 4, newUsers: 1 }
+        ]
+    };
+}
+
+/**
+ * Fake stats backend
+ */
+function statsBackend(url) {
+    if (url.endsWith('/admin/stats')) {
+        return { status: 200, body: STATS };
+    }
+    const range = url.match(/\/admin\/stats\/history\?range=(\w+)/);
+    if (range) {
+        return { status: 200, body: history(range[1]) };
+    }
+    return { status: 404, body: null };
+}
+
+/**
+ * Number of requests made to an endpoint
+ */
+function callsTo(app, fragment) {
+    return app.fetch.mock.calls.filter(([url]) => url.includes(fragment)).length;
+}
+
+/**
+ * Wait for real timers to run
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Set document.hidden and fire visibilitychange
+ */
+function setHidden(hidden) {
+    Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+    document.dispatchEvent(new Event('visibilitychange'));
+}
+
+/**
+ * Load the app and open the admin view
+ * @param {object} preferences - Saved dashboard preferences
+ */
+async function openDashboard(preferences) {
+    const app = await loadApp({ token: tokenFor(ADMIN), fetch: statsBackend });
+    if (preferences) {
+        localStorage.setItem('statsDashboard', JSON.stringify(preferences));
+    }
+    app.adminStats.initializeStatsDashboard();
+    app.router.handleRoute('/admin');
+    await flushPromises();
+    return app;
+}
+
+describe('admin stats dashboard', () => {
+    afterEach(() => {
+        window.adminStats.stop();
+        setHidden(false);
+    });
+
+    test('renders KPI tiles and charts when the admin view opens', async () => {
+        await openDashboard();
+
+        const tiles = [...document.querySelectorAll('.kpi-tile')].map(tile => tile.textContent.replace(/\s+/g, ' ').trim());
+        expect(tiles).toEqual([
+            '4 Total Users', '3 customer', '0 auditor', '0 support', '1 admin', '1 Disabled', '1 New in Range', 'operational System Status'
+        ]);
+        expect(document.querySelector('#stats-roles-chart svg').getAttribute('aria-label'))
+            .toBe('Users by role (customer: 3, auditor: 0, support: 0, admin: 1)');
+        expect(document.querySelectorAll('#stats-growth-chart circle')).toHaveLength(3);
+        expect(document.getElementById('stats-range').value).toBe('30d');
+    });
+
+    test('counts every role, so the breakdown adds up to the total', async () => {
+        const app = await loadApp({
+            token: tokenFor(ADMIN),
+            fetch: url => (url.endsWith('/admin/stats')
+                ? { status: 200, body: { ...STATS, statistics: { ...STATS.statistics, totalUsers: 6, usersByRole: { customer: 3, auditor: 1, support: 1, admin: 1 } } } }
+                : statsBackend(url))
+        });
+        app.adminStats.initializeStatsDashboard();
+        app.router.handleRoute('/admin');
+        await flushPromises();
+
+        const legend = [...document.querySelectorAll('#stats-roles-chart .chart-legend li')]
+            .map(item => item.textContent.replace(/\s+/g, ' ').trim());
+        expect(legend).toEqual(['customer 3 (50%)', 'auditor 1 (17%)', 'support 1 (17%)', 'admin 1 (17%)']);
+        expect(document.querySelector('#stats-roles-chart .chart-total').textContent).toBe('6');
+        expect(document.querySelector('#stats-kpis').textContent.replace(/\s+/g, ' ')).toContain('1 support');
+    });
+
+    test('loads the history for a newly selected range and remembers it', async () => {
+        const app = await openDashboard();
+
+        const select = document.getElementById('stats-range');
+        select.value = '12m';
+        select.dispatchEvent(new Event('change'));
+        await flushPromises();
+
+        expect(callsTo(app, '/admin/stats/history?range=12m')).toBe(1);
+        expect(JSON.parse(localStorage.getItem('statsDashboard')).range).toBe('12m');
+    });
+
+    test('polls in the background and pauses while the tab is hidden', async () => {
+        const app = await openDashboard({ interval: 50 });
+        const initial = callsTo(app, '/admin/stats');
+
+        await wait(80);
+        expect(callsTo(app, '/admin/stats')).toBeGreaterThan(initial);
+
+        setHidden(true);
+        await flushPromises();
+        const paused = callsTo(app, '/admin/stats');
+        await wait(120);
+        expect(callsTo(app, '/admin/stats')).toBe(paused);
+
+        setHidden(false);
+        await flushPromises();
+        expect(callsTo(app, '/admin/stats')).toBeGreaterThan(paused);
+    });
+
+    test('stops polling when the admin view is left', async () => {
+        const app = await openDashboard({ interval: 50 });
+
+        app.router.handleRoute('/welcome');
+        const calls = callsTo(app, '/admin/stats');
+        await wait(120);
+
+        expect(callsTo(app, '/admin/stats')).toBe(calls);
+    });
+});
+
+describe('charts', () => {
+    beforeEach(async () => {
+        await loadApp();
+    });
+
+    test('donut legend shows shares and escapes labels', () => {
+        document.body.innerHTML = window.charts.donut([
+            { label: '<img src=x>', value: 1 },
+            { label: 'Customers', value: 3 }
+        ]);
+
+        expect(document.querySelector('img')).toBeNull();
+        expect(document.querySelector('.chart-legend').textContent.replace(/\s+/g, ' ')).toContain('Customers 3 (75%)');
+    });
+
+    test('line chart shows a placeholder without data', () => {
+        expect(String(window.charts.line([]))).toContain('No data for this period');
+    });
+});
@@ -0,0 +1,294 @@
+const { loadApp, tokenFor, flushPromises, ADMIN } = require('./helpers');
+
+const USERS = [
+    { id: 1, name: 'Admin User', email: 'admin@example.com', role: 'admin', accountStatus: 'active' },
+    { id: 2, name: 'Customer User', email: 'customer@example.com', role: 'customer', accountStatus: 'active' }
+];
+
+const HISTORY_CONFIG = {
+    defaultEnvironment: 'test',
+    environments: {
+        test: {
+            apiBaseUrl: 'http://api.test/api',
+            logLevel: 'silent',
+            routerMode: 'history'
+        }
+    }
+};
+
+/**
+ * Fake admin users backend; `respond` handles everything but the list
+ * @param {function} respond - Handler for other requests
+ * @param {Array<object>} list - Users returned by the list endpoint
+ */
+function usersBackend(respond, list = USERS) {
+    return (url, init) => {
+        if (url.includes('/admin/users?') && (init.method || 'GET') === 'GET') {
+            return { status: 200, body: { success: true, message: 'Users retrieved', totalUsers: list.length, users: list } };
+        }
+        return respond(url, init);
+    };
+}
+
+/**
+ * Get the table row rendered for a user
+ */
+function row(id) {
+    return document.querySelector(`#admin-users-result [data-row-key="${id}"]`);
+}
+
+/**
+ * Click an action button on a user's row
+ */
+function clickAction(id, action) {
+    row(id).querySelector(`[data-action="${action}"]`).click();
+}
+
+/**
+ * Load the app and the users list
+ */
+async function loadUsers(respond, list) {
+    const app = await loadApp({ token: tokenFor(ADMIN), fetch: usersBackend(respond, list) });
+    app.adminUsers.initializeUserManagement();
+    await app.adminUsers.loadUsers();
+    return app;
+}
+
+describe('admin user management', () => {
+    test('disables a user optimistically', async () => {
+        let resolveRequest;
+        const app = await loadUsers(() => new Promise(resolve => {
+            resolveRequest = resolve;
+        }));
+
+        clickAction(2, 'toggle-status');
+        await flushPromises();
+
+        expect(row(2).classList).toContain('user-row-disabled');
+        expect(row(2).classList).toContain('user-row-pending');
+        expect(JSON.parse(app.fetch.mock.calls.at(-1)[1].body)).toEqual({ accountStatus: 'disabled' });
+
+        resolveRequest({ status: 200, body: { success: true, user: { ...USERS[1], accountStatus: 'disabled' } } });
+        await flushPromises();
+
+        expect(row(2).classList).toContain('user-row-disabled');
+        expect(row(2).classList).not.toContain('user-row-pending');
+        expect(row(2).querySelector('[data-action="toggle-status"]').textContent).toBe('Enable');
+    });
+
+    test('rolls back an edit the server rejects', async () => {
+        await loadUsers(() => ({ status: 422, body: { error: 'Validation failed', errors: { email: 'Email is already in use' } } }));
+
+        clickAction(2, 'edit');
+        const form = row(2).querySelector('form');
+        form.elements.name.value = 'Renamed';
+        form.elements.email.value = 'admin@example.com';
+        form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+        expect(row(2).textContent).toContain('Renamed');
+
+        await flushPromises();
+        await flushPromises();
+
+        expect(row(2).textContent).toContain('Customer User');
+        expect(row(2).textContent).not.toContain('Renamed');
+    });
+
+    test('validates the edit form before sending', async () => {
+        const app = await loadUsers(() => ({ status: 500, body: null }));
+        const calls = app.fetch.mock.calls.length;
+
+        clickAction(2, 'edit');
+        const form = row(2).querySelector('form');
+        form.elements.email.value = 'not-an-email';
+        form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+        expect(form.querySelector('.error-message').textContent).toBe('Please enter a valid email address');
+        expect(app.fetch.mock.calls.length).toBe(calls);
+    });
+
+    test('deletes only after confirmation and restores the user on failure', async () => {
+        const app = await loadUsers(() => ({ status: 500, body: { error: 'Database unavailable' } }));
+
+        clickAction(2, 'delete');
+        document.getElementById('confirm-dialog-cancel').click();
+        await flushPromises();
+        expect(app.fetch).not.toHaveBeenCalledWith('http://api.test/api/admin/users/2', expect.anything());
+
+        clickAction(2, 'delete');
+        document.getElementById('confirm-dialog-confirm').click();
+        await flushPromises();
+        expect(app.fetch).toHaveBeenCalledWith('http://api.test/api/admin/users/2', expect.objectContaining({ method: 'DELETE' }));
+
+        await flushPromises();
+        await flushPromises();
+        expect(row(2)).not.toBeNull();
+    });
+
+    test('deletes the confirmed user even if the list was reloaded meanwhile', async () => {
+        let list = USERS;
+        const app = await loadApp({
+            token: tokenFor(ADMIN),
+            fetch: (url, init) => (init.method === 'DELETE'
+                ? new Promise(() => {})
+                : usersBackend(() => ({ status: 404, body: null }), list)(url, init))
+        });
+        app.adminUsers.initializeUserManagement();
+        await app.adminUsers.loadUsers();
+
+        clickAction(2, 'delete');
+        // A refresh puts the customer first while the dialog is open
+        list = [USERS[1], USERS[0]];
+        app.api.invalidateCache();
+        await app.adminUsers.loadUsers();
+        document.getElementById('confirm-dialog-confirm').click();
+        await flushPromises();
+
+        expect(row(2)).toBeNull();
+        expect(row(1)).not.toBeNull();
+    });
+
+    test('adds a created user with the ID from the server', async () => {
+        const list = [...USERS];
+        await loadUsers((url, init) => {
+            const user = { ...JSON.parse(init.body), id: 7, accountStatus: 'active' };
+            list.push(user);
+            return { status: 200, body: { success: true, user } };
+        }, list);
+
+        const form = document.getElementById('admin-user-create-form');
+        form.elements.name.value = 'New Person';
+        form.elements.email.value = 'new@example.com';
+        form.elements.role.value = 'customer';
+        form.elements.password.value = 'longenough';
+        form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+        expect(document.querySelector('.user-row-pending').textContent).toContain('New Person');
+
+        await flushPromises();
+        await flushPromises();
+
+        expect(row(7).textContent).toContain('new@example.com');
+        expect(document.querySelector('.user-row-pending')).toBeNull();
+    });
+
+    test('reopens the create form with the server field errors', async () => {
+        await loadUsers(() => ({
+            status: 422,
+            body: { error: 'Validation failed', errors: { email: 'Email is already in use' } }
+        }));
+
+        const form = document.getElementById('admin-user-create-form');
+        form.elements.name.value = 'New Person';
+        form.elements.email.value = 'customer@example.com';
+        form.elements.role.value = 'support';
+        form.elements.password.value = 'longenough';
+        form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+        await flushPromises();
+        await flushPromises();
+
+        expect(form.style.display).toBe('block');
+        expect(form.elements.name.value).toBe('New Person');
+        expect(form.elements.role.value).toBe('support');
+        expect(form.elements.password.value).toBe('longenough');
+        expect(form.querySelector('[data-error-for="email"]').textContent).toBe('Email is already in use');
+        expect(document.activeElement).toBe(form.elements.email);
+        expect(document.querySelector('.user-row-pending')).toBeNull();
+    });
+
+    test('keeps the reloaded list when a create fails after a reload', async () => {
+        let rejectRequest;
+        const app = await loadUsers(() => new Promise((resolve, reject) => {
+            rejectRequest = reject;
+        }));
+
+        const form = document.getElementById('admin-user-create-form');
+        form.elements.name.value = 'New Person';
+        form.elements.email.value = 'new@example.com';
+        form.elements.password.value = 'longenough';
+        form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+        app.api.invalidateCache();
+        await app.adminUsers.loadUsers();
+        rejectRequest(new Error('Network down'));
+        await flushPromises();
+
+        expect(row(1)).not.toBeNull();
+        expect(row(2)).not.toBeNull();
+        expect(document.querySelector('.data-table-summary').textContent).toContain('2 users');
+    });
+
+    test('does not offer disable or delete on the signed-in admin', async () => {
+        await loadUsers(() => ({ status: 500, body: null }));
+
+        expect(row(1).querySelector('[data-action="delete"]').disabled).toBe(true);
+        expect(row(1).querySelector('[data-action="toggle-status"]').disabled).toBe(true);
+    });
+});
+
+describe('users table', () => {
+    const MANY_USERS = Array.from({ length: 25 }, (_, i) => ({
+        id: i + 1,
+        name: `User ${i + 1}`,
+        email: `user${i + 1}@example.com`,
+        role: 'customer',
+        accountStatus: 'active'
+    }));
+
+    /**
+     * Open /admin with a query string in history mode
+     */
+    async function openAdmin(path, list = MANY_USERS) {
+        const app = await loadApp({
+            token: tokenFor(ADMIN),
+            config: HISTORY_CONFIG,
+            fetch: usersBackend(() => ({ status: 500, body: null }), list)
+        });
+        app.adminUsers.initializeUserManagement();
+        window.history.replaceState(null, '', path);
+        window.router.start();
+        await flushPromises();
+        return app;
+    }
+
+    test('loads the page, sorting and filters from the route query', async () => {
+        const app = await openAdmin('/admin?page=2&sort=email&order=desc&q=cust&role=customer');
+
+        expect(app.fetch).toHaveBeenCalledWith(
+            'http://api.test/api/admin/users?page=2&limit=20&sort=email&order=desc&q=cust&role=customer',
+            expect.anything()
+        );
+        expect(document.querySelector('.data-table-search').value).toBe('cust');
+        expect(document.querySelector('[data-table-filter="role"]').value).toBe('customer');
+        expect(document.querySelector('[data-key="email"]').closest('th').getAttribute('aria-sort')).toBe('descending');
+    });
+
+    test('does not open the table without a page in the query', async () => {
+        const app = await openAdmin('/admin');
+
+        expect(app.fetch).not.toHaveBeenCalledWith(expect.stringContaining('/admin/users'), expect.anything());
+    });
+
+    test('keeps paging, sorting and search in the URL', async () => {
+        const app = await openAdmin('/admin?page=1');
+        expect(document.querySelector('.data-table-summary').textContent).toBe('Showing 1–20 of 25 users');
+
+        document.querySelector('[data-table-action="page"][data-page="2"]').click();
+        await flushPromises();
+        expect(window.location.search).toBe('?page=2');
+        expect(app.fetch).toHaveBeenCalledWith(expect.stringContaining('/admin/users?page=2&'), expect.anything());
+
+        document.querySelector('[data-key="email"]').click();
+        expect(window.location.search).toBe('?page=1&sort=email');
+
+        const search = document.querySelector('.data-table-search');
+        search.value = 'user1';
+        search.dispatchEvent(new Event('input'));
+        await new Promise(resolve => setTimeout(resolve, 350));
+        expect(window.location.search).toBe('?page=1&sort=email&q=user1');
+
+        document.querySelector('[data-table-filter="role"]').value = 'admin';
+        document.querySelector('[data-table-filter="role"]').dispatchEvent(new Event('change'));
+        expect(window.location.search).toBe('?page=1&sort=email&q=user1&role=admin');
+    });
+});
@@ -0,0 +1,88 @@
+const { loadApp, createToken, tokenFor, ADMIN } = require('./helpers');
+
+describe('makeRequest', () => {
+    test.each([401, 403])('removes the token and redirects to /login on %i', async status => {
+        await loadApp({
+            token: tokenFor(ADMIN),
+            fetch: () => ({ status, body: { error: 'Denied' } })
+        });
+        localStorage.setItem('refreshToken', 'refresh');
+
+        await expect(window.api.getAdminService()).rejects.toBeInstanceOf(window.http.AuthError);
+
+        expect(localStorage.getItem('authToken')).toBeNull();
+        expect(localStorage.getItem('refreshToken')).toBeNull();
+        expect(window.location.hash).toBe('#/login');
+    });
+
+    test('refreshes once for concurrent 401s and replays the requests', async () => {
+        const freshToken = tokenFor(ADMIN, 7200);
+        let refreshes = 0;
+        const app = await loadApp({
+            token: tokenFor(ADMIN),
+            fetch: (url, init) => {
+                if (url.endsWith('/auth/refresh')) {
+                    refreshes++;
+                    return { status: 200, body: { success: true, token: freshToken } };
+                }
+                return init.headers.Authorization === `Bearer ${freshToken}`
+                    ? { status: 200, body: { success: true } }
+                    : { status: 401, body: { error: 'Token expired' } };
+            }
+        });
+
+        const results = await Promise.all([
+            app.api.getAdminService(),
+            app.api.getCustomerService()
+        ]);
+
+        expect(results).toEqual([{ success: true }, { success: true }]);
+        expect(refreshes).toBe(1);
+        expect(localStorage.getItem('authToken')).toBe(freshToken);
+    });
+
+    test('tolerates empty and HTML error bodies', async () => {
+        await loadApp({
+            token: tokenFor(ADMIN),
+            fetch: () => ({ status: 500, body: '<html><body>Internal Server Error</body></html>' })
+        });
+
+        const error = await window.api.getAdminService().catch(e => e);
+
+        expect(error).toBeInstanceOf(window.http.ServerError);
+        expect(error.message).toBe('HTTP error! status: 500');
+    });
+
+    test('turns fetch failures into NetworkError', async () => {
+        await loadApp({
+            token: tokenFor(ADMIN),
+            fetch: () => new TypeError('Failed to fetch')
+        });
+
+        await expect(window.api.getAdminService()).rejects.toBeInstanceOf(window.http.NetworkError);
+    });
+});
+
+describe('getCurrentUser', () => {
+    test('decodes the claims of a valid token', async () => {
+        await loadApp({ token: createToken({ ...ADMIN, exp: 123 }) });
+
+        expect(window.api.getCurrentUser()).toEqual({ ...ADMIN, exp: 123 });
+    });
+
+    test('returns null without a token', async () => {
+        await loadApp();
+
+        expect(window.api.getCurrentUser()).toBeNull();
+    });
+
+    test.each([
+        ['no payload segment', 'not-a-jwt'],
+        ['invalid base64', 'header.%%%.signature'],
+        ['payload that is not JSON', `header.${Buffer.from('nope').toString('base64url')}.signature`]
+    ])('returns null for a token with %s', async (_, token) => {
+        await loadApp({ token });
+
+        expect(window.api.getCurrentUser()).toBeNull();
+    });
+});
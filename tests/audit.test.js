@@ -0,0 +1,334 @@
+const { loadApp, tokenFor, flushPromises, ADMIN, CUSTOMER } = require('./helpers');
+
+/**
+ * Fake backend: the admin service, a users endpoint that fails and the
+ * audit upload
+ */
+function backend(url) {
+    if (url.endsWith('/admin')) {
+        return { status: 200, body: { success: true, message: 'OK', data: { service: 'admin', user: ADMIN, timestamp: '2026-01-10T12:00:00Z' } } };
+    }
+    if (url.includes('/admin/users/4')) {
+        return { status: 404, body: { success: false, message: 'User not found' } };
+    }
+    if (url.endsWith('/admin/audit')) {
+        return { status: 200, body: { success: true, received: 0 } };
+    }
+    return { status: 200, body: { success: true } };
+}
+
+/**
+ * Load the app and start recording, without running the router
+ */
+async function startAudit(options = {}) {
+    const app = await loadApp({ fetch: backend, ...options });
+    app.audit.initializeAuditTrail();
+    return app;
+}
+
+/**
+ * Let IndexedDB transactions finish
+ */
+async function settle() {
+    for (let i = 0; i < 5; i++) {
+        await flushPromises();
+    }
+}
+
+/**
+ * Wait for real timers to run
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read a downloaded file
+ * @param {Blob} blob
+ */
+function readBlob(blob) {
+    return new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+    });
+}
+
+/**
+ * Recorded entries, oldest first, without the volatile fields
+ */
+async function recorded(app, filters) {
+    await settle();
+    const entries = await app.audit.getEntries(filters);
+    return entries.reverse().map(({ type, action, status, details, userEmail }) => ({ type, action, status, details, userEmail }));
+}
+
+describe('recording', () => {
+    test('records navigations and API calls of admins', async () => {
+        const app = await startAudit({ token: tokenFor(ADMIN) });
+
+        app.router.start();
+        await settle();
+        await app.api.getAdminService();
+        await expect(app.api.deleteUser(4)).rejects.toThrow('User not found');
+
+        expect(await recorded(app)).toEqual([
+            { type: 'navigation', action: '/', status: null, details: 'welcome-view', userEmail: 'admin@example.com' },
+            { type: 'request', action: 'GET /admin', status: 200, details: '', userEmail: 'admin@example.com' },
+            { type: 'error', action: 'DELETE /admin/users/4', status: 404, details: 'User not found', userEmail: 'admin@example.com' }
+        ]);
+        const [entry] = await app.audit.getEntries({ type: 'request' });
+        expect(entry.userId).toBe(1);
+        expect(entry.duration).toEqual(expect.any(Number));
+        expect(Date.parse(entry.time)).not.toBeNaN();
+    });
+
+    test('leaves out customers, guests and polling', async () => {
+        const app = await startAudit({ token: tokenFor(CUSTOMER) });
+        await app.api.getCustomerProfile();
+        app.api.removeToken();
+        await app.api.getAdminService().catch(() => {});
+
+        expect(await recorded(app)).toEqual([]);
+
+        localStorage.setItem('authToken', tokenFor(ADMIN));
+        await app.api.getAdminStats({ background: true, forceRefresh: true });
+
+        expect(await recorded(app)).toEqual([]);
+    });
+
+    test('keeps the admin on requests that end the session', async () => {
+        const app = await startAudit({
+            token: tokenFor(ADMIN),
+            fetch: () => ({ status: 401, body: { success: false, message: 'Invalid token' } })
+        });
+
+        await app.api.getAdminService().catch(() => {});
+
+        expect(await recorded(app)).toEqual([
+            { type: 'error', action: 'POST /auth/refresh', status: 401, details: 'Invalid token', userEmail: 'admin@example.com' },
+            { type: 'error', action: 'GET /admin', status: 401, details: 'Invalid token', userEmail: 'admin@example.com' }
+        ]);
+        expect(app.api.isAuthenticated()).toBe(false);
+    });
+
+    test('drops the oldest entries past auditMaxEntries', async () => {
+        const app = await loadApp({
+            token: tokenFor(ADMIN),
+            config: { defaultEnvironment: 'test', environments: { test: { logLevel: 'silent', auditMaxEntries: 3 } } }
+        });
+
+        for (const page of ['/a', '/b', '/c', '/d', '/e']) {
+            await app.audit.record('navigation', page);
+        }
+
+        expect((await recorded(app)).map(entry => entry.action)).toEqual(['/c', '/d', '/e']);
+    });
+
+    test('keeps working without IndexedDB', async () => {
+        const app = await loadApp({ token: tokenFor(ADMIN) });
+        delete window.indexedDB;
+
+        await app.audit.record('navigation', '/admin');
+
+        expect((await recorded(app)).map(entry => entry.action)).toEqual(['/admin']);
+    });
+});
+
+describe('filters', () => {
+    test('by type, time and text', async () => {
+        const app = await loadApp({ token: tokenFor(ADMIN) });
+        await app.audit.record('navigation', '/admin');
+        await app.audit.record('request', 'GET /admin/users?q=smith', { status: 200 });
+        await app.audit.record('error', 'DELETE /admin/users/4', { status: 404, details: 'User not found' });
+
+        expect((await recorded(app, { type: 'error' })).map(entry => entry.action)).toEqual(['DELETE /admin/users/4']);
+        expect((await recorded(app, { q: 'SMITH' })).map(entry => entry.action)).toEqual(['GET /admin/users?q=smith']);
+        expect((await recorded(app, { q: 'not found' })).map(entry => entry.action)).toEqual(['DELETE /admin/users/4']);
+        expect(await recorded(app, { since: new Date(Date.now() + 1000).toISOString() })).toEqual([]);
+    });
+});
+
+describe('export', () => {
+    const ENTRIES = [
+        { id: 2, time: '2026-01-10T12:00:01.000Z', type: 'error', action: 'script', userId: 1, userEmail: 'admin@example.com', userRole: 'admin', status: null, duration: null, details: '=HYPERLINK("x")', flushed: true },
+        { id: 1, time: '2026-01-10T12:00:00.000Z', type: 'request', action: 'GET /admin/users?q=a,b', userId: 1, userEmail: 'admin@example.com', userRole: 'admin', status: 200, duration: 12, details: 'line one\nline two', flushed: false }
+    ];
+
+    test('writes CSV with quoting and neutralized formulas', async () => {
+        const app = await loadApp();
+
+        expect(app.audit.export(ENTRIES, 'csv').split('\r\n')).toEqual([
+            'id,time,type,userEmail,userRole,impersonating,action,status,duration,details',
+            '2,2026-01-10T12:00:01.000Z,error,admin@example.com,admin,,script,,,"\'=HYPERLINK(""x"")"',
+            '1,2026-01-10T12:00:00.000Z,request,admin@example.com,admin,,"GET /admin/users?q=a,b",200,12,"line one\nline two"'
+        ]);
+    });
+
+    test('writes JSON without the upload flag', async () => {
+        const app = await loadApp();
+        const rows = JSON.parse(app.audit.export(ENTRIES, 'json'));
+
+        expect(rows).toHaveLength(2);
+        expect(rows[0]).toEqual({ ...ENTRIES[0], flushed: undefined });
+        expect('flushed' in rows[0]).toBe(false);
+        expect(() => app.audit.export(ENTRIES, 'xml')).toThrow('Unknown export format: xml');
+    });
+});
+
+describe('flushing', () => {
+    test('sends unsent entries once and retries after a failure', async () => {
+        let fail = true;
+        const app = await loadApp({
+            token: tokenFor(ADMIN),
+            fetch: url => (url.endsWith('/admin/audit') && fail
+                ? { status: 503, body: { success: false, message: 'Unavailable' } }
+                : backend(url))
+        });
+        await app.audit.record('navigation', '/admin');
+        await app.audit.record('request', 'GET /admin', { status: 200, duration: 5 });
+        const uploads = () => app.fetch.mock.calls.filter(([url]) => url.endsWith('/admin/audit'));
+
+        expect(await app.audit.flush()).toBe(0);
+        fail = false;
+        expect(await app.audit.flush()).toBe(2);
+        expect(await app.audit.flush()).toBe(0);
+
+        const [, init] = uploads()[1];
+        const { entries } = JSON.parse(init.body);
+        expect(entries.map(entry => entry.action)).toEqual(['/admin', 'GET /admin']);
+        expect('flushed' in entries[0]).toBe(false);
+        expect(uploads()).toHaveLength(2);
+        // The uploads themselves are not recorded
+        expect(await recorded(app)).toHaveLength(2);
+        expect(document.querySelectorAll('.notification')).toHaveLength(0);
+    });
+
+    test('runs every auditFlushInterval while an admin is signed in', async () => {
+        const app = await loadApp({
+            token: tokenFor(ADMIN),
+            fetch: backend,
+            config: { defaultEnvironment: 'test', environments: { test: { apiBaseUrl: 'http://api.test/api', logLevel: 'silent', auditFlushInterval: 20 } } }
+        });
+        app.audit.initializeAuditTrail();
+        await app.audit.record('navigation', '/admin');
+
+        await wait(50);
+        await settle();
+        const uploads = () => app.fetch.mock.calls.filter(([url]) => url.endsWith('/admin/audit')).length;
+        expect(uploads()).toBe(1);
+
+        app.session.clear();
+        await app.audit.record('navigation', '/admin', {}, ADMIN);
+        await wait(50);
+        expect(uploads()).toBe(1);
+    });
+});
+
+describe('activity log view', () => {
+    /**
+     * Load the app on the admin dashboard with three entries recorded
+     * @param {object} user - Signed-in staff member
+     */
+    async function openLog(user = ADMIN) {
+        const app = await loadApp({ token: tokenFor(user), fetch: backend });
+        await app.audit.record('navigation', '/admin', { details: 'admin-view' });
+        await app.audit.record('request', 'GET /admin/users', { status: 200, duration: 8 });
+        await app.audit.record('error', 'DELETE /admin/users/4', { status: 404, duration: 3, details: 'User not found' });
+        app.adminAudit.initializeAuditLog();
+        document.getElementById('admin-view').classList.add('active');
+        await app.adminAudit.loadAuditLog();
+        return app;
+    }
+
+    /**
+     * Actions shown in the table, top to bottom
+     */
+    function shownActions() {
+        return [...document.querySelectorAll('#admin-audit-result tbody tr')]
+            .map(row => row.querySelector('td[data-label="Action"]').textContent);
+    }
+
+    test('lists entries newest first with their status', async () => {
+        await openLog();
+
+        expect(shownActions()).toEqual(['DELETE /admin/users/4', 'GET /admin/users', '/admin']);
+        const row = document.querySelector('#admin-audit-result .audit-row-error');
+        expect(row.querySelector('td[data-label="Status"]').textContent).toBe('404 (3 ms)');
+        expect(row.querySelector('td[data-label="Type"]').textContent).toBe('Error');
+        expect(document.querySelector('.data-table-summary').textContent).toBe('Showing 1–3 of 3 entries');
+    });
+
+    test('filters by type and shows new entries as they arrive', async () => {
+        const app = await openLog();
+        const select = document.querySelector('#admin-audit-result [data-table-filter="type"]');
+
+        select.value = 'request';
+        select.dispatchEvent(new Event('change'));
+        await settle();
+        expect(shownActions()).toEqual(['GET /admin/users']);
+
+        await app.audit.record('request', 'GET /admin/stats', { status: 200, duration: 4 });
+        await settle();
+        expect(shownActions()).toEqual(['GET /admin/stats', 'GET /admin/users']);
+    });
+
+    test('downloads the filtered entries', async () => {
+        const app = await openLog();
+        const blobs = [];
+        URL.createObjectURL = jest.fn(blob => { blobs.push(blob); return 'blob:audit'; });
+        URL.revokeObjectURL = jest.fn();
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+        const search = document.querySelector('#admin-audit-result .data-table-search');
+        search.value = 'not found';
+        await app.adminAudit.loadAuditLog({ page: 1, limit: 20, sort: 'time', order: 'desc', q: 'not found', filters: {} });
+        document.getElementById('audit-export-csv').click();
+
+        const link = click.mock.instances[0];
+        expect(link.download).toMatch(/^activity-log-\d{4}-\d{2}-\d{2}\.csv$/);
+        // The URL must outlive the click
+        expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+        const csv = await readBlob(blobs[0]);
+        expect(csv.split('\r\n')).toHaveLength(2);
+        expect(csv).toContain('DELETE /admin/users/4');
+        await flushPromises();
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:audit');
+
+        document.getElementById('audit-export-json').click();
+        expect(click.mock.instances[1].download).toMatch(/\.json$/);
+        expect(JSON.parse(await readBlob(blobs[1]))).toHaveLength(1);
+        click.mockRestore();
+    });
+
+    test('clears the log after confirmation', async () => {
+        const app = await openLog();
+
+        document.getElementById('audit-clear-btn').click();
+        document.getElementById('confirm-dialog-confirm').click();
+        await settle();
+
+        expect(await app.audit.getEntries()).toEqual([]);
+        expect(document.querySelector('.data-table-empty').textContent).toBe('No activity matches these filters');
+        app.notifications.dismissAll();
+    });
+
+    test('is not cleared by staff without audit:clear', async () => {
+        const app = await openLog({ ...ADMIN, role: 'support' });
+
+        document.getElementById('audit-clear-btn').click();
+        await settle();
+
+        expect(document.getElementById('confirm-dialog').style.display).toBe('none');
+        expect(await app.audit.getEntries()).toHaveLength(3);
+    });
+
+    test('redraws in the new language', async () => {
+        const app = await openLog();
+
+        await app.i18n.setLocale('es');
+
+        expect(document.querySelector('#admin-audit-result .audit-row-error td[data-label="Tipo"]').textContent).toBe('Error');
+        expect(document.querySelector('.data-table-summary').textContent).toBe('Mostrando 1–3 de 3 entradas');
+    });
+});
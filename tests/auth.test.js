@@ -0,0 +1,95 @@
+const { loadApp, tokenFor, flushPromises, ADMIN, CUSTOMER } = require('./helpers');
+
+/**
+ * Fill in and submit the login form
+ */
+async function submitLogin(email, password) {
+    const form = document.getElementById('login-form');
+    form.elements.email.value = email;
+    form.elements.password.value = password;
+
+    await window.auth.handleLogin({ preventDefault: () => {}, target: form });
+}
+
+/**
+ * Fake /auth/login accepting a single user
+ */
+function loginBackend(user) {
+    return (url, init) => {
+        const { email } = JSON.parse(init.body);
+        if (url.endsWith('/auth/login') && email === user.email) {
+            return {
+                status: 200,
+                body: { success: true, token: tokenFor(user), refreshToken: 'refresh', user }
+            };
+        }
+        return { status: 401, body: { success: false, error: 'Invalid email or password' } };
+    };
+}
+
+describe('auth.handleLogin', () => {
+    test.each([
+        ['', 'secret'],
+        ['admin@example.com', ''],
+        ['   ', 'secret']
+    ])('rejects missing credentials (email "%s")', async (email, password) => {
+        const app = await loadApp();
+
+        await submitLogin(email, password);
+
+        const error = document.getElementById('login-error');
+        expect(error.style.display).toBe('block');
+        expect(error.textContent).toBe('Please enter both email and password');
+        expect(app.fetch).not.toHaveBeenCalledWith(expect.stringContaining('/auth/login'), expect.anything());
+    });
+
+    test('redirects admins to /admin', async () => {
+        await loadApp({ fetch: loginBackend(ADMIN) });
+
+        await submitLogin(ADMIN.email, 'admin123');
+
+        expect(window.location.hash).toBe('#/admin');
+        // Without "Keep me signed in" the session ends with the tab
+        expect(sessionStorage.getItem('refreshToken')).toBe('refresh');
+        expect(localStorage.getItem('authToken')).toBeNull();
+    });
+
+    test('returns to the page requested before login', async () => {
+        await loadApp({ fetch: loginBackend(ADMIN) });
+        window.router.handleRoute('/login?returnTo=%2Fadmin%3Ftab%3Dstats');
+
+        await submitLogin(ADMIN.email, 'admin123');
+
+        expect(window.location.hash).toBe('#/admin?tab=stats');
+    });
+
+    test('ignores an off-site returnTo', async () => {
+        await loadApp({ fetch: loginBackend(ADMIN) });
+        window.router.handleRoute('/login?returnTo=%2F%2Fevil.example.com');
+
+        await submitLogin(ADMIN.email, 'admin123');
+
+        expect(window.location.hash).toBe('#/admin');
+    });
+
+    test('redirects customers to /customer', async () => {
+        await loadApp({ fetch: loginBackend(CUSTOMER) });
+
+        await submitLogin(CUSTOMER.email, 'customer123');
+
+        expect(window.location.hash).toBe('#/customer');
+        expect(window.api.getCurrentUser()).toMatchObject(CUSTOMER);
+    });
+
+    test('shows the server error for bad credentials', async () => {
+        await loadApp({ fetch: loginBackend(ADMIN) });
+
+        await submitLogin('nobody@example.com', 'wrong');
+        await flushPromises();
+
+        const error = document.getElementById('login-error');
+        expect(error.style.display).toBe('block');
+        expect(error.textContent).toBe('Invalid email or password');
+        expect(localStorage.getItem('authToken')).toBeNull();
+    });
+});
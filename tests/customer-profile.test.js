@@ -0,0 +1,169 @@
+const { loadApp, tokenFor, createToken, flushPromises, CUSTOMER } = require('./helpers');
+
+const PROFILE = {
+    name: 'Customer <User>',
+    email: 'customer@example.com',
+    role: 'customer',
+    accountStatus: 'active',
+    memberSince: '2023-03-02'
+};
+
+/**
+ * Load the app, show the profile and open the edit form
+ * @param {function} respond - Handler for everything but GET /customer/profile
+ */
+async function editProfile(respond = () => ({ status: 500, body: null })) {
+    const app = await loadApp({
+        token: tokenFor(CUSTOMER),
+        fetch: (url, init) => {
+            if (url.endsWith('/customer/profile') && (init.method || 'GET') === 'GET') {
+                return { status: 200, body: { success: true, profile: PROFILE } };
+            }
+            return respond(url, init);
+        }
+    });
+    app.customerProfile.initializeProfile();
+    app.customerProfile.loadProfile();
+    await flushPromises();
+
+    document.querySelector('[data-action="edit-profile"]').click();
+    return app;
+}
+
+/**
+ * Set form fields, firing input events like typing would
+ */
+function fill(values) {
+    const form = document.getElementById('profile-form');
+    Object.keys(values).forEach(name => {
+        form.elements[name].value = values[name];
+        form.elements[name].dispatchEvent(new Event('input', { bubbles: true }));
+    });
+    return form;
+}
+
+/**
+ * Submit the profile form
+ */
+function submit() {
+    document.getElementById('profile-form')
+        .dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+}
+
+/**
+ * Text of a field's inline error
+ */
+function fieldError(name) {
+    return document.querySelector(`#profile-form [data-error-for="${name}"]`).textContent;
+}
+
+describe('customer profile', () => {
+    test('shows the profile read-only until Edit is clicked', async () => {
+        await editProfile();
+
+        const form = document.getElementById('profile-form');
+        expect(form.elements.name.value).toBe('Customer <User>');
+        expect(document.getElementById('profile-current-password-group').hidden).toBe(true);
+
+        document.querySelector('[data-action="cancel-profile"]').click();
+        expect(document.getElementById('profile-form')).toBeNull();
+        expect(document.getElementById('customer-profile').textContent).toContain('Customer <User>');
+    });
+
+    test('validates fields inline without calling the API', async () => {
+        const app = await editProfile();
+        const calls = app.fetch.mock.calls.length;
+
+        fill({ email: 'not-an-email', newPassword: 'password', confirmPassword: 'different' });
+        submit();
+
+        expect(fieldError('email')).toBe('Please enter a valid email address');
+        expect(fieldError('newPassword')).toMatch(/too weak/);
+        expect(fieldError('confirmPassword')).toBe('Passwords do not match');
+        expect(fieldError('currentPassword')).toBe('Please enter your current password');
+        expect(document.getElementById('profile-email').getAttribute('aria-invalid')).toBe('true');
+        expect(document.activeElement.id).toBe('profile-email');
+        expect(app.fetch.mock.calls.length).toBe(calls);
+    });
+
+    test('asks for the current password and rates new passwords', async () => {
+        await editProfile();
+
+        fill({ newPassword: 'short' });
+        const meter = document.querySelector('#profile-form .password-strength');
+        expect(meter.hidden).toBe(false);
+        expect(meter.textContent).toContain('Too short');
+        expect(document.getElementById('profile-current-password-group').hidden).toBe(false);
+
+        fill({ newPassword: 'Longer-Passw0rd' });
+        expect(meter.dataset.score).toBe('4');
+        expect(meter.textContent).toContain('Strong');
+    });
+
+    test('shows server field errors next to the fields', async () => {
+        await editProfile(() => ({
+            status: 422,
+            body: { error: 'Validation failed', errors: { email: 'Email is already in use', currentPassword: 'Current password is incorrect' } }
+        }));
+
+        fill({ email: 'taken@example.com', currentPassword: 'wrong' });
+        submit();
+        await flushPromises();
+        await flushPromises();
+
+        expect(fieldError('email')).toBe('Email is already in use');
+        expect(fieldError('currentPassword')).toBe('Current password is incorrect');
+        expect(document.querySelector('#profile-form button[type="submit"]').disabled).toBe(false);
+    });
+
+    test('saves a new email and password and stores the new token', async () => {
+        const newToken = createToken({ ...CUSTOMER, email: 'new@example.com', exp: Math.floor(Date.now() / 1000) + 3600 });
+        const app = await editProfile((url, init) => {
+            if (url.endsWith('/customer/profile')) {
+                return {
+                    status: 200,
+                    body: { success: true, profile: { ...PROFILE, ...JSON.parse(init.body) }, token: newToken }
+                };
+            }
+            return { status: 200, body: { success: true } };
+        });
+
+        fill({ email: 'new@example.com', newPassword: 'Longer-Passw0rd', confirmPassword: 'Longer-Passw0rd', currentPassword: 'customer123' });
+        submit();
+        await flushPromises();
+        await flushPromises();
+
+        const [, patch] = app.fetch.mock.calls.find(([url, init]) => init.method === 'PATCH');
+        expect(JSON.parse(patch.body)).toEqual({ name: 'Customer <User>', email: 'new@example.com', currentPassword: 'customer123' });
+        expect(app.fetch).toHaveBeenCalledWith('http://api.test/api/customer/profile/password', expect.objectContaining({
+            body: JSON.stringify({ currentPassword: 'customer123', newPassword: 'Longer-Passw0rd' })
+        }));
+        expect(localStorage.getItem('authToken')).toBe(newToken);
+        expect(document.getElementById('customer-profile').textContent).toContain('Your profile and password have been updated');
+        expect(document.getElementById('customer-profile').textContent).toContain('new@example.com');
+    });
+
+    test('reports a saved profile when only the password change fails', async () => {
+        await editProfile((url, init) => {
+            if (url.endsWith('/customer/profile')) {
+                return { status: 200, body: { success: true, profile: { ...PROFILE, ...JSON.parse(init.body) } } };
+            }
+            return { status: 422, body: { error: 'Validation failed', errors: { newPassword: 'New password must be different from the current one' } } };
+        });
+
+        fill({ name: 'Renamed User', newPassword: 'Longer-Passw0rd', confirmPassword: 'Longer-Passw0rd', currentPassword: 'customer123' });
+        submit();
+        await flushPromises();
+        await flushPromises();
+
+        expect(document.querySelector('.toast').textContent).toContain('Your profile has been updated, but your password was not changed');
+        const form = document.getElementById('profile-form');
+        expect(form.elements.name.value).toBe('Renamed User');
+        expect(form.elements.newPassword.value).toBe('');
+        expect(fieldError('newPassword')).toBe('New password must be different from the current one');
+
+        // Leaving the form shows the saved profile
+        document.querySelector('[data-action="cancel-profile"]').click();
+        expect(document.getElementById('customer-profile').textContent).toContain('Renamed User');
+    });
+});
@@ -0,0 +1,75 @@
+const { loadApp } = require('./helpers');
+
+const ROWS = [
+    { id: 1, name: 'Ada <b>Lovelace</b>' },
+    { id: 2, name: 'Grace Hopper' }
+];
+
+/**
+ * Create a table in a fresh container
+ */
+function createTable(options = {}) {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const onChange = jest.fn();
+    const table = new window.DataTable(container, {
+        columns: [
+            { key: 'id', label: 'ID', sortable: true },
+            { key: 'name', label: 'Name', sortable: true }
+        ],
+        itemLabel: 'people',
+        onChange,
+        ...options
+    });
+    return { table, container, onChange };
+}
+
+describe('DataTable', () => {
+    beforeEach(async () => {
+        await loadApp();
+    });
+
+    test('toggles the sort order when a header is clicked twice', () => {
+        const { table, container, onChange } = createTable();
+        table.setState({ page: 3, limit: 20, sort: 'id', order: 'asc', q: '', filters: {} });
+
+        container.querySelector('[data-key="name"]').click();
+        expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ sort: 'name', order: 'asc', page: 1 }), {});
+
+        container.querySelector('[data-key="name"]').click();
+        expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ sort: 'name', order: 'desc' }), {});
+        expect(container.querySelector('[data-key="name"]').closest('th').getAttribute('aria-sort')).toBe('descending');
+    });
+
+    test('escapes cell values and disables pagination at the ends', () => {
+        const { table, container } = createTable();
+        table.setState({ page: 1, limit: 10, filters: {} });
+        table.setRows(ROWS, 12);
+
+        expect(container.querySelector('tbody b')).toBeNull();
+        expect(container.querySelector('tbody').textContent).toContain('Ada <b>Lovelace</b>');
+        expect(container.querySelector('.data-table-summary').textContent).toBe('Showing 1–10 of 12 people');
+        expect(container.querySelector('[data-page="0"]').disabled).toBe(true);
+        expect(container.querySelector('[data-page="2"]').disabled).toBe(false);
+
+        table.setState({ page: 2, limit: 10, filters: {} });
+        table.setRows(ROWS, 12);
+        expect(container.querySelector('[data-page="3"]').disabled).toBe(true);
+    });
+
+    test('debounces search and shows the empty message', async () => {
+        const { table, container, onChange } = createTable({ emptyMessage: 'Nobody here' });
+        table.setRows([], 0);
+        expect(container.querySelector('.data-table-empty').textContent).toBe('Nobody here');
+
+        const search = container.querySelector('.data-table-search');
+        search.value = 'a';
+        search.dispatchEvent(new Event('input'));
+        search.value = 'ada ';
+        search.dispatchEvent(new Event('input'));
+        await new Promise(resolve => setTimeout(resolve, 350));
+
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(onChange).toHaveBeenCalledWith(expect.objectContaining({ q: 'ada', page: 1 }), { replace: true });
+    });
+});
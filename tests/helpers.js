@@ -0,0 +1,156 @@
+// Load the app scripts into the jsdom window with a stubbed fetch
+
+const fs = require('fs');
+const path = require('path');
+const axe = require('axe-core');
+const { IDBFactory } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..');
+const INDEX_HTML = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+// Scripts in the order index.html loads them
+const SCRIPTS = [...INDEX_HTML.matchAll(/<script src="([^"]+)"><\/script>/g)]
+    .map(match => fs.readFileSync(path.join(ROOT, match[1]), 'utf8'));
+
+// Message catalogs served from locales/
+const LOCALES = Object.fromEntries(fs.readdirSync(path.join(ROOT, 'locales'))
+    .map(file => [`locales/${file}`, JSON.parse(fs.readFileSync(path.join(ROOT, 'locales', file), 'utf8'))]));
+
+const TEST_CONFIG = {
+    defaultEnvironment: 'test',
+    environments: {
+        test: {
+            apiBaseUrl: 'http://api.test/api',
+            requestTimeout: 1000,
+            logLevel: 'silent',
+            features: {}
+        }
+    }
+};
+
+/**
+ * Build a minimal fetch Response
+ * @param {number} status - HTTP status
+ * @param {object|string|null} body - JSON body, raw text, or null for empty
+ */
+function createResponse(status, body) {
+    const text = body === null || body === undefined
+        ? ''
+        : (typeof body === 'string' ? body : JSON.stringify(body));
+
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: new Map([['content-type', typeof body === 'string' ? 'text/html' : 'application/json']]),
+        text: async () => text,
+        json: async () => JSON.parse(text)
+    };
+}
+
+/**
+ * Create an unsigned JWT with the given claims
+ * @param {object} claims
+ */
+function createToken(claims) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}.signature`;
+}
+
+/**
+ * Create a token for a user that expires in `ttl` seconds
+ * @param {object} user - { id, email, role }
+ * @param {number} ttl - Seconds until expiry (negative for expired)
+ */
+function tokenFor(user, ttl = 3600) {
+    return createToken({ ...user, exp: Math.floor(Date.now() / 1000) + ttl });
+}
+
+const ADMIN = { id: 1, email: 'admin@example.com', role: 'admin' };
+const CUSTOMER = { id: 2, email: 'customer@example.com', role: 'customer' };
+
+/**
+ * Reset the DOM and storage (IndexedDB included), then evaluate every app script
+ * @param {object} options
+ * @param {function} options.fetch - (url, init) => { status, body } for API calls
+ * @param {string} options.token - JWT to store before loading
+ * @param {object} options.config - config.json contents
+ * @param {string} options.locale - Language chosen in an earlier visit
+ * @param {object} options.catalogs - Message catalogs to serve instead, by URL
+ */
+async function loadApp({ fetch: handler = () => ({ status: 404, body: null }), token, config = TEST_CONFIG, locale, catalogs = {} } = {}) {
+    localStorage.clear();
+    sessionStorage.clear();
+    window.indexedDB = new IDBFactory();
+    window.history.replaceState(null, '', '/');
+
+    document.head.innerHTML = INDEX_HTML.match(/<head>([\s\S]*)<\/head>/)[1];
+    document.body.innerHTML = INDEX_HTML.match(/<body>([\s\S]*)<\/body>/)[1]
+        .replace(/<script[\s\S]*?<\/script>/g, '');
+
+    if (token) {
+        localStorage.setItem('authToken', token);
+    }
+    if (locale) {
+        localStorage.setItem('locale', locale);
+    }
+
+    window.fetch = jest.fn(async (url, init = {}) => {
+        if (url === 'config.json') {
+            return createResponse(200, config);
+        }
+        const catalog = { ...LOCALES, ...catalogs }[url];
+        if (catalog) {
+            return createResponse(200, catalog);
+        }
+        const result = await handler(url, init);
+        if (result instanceof Error) {
+            throw result;
+        }
+        return createResponse(result.status, result.body);
+    });
+
+    // Function scope lets the scripts be evaluated again for the next test
+    SCRIPTS.forEach(source => new Function(source)());
+
+    await window.config.load();
+    await window.i18n.load();
+    return window;
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Get the ids of the views currently shown
+ */
+function activeViews() {
+    return [...document.querySelectorAll('.view.active')].map(view => view.id);
+}
+
+/**
+ * Run the axe accessibility rules on the document. jsdom does no layout,
+ * so rules that need rendering (colour contrast) are left to the browser.
+ * @param {string|Element} context - Part of the page to check (default: all)
+ * @returns {Promise<Array<string>>} One "rule: selector" line per problem
+ */
+async function findAccessibilityViolations(context = document) {
+    const results = await axe.run(context, { rules: { 'color-contrast': { enabled: false } } });
+    return results.violations.flatMap(violation =>
+        violation.nodes.map(node => `${violation.id}: ${node.target.join(' ')}`));
+}
+
+module.exports = {
+    loadApp,
+    createResponse,
+    createToken,
+    tokenFor,
+    flushPromises,
+    activeViews,
+    findAccessibilityViolations,
+    ADMIN,
+    CUSTOMER
+};
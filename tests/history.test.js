@@ -0,0 +1,60 @@
+const { loadApp, tokenFor, activeViews, ADMIN } = require('./helpers');
+
+const HISTORY_CONFIG = {
+    defaultEnvironment: 'test',
+    environments: {
+        test: {
+            apiBaseUrl: 'http://api.test/api',
+            logLevel: 'silent',
+            routerMode: 'history'
+        }
+    }
+};
+
+describe('history mode', () => {
+    test('routes on the path and intercepts same-origin links', async () => {
+        await loadApp({ token: tokenFor(ADMIN), config: HISTORY_CONFIG });
+        window.history.replaceState(null, '', '/admin?tab=stats');
+
+        window.router.start();
+        expect(window.router.getCurrentRoute()).toBe('/admin?tab=stats');
+        expect(activeViews()).toEqual(['admin-view']);
+
+        const link = document.createElement('a');
+        link.href = '/welcome';
+        document.body.appendChild(link);
+        link.click();
+
+        expect(window.location.pathname).toBe('/welcome');
+        expect(activeViews()).toEqual(['welcome-view']);
+
+        window.history.back();
+        await new Promise(resolve => window.addEventListener('popstate', resolve, { once: true }));
+        expect(activeViews()).toEqual(['admin-view']);
+    });
+
+    test('leaves external links alone', async () => {
+        await loadApp({ config: HISTORY_CONFIG });
+        const navigate = jest.spyOn(window.router, 'navigate');
+        window.router.start();
+
+        const link = document.createElement('a');
+        link.href = 'https://example.com/docs';
+        document.body.appendChild(link);
+        const event = new MouseEvent('click', { bubbles: true, cancelable: true, button: 0 });
+        event.preventDefault = jest.fn();
+        link.dispatchEvent(event);
+
+        expect(navigate).not.toHaveBeenCalled();
+    });
+
+    test('keeps the return path when sending guests to login', async () => {
+        await loadApp({ config: HISTORY_CONFIG });
+        window.history.replaceState(null, '', '/admin');
+
+        window.router.start();
+
+        expect(window.location.pathname + window.location.search).toBe('/login?returnTo=%2Fadmin');
+        expect(activeViews()).toEqual(['login-view']);
+    });
+});
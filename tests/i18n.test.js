@@ -0,0 +1,148 @@
+const { loadApp, tokenFor, flushPromises, CUSTOMER } = require('./helpers');
+
+const PROFILE = {
+    name: 'Customer User',
+    email: 'customer@example.com',
+    role: 'customer',
+    accountStatus: 'active',
+    memberSince: '2023-03-02'
+};
+
+/**
+ * Stub the browser's preferred languages
+ */
+function preferLanguages(languages) {
+    Object.defineProperty(navigator, 'languages', { value: languages, configurable: true });
+}
+
+/**
+ * Load the app signed in as a customer with the profile on screen
+ */
+async function openProfile(options = {}) {
+    const app = await loadApp({
+        token: tokenFor(CUSTOMER),
+        fetch: () => ({ status: 200, body: { success: true, profile: PROFILE } }),
+        ...options
+    });
+    app.customerProfile.initializeProfile();
+    app.customerProfile.loadProfile();
+    await flushPromises();
+    return app;
+}
+
+describe('translate', () => {
+    test('fills placeholders and picks plural forms', async () => {
+        const app = await loadApp();
+        const { t } = app.i18n;
+
+        expect(t('users.deleted', { email: 'a@example.com' })).toBe('User a@example.com deleted');
+        expect(t('time.minutes', { count: 1 })).toBe('1 minute');
+        expect(t('time.minutes', { count: 5 })).toBe('5 minutes');
+
+        await app.i18n.setLocale('es');
+        expect(t('users.deleted', { email: 'a@example.com' })).toBe('Usuario a@example.com eliminado');
+        expect(t('time.seconds', { count: 1 })).toBe('1 segundo');
+        expect(t('time.seconds', { count: 30 })).toBe('30 segundos');
+    });
+
+    test('falls back to English, then to the default value or the key', async () => {
+        const app = await loadApp({ locale: 'es', catalogs: { 'locales/es.json': { 'nav.logout': 'Cerrar sesión' } } });
+
+        expect(app.i18n.t('nav.logout')).toBe('Cerrar sesión');
+        expect(app.i18n.t('login.title')).toBe('Login');
+        expect(app.i18n.t('stats.status.unknown', { defaultValue: 'unknown' })).toBe('unknown');
+        expect(app.i18n.t('missing.key')).toBe('missing.key');
+    });
+
+    test('formats dates for the current language', async () => {
+        const app = await loadApp();
+        expect(app.i18n.formatDate('2023-03-02', { dateStyle: 'long' })).toBe('March 2, 2023');
+        expect(app.i18n.formatDate('')).toBe('');
+        expect(app.i18n.formatDate('not a date')).toBe('not a date');
+
+        await app.i18n.setLocale('es');
+        expect(app.i18n.formatDate('2023-03-02', { dateStyle: 'long' })).toBe('2 de marzo de 2023');
+    });
+});
+
+describe('language choice', () => {
+    afterEach(() => {
+        preferLanguages(['en-US', 'en']);
+    });
+
+    test('starts in the browser language when none was picked', async () => {
+        preferLanguages(['es-MX', 'en']);
+        const app = await loadApp();
+
+        expect(app.i18n.getLocale()).toBe('es');
+        expect(document.documentElement.lang).toBe('es');
+        expect(document.querySelector('#login-view h2').textContent).toBe('Iniciar sesión');
+    });
+
+    test('prefers the saved choice over the browser language', async () => {
+        preferLanguages(['es-ES']);
+        const app = await loadApp({ locale: 'en' });
+
+        expect(app.i18n.getLocale()).toBe('en');
+    });
+
+    test('rejects unsupported languages', async () => {
+        const app = await loadApp();
+
+        await expect(app.i18n.setLocale('fr')).rejects.toThrow('Unsupported language: fr');
+        expect(app.i18n.getLocale()).toBe('en');
+    });
+
+    test('switches from the footer menu and remembers the choice', async () => {
+        const app = await loadApp();
+        app.i18n.initializeLanguageSwitcher();
+        const select = document.getElementById('language-select');
+        expect([...select.options].map(option => option.value)).toEqual(['en', 'es']);
+
+        select.value = 'es';
+        select.dispatchEvent(new Event('change'));
+        await flushPromises();
+
+        expect(localStorage.getItem('locale')).toBe('es');
+        expect(document.documentElement.lang).toBe('es');
+        expect(document.querySelector('[data-i18n="language.label"]').textContent).toBe('Idioma');
+    });
+
+    test('keeps filled-in values inside translated text', async () => {
+        const app = await loadApp();
+        const message = document.querySelector('[data-i18n="register.sent"]');
+        message.querySelector('.success-email').textContent = 'new@example.com';
+
+        await app.i18n.setLocale('es');
+
+        expect(message.textContent).toBe('Enviamos un enlace de verificación a new@example.com. Ábrelo para activar tu cuenta y después inicia sesión.');
+        expect(message.querySelector('.success-email').textContent).toBe('new@example.com');
+    });
+});
+
+describe('re-rendering on a language change', () => {
+    test('redraws the profile and navbar without fetching again', async () => {
+        const app = await openProfile();
+        app.auth.initializeAuthListeners();
+        app.auth.updateUserInfo();
+        const profile = document.getElementById('customer-profile');
+        expect(profile.textContent).toContain('March 2, 2023');
+        const apiCalls = () => app.fetch.mock.calls.filter(([url]) => url.startsWith('http')).length;
+        const requests = apiCalls();
+
+        await app.i18n.setLocale('es');
+
+        expect(profile.textContent).toContain('Miembro desde:');
+        expect(profile.textContent).toContain('2 de marzo de 2023');
+        expect(profile.textContent).toContain('cliente');
+        expect(document.getElementById('user-info').textContent).toBe('customer@example.com (cliente)');
+        expect(apiCalls()).toBe(requests);
+    });
+
+    test('sends the language with API requests', async () => {
+        const app = await openProfile({ locale: 'es' });
+
+        const [, init] = app.fetch.mock.calls.find(([url]) => url.endsWith('/customer/profile'));
+        expect(init.headers['Accept-Language']).toBe('es');
+    });
+});
@@ -0,0 +1,152 @@
+const { loadApp, tokenFor, activeViews, ADMIN, CUSTOMER } = require('./helpers');
+
+const IDLE_CONFIG = {
+    defaultEnvironment: 'test',
+    environments: {
+        test: {
+            apiBaseUrl: 'http://api.test/api',
+            logLevel: 'silent',
+            routerMode: 'history',
+            idleTimeouts: { admin: 120, customer: 600 },
+            idleWarning: 30
+        }
+    }
+};
+
+/**
+ * Open a page with idle tracking running
+ * @param {object} user - Signed-in user
+ * @param {string} path - Page to open
+ */
+async function openPage(user, path) {
+    const app = await loadApp({ token: tokenFor(user, 7200), config: IDLE_CONFIG });
+    jest.useFakeTimers({ doNotFake: ['nextTick'] });
+
+    app.auth.initializeAuthListeners();
+    app.idle.initializeIdleTracking();
+    window.history.replaceState(null, '', path);
+    app.router.start();
+    return app;
+}
+
+/**
+ * Whether the countdown dialog is open
+ */
+function warningShown() {
+    return document.getElementById('idle-warning').style.display !== 'none';
+}
+
+describe('inactivity logout', () => {
+    afterEach(() => {
+        window.idle.stop();
+        window.auth.cancelSessionWarning();
+        jest.useRealTimers();
+    });
+
+    test('warns before signing out and explains why on the login page', async () => {
+        await openPage(ADMIN, '/welcome');
+
+        jest.advanceTimersByTime(89 * 1000);
+        expect(warningShown()).toBe(false);
+
+        jest.advanceTimersByTime(1000);
+        expect(warningShown()).toBe(true);
+        expect(document.getElementById('idle-warning-message').textContent).toMatch(/signed out in 30 seconds/);
+
+        jest.advanceTimersByTime(10 * 1000);
+        expect(document.getElementById('idle-warning-message').textContent).toMatch(/signed out in 20 seconds/);
+
+        jest.advanceTimersByTime(20 * 1000);
+        expect(window.api.isAuthenticated()).toBe(false);
+        expect(warningShown()).toBe(false);
+        expect(activeViews()).toEqual(['login-view']);
+        expect(window.location.search).toBe('?returnTo=%2Fwelcome');
+
+        const notice = document.getElementById('login-notice');
+        expect(notice.hidden).toBe(false);
+        expect(notice.textContent).toBe('You were signed out after 2 minutes of inactivity. Please sign in again.');
+    });
+
+    test('uses the timeout of the signed-in role', async () => {
+        await openPage(CUSTOMER, '/welcome');
+
+        jest.advanceTimersByTime(300 * 1000);
+        expect(warningShown()).toBe(false);
+
+        jest.advanceTimersByTime(270 * 1000);
+        expect(warningShown()).toBe(true);
+    });
+
+    test('activity postpones the warning', async () => {
+        await openPage(ADMIN, '/welcome');
+
+        jest.advanceTimersByTime(80 * 1000);
+        document.dispatchEvent(new MouseEvent('mousemove'));
+        jest.advanceTimersByTime(80 * 1000);
+
+        expect(warningShown()).toBe(false);
+        expect(window.api.isAuthenticated()).toBe(true);
+    });
+
+    test('activity behind the dialog does not count, but Stay Signed In does', async () => {
+        await openPage(ADMIN, '/welcome');
+        jest.advanceTimersByTime(95 * 1000);
+        expect(warningShown()).toBe(true);
+
+        document.dispatchEvent(new KeyboardEvent('keydown'));
+        jest.advanceTimersByTime(1000);
+        expect(warningShown()).toBe(true);
+
+        document.getElementById('idle-stay-btn').click();
+        expect(warningShown()).toBe(false);
+
+        jest.advanceTimersByTime(80 * 1000);
+        expect(window.api.isAuthenticated()).toBe(true);
+    });
+
+    test('the dialog keeps focus and Escape stays signed in', async () => {
+        await openPage(ADMIN, '/welcome');
+        const logoutBtn = document.getElementById('logout-btn');
+        logoutBtn.focus();
+        jest.advanceTimersByTime(95 * 1000);
+
+        expect(document.activeElement.id).toBe('idle-stay-btn');
+        expect(document.getElementById('app').hasAttribute('inert')).toBe(true);
+
+        document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        expect(warningShown()).toBe(false);
+        expect(document.activeElement).toBe(logoutBtn);
+
+        jest.advanceTimersByTime(80 * 1000);
+        expect(window.api.isAuthenticated()).toBe(true);
+    });
+
+    test('activity in another tab keeps this tab signed in', async () => {
+        await openPage(ADMIN, '/welcome');
+        jest.advanceTimersByTime(100 * 1000);
+        expect(warningShown()).toBe(true);
+
+        localStorage.setItem('lastActivity', String(Date.now()));
+        window.dispatchEvent(new StorageEvent('storage', { key: 'lastActivity', storageArea: localStorage }));
+
+        expect(warningShown()).toBe(false);
+        jest.advanceTimersByTime(60 * 1000);
+        expect(window.api.isAuthenticated()).toBe(true);
+    });
+
+    test('stops tracking after a manual logout and clears the reason on the next sign-in', async () => {
+        await openPage(ADMIN, '/welcome');
+        window.auth.signOut('idle', { minutes: 2 });
+        expect(localStorage.getItem('logoutReason')).not.toBeNull();
+
+        window.session.setTokens({ token: tokenFor(CUSTOMER, 7200) });
+        expect(localStorage.getItem('logoutReason')).toBeNull();
+
+        window.auth.handleLogout();
+        jest.advanceTimersByTime(3600 * 1000);
+        expect(warningShown()).toBe(false);
+
+        window.router.navigate('/login');
+        expect(document.getElementById('login-notice').hidden).toBe(true);
+    });
+});
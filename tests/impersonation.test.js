@@ -0,0 +1,195 @@
+const { loadApp, tokenFor, flushPromises, activeViews, ADMIN, CUSTOMER } = require('./helpers');
+
+const USERS = [
+    { id: 1, name: 'Admin User', email: 'admin@example.com', role: 'admin', accountStatus: 'active' },
+    { id: 2, name: 'Customer User', email: 'customer@example.com', role: 'customer', accountStatus: 'active' }
+];
+
+// What the backend issues: the customer's claims, without profile:security,
+// and the admin in the act claim
+const AS_CUSTOMER = { ...CUSTOMER, permissions: ['profile:read', 'profile:update'], act: ADMIN };
+
+/**
+ * Fake backend for the users list and the impersonation endpoint
+ * @param {function} respond - Handler for everything else
+ */
+function impersonationBackend(respond = () => ({ status: 200, body: { success: true } })) {
+    return (url, init) => {
+        if (url.includes('/admin/users?')) {
+            return { status: 200, body: { success: true, totalUsers: USERS.length, users: USERS } };
+        }
+        if (url.endsWith('/admin/users/2/impersonate')) {
+            return { status: 200, body: { success: true, token: tokenFor(AS_CUSTOMER, 900), user: USERS[1], expiresIn: 900 } };
+        }
+        return respond(url, init);
+    };
+}
+
+/**
+ * Load the app as an admin impersonating the customer, the admin's own
+ * session put aside
+ */
+async function loadImpersonating(options = {}) {
+    const app = await loadApp({ token: tokenFor(ADMIN), ...options });
+    localStorage.setItem('refreshToken', 'admin-refresh');
+    app.session.startImpersonation({ token: options.impersonationToken || tokenFor(AS_CUSTOMER, 900) });
+    sessionStorage.setItem('impersonationReturnTo', '/admin?page=2');
+    app.impersonation.initializeImpersonation();
+    return app;
+}
+
+/**
+ * Get the action button of a user's row
+ */
+function actionButton(id, action) {
+    return document.querySelector(`#admin-users-result [data-row-key="${id}"] [data-action="${action}"]`);
+}
+
+describe('starting an impersonation', () => {
+    test('opens the customer view as the customer from the users list', async () => {
+        const app = await loadApp({ token: tokenFor(ADMIN), fetch: impersonationBackend() });
+        app.permissions.startGating();
+        app.adminUsers.initializeUserManagement();
+        app.impersonation.initializeImpersonation();
+        await app.adminUsers.loadUsers();
+        await flushPromises();
+        const adminToken = app.api.getToken();
+
+        // Only customers can be viewed as
+        expect(actionButton(1, 'impersonate')).toBeNull();
+        actionButton(2, 'impersonate').click();
+        document.getElementById('confirm-dialog-confirm').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(app.fetch).toHaveBeenCalledWith('http://api.test/api/admin/users/2/impersonate', expect.objectContaining({ method: 'POST' }));
+        expect(app.session.getState()).toMatchObject({ user: { email: CUSTOMER.email }, impersonator: ADMIN });
+        expect(JSON.parse(localStorage.getItem('suspendedSession')).token).toBe(adminToken);
+        expect(window.location.hash).toBe('#/customer');
+
+        const banner = document.getElementById('impersonation-banner');
+        expect(banner.hidden).toBe(false);
+        expect(banner.textContent).toContain('You are viewing the app as customer@example.com (signed in as admin@example.com)');
+    });
+
+    test('is not offered to staff without users:impersonate, nor with cookie sessions', async () => {
+        const app = await loadApp({
+            token: tokenFor({ ...ADMIN, permissions: ['admin:access', 'users:read'] }),
+            fetch: impersonationBackend()
+        });
+        app.permissions.startGating();
+        app.adminUsers.initializeUserManagement();
+        await app.adminUsers.loadUsers();
+        await flushPromises();
+
+        expect(actionButton(2, 'impersonate').disabled).toBe(true);
+
+        const cookieApp = await loadApp({
+            config: { defaultEnvironment: 'test', environments: { test: { apiBaseUrl: 'http://api.test/api', logLevel: 'silent', tokenStorage: 'cookie' } } },
+            fetch: impersonationBackend()
+        });
+        cookieApp.adminUsers.initializeUserManagement();
+        await cookieApp.adminUsers.loadUsers();
+
+        expect(actionButton(2, 'impersonate')).toBeNull();
+        expect(() => cookieApp.session.startImpersonation({ token: tokenFor(AS_CUSTOMER) })).toThrow(/cookie sessions/);
+    });
+});
+
+describe('while impersonating', () => {
+    test('shows the customer view without the security settings', async () => {
+        const app = await loadImpersonating({ fetch: () => ({ status: 200, body: { success: true, profile: null } }) });
+        app.permissions.startGating();
+
+        window.router.hideAllViews();
+        window.router.handleRoute('/customer');
+        await flushPromises();
+
+        expect(activeViews()).toEqual(['customer-view']);
+        expect(document.getElementById('customer-two-factor').closest('[data-requires]').hidden).toBe(true);
+        expect(app.fetch.mock.calls.some(([url]) => url.includes('/two-factor'))).toBe(false);
+    });
+
+    test('keeps routes with impersonation: false closed, whatever the token grants', async () => {
+        await loadImpersonating({ impersonationToken: tokenFor({ ...AS_CUSTOMER, permissions: ['*'] }, 900) });
+
+        window.router.hideAllViews();
+        window.router.handleRoute('/admin');
+
+        expect(activeViews()).toEqual(['unauthorized-view']);
+    });
+
+    test('records actions under the admin without uploading them with the customer token', async () => {
+        const app = await loadImpersonating({ fetch: () => ({ status: 200, body: { success: true } }) });
+
+        const entry = await app.audit.record('request', 'GET /customer', { status: 200 });
+        expect(entry).toMatchObject({ userId: ADMIN.id, userEmail: ADMIN.email, userRole: 'admin', impersonating: CUSTOMER.email });
+
+        expect(await app.audit.flush()).toBe(0);
+        expect(app.fetch.mock.calls.some(([url]) => url.endsWith('/admin/audit'))).toBe(false);
+    });
+});
+
+describe('ending an impersonation', () => {
+    test('restores the admin session and returns to where the admin started', async () => {
+        const app = await loadImpersonating();
+        const listener = jest.fn();
+        app.session.subscribe(listener);
+
+        document.getElementById('impersonation-exit').click();
+
+        expect(app.session.getState()).toMatchObject({ user: { email: ADMIN.email }, impersonator: null });
+        expect(app.session.getRefreshToken()).toBe('admin-refresh');
+        expect(localStorage.getItem('suspendedSession')).toBeNull();
+        expect(document.getElementById('impersonation-banner').hidden).toBe(true);
+        expect(window.location.hash).toBe('#/admin?page=2');
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('goes back to the admin when the server rejects the impersonation token', async () => {
+        const app = await loadImpersonating({ fetch: () => ({ status: 401, body: { error: 'Token expired' } }) });
+
+        await expect(app.api.getCustomerService()).rejects.toThrow('Token expired');
+
+        // No refresh is attempted, and the admin stays signed in
+        expect(app.fetch.mock.calls.some(([url]) => url.endsWith('/auth/refresh'))).toBe(false);
+        expect(app.api.getCurrentUser()).toMatchObject(ADMIN);
+        expect(app.api.isAuthenticated()).toBe(true);
+    });
+
+    test('goes back to the admin when the impersonation token expires', async () => {
+        jest.useFakeTimers();
+        try {
+            const app = await loadImpersonating();
+
+            jest.advanceTimersByTime(899 * 1000);
+            expect(app.session.getState().impersonator).toEqual(ADMIN);
+
+            jest.advanceTimersByTime(2000);
+            expect(app.session.getState().impersonator).toBeNull();
+            expect(app.api.getCurrentUser()).toMatchObject(ADMIN);
+            expect(document.querySelector('.toast').textContent).toContain('The customer view of customer@example.com has expired');
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('also on navigation with an expired token', async () => {
+        const app = await loadImpersonating({ impersonationToken: tokenFor(AS_CUSTOMER, -10) });
+
+        window.router.handleRoute('/customer');
+
+        expect(app.api.getCurrentUser()).toMatchObject(ADMIN);
+        expect(window.location.hash).toBe('#/admin?page=2');
+    });
+
+    test('drops both sessions on sign-out', async () => {
+        const app = await loadImpersonating();
+
+        app.api.removeToken();
+
+        expect(app.api.isAuthenticated()).toBe(false);
+        expect(app.api.stopImpersonation()).toBe(false);
+        expect(localStorage.getItem('suspendedSession')).toBeNull();
+    });
+});
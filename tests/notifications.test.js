@@ -0,0 +1,214 @@
+const { loadApp, tokenFor, flushPromises, ADMIN, CUSTOMER } = require('./helpers');
+
+const USERS = [
+    { id: 1, name: 'Admin User', email: 'admin@example.com', role: 'admin', accountStatus: 'active' },
+    { id: 2, name: 'Customer User', email: 'customer@example.com', role: 'customer', accountStatus: 'active' }
+];
+
+/**
+ * Load the app with the notification center running
+ */
+async function openApp(options = {}) {
+    const app = await loadApp({ token: tokenFor(CUSTOMER), ...options });
+    app.notifications.initializeNotificationCenter();
+    return app;
+}
+
+/**
+ * Get the toasts on screen
+ */
+function toasts() {
+    return [...document.querySelectorAll('#notification-region .toast')];
+}
+
+/**
+ * Get the text of each toast message on screen
+ */
+function toastMessages() {
+    return toasts().map(toast => toast.querySelector('.toast-message').textContent);
+}
+
+describe('toasts', () => {
+    afterEach(() => {
+        window.notifications.dismissAll();
+        jest.useRealTimers();
+    });
+
+    test('stacks up to three toasts and queues the rest', async () => {
+        const app = await openApp();
+
+        ['One', 'Two', 'Three', 'Four'].forEach(message => app.notifications.notify(message));
+        expect(toastMessages()).toEqual(['One', 'Two', 'Three']);
+
+        toasts()[0].querySelector('.toast-close').click();
+        expect(toastMessages()).toEqual(['Two', 'Three', 'Four']);
+    });
+
+    test('counts repeats instead of stacking them', async () => {
+        const app = await openApp();
+
+        const first = app.notifications.notify('Saved', { type: 'success' });
+        const second = app.notifications.notify('Saved', { type: 'success' });
+
+        expect(second).toBe(first);
+        expect(toasts()).toHaveLength(1);
+        expect(toasts()[0].querySelector('.toast-count').textContent).toBe('×2');
+        expect(app.notifications.getHistory()).toEqual([expect.objectContaining({ message: 'Saved', count: 2 })]);
+    });
+
+    test('closes each type after its own duration', async () => {
+        const app = await openApp();
+        jest.useFakeTimers();
+
+        app.notifications.notify('Saved', { type: 'success' });
+        app.notifications.notify('Failed', { type: 'error' });
+        app.notifications.notify('Sticky', { duration: 0 });
+        expect(toasts()[1].getAttribute('role')).toBe('alert');
+        expect(toasts()[0].getAttribute('role')).toBe('status');
+
+        jest.advanceTimersByTime(4000);
+        expect(toastMessages()).toEqual(['Failed', 'Sticky']);
+
+        jest.advanceTimersByTime(4000);
+        expect(toastMessages()).toEqual(['Sticky']);
+    });
+
+    test('pauses while hovered', async () => {
+        const app = await openApp();
+        jest.useFakeTimers();
+
+        app.notifications.notify('Saved', { type: 'success' });
+        jest.advanceTimersByTime(3000);
+        toasts()[0].dispatchEvent(new MouseEvent('mouseenter'));
+        jest.advanceTimersByTime(10000);
+        expect(toasts()).toHaveLength(1);
+
+        toasts()[0].dispatchEvent(new MouseEvent('mouseleave'));
+        jest.advanceTimersByTime(1000);
+        expect(toasts()).toHaveLength(0);
+    });
+
+    test('runs an action and closes the toast', async () => {
+        const app = await openApp();
+        const onClick = jest.fn();
+
+        app.notifications.notify('Deleted', { actions: [{ label: 'Undo', onClick }] });
+        const button = toasts()[0].querySelector('[data-toast-action]');
+        expect(button.textContent).toBe('Undo');
+
+        button.click();
+        expect(onClick).toHaveBeenCalledTimes(1);
+        expect(toasts()).toHaveLength(0);
+    });
+});
+
+describe('notification history', () => {
+    test('shows unread notifications on the bell until the panel is opened', async () => {
+        const app = await openApp();
+        const bell = document.getElementById('notification-bell');
+        const badge = document.getElementById('notification-badge');
+        expect(badge.hidden).toBe(true);
+
+        app.notifications.notify('First');
+        app.notifications.notify('<img src=x onerror=alert(1)>', { type: 'error' });
+        expect(badge.hidden).toBe(false);
+        expect(badge.textContent).toBe('2');
+        expect(bell.getAttribute('aria-label')).toBe('Notifications (2 unread)');
+
+        bell.click();
+        expect(document.getElementById('notification-panel').hidden).toBe(false);
+        expect(bell.getAttribute('aria-expanded')).toBe('true');
+        expect(badge.hidden).toBe(true);
+
+        const items = [...document.querySelectorAll('#notification-list .notification-item span')];
+        expect(items.map(item => item.textContent)).toEqual(['<img src=x onerror=alert(1)>', 'First']);
+        expect(document.querySelector('#notification-list img')).toBeNull();
+
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+        expect(document.getElementById('notification-panel').hidden).toBe(true);
+        app.notifications.dismissAll();
+    });
+
+    test('is cleared on sign-out', async () => {
+        const app = await openApp();
+        app.notifications.notify('Saved', { type: 'success' });
+
+        app.session.clear();
+
+        expect(app.notifications.getHistory()).toEqual([]);
+        expect(toasts()).toHaveLength(0);
+        expect(document.getElementById('notification-badge').hidden).toBe(true);
+    });
+});
+
+describe('notification sources', () => {
+    afterEach(() => {
+        window.notifications.dismissAll();
+    });
+
+    test('reports failed API requests', async () => {
+        const app = await openApp({ fetch: () => ({ status: 404, body: { error: 'Profile not found' } }) });
+
+        await expect(app.api.getCustomerProfile({ forceRefresh: true })).rejects.toThrow();
+
+        expect(toastMessages()).toEqual(['Profile not found']);
+        expect(toasts()[0].classList).toContain('toast-error');
+    });
+
+    test('leaves validation errors and opted-out requests to the caller', async () => {
+        const app = await openApp({ fetch: () => ({ status: 422, body: { error: 'Validation failed', errors: { name: 'Required' } } }) });
+
+        await expect(app.api.updateProfile({ name: '' })).rejects.toThrow();
+        await expect(app.api.getCustomerService({ notifyErrors: false })).rejects.toThrow();
+
+        expect(toasts()).toHaveLength(0);
+    });
+
+    test('offers to retry a failed service call', async () => {
+        let fail = true;
+        const app = await loadApp({
+            token: tokenFor(CUSTOMER),
+            fetch: () => fail
+                ? { status: 404, body: { error: 'Service unavailable' } }
+                : { status: 200, body: { success: true, message: 'Customer service', data: { user: { name: 'Customer User', role: 'customer' }, timestamp: 'now' } } }
+        });
+        app.app.initApp();
+
+        document.getElementById('customer-service-btn').click();
+        await flushPromises();
+        expect(toastMessages()).toEqual(['Customer service failed: Service unavailable']);
+
+        fail = false;
+        toasts()[0].querySelector('[data-toast-action]').click();
+        await flushPromises();
+
+        expect(toastMessages()).toEqual(['Customer service loaded']);
+        expect(document.getElementById('customer-service-result').textContent).toContain('Customer service');
+    });
+
+    test('lets an admin undo disabling a user', async () => {
+        const app = await openApp({
+            token: tokenFor(ADMIN),
+            fetch: (url, init) => {
+                if ((init.method || 'GET') === 'GET') {
+                    return { status: 200, body: { success: true, totalUsers: USERS.length, users: USERS } };
+                }
+                const { accountStatus } = JSON.parse(init.body);
+                return { status: 200, body: { success: true, user: { ...USERS[1], accountStatus } } };
+            }
+        });
+        app.adminUsers.initializeUserManagement();
+        await app.adminUsers.loadUsers();
+
+        document.querySelector('[data-row-key="2"] [data-action="toggle-status"]').click();
+        await flushPromises();
+        expect(toastMessages()).toEqual(['User customer@example.com disabled']);
+
+        toasts()[0].querySelector('[data-toast-action]').click();
+        await flushPromises();
+
+        expect(JSON.parse(app.fetch.mock.calls.at(-1)[1].body)).toEqual({ accountStatus: 'active' });
+        expect(document.querySelector('[data-row-key="2"]').classList).not.toContain('user-row-disabled');
+        expect(toastMessages()).toEqual(['User customer@example.com enabled']);
+    });
+});
@@ -0,0 +1,183 @@
+const { loadApp, tokenFor, flushPromises, activeViews, ADMIN, CUSTOMER } = require('./helpers');
+
+const SUPPORT = { id: 5, email: 'support@example.com', role: 'support' };
+const AUDITOR = { id: 6, email: 'auditor@example.com', role: 'auditor' };
+
+const USERS = [
+    { id: 1, name: 'Admin User', email: 'admin@example.com', role: 'admin', accountStatus: 'active' },
+    { id: 2, name: 'Customer User', email: 'customer@example.com', role: 'customer', accountStatus: 'active' }
+];
+
+/**
+ * Fake backend answering the admin dashboard's requests
+ */
+function adminBackend(url) {
+    if (url.includes('/admin/users?')) {
+        return { status: 200, body: { success: true, totalUsers: USERS.length, users: USERS } };
+    }
+    return { status: 200, body: { success: true } };
+}
+
+/**
+ * Get the action button of a user's row
+ */
+function actionButton(id, action) {
+    return document.querySelector(`#admin-users-result [data-row-key="${id}"] [data-action="${action}"]`);
+}
+
+describe('permissions.can', () => {
+    test('derives permissions from the role hierarchy', async () => {
+        const app = await loadApp({ token: tokenFor(SUPPORT) });
+
+        expect(app.permissions.can('users:reset-password')).toBe(true);
+        // Inherited from auditor
+        expect(app.permissions.can('users:read')).toBe(true);
+        expect(app.permissions.can(['users:read', 'users:disable'])).toBe(true);
+        expect(app.permissions.can(['users:read', 'users:delete'])).toBe(false);
+        expect(app.permissions.can('profile:read')).toBe(false);
+
+        expect(app.permissions.can('users:delete', ADMIN)).toBe(true);
+        expect(app.permissions.can('users:read', { role: 'unknown' })).toBe(false);
+        expect(app.permissions.can('users:read', null)).toBe(false);
+    });
+
+    test('uses the permissions claim of the token instead of the role', async () => {
+        const app = await loadApp({ token: tokenFor({ ...ADMIN, permissions: ['admin:access', 'stats:*'] }) });
+
+        expect(app.permissions.can('stats:read')).toBe(true);
+        expect(app.permissions.can('users:read')).toBe(false);
+        expect(app.permissions.can('anything:at-all', { ...ADMIN, permissions: ['*'] })).toBe(true);
+    });
+
+    test('lets auth.hasRole follow the hierarchy', async () => {
+        const app = await loadApp({ token: tokenFor(ADMIN) });
+
+        expect(app.auth.hasRole('admin')).toBe(true);
+        expect(app.auth.hasRole('auditor')).toBe(true);
+        expect(app.auth.hasRole('customer')).toBe(false);
+    });
+});
+
+describe('data-requires', () => {
+    test('hides elements and disables the ones that ask for it', async () => {
+        const app = await loadApp({ token: tokenFor(AUDITOR) });
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="gated-panel" data-requires="users:delete"></div>
+            <button id="gated-button" data-requires="users:update" data-requires-mode="disable"></button>
+            <button id="allowed-button" data-requires="users:read users:export"></button>
+        `);
+
+        app.permissions.apply();
+
+        expect(document.getElementById('gated-panel').hidden).toBe(true);
+        expect(document.getElementById('gated-button').disabled).toBe(true);
+        expect(document.getElementById('gated-button').hidden).toBe(false);
+        expect(document.getElementById('allowed-button').hidden).toBe(false);
+    });
+
+    test('gates content added later and follows session changes', async () => {
+        const app = await loadApp({ token: tokenFor(AUDITOR) });
+        app.permissions.startGating();
+
+        document.body.insertAdjacentHTML('beforeend', '<button id="later" data-requires="users:create"></button>');
+        await flushPromises();
+        const later = document.getElementById('later');
+        expect(later.hidden).toBe(true);
+        expect(document.getElementById('admin-add-user-btn').hidden).toBe(true);
+        expect(document.getElementById('admin-users-export-csv').hidden).toBe(false);
+
+        app.session.setTokens({ token: tokenFor(ADMIN) });
+        expect(later.hidden).toBe(false);
+        expect(document.getElementById('admin-add-user-btn').hidden).toBe(false);
+
+        app.session.clear();
+        expect(later.hidden).toBe(true);
+    });
+
+    test('leaves elements hidden by other code alone', async () => {
+        const app = await loadApp({ token: tokenFor(CUSTOMER) });
+        document.body.insertAdjacentHTML('beforeend', '<div id="closed" hidden data-requires="users:read"></div>');
+
+        app.permissions.apply();
+        app.session.setTokens({ token: tokenFor(ADMIN) });
+        app.permissions.apply();
+
+        expect(document.getElementById('closed').hidden).toBe(true);
+    });
+
+    test('disables the row actions a support agent may not use', async () => {
+        const app = await loadApp({ token: tokenFor(SUPPORT), fetch: adminBackend });
+        app.permissions.startGating();
+        app.adminUsers.initializeUserManagement();
+
+        await app.adminUsers.loadUsers();
+        await flushPromises();
+
+        expect(actionButton(2, 'toggle-status').disabled).toBe(false);
+        expect(actionButton(2, 'reset-password').disabled).toBe(false);
+        expect(actionButton(2, 'edit').disabled).toBe(true);
+        expect(actionButton(2, 'delete').disabled).toBe(true);
+        // Only customers' accounts can be disabled by support
+        expect(actionButton(1, 'toggle-status').disabled).toBe(true);
+    });
+
+    test('leaves an auditor only the read-only controls of the admin view', async () => {
+        const app = await loadApp({ token: tokenFor(AUDITOR), fetch: adminBackend });
+        app.permissions.startGating();
+        app.adminAudit.initializeAuditLog();
+        await app.audit.record('navigation', '/admin', { details: 'admin-view' });
+
+        ['admin-add-user-btn', 'admin-import-btn', 'admin-user-create-form', 'admin-user-import-form', 'audit-clear-btn'].forEach(id => {
+            expect(document.getElementById(id).hidden).toBe(true);
+        });
+        expect(document.getElementById('audit-section').hidden).toBe(false);
+
+        // Nor can the hidden button be used
+        document.getElementById('audit-clear-btn').click();
+        await flushPromises();
+        expect(document.getElementById('confirm-dialog').style.display).toBe('none');
+        expect(await app.audit.getEntries()).toHaveLength(1);
+    });
+});
+
+describe('route permissions', () => {
+    test('lets read-only admins open the dashboard without loading what they may not see', async () => {
+        const app = await loadApp({ token: tokenFor({ ...AUDITOR, permissions: ['admin:access', 'users:read'] }), fetch: adminBackend });
+        app.permissions.startGating();
+
+        window.router.hideAllViews();
+        window.router.handleRoute('/admin?page=1');
+        await flushPromises();
+
+        expect(activeViews()).toEqual(['admin-view']);
+        expect(document.getElementById('stats-section').hidden).toBe(true);
+        expect(document.getElementById('audit-section').hidden).toBe(true);
+        const requested = window.fetch.mock.calls.map(([url]) => url);
+        expect(requested.some(url => url.includes('/admin/users?'))).toBe(true);
+        expect(requested.some(url => url.includes('/admin/stats'))).toBe(false);
+    });
+
+    test('shows unauthorized-view without the permission, inherited by child routes', async () => {
+        await loadApp({ token: tokenFor(SUPPORT) });
+        const router = new window.Router([{
+            path: '/reports',
+            view: 'admin-view',
+            permissions: ['reports:read'],
+            children: [{ path: ':id', view: 'admin-view' }]
+        }]);
+
+        router.hideAllViews();
+        router.handleRoute('/reports/3');
+
+        expect(activeViews()).toEqual(['unauthorized-view']);
+    });
+
+    test('sends staff to the admin dashboard and others to their profile', async () => {
+        await loadApp();
+
+        expect(window.router.getDefaultRoute(AUDITOR)).toBe('/admin');
+        expect(window.router.getDefaultRoute(CUSTOMER)).toBe('/customer');
+        expect(window.router.isSafeReturnPath('/admin', SUPPORT)).toBe(true);
+        expect(window.router.isSafeReturnPath('/admin', CUSTOMER)).toBe(false);
+    });
+});
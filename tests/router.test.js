@@ -0,0 +1,304 @@
+const { loadApp, tokenFor, flushPromises, activeViews, ADMIN, CUSTOMER } = require('./helpers');
+
+/**
+ * Route to a path the way handleRouteChange does, starting from no active view
+ */
+function route(path) {
+    window.router.hideAllViews();
+    window.router.handleRoute(path);
+}
+
+describe('Router.handleRoute', () => {
+    describe('public routes', () => {
+        test.each(['/', '/welcome'])('%s shows the welcome view without a token', async path => {
+            await loadApp();
+
+            route(path);
+
+            expect(activeViews()).toEqual(['welcome-view']);
+        });
+
+        test('/login shows the login view when signed out', async () => {
+            await loadApp();
+
+            route('/login');
+
+            expect(activeViews()).toEqual(['login-view']);
+        });
+    });
+
+    describe('/login when already signed in', () => {
+        test('redirects an admin to /admin', async () => {
+            await loadApp({ token: tokenFor(ADMIN) });
+
+            route('/login');
+
+            expect(window.location.hash).toBe('#/admin');
+            expect(activeViews()).not.toContain('login-view');
+        });
+
+        test('honours a valid returnTo', async () => {
+            await loadApp({ token: tokenFor(ADMIN) });
+
+            route('/login?returnTo=%2Fadmin%3Ftab%3Dusers');
+
+            expect(window.location.hash).toBe('#/admin?tab=users');
+        });
+
+        test('redirects a customer to /customer', async () => {
+            await loadApp({ token: tokenFor(CUSTOMER) });
+
+            route('/login');
+
+            expect(window.location.hash).toBe('#/customer');
+        });
+    });
+
+    describe('protected routes', () => {
+        test('send unauthenticated users to /login', async () => {
+            await loadApp();
+
+            route('/admin?tab=users');
+
+            expect(activeViews()).toEqual(['login-view']);
+            expect(window.location.hash).toBe('#/login?returnTo=%2Fadmin%3Ftab%3Dusers');
+        });
+
+        test('drop an expired token that cannot be refreshed', async () => {
+            await loadApp({
+                token: tokenFor(ADMIN, -60),
+                fetch: () => ({ status: 401, body: { error: 'Invalid refresh token' } })
+            });
+
+            route('/admin');
+            await flushPromises();
+
+            expect(localStorage.getItem('authToken')).toBeNull();
+            expect(activeViews()).toEqual(['login-view']);
+            expect(window.location.hash).toBe('#/login?returnTo=%2Fadmin');
+        });
+
+        test('continue to the route after refreshing an expired token', async () => {
+            const freshToken = tokenFor(ADMIN);
+            await loadApp({
+                token: tokenFor(ADMIN, -60),
+                fetch: url => url.endsWith('/auth/refresh')
+                    ? { status: 200, body: { success: true, token: freshToken } }
+                    : { status: 404, body: null }
+            });
+
+            route('/admin');
+            await flushPromises();
+
+            expect(localStorage.getItem('authToken')).toBe(freshToken);
+            expect(activeViews()).toEqual(['admin-view']);
+        });
+    });
+
+    describe('role checks', () => {
+        test('/customer shows the customer view to customers and loads the profile', async () => {
+            const app = await loadApp({
+                token: tokenFor(CUSTOMER),
+                fetch: () => ({
+                    status: 200,
+                    body: {
+                        success: true,
+                        profile: {
+                            name: 'Customer User',
+                            email: 'customer@example.com',
+                            role: 'customer',
+                            accountStatus: 'active',
+                            memberSince: '2023-03-02'
+                        }
+                    }
+                })
+            });
+
+            route('/customer');
+            await flushPromises();
+
+            expect(activeViews()).toEqual(['customer-view']);
+            expect(app.fetch).toHaveBeenCalledWith('http://api.test/api/customer/profile', expect.anything());
+            expect(document.getElementById('customer-profile').textContent).toContain('Customer User');
+        });
+
+        test('/customer shows unauthorized-view to admins', async () => {
+            await loadApp({ token: tokenFor(ADMIN) });
+
+            route('/customer');
+
+            expect(activeViews()).toEqual(['unauthorized-view']);
+        });
+
+        test('/admin shows the admin view to admins', async () => {
+            await loadApp({ token: tokenFor(ADMIN) });
+
+            route('/admin');
+
+            expect(activeViews()).toEqual(['admin-view']);
+            expect(document.getElementById('user-info').textContent).toBe('admin@example.com (admin)');
+        });
+
+        test('/admin shows unauthorized-view to customers', async () => {
+            await loadApp({ token: tokenFor(CUSTOMER) });
+
+            route('/admin');
+
+            expect(activeViews()).toEqual(['unauthorized-view']);
+        });
+    });
+});
+
+describe('route table', () => {
+    /**
+     * Create a router with its own route table
+     */
+    function createRouter(routes) {
+        return new window.Router(routes);
+    }
+
+    test('unknown paths show the not-found view', async () => {
+        await loadApp({ token: tokenFor(ADMIN) });
+
+        route('/does-not-exist');
+
+        expect(activeViews()).toEqual(['not-found-view']);
+    });
+
+    test('passes path params and the query string to onEnter', async () => {
+        await loadApp({ token: tokenFor(ADMIN) });
+        const onEnter = jest.fn();
+        createRouter([{ path: '/admin/users/:id', view: 'admin-view', roles: ['admin'], onEnter }]);
+
+        route('/admin/users/42?tab=activity&q=a%20b');
+
+        expect(activeViews()).toEqual(['admin-view']);
+        expect(onEnter).toHaveBeenCalledWith(
+            expect.objectContaining({
+                path: '/admin/users/42',
+                params: { id: '42' },
+                query: { tab: 'activity', q: 'a b' }
+            }),
+            null
+        );
+    });
+
+    test('paths with a malformed escape show the not-found view', async () => {
+        await loadApp({ token: tokenFor(ADMIN) });
+        createRouter([{ path: '/admin/users/:id', view: 'admin-view', roles: ['admin'] }]);
+
+        route('/admin/users/%E0');
+
+        expect(activeViews()).toEqual(['not-found-view']);
+    });
+
+    test('nested routes inherit the path prefix and roles of their parent', async () => {
+        await loadApp({ token: tokenFor(CUSTOMER) });
+        createRouter([{
+            path: '/admin',
+            view: 'admin-view',
+            roles: ['admin'],
+            children: [{ path: 'users/:id', view: 'admin-view' }]
+        }]);
+
+        route('/admin/users/1');
+
+        expect(activeViews()).toEqual(['unauthorized-view']);
+    });
+
+    test('keeps a shared parent entered while moving between its children', async () => {
+        await loadApp({ token: tokenFor(ADMIN) });
+        const calls = [];
+        const hooks = name => ({
+            onEnter: () => calls.push(`enter ${name}`),
+            onLeave: () => calls.push(`leave ${name}`)
+        });
+        createRouter([{
+            path: '/admin',
+            view: 'admin-view',
+            ...hooks('admin'),
+            children: [
+                { path: 'users', ...hooks('users') },
+                { path: 'stats', ...hooks('stats') }
+            ]
+        }]);
+
+        route('/admin/users');
+        route('/admin/stats');
+        route('/');
+
+        expect(calls).toEqual([
+            'enter admin', 'enter users',
+            'leave users', 'enter stats',
+            'leave stats', 'leave admin'
+        ]);
+        expect(activeViews()).toEqual(['not-found-view']);
+    });
+
+    test('beforeEach can redirect or deny, afterEach sees the shown view', async () => {
+        await loadApp({ token: tokenFor(ADMIN) });
+        const router = createRouter(window.routes);
+        const after = jest.fn();
+        router.beforeEach(to => {
+            if (to.path === '/welcome') return '/';
+            if (to.query.deny) return false;
+            return undefined;
+        });
+        router.afterEach(after);
+
+        route('/welcome');
+        expect(window.location.hash).toBe('#/');
+
+        route('/admin?deny=1');
+        expect(activeViews()).toEqual(['unauthorized-view']);
+        expect(after).toHaveBeenLastCalledWith(expect.objectContaining({ view: 'unauthorized-view' }), null);
+
+        route('/admin');
+        expect(activeViews()).toEqual(['admin-view']);
+        expect(after).toHaveBeenLastCalledWith(
+            expect.objectContaining({ path: '/admin', view: 'admin-view' }),
+            expect.objectContaining({ path: '/admin' })
+        );
+    });
+
+    test('supports the legacy addRoute(path, handler) form', async () => {
+        await loadApp({ token: tokenFor(ADMIN) });
+        const router = createRouter([]);
+        const handler = jest.fn();
+
+        router.addRoute('/legacy', handler);
+        route('/legacy');
+
+        expect(handler).toHaveBeenCalled();
+    });
+});
+
+describe('Router.isSafeReturnPath', () => {
+    test.each([
+        '//evil.example.com/admin',
+        '/\\evil.example.com',
+        'https://evil.example.com/admin',
+        'javascript:alert(1)',
+        'admin',
+        '/login',
+        '/no-such-page',
+        '/admin\nSet-Cookie: x'
+    ])('rejects %s', async path => {
+        await loadApp();
+
+        expect(window.router.isSafeReturnPath(path)).toBe(false);
+    });
+
+    test('accepts app routes with a query string', async () => {
+        await loadApp();
+
+        expect(window.router.isSafeReturnPath('/admin?tab=users')).toBe(true);
+    });
+
+    test('rejects routes the user may not open', async () => {
+        await loadApp();
+
+        expect(window.router.isSafeReturnPath('/admin', CUSTOMER)).toBe(false);
+        expect(window.router.getPostLoginRoute(CUSTOMER, '/admin')).toBe('/customer');
+    });
+});
@@ -0,0 +1,164 @@
+const { loadApp, tokenFor, flushPromises, ADMIN, CUSTOMER } = require('./helpers');
+
+// Payloads that run script if they ever reach innerHTML unescaped
+const PAYLOADS = [
+    '<img src=x onerror="window.pwned = true">',
+    '"><svg onload="window.pwned = true">',
+    '<script>window.pwned = true</script>'
+];
+
+/**
+ * Check nothing a payload could have injected ended up in the DOM
+ */
+function expectInert(root = document.body) {
+    expect(root.querySelector('img[src="x"], svg[onload], script')).toBeNull();
+    expect(root.querySelector('[onerror], [onload]')).toBeNull();
+    expect(window.pwned).toBeUndefined();
+}
+
+describe('safeHtml', () => {
+    beforeEach(async () => {
+        await loadApp();
+    });
+
+    test.each(PAYLOADS)('escapes interpolated values (%s)', payload => {
+        const { html, render } = window.safeHtml;
+        const container = document.createElement('div');
+
+        render(container, html`<p title="${payload}">${payload}</p>`);
+
+        expect(container.querySelector('p').textContent).toBe(payload);
+        expect(container.querySelector('p').title).toBe(payload);
+        expectInert(container);
+    });
+
+    test('nests templates and arrays without escaping them twice', () => {
+        const { html } = window.safeHtml;
+        const items = ['a & b', '<c>'].map(item => html`<li>${item}</li>`);
+
+        expect(String(html`<ul>${items}</ul>`)).toBe('<ul><li>a &amp; b</li><li>&lt;c&gt;</li></ul>');
+    });
+
+    test('renders null, undefined and false as nothing', () => {
+        const { html } = window.safeHtml;
+
+        expect(String(html`[${null}${undefined}${false}${0}]`)).toBe('[0]');
+    });
+
+    test('inserts trusted markup as is', () => {
+        const { html, trusted } = window.safeHtml;
+
+        expect(String(html`<p>${trusted('<em>hi</em>')}</p>`)).toBe('<p><em>hi</em></p>');
+    });
+
+    test('renders plain strings as text', () => {
+        const container = document.createElement('div');
+
+        window.safeHtml.render(container, PAYLOADS[0]);
+
+        expect(container.textContent).toBe(PAYLOADS[0]);
+        expectInert(container);
+    });
+});
+
+describe('views render injection payloads inert', () => {
+    afterEach(() => {
+        delete window.pwned;
+    });
+
+    test.each(PAYLOADS)('customer service result (%s)', async payload => {
+        const app = await loadApp({
+            token: tokenFor(CUSTOMER),
+            fetch: () => ({
+                status: 200,
+                body: {
+                    success: true,
+                    message: payload,
+                    data: { service: payload, user: { name: payload, role: payload }, timestamp: payload }
+                }
+            })
+        });
+        app.app.initApp();
+
+        document.getElementById('customer-service-btn').click();
+        await flushPromises();
+
+        const result = document.getElementById('customer-service-result');
+        expect(result.textContent).toContain(payload);
+        expectInert(result);
+    });
+
+    test.each(PAYLOADS)('server error messages (%s)', async payload => {
+        const app = await loadApp({
+            token: tokenFor(ADMIN),
+            fetch: () => ({ status: 409, body: { success: false, error: payload } })
+        });
+        app.app.initApp();
+
+        document.getElementById('admin-service-btn').click();
+        await flushPromises();
+
+        const result = document.getElementById('admin-service-result');
+        expect(result.textContent).toContain(payload);
+        expectInert(result);
+    });
+
+    test.each(PAYLOADS)('admin users table and edit form (%s)', async payload => {
+        const users = [{ id: 2, name: payload, email: payload, role: 'customer', accountStatus: 'active' }];
+        const app = await loadApp({
+            token: tokenFor(ADMIN),
+            fetch: () => ({ status: 200, body: { success: true, totalUsers: 1, users } })
+        });
+        app.adminUsers.initializeUserManagement();
+        await app.adminUsers.loadUsers();
+
+        const table = document.getElementById('admin-users-result');
+        expect(table.querySelector('[data-row-key="2"] strong').textContent).toBe(payload);
+        expectInert(table);
+
+        table.querySelector('[data-action="edit"]').click();
+        expect(table.querySelector('#edit-user-name').value).toBe(payload);
+        expectInert(table);
+    });
+
+    test.each(PAYLOADS)('customer profile and its edit form (%s)', async payload => {
+        const profile = { name: payload, email: payload, role: 'customer', accountStatus: payload, memberSince: payload };
+        const app = await loadApp({
+            token: tokenFor(CUSTOMER),
+            fetch: () => ({ status: 200, body: { success: true, profile } })
+        });
+        app.customerProfile.initializeProfile();
+        app.customerProfile.loadProfile();
+        await flushPromises();
+
+        const container = document.getElementById('customer-profile');
+        expect(container.textContent).toContain(payload);
+        expectInert(container);
+
+        container.querySelector('[data-action="edit-profile"]').click();
+        expect(container.querySelector('#profile-name').value).toBe(payload);
+        expectInert(container);
+    });
+
+    test.each(PAYLOADS)('stats dashboard (%s)', async payload => {
+        const app = await loadApp({
+            token: tokenFor(ADMIN),
+            fetch: url => (url.endsWith('/admin/stats')
+                ? {
+                    status: 200,
+                    body: {
+                        success: true,
+                        statistics: { totalUsers: 1, usersByRole: { admin: 1 }, systemStatus: payload, lastUpdate: '2026-01-10T12:00:00.000Z' }
+                    }
+                }
+                : { status: 200, body: { success: true, range: '30d', points: [] } })
+        });
+
+        await app.adminStats.refresh();
+        app.adminStats.stop();
+
+        const kpis = document.getElementById('stats-kpis');
+        expect(kpis.textContent).toContain(payload);
+        expectInert(kpis);
+    });
+});
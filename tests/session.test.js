@@ -0,0 +1,151 @@
+const { loadApp, tokenFor, flushPromises, activeViews, ADMIN, CUSTOMER } = require('./helpers');
+
+const HISTORY_CONFIG = {
+    defaultEnvironment: 'test',
+    environments: {
+        test: {
+            apiBaseUrl: 'http://api.test/api',
+            logLevel: 'silent',
+            routerMode: 'history'
+        }
+    }
+};
+
+/**
+ * Change the stored token the way another tab would: write to storage and
+ * fire the storage event this tab receives
+ * @param {string|null} token - New token, or null to sign out
+ */
+function changeTokenInOtherTab(token) {
+    const oldValue = localStorage.getItem('authToken');
+    if (token) {
+        localStorage.setItem('authToken', token);
+    } else {
+        localStorage.removeItem('authToken');
+    }
+    window.dispatchEvent(new StorageEvent('storage', {
+        key: 'authToken',
+        oldValue,
+        newValue: token,
+        storageArea: localStorage
+    }));
+}
+
+describe('session store', () => {
+    test('derives the user and role from the token', async () => {
+        await loadApp({ token: tokenFor(CUSTOMER) });
+
+        expect(window.session.getState()).toMatchObject({
+            isAuthenticated: true,
+            role: 'customer',
+            user: { id: CUSTOMER.id, email: CUSTOMER.email, role: 'customer' }
+        });
+    });
+
+    test('notifies subscribers when the token changes', async () => {
+        await loadApp();
+        const listener = jest.fn();
+        const unsubscribe = window.session.subscribe(listener);
+
+        window.session.setTokens({ token: tokenFor(ADMIN), refreshToken: 'refresh' });
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenLastCalledWith(
+            expect.objectContaining({ role: 'admin', isAuthenticated: true }),
+            expect.objectContaining({ isAuthenticated: false }),
+            { remote: false }
+        );
+        expect(window.session.getRefreshToken()).toBe('refresh');
+
+        window.session.setTokens({ token: window.session.getState().token });
+        expect(listener).toHaveBeenCalledTimes(1);
+
+        unsubscribe();
+        window.session.clear();
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(window.session.getState().isAuthenticated).toBe(false);
+        expect(localStorage.getItem('refreshToken')).toBeNull();
+    });
+});
+
+describe('cross-tab sync', () => {
+    let stopSync;
+
+    /**
+     * Load the app in history mode with the session listeners running
+     * @param {string} token - Stored token
+     * @param {string} path - Path the tab has open
+     */
+    async function openTab(token, path) {
+        const app = await loadApp({
+            token,
+            config: HISTORY_CONFIG,
+            fetch: () => ({ status: 200, body: { success: true, profile: { name: 'Customer User' } } })
+        });
+        app.auth.initializeAuthListeners();
+        stopSync = app.session.startSync();
+        window.history.replaceState(null, '', path);
+        app.router.start();
+        await flushPromises();
+        return app;
+    }
+
+    afterEach(() => {
+        stopSync();
+        window.auth.cancelSessionWarning();
+    });
+
+    test('signing out in another tab sends this tab to login', async () => {
+        await openTab(tokenFor(CUSTOMER), '/customer');
+        expect(activeViews()).toEqual(['customer-view']);
+
+        changeTokenInOtherTab(null);
+
+        expect(activeViews()).toEqual(['login-view']);
+        expect(window.location.pathname + window.location.search).toBe('/login?returnTo=%2Fcustomer');
+        expect(document.getElementById('navigation').style.display).toBe('none');
+    });
+
+    test('signing in in another tab leaves the login page', async () => {
+        await openTab(null, '/login?returnTo=%2Fcustomer');
+        expect(activeViews()).toEqual(['login-view']);
+
+        changeTokenInOtherTab(tokenFor(CUSTOMER));
+
+        expect(window.location.pathname).toBe('/customer');
+        expect(activeViews()).toEqual(['customer-view']);
+        expect(document.getElementById('user-info').textContent).toBe('customer@example.com (customer)');
+    });
+
+    test('a role change in another tab re-runs the route guards', async () => {
+        await openTab(tokenFor(CUSTOMER), '/customer');
+
+        changeTokenInOtherTab(tokenFor({ ...CUSTOMER, role: 'admin' }));
+
+        expect(activeViews()).toEqual(['unauthorized-view']);
+    });
+
+    test('a token refresh in another tab keeps the current view', async () => {
+        const app = await openTab(tokenFor(CUSTOMER, 600), '/customer');
+        const requests = app.fetch.mock.calls.length;
+        const fresh = tokenFor(CUSTOMER, 7200);
+
+        changeTokenInOtherTab(fresh);
+        await flushPromises();
+
+        expect(app.api.getToken()).toBe(fresh);
+        expect(app.api.getTokenTimeRemaining()).toBeGreaterThan(3600);
+        expect(activeViews()).toEqual(['customer-view']);
+        expect(app.fetch.mock.calls.length).toBe(requests);
+    });
+
+    test('ignores unrelated storage keys', async () => {
+        const app = await openTab(tokenFor(CUSTOMER), '/customer');
+        const listener = jest.fn();
+        app.session.subscribe(listener);
+
+        localStorage.setItem('statsDashboard', '{}');
+        window.dispatchEvent(new StorageEvent('storage', { key: 'statsDashboard', storageArea: localStorage }));
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,11 @@
+// Browser APIs the app relies on that jsdom does not provide
+
+const { TextDecoder, TextEncoder } = require('util');
+const v8 = require('v8');
+
+global.TextDecoder = TextDecoder;
+global.TextEncoder = TextEncoder;
+global.structuredClone = value => v8.deserialize(v8.serialize(value));
+
+// IndexedDB for the activity log; loadApp() gives each test an empty one
+require('fake-indexeddb/auto');
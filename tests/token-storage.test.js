@@ -0,0 +1,220 @@
+const { loadApp, tokenFor, flushPromises, ADMIN, CUSTOMER } = require('./helpers');
+
+/**
+ * Test config.json with the given tokenStorage setting
+ * @param {string} tokenStorage
+ */
+function storageConfig(tokenStorage) {
+    return {
+        defaultEnvironment: 'test',
+        environments: {
+            test: { apiBaseUrl: 'http://api.test/api', logLevel: 'silent', tokenStorage }
+        }
+    };
+}
+
+/**
+ * Fill in and submit the login form
+ */
+async function submitLogin(email, password, remember) {
+    const form = document.getElementById('login-form');
+    form.elements.email.value = email;
+    form.elements.password.value = password;
+    form.elements.remember.checked = remember;
+
+    await window.auth.handleLogin({ preventDefault: () => {}, target: form });
+}
+
+/**
+ * Fake /auth/login answering with tokens in the body
+ */
+function tokenBackend(user) {
+    return url => url.endsWith('/auth/login')
+        ? { status: 200, body: { success: true, token: tokenFor(user), refreshToken: 'refresh', user } }
+        : { status: 200, body: { success: true } };
+}
+
+/**
+ * Fake backend for httpOnly cookie sessions: the body only carries the user
+ * and expiry, and a request is signed in when it is sent with credentials
+ */
+function cookieBackend(user) {
+    const session = { success: true, user, exp: Math.floor(Date.now() / 1000) + 3600 };
+    return (url, init) => {
+        if (url.endsWith('/auth/login') || url.endsWith('/auth/refresh')) {
+            return { status: 200, body: session };
+        }
+        if (url.endsWith('/auth/logout')) {
+            return { status: 200, body: { success: true } };
+        }
+        return init.credentials === 'include'
+            ? { status: 200, body: { success: true } }
+            : { status: 401, body: { error: 'Access token required' } };
+    };
+}
+
+describe('remember me', () => {
+    test('keeps a remembered session in localStorage', async () => {
+        await loadApp({ fetch: tokenBackend(ADMIN) });
+        window.auth.initializeAuthListeners();
+
+        expect(document.getElementById('remember-me-option').hidden).toBe(false);
+        await submitLogin(ADMIN.email, 'admin123', true);
+
+        expect(JSON.parse(window.fetch.mock.calls.find(([url]) => url.endsWith('/auth/login'))[1].body))
+            .toMatchObject({ remember: true });
+        expect(localStorage.getItem('authToken')).not.toBeNull();
+        expect(localStorage.getItem('refreshToken')).toBe('refresh');
+        expect(sessionStorage.getItem('authToken')).toBeNull();
+        expect(window.location.hash).toBe('#/admin');
+    });
+
+    test('keeps other sessions in sessionStorage and clears the remembered one', async () => {
+        const app = await loadApp({ token: tokenFor(CUSTOMER), fetch: tokenBackend(ADMIN) });
+        localStorage.setItem('refreshToken', 'old-refresh');
+
+        await submitLogin(ADMIN.email, 'admin123', false);
+
+        expect(localStorage.getItem('authToken')).toBeNull();
+        expect(localStorage.getItem('refreshToken')).toBeNull();
+        expect(sessionStorage.getItem('refreshToken')).toBe('refresh');
+        expect(app.api.getCurrentUser()).toMatchObject(ADMIN);
+
+        // A refresh stays where the session is
+        app.session.setTokens({ token: tokenFor(ADMIN, 7200) });
+        expect(localStorage.getItem('authToken')).toBeNull();
+        expect(sessionStorage.getItem('refreshToken')).toBe('refresh');
+
+        app.api.removeToken();
+        expect(sessionStorage.getItem('authToken')).toBeNull();
+        expect(app.api.isAuthenticated()).toBe(false);
+    });
+
+    test('is hidden when the storage is fixed', async () => {
+        await loadApp({ config: storageConfig('local') });
+        window.auth.initializeAuthListeners();
+
+        expect(document.getElementById('remember-me-option').hidden).toBe(true);
+    });
+});
+
+describe('token storage adapters', () => {
+    test.each(['session', 'memory'])('moves a stored session into %s storage', async tokenStorage => {
+        const token = tokenFor(CUSTOMER);
+        const app = await loadApp({ token, config: storageConfig(tokenStorage) });
+        localStorage.setItem('refreshToken', 'refresh');
+
+        expect(app.session.getState()).toMatchObject({ token, role: 'customer' });
+        expect(app.session.getRefreshToken()).toBe('refresh');
+        expect(localStorage.getItem('authToken')).toBeNull();
+        expect(localStorage.getItem('refreshToken')).toBeNull();
+        expect(sessionStorage.getItem('authToken')).toBe(tokenStorage === 'session' ? token : null);
+    });
+
+    test('keeps memory sessions out of web storage', async () => {
+        const app = await loadApp({ config: storageConfig('memory'), fetch: tokenBackend(ADMIN) });
+
+        await app.api.login(ADMIN.email, 'admin123', { remember: true });
+
+        expect(app.api.isAuthenticated()).toBe(true);
+        expect(app.session.getRefreshToken()).toBe('refresh');
+        expect(localStorage.getItem('authToken')).toBeNull();
+        expect(sessionStorage.getItem('authToken')).toBeNull();
+    });
+
+    test('falls back to auto for an unknown setting', async () => {
+        const app = await loadApp({ token: tokenFor(ADMIN), config: storageConfig('indexeddb') });
+
+        expect(app.api.isAuthenticated()).toBe(true);
+        expect(localStorage.getItem('authToken')).not.toBeNull();
+    });
+});
+
+describe('httpOnly cookie sessions', () => {
+    test('signs in without the token reaching the page', async () => {
+        const app = await loadApp({ config: storageConfig('cookie'), fetch: cookieBackend(CUSTOMER) });
+        window.auth.initializeAuthListeners();
+
+        expect(document.getElementById('remember-me-option').hidden).toBe(false);
+        await submitLogin(CUSTOMER.email, 'customer123', true);
+
+        expect(app.api.getCurrentUser()).toMatchObject(CUSTOMER);
+        expect(app.api.getToken()).toBeNull();
+        expect(app.api.getTokenTimeRemaining()).toBeGreaterThan(3500);
+        expect(JSON.parse(localStorage.getItem('authUser'))).toEqual({ ...CUSTOMER, exp: expect.any(Number) });
+        expect(localStorage.getItem('authToken')).toBeNull();
+        expect(window.location.hash).toBe('#/customer');
+
+        await expect(app.api.getCustomerService()).resolves.toEqual({ success: true });
+        const [, init] = window.fetch.mock.calls.find(([url]) => url.endsWith('/customer'));
+        expect(init.credentials).toBe('include');
+        expect(init.headers.Authorization).toBeUndefined();
+    });
+
+    test('refreshes through the cookie and replays the request', async () => {
+        const backend = cookieBackend(ADMIN);
+        let expired = true;
+        const app = await loadApp({
+            config: storageConfig('cookie'),
+            fetch: (url, init) => {
+                if (url.endsWith('/admin') && expired) {
+                    return { status: 401, body: { error: 'Token expired' } };
+                }
+                if (url.endsWith('/auth/refresh')) {
+                    expired = false;
+                }
+                return backend(url, init);
+            }
+        });
+        await app.api.login(ADMIN.email, 'admin123');
+
+        await expect(app.api.getAdminService()).resolves.toEqual({ success: true });
+
+        const refresh = window.fetch.mock.calls.find(([url]) => url.endsWith('/auth/refresh'));
+        expect(JSON.parse(refresh[1].body)).toEqual({ refreshToken: null });
+        expect(refresh[1].credentials).toBe('include');
+        expect(app.api.isAuthenticated()).toBe(true);
+    });
+
+    test('asks the server to clear the cookies on sign-out', async () => {
+        const app = await loadApp({ config: storageConfig('cookie'), fetch: cookieBackend(CUSTOMER) });
+        await app.api.login(CUSTOMER.email, 'customer123');
+
+        app.api.removeToken();
+        await flushPromises();
+
+        expect(app.api.isAuthenticated()).toBe(false);
+        expect(localStorage.getItem('authUser')).toBeNull();
+        expect(window.fetch).toHaveBeenCalledWith('http://api.test/api/auth/logout', expect.objectContaining({
+            method: 'POST',
+            credentials: 'include'
+        }));
+    });
+
+    test('drops tokens left from another storage mode', async () => {
+        const app = await loadApp({ token: tokenFor(ADMIN), config: storageConfig('cookie') });
+        sessionStorage.setItem('authToken', tokenFor(ADMIN));
+
+        expect(app.api.isAuthenticated()).toBe(false);
+        expect(localStorage.getItem('authToken')).toBeNull();
+        expect(sessionStorage.getItem('authToken')).toBeNull();
+    });
+
+    test('follows a sign-out in another tab', async () => {
+        const app = await loadApp({ config: storageConfig('cookie'), fetch: cookieBackend(CUSTOMER) });
+        await app.api.login(CUSTOMER.email, 'customer123');
+        app.session.startSync();
+        const listener = jest.fn();
+        app.session.subscribe(listener);
+
+        const oldValue = localStorage.getItem('authUser');
+        localStorage.removeItem('authUser');
+        window.dispatchEvent(new StorageEvent('storage', { key: 'authUser', oldValue, newValue: null, storageArea: localStorage }));
+
+        expect(listener).toHaveBeenCalledWith(
+            expect.objectContaining({ isAuthenticated: false }),
+            expect.objectContaining({ isAuthenticated: true }),
+            { remote: true }
+        );
+    });
+});
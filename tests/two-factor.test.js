@@ -0,0 +1,401 @@
+const { loadApp, tokenFor, flushPromises, findAccessibilityViolations, CUSTOMER } = require('./helpers');
+
+const CHALLENGE = {
+    success: true,
+    mfaRequired: true,
+    challengeToken: 'challenge-1',
+    methods: ['totp', 'email', 'recovery'],
+    expiresIn: 300
+};
+
+const SETUP = {
+    success: true,
+    secret: 'JBSWY3DPEHPK3PXPJBSWY3DP',
+    otpauthUri: 'otpauth://totp/SFD%20App%3Acustomer%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DP&issuer=SFD%20App'
+};
+
+const RECOVERY_CODES = ['abcde-12345', 'fghij-67890'];
+
+/**
+ * Fake sign-in backend that asks for a code; 123456 and the first
+ * recovery code are accepted
+ * @param {function} respond - Handler for everything else
+ */
+function twoStepBackend(respond = () => ({ status: 404, body: null })) {
+    return (url, init) => {
+        if (url.endsWith('/auth/login')) {
+            return { status: 200, body: CHALLENGE };
+        }
+        if (url.endsWith('/auth/login/verify')) {
+            const body = JSON.parse(init.body);
+            if (body.code !== '123456' && body.code !== RECOVERY_CODES[0]) {
+                return { status: 422, body: { success: false, error: 'Validation failed', errors: { code: 'The code is incorrect' } } };
+            }
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    token: tokenFor(CUSTOMER),
+                    refreshToken: 'refresh',
+                    user: CUSTOMER,
+                    ...(body.trustDevice ? { deviceToken: 'device-1' } : {})
+                }
+            };
+        }
+        return respond(url, init);
+    };
+}
+
+/**
+ * Sign in with the password and open the code view the login sends us to
+ * @param {string} from - Login route to start from
+ */
+async function startSignIn(from = '/login') {
+    window.auth.initializeAuthListeners();
+    window.router.handleRoute(from);
+
+    const form = document.getElementById('login-form');
+    form.elements.email.value = CUSTOMER.email;
+    form.elements.password.value = 'customer123';
+    await window.auth.handleLogin({ preventDefault: () => {}, target: form });
+
+    window.router.handleRoute(window.location.hash.slice(1));
+    return document.getElementById('login-code-form');
+}
+
+/**
+ * Type a code and submit the form
+ */
+async function submitCode(form, code, trustDevice = false) {
+    form.elements.code.value = code;
+    form.elements.trustDevice.checked = trustDevice;
+    form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+    await flushPromises();
+}
+
+/**
+ * Parsed body of the requests sent to an endpoint
+ */
+function sentTo(app, endpoint) {
+    return app.fetch.mock.calls
+        .filter(([url]) => url.endsWith(endpoint))
+        .map(([, init]) => JSON.parse(init.body));
+}
+
+describe('two-step sign-in', () => {
+    test('asks for a code instead of starting the session', async () => {
+        const app = await loadApp({ fetch: twoStepBackend() });
+
+        const form = await startSignIn('/login?returnTo=%2Fcustomer%3Ftab%3Dservice');
+
+        expect(window.location.hash).toBe('#/login/verify?returnTo=%2Fcustomer%3Ftab%3Dservice');
+        expect(document.getElementById('login-code-view').classList.contains('active')).toBe(true);
+        expect(app.api.isAuthenticated()).toBe(false);
+        expect(document.getElementById('login-code-label').textContent).toBe('Authentication code:');
+        expect(document.getElementById('login-code-hint').textContent).toBe('Enter the 6-digit code from your authenticator app.');
+        expect(form.elements.code.getAttribute('autocomplete')).toBe('one-time-code');
+        expect(document.querySelector('[data-code-method="totp"]').hidden).toBe(true);
+        expect(document.querySelector('[data-code-method="recovery"]').hidden).toBe(false);
+        expect(await findAccessibilityViolations('#login-code-view')).toEqual([]);
+    });
+
+    test('signs in with the code and returns to the requested page', async () => {
+        const app = await loadApp({ fetch: twoStepBackend() });
+        const form = await startSignIn('/login?returnTo=%2Fcustomer%3Ftab%3Dservice');
+
+        await submitCode(form, ' 123456 ');
+
+        expect(sentTo(app, '/auth/login/verify')).toEqual([
+            { challengeToken: 'challenge-1', remember: false, method: 'totp', code: '123456', trustDevice: false }
+        ]);
+        expect(app.api.getCurrentUser()).toMatchObject(CUSTOMER);
+        expect(sessionStorage.getItem('refreshToken')).toBe('refresh');
+        expect(window.location.hash).toBe('#/customer?tab=service');
+        expect(localStorage.getItem('trustedDevices')).toBeNull();
+    });
+
+    test('remembers a trusted device and sends its token with the next login', async () => {
+        const app = await loadApp({ fetch: twoStepBackend() });
+        const form = await startSignIn();
+
+        await submitCode(form, '123456', true);
+        expect(JSON.parse(localStorage.getItem('trustedDevices'))).toEqual({ 'customer@example.com': 'device-1' });
+
+        // Signing out keeps the device trusted
+        app.api.removeToken();
+        await app.api.login('Customer@Example.com', 'customer123');
+
+        expect(sentTo(app, '/auth/login')).toEqual([
+            { email: CUSTOMER.email, password: 'customer123', remember: false },
+            { email: 'Customer@Example.com', password: 'customer123', remember: false, deviceToken: 'device-1' }
+        ]);
+    });
+
+    test('accepts a recovery code instead', async () => {
+        const app = await loadApp({ fetch: twoStepBackend() });
+        const form = await startSignIn();
+
+        document.querySelector('[data-code-method="recovery"]').click();
+
+        expect(document.getElementById('login-code-label').textContent).toBe('Recovery code:');
+        expect(form.elements.code.getAttribute('inputmode')).toBe('text');
+        expect(document.querySelector('[data-code-method="totp"]').hidden).toBe(false);
+        expect(document.activeElement).toBe(form.elements.code);
+
+        await submitCode(form, RECOVERY_CODES[0]);
+
+        expect(sentTo(app, '/auth/login/verify')[0]).toMatchObject({ method: 'recovery', code: RECOVERY_CODES[0] });
+        expect(window.location.hash).toBe('#/customer');
+    });
+
+    test('shows a wrong code next to the field', async () => {
+        const app = await loadApp({ fetch: twoStepBackend() });
+        const form = await startSignIn();
+
+        await submitCode(form, '');
+        expect(form.querySelector('[data-error-for="code"]').textContent).toBe('Please enter the code');
+        expect(sentTo(app, '/auth/login/verify')).toHaveLength(0);
+
+        await submitCode(form, '654321');
+        expect(form.querySelector('[data-error-for="code"]').textContent).toBe('The code is incorrect');
+        expect(document.activeElement).toBe(form.elements.code);
+        expect(app.api.isAuthenticated()).toBe(false);
+        expect(document.querySelectorAll('.toast')).toHaveLength(0);
+    });
+
+    test('stops asking for a code once the sign-in has expired', async () => {
+        const backend = twoStepBackend();
+        await loadApp({
+            fetch: (url, init) => url.endsWith('/auth/login/verify')
+                ? { status: 400, body: { success: false, error: 'Too many incorrect codes', code: 'challenge_expired' } }
+                : backend(url, init)
+        });
+        const form = await startSignIn();
+
+        await submitCode(form, '111111');
+
+        expect(form.querySelector('.error-message').textContent)
+            .toBe('This sign-in has expired. Go back to the login page and sign in again.');
+        expect(form.querySelector('button[type="submit"]').disabled).toBe(true);
+        expect(document.getElementById('login-code-resend').disabled).toBe(true);
+    });
+
+    test('has nothing to verify when opened without signing in', async () => {
+        await loadApp();
+        window.auth.initializeAuthListeners();
+
+        window.router.handleRoute('/login/verify');
+
+        const form = document.getElementById('login-code-form');
+        expect(form.querySelector('button[type="submit"]').disabled).toBe(true);
+        expect(form.querySelector('.error-message').style.display).toBe('block');
+    });
+
+    test('emails a code and waits before offering another one', async () => {
+        let resends = 0;
+        const app = await loadApp({
+            fetch: twoStepBackend(url => {
+                if (url.endsWith('/auth/login/resend')) {
+                    resends++;
+                    return resends === 1
+                        ? { status: 200, body: { success: true, resendAfter: 2 } }
+                        : { status: 429, body: { success: false, error: 'Please wait', retryAfter: 65 } };
+                }
+                return { status: 404, body: null };
+            })
+        });
+        const form = await startSignIn();
+        const resend = document.getElementById('login-code-resend');
+        expect(resend.textContent).toBe('Email me a code');
+
+        jest.useFakeTimers();
+        try {
+            resend.click();
+            await jest.advanceTimersByTimeAsync(0);
+
+            expect(sentTo(app, '/auth/login/resend')).toEqual([{ challengeToken: 'challenge-1' }]);
+            expect(document.getElementById('login-code-hint').textContent).toBe('Enter the 6-digit code we sent to customer@example.com.');
+            expect(document.getElementById('a11y-status').textContent).toBe('We sent a sign-in code to customer@example.com.');
+            expect(resend.disabled).toBe(true);
+            expect(resend.textContent).toBe('Send a new code in 2 seconds');
+
+            jest.advanceTimersByTime(2000);
+            expect(resend.disabled).toBe(false);
+            expect(resend.textContent).toBe('Send a new code');
+
+            // The server's Retry-After wins if it asks for a longer wait
+            resend.click();
+            await jest.advanceTimersByTimeAsync(0);
+            expect(resend.textContent).toBe('Send a new code in 2 minutes');
+        } finally {
+            jest.useRealTimers();
+        }
+
+        await submitCode(form, '123456');
+        expect(sentTo(app, '/auth/login/verify')[0]).toMatchObject({ method: 'email', code: '123456' });
+    });
+});
+
+/**
+ * Load the customer view's two-step verification section
+ * @param {object} status - { enabled, recoveryCodesLeft }
+ * @param {function} respond - Handler for everything but the status request
+ */
+async function openTwoFactor(status, respond = () => ({ status: 404, body: null })) {
+    const app = await loadApp({
+        token: tokenFor(CUSTOMER),
+        fetch: (url, init) => url.endsWith('/customer/two-factor')
+            ? { status: 200, body: { success: true, ...status } }
+            : respond(url, init)
+    });
+    app.twoFactor.initializeTwoFactor();
+    app.twoFactor.loadTwoFactor();
+    await flushPromises();
+    return app;
+}
+
+/**
+ * Submit one of the section's forms
+ */
+async function submitSection(formId, values) {
+    const form = document.getElementById(formId);
+    Object.keys(values).forEach(name => {
+        form.elements[name].value = values[name];
+    });
+    form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+    await flushPromises();
+    return form;
+}
+
+describe('two-step verification settings', () => {
+    test('turns it on with the first code and shows the recovery codes once', async () => {
+        const app = await openTwoFactor({ enabled: false, recoveryCodesLeft: 0 }, (url, init) => {
+            if (url.endsWith('/customer/two-factor/setup')) {
+                return { status: 200, body: SETUP };
+            }
+            if (url.endsWith('/customer/two-factor/enable')) {
+                return JSON.parse(init.body).code === '123456'
+                    ? { status: 200, body: { success: true, recoveryCodes: RECOVERY_CODES } }
+                    : { status: 422, body: { success: false, error: 'Validation failed', errors: { code: 'The code is incorrect' } } };
+            }
+            return { status: 404, body: null };
+        });
+        const section = document.getElementById('customer-two-factor');
+        expect(section.textContent).toContain('Two-step verification is off.');
+
+        section.querySelector('[data-action="enable-two-factor"]').click();
+        await flushPromises();
+
+        expect(section.querySelector('a[href^="otpauth://"]').getAttribute('href')).toBe(SETUP.otpauthUri);
+        expect(section.querySelector('.two-factor-secret').textContent).toBe('JBSW Y3DP EHPK 3PXP JBSW Y3DP');
+        expect(section.querySelector('.two-factor-qr')).toBeNull();
+        expect(document.activeElement).toBe(document.getElementById('two-factor-code'));
+        expect(await findAccessibilityViolations('#customer-two-factor')).toEqual([]);
+
+        let form = await submitSection('two-factor-setup-form', { code: '000000' });
+        expect(form.querySelector('[data-error-for="code"]').textContent).toBe('The code is incorrect');
+
+        form = await submitSection('two-factor-setup-form', { code: '123456' });
+        expect(sentTo(app, '/customer/two-factor/enable')).toEqual([{ code: '000000' }, { code: '123456' }]);
+        expect([...section.querySelectorAll('.recovery-codes code')].map(code => code.textContent)).toEqual(RECOVERY_CODES);
+
+        section.querySelector('[data-action="close-recovery-codes"]').click();
+        expect(section.querySelector('.recovery-codes')).toBeNull();
+        expect(section.textContent).toContain('You have 2 recovery codes left.');
+    });
+
+    test('sends one setup request however often Turn on is clicked', async () => {
+        let rejectSetup;
+        const app = await openTwoFactor({ enabled: false }, () => new Promise((resolve, reject) => {
+            rejectSetup = reject;
+        }));
+        const button = document.querySelector('#customer-two-factor [data-action="enable-two-factor"]');
+
+        button.click();
+        button.click();
+        await flushPromises();
+        expect(app.fetch.mock.calls.filter(([url]) => url.endsWith('/customer/two-factor/setup'))).toHaveLength(1);
+        expect(button.disabled).toBe(true);
+
+        // Available again once the request has failed
+        rejectSetup(new Error('Network down'));
+        await flushPromises();
+        expect(button.disabled).toBe(false);
+    });
+
+    test('shows a QR code only when it is an image', async () => {
+        let qrCode = 'data:image/png;base64,iVBORw0KGgo=';
+        await openTwoFactor({ enabled: false }, () => ({ status: 200, body: { ...SETUP, qrCode } }));
+        const section = document.getElementById('customer-two-factor');
+
+        section.querySelector('[data-action="enable-two-factor"]').click();
+        await flushPromises();
+        expect(section.querySelector('.two-factor-qr').getAttribute('src')).toBe(qrCode);
+
+        section.querySelector('[data-action="cancel-two-factor"]').click();
+        qrCode = 'javascript:alert(1)';
+        section.querySelector('[data-action="enable-two-factor"]').click();
+        await flushPromises();
+        expect(section.querySelector('.two-factor-qr')).toBeNull();
+    });
+
+    test('downloads the recovery codes as a text file', async () => {
+        const files = [];
+        URL.createObjectURL = jest.fn(blob => { files.push({ blob }); return 'blob:file'; });
+        URL.revokeObjectURL = jest.fn();
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            files[files.length - 1].name = this.download;
+        });
+
+        await openTwoFactor({ enabled: false }, url => url.endsWith('/setup')
+            ? { status: 200, body: SETUP }
+            : { status: 200, body: { success: true, recoveryCodes: RECOVERY_CODES } });
+        const section = document.getElementById('customer-two-factor');
+        section.querySelector('[data-action="enable-two-factor"]').click();
+        await flushPromises();
+        await submitSection('two-factor-setup-form', { code: '123456' });
+
+        section.querySelector('[data-action="download-recovery-codes"]').click();
+        click.mockRestore();
+
+        expect(files[0].name).toMatch(/^recovery-codes-\d{4}-\d{2}-\d{2}\.txt$/);
+        expect(files[0].blob.type).toBe('text/plain;charset=utf-8');
+        const text = await new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.readAsText(files[0].blob);
+        });
+        expect(text).toBe('abcde-12345\r\nfghij-67890');
+    });
+
+    test('turns it off with the current password', async () => {
+        const app = await openTwoFactor({ enabled: true, recoveryCodesLeft: 1 }, (url, init) =>
+            JSON.parse(init.body).currentPassword === 'customer123'
+                ? { status: 200, body: { success: true } }
+                : { status: 422, body: { success: false, error: 'Validation failed', errors: { currentPassword: 'Current password is incorrect' } } });
+        const section = document.getElementById('customer-two-factor');
+        expect(section.textContent).toContain('You have 1 recovery code left.');
+
+        section.querySelector('[data-action="disable-two-factor"]').click();
+        expect(document.activeElement).toBe(document.getElementById('two-factor-password'));
+
+        let form = await submitSection('two-factor-disable-form', { currentPassword: '' });
+        expect(form.querySelector('[data-error-for="currentPassword"]').textContent).toBe('Please enter your current password');
+        expect(sentTo(app, '/customer/two-factor/disable')).toHaveLength(0);
+
+        form = await submitSection('two-factor-disable-form', { currentPassword: 'wrong' });
+        expect(form.querySelector('[data-error-for="currentPassword"]').textContent).toBe('Current password is incorrect');
+
+        await submitSection('two-factor-disable-form', { currentPassword: 'customer123' });
+        expect(section.querySelector('.success-message').textContent).toContain('Two-step verification has been turned off');
+        expect(section.querySelector('[data-action="enable-two-factor"]')).not.toBeNull();
+    });
+
+    test('clears the section when the customer signs out', async () => {
+        const app = await openTwoFactor({ enabled: true, recoveryCodesLeft: 3 });
+
+        app.session.clear();
+
+        expect(document.getElementById('customer-two-factor').textContent.trim()).toBe('');
+    });
+});
@@ -0,0 +1,347 @@
+const { loadApp, tokenFor, flushPromises, findAccessibilityViolations, ADMIN } = require('./helpers');
+
+const USERS = [
+    { id: 1, name: 'Admin User', email: 'admin@example.com', role: 'admin', accountStatus: 'active', memberSince: '2023-01-01' },
+    { id: 2, name: 'Customer User', email: 'customer@example.com', role: 'customer', accountStatus: 'disabled', memberSince: '2023-03-02' }
+];
+
+/**
+ * Fake backend with a users list and the bulk import endpoint
+ * @param {object} options
+ * @param {Array<object>} options.users - Existing users
+ * @param {function} options.importUser - (user, body) => result, default: accept
+ */
+function backend({ users = USERS, importUser = () => ({ success: true }) } = {}) {
+    const imports = [];
+    const handler = (url, init) => {
+        const { pathname, searchParams } = new URL(url);
+        if (pathname.endsWith('/admin/users/import')) {
+            const body = JSON.parse(init.body);
+            imports.push(body);
+            const results = body.users.map(user => importUser(user, body));
+            const accepted = results.filter(result => result.success).length;
+            return { status: 200, body: { success: true, accepted, rejected: results.length - accepted, results } };
+        }
+        if (pathname.endsWith('/admin/users')) {
+            const q = searchParams.get('q') || '';
+            const matching = users.filter(user => user.name.toLowerCase().includes(q) || user.email.includes(q));
+            const page = Number(searchParams.get('page')) || 1;
+            const limit = Number(searchParams.get('limit')) || 20;
+            return { status: 200, body: { success: true, totalUsers: matching.length, users: matching.slice((page - 1) * limit, page * limit) } };
+        }
+        return { status: 404, body: null };
+    };
+    handler.imports = imports;
+    return handler;
+}
+
+/**
+ * Let file reads and requests settle
+ */
+async function settle() {
+    for (let i = 0; i < 5; i++) {
+        await flushPromises();
+    }
+}
+
+/**
+ * Load the admin user management with the import form open
+ */
+async function openImport(server = backend()) {
+    const app = await loadApp({ token: tokenFor(ADMIN), fetch: server });
+    app.adminUsers.initializeUserManagement();
+    app.adminImport.initializeUserImport();
+    document.getElementById('admin-import-btn').click();
+    return app;
+}
+
+/**
+ * Choose a CSV file in the import form
+ */
+async function chooseFile(text, name = 'users.csv') {
+    const input = document.getElementById('import-file');
+    Object.defineProperty(input, 'files', { value: [new File([text], name, { type: 'text/csv' })], configurable: true });
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    await settle();
+}
+
+/**
+ * Submit the import form and wait for every chunk
+ */
+async function submitImport({ dryRun = false } = {}) {
+    const form = document.getElementById('admin-user-import-form');
+    form.elements.dryRun.checked = dryRun;
+    form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+    await settle();
+}
+
+/**
+ * Preview rows as [line, name, email, role, status]
+ */
+function previewRows() {
+    return [...document.querySelectorAll('.import-preview-table tbody tr')]
+        .map(row => [...row.cells].map(cell => cell.textContent.trim()));
+}
+
+/**
+ * Capture files offered for download
+ */
+function captureDownloads() {
+    const files = [];
+    URL.createObjectURL = jest.fn(blob => { files.push({ blob }); return 'blob:file'; });
+    URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+        files[files.length - 1].name = this.download;
+    });
+    return { files, restore: () => click.mockRestore() };
+}
+
+/**
+ * Read a downloaded file without the byte order mark
+ */
+function readBlob(blob) {
+    return new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result.replace(/^\uFEFF/, ''));
+        reader.readAsText(blob);
+    });
+}
+
+describe('csv', () => {
+    test('parses quotes, line breaks, semicolons and a byte order mark', async () => {
+        const app = await loadApp();
+
+        expect(app.csv.parse('\uFEFFname,note\r\n"Doe, Jane","said ""hi""\nthen left"\n\nBob,\n')).toEqual([
+            ['name', 'note'],
+            ['Doe, Jane', 'said "hi"\nthen left'],
+            ['Bob', '']
+        ]);
+        expect(app.csv.parse('nombre;correo\nAna;ana@example.com')).toEqual([['nombre', 'correo'], ['Ana', 'ana@example.com']]);
+    });
+
+    test('writes what it reads', async () => {
+        const app = await loadApp();
+        const rows = [{ name: 'Doe, "JJ"', note: 'a;b\nc' }];
+
+        const text = app.csv.stringify(rows, ['name', 'note']);
+
+        expect(app.csv.parse(text)).toEqual([['name', 'note'], ['Doe, "JJ"', 'a;b\nc']]);
+        expect(app.csv.stringify([{ name: '=1+1' }], ['name'])).toBe("name\r\n'=1+1");
+    });
+});
+
+describe('export', () => {
+    test('downloads every user matching the filters, across pages', async () => {
+        const many = Array.from({ length: 130 }, (_, i) => ({ id: i + 1, name: `User ${i + 1}`, email: `user${i + 1}@example.com`, role: 'customer', accountStatus: 'active' }));
+        const server = backend({ users: many });
+        const app = await loadApp({ token: tokenFor(ADMIN), fetch: server });
+        app.adminUsers.initializeUserManagement();
+        await app.adminUsers.loadUsers({ page: 1, limit: 20, sort: 'name', order: 'asc', q: 'user 1', role: '' });
+        const downloads = captureDownloads();
+
+        document.getElementById('admin-users-export-csv').click();
+        await settle();
+
+        const lines = (await readBlob(downloads.files[0].blob)).split('\r\n');
+        expect(downloads.files[0].name).toMatch(/^users-\d{4}-\d{2}-\d{2}\.csv$/);
+        expect(lines[0]).toBe('id,name,email,role,accountStatus,memberSince');
+        // "user 1" matches User 1, 10-19 and 100-130
+        expect(lines).toHaveLength(1 + 42);
+        expect(app.fetch.mock.calls.filter(([url]) => url.includes('limit=100'))).toHaveLength(1);
+
+        document.getElementById('admin-users-export-json').click();
+        await settle();
+        expect(downloads.files[1].name).toMatch(/\.json$/);
+        expect(JSON.parse(await readBlob(downloads.files[1].blob))).toHaveLength(42);
+        downloads.restore();
+    });
+
+    test('pages through results larger than one request', async () => {
+        const many = Array.from({ length: 230 }, (_, i) => ({ id: i + 1, name: `User ${i + 1}`, email: `user${i + 1}@example.com`, role: 'customer' }));
+        const app = await loadApp({ token: tokenFor(ADMIN), fetch: backend({ users: many }) });
+
+        const all = await app.api.getAllAdminUsers();
+
+        expect(all).toHaveLength(230);
+        expect(app.fetch.mock.calls.filter(([url]) => url.includes('/admin/users?')).map(([url]) => new URL(url).searchParams.get('page')))
+            .toEqual(['1', '2', '3']);
+    });
+});
+
+describe('import', () => {
+    const FILE = [
+        'Full Name,E-mail,Rol,Notes',
+        'Ana Díaz,ana@example.com,Customer,first',
+        'Ben Ray,ben@example.com,admin,',
+        ',nobody@example.com,,no name',
+        'Dup,ANA@example.com,,repeat',
+        'Old,customer@example.com,customer,exists',
+        'Bad,not-an-email,owner,'
+    ].join('\n');
+
+    test('maps columns by header and validates every row', async () => {
+        await openImport();
+        await chooseFile(FILE);
+
+        expect(document.getElementById('import-map-name').value).toBe('0');
+        expect(document.getElementById('import-map-email').value).toBe('1');
+        expect(document.getElementById('import-map-role').value).toBe('2');
+        expect(document.getElementById('import-map-password').value).toBe('-1');
+        expect(document.querySelector('.import-summary').textContent.trim()).toBe('6 rows: 2 ready, 4 with errors.');
+        expect(previewRows()).toEqual([
+            ['2', 'Ana Díaz', 'ana@example.com', 'customer', 'Ready'],
+            ['3', 'Ben Ray', 'ben@example.com', 'admin', 'Ready'],
+            ['4', '', 'nobody@example.com', 'customer', 'Name is missing.'],
+            ['5', 'Dup', 'ANA@example.com', 'customer', 'Same email as line 2.'],
+            ['6', 'Old', 'customer@example.com', 'customer', 'An account with this email already exists.'],
+            ['7', 'Bad', 'not-an-email', 'owner', 'Email is not valid. Unknown role "owner".']
+        ]);
+        expect(document.getElementById('import-submit').disabled).toBe(false);
+    });
+
+    test('the form and preview have no accessibility violations', async () => {
+        await openImport();
+        await chooseFile(FILE);
+
+        expect(await findAccessibilityViolations('#admin-user-import-form')).toEqual([]);
+    });
+
+    test('asks for the required columns it could not find', async () => {
+        await openImport();
+        await chooseFile('who,address\nAna,ana@example.com');
+
+        const error = document.querySelector('#admin-user-import-form .error-message');
+        expect(error.textContent).toBe('Choose the column for: Name, Email');
+        expect(document.getElementById('import-submit').disabled).toBe(true);
+
+        const select = document.getElementById('import-map-name');
+        select.value = '0';
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+        document.getElementById('import-map-email').value = '1';
+        document.getElementById('import-map-email').dispatchEvent(new Event('change', { bubbles: true }));
+
+        expect(error.style.display).toBe('none');
+        expect(previewRows()).toEqual([['2', 'Ana', 'ana@example.com', 'customer', 'Ready']]);
+        expect(document.getElementById('import-submit').disabled).toBe(false);
+    });
+
+    test('rejects empty files', async () => {
+        await openImport();
+        await chooseFile('name,email\n');
+
+        expect(document.querySelector('#admin-user-import-form .error-message').textContent).toBe('The file has no rows to import');
+        expect(document.getElementById('import-submit').disabled).toBe(true);
+    });
+
+    test('a dry run checks the rows without clearing the file', async () => {
+        const server = backend({
+            importUser: (user, body) => (user.email === 'ben@example.com'
+                ? { success: false, message: 'Validation failed', errors: { email: 'Email is already in use' } }
+                : { success: true, dryRun: body.dryRun })
+        });
+        const app = await openImport(server);
+        await chooseFile(FILE);
+
+        await submitImport({ dryRun: true });
+
+        expect(server.imports).toEqual([{ dryRun: true, users: [
+            { name: 'Ana Díaz', email: 'ana@example.com', role: 'customer' },
+            { name: 'Ben Ray', email: 'ben@example.com', role: 'admin' }
+        ] }]);
+        expect(document.getElementById('import-progress-text').textContent).toBe('Dry run complete: 1 can be imported, 5 rejected');
+        expect(document.getElementById('import-report-btn').hidden).toBe(false);
+        expect(document.getElementById('import-submit').disabled).toBe(false);
+        app.notifications.dismissAll();
+    });
+
+    test('sends valid rows in chunks with progress and reloads the users', async () => {
+        const rows = Array.from({ length: 120 }, (_, i) => `User ${i},user${i}@example.com,,Secret${i}pass`);
+        let progress = [];
+        const server = backend();
+        const app = await openImport((url, init) => {
+            if (url.endsWith('/admin/users/import')) {
+                const bar = document.querySelector('#import-progress progress');
+                progress.push(`${bar.value}/${bar.max}`);
+            }
+            return server(url, init);
+        });
+        await chooseFile(['name,email,role,password', ...rows].join('\r\n'));
+        progress = [];
+
+        await submitImport();
+
+        expect(server.imports.map(body => body.users.length)).toEqual([50, 50, 20]);
+        expect(server.imports[0].users[0]).toEqual({ name: 'User 0', email: 'user0@example.com', role: 'customer', password: 'Secret0pass' });
+        expect(progress).toEqual(['0/120', '50/120', '100/120']);
+        expect(document.getElementById('import-progress-text').textContent).toBe('Imported 120 users, 0 rejected');
+        expect(document.getElementById('import-report-btn').hidden).toBe(true);
+        // The rows cannot be sent twice
+        expect(document.getElementById('import-submit').disabled).toBe(true);
+        expect(document.getElementById('import-file').value).toBe('');
+        expect(document.querySelectorAll('#admin-users-result [data-row-key]')).toHaveLength(2);
+        app.notifications.dismissAll();
+    });
+
+    test('stops at a failed chunk and reports the rows not sent', async () => {
+        const rows = Array.from({ length: 60 }, (_, i) => `User ${i},user${i}@example.com`);
+        const server = backend();
+        let calls = 0;
+        const app = await openImport((url, init) => {
+            if (url.endsWith('/admin/users/import') && ++calls === 2) {
+                return { status: 500, body: { success: false, message: 'Database is down' } };
+            }
+            return server(url, init);
+        });
+        await chooseFile(['name,email', ...rows].join('\n'));
+
+        await submitImport();
+
+        expect(document.getElementById('import-progress-text').textContent).toBe('Imported 50 users, 10 rejected');
+        expect(document.getElementById('import-report-btn').hidden).toBe(false);
+        app.notifications.dismissAll();
+    });
+
+    test('downloads the rejected rows with their errors', async () => {
+        const server = backend({
+            importUser: user => (user.email === 'ben@example.com'
+                ? { success: false, message: 'Validation failed', errors: { email: 'Email is already in use' } }
+                : { success: true })
+        });
+        const app = await openImport(server);
+        await chooseFile(FILE);
+        await submitImport();
+        const downloads = captureDownloads();
+
+        document.getElementById('import-report-btn').click();
+
+        expect(downloads.files[0].name).toMatch(/^import-errors-\d{4}-\d{2}-\d{2}\.csv$/);
+        expect(app.csv.parse(await readBlob(downloads.files[0].blob))).toEqual([
+            ['Line', 'Full Name', 'E-mail', 'Rol', 'Notes', 'Error'],
+            ['3', 'Ben Ray', 'ben@example.com', 'admin', '', 'Email is already in use'],
+            ['4', '', 'nobody@example.com', '', 'no name', 'Name is missing.'],
+            ['5', 'Dup', 'ANA@example.com', '', 'repeat', 'Same email as line 2.'],
+            ['6', 'Old', 'customer@example.com', 'customer', 'exists', 'An account with this email already exists.'],
+            ['7', 'Bad', 'not-an-email', 'owner', '', 'Email is not valid. Unknown role "owner".']
+        ]);
+        downloads.restore();
+        app.notifications.dismissAll();
+    });
+
+    test('leaves the passwords out of the report', async () => {
+        const app = await openImport(backend({
+            importUser: () => ({ success: false, message: 'Validation failed', errors: { email: 'Email is already in use' } })
+        }));
+        await chooseFile('name,email,password\nAna Lee,ana@example.com,Initial-Passw0rd\n');
+        await submitImport();
+        const downloads = captureDownloads();
+
+        document.getElementById('import-report-btn').click();
+
+        expect(app.csv.parse(await readBlob(downloads.files[0].blob))).toEqual([
+            ['Line', 'name', 'email', 'password', 'Error'],
+            ['2', 'Ana Lee', 'ana@example.com', '', 'Email is already in use']
+        ]);
+        downloads.restore();
+        app.notifications.dismissAll();
+    });
+});